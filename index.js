@@ -0,0 +1,2 @@
+// Library entry point - lets other scripts talk to an MR1100 without running the monitor
+module.exports = require('./lib/mr1100-client');
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const { runHook, postWebhook } = require('./hooks');
+
+// Data cap alerts: thresholds of a router's billing plan (lib/billing.js) - percentages of the cycle's
+// allowance (cap plus rollover) and bytes in one day - checked against its usage on every poll. Each
+// threshold fires once per cycle (the daily one once per day); what already fired is kept in the
+// alert state, which the collector stores in the settings table so a restart does not fire it again.
+//
+// An alert goes to every configured sink. A sink is { name, send(alert) } where send resolves with
+// { error } and never throws; the built-in kinds are below, the monitor adds its own (terminal bell
+// and banner) the same way.
+
+// "50,80,95,100" -> [50, 80, 95, 100]; "none" -> []; null when unreadable
+function parseThresholds(value) {
+  if (String(value).trim() === 'none') return [];
+  const thresholds = String(value).split(',').map(part => Number(part.trim().replace(/%$/, '')));
+  if (thresholds.some(t => !Number.isFinite(t) || t <= 0)) return null;
+  return [...new Set(thresholds)].sort((a, b) => a - b);
+}
+
+// New alerts for a router's usage. cycle: cycleUsage(), today: cellular bytes since midnight,
+// state: { cycleStart, fired: ['cap:80', ...], day } or null. Returns { alerts, state } - the new state
+// to store. When several cap thresholds are crossed at once (first run, a big gap) only the highest
+// one is sent; the others count as fired.
+function evaluateAlerts(plan, cycle, today, state, now = Date.now()) {
+  const next = state && state.cycleStart === cycle.start
+    ? { ...state, fired: [...state.fired] }
+    : { cycleStart: cycle.start, fired: [], day: state ? state.day : null };
+  const alerts = [];
+  const base = { cycleStart: cycle.start, cycleEnd: cycle.end, timestamp: now };
+
+  if (cycle.allowance !== null) {
+    const crossed = (plan.alerts || []).filter(t => cycle.percent >= t && !next.fired.includes(`cap:${t}`));
+    if (crossed.length > 0) {
+      const threshold = crossed[crossed.length - 1];
+      next.fired.push(...crossed.map(t => `cap:${t}`));
+      alerts.push({
+        ...base, kind: 'cap', threshold, used: cycle.used, allowance: cycle.allowance, percent: cycle.percent,
+        severity: threshold >= 100 ? 'error' : 'warn'
+      });
+    }
+  }
+
+  const dayStart = new Date(now).setHours(0, 0, 0, 0);
+  if (plan.dailyAlert && today >= plan.dailyAlert && next.day !== dayStart) {
+    next.day = dayStart;
+    alerts.push({ ...base, kind: 'daily', threshold: plan.dailyAlert, used: today, severity: 'warn' });
+  }
+  return { alerts, state: next };
+}
+
+// The kinds of sink that can be configured: kind -> (target) => sink
+const SINKS = {
+  // JSON POST of the alert
+  webhook: url => ({
+    name: 'webhook',
+    send: alert => postWebhook(url, alert)
+  }),
+  // A command with ROUTER_STATS_EVENT=usage-alert, _ROUTER, _KIND, _THRESHOLD, _USED, _ALLOWANCE, _PERCENT, _MESSAGE
+  command: command => ({
+    name: 'command',
+    send: alert => runHook(command, {
+      EVENT: 'usage-alert', ROUTER: alert.router, KIND: alert.kind, THRESHOLD: alert.threshold, USED: alert.used,
+      ALLOWANCE: alert.allowance, PERCENT: alert.percent === undefined ? null : alert.percent.toFixed(1), MESSAGE: alert.message
+    })
+  }),
+  // One JSON line per alert, appended
+  log: file => ({
+    name: 'log',
+    send: alert => fs.promises.appendFile(file, JSON.stringify(alert) + '\n').then(() => ({ error: null }), error => ({ error: error.message }))
+  })
+};
+
+function createSink(kind, target) {
+  if (!SINKS[kind]) throw new Error(`Unknown alert sink "${kind}"`);
+  return SINKS[kind](target);
+}
+
+// Send an alert to all sinks at once; resolves with the failures: [{ sink, error }]
+async function dispatchAlert(sinks, alert) {
+  const results = await Promise.all(sinks.map(sink => Promise.resolve()
+    .then(() => sink.send(alert))
+    .catch(error => ({ error: error.message }))));
+  return results
+    .map((result, index) => ({ sink: sinks[index].name, error: result && result.error }))
+    .filter(result => result.error);
+}
+
+module.exports = { parseThresholds, evaluateAlerts, SINKS, createSink, dispatchAlert };
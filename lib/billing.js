@@ -0,0 +1,192 @@
+const { recordedSince, usageBetween } = require('./rollups');
+
+// Billing cycles: the plan of a router (cycle start day, data cap, rollover) and the cycles it went
+// through. Only cellular data counts against the cap - WiFi and Ethernet offload are free - and it is
+// read from the recorded usage (rollups), so bytes moved while nobody was polling count too. A finished
+// cycle is archived in billing_cycles with what it used, so past cycles stay reviewable after the
+// finer history is pruned and the next cycle knows how much rolls over.
+//
+// The router's own cycle counter (lifetime_bytes) is not used: it lives only in the raw samples, which
+// are pruned after a week by default, and the router resets it on its own schedule (its configured
+// cycle day, a factory reset), so it cannot be summed over a plan cycle that starts on another day.
+// The ledger already turns every counter reset into the bytes moved and survives pruning as rollups.
+// What it cannot know is usage from before monitoring started: a cycle that began earlier is partial,
+// and its average and projection only count the time since recording began.
+//
+// Plan: { startDay: 1-31, cap: bytes | null, rollover: 'none' | 'unused', rolloverMax: bytes | null,
+//         alerts: [percent of the allowance, ...], dailyAlert: bytes | null } (alerts: lib/alerts.js)
+// A start day past the end of a month (31 in February) means the last day of that month.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+function createBillingTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS billing_cycles (
+      router_id TEXT NOT NULL,
+      start_time INTEGER NOT NULL,
+      end_time INTEGER NOT NULL,
+      cap INTEGER,
+      rollover_in INTEGER NOT NULL DEFAULT 0,
+      used INTEGER NOT NULL,
+      download INTEGER NOT NULL,
+      upload INTEGER NOT NULL,
+      archived_at INTEGER NOT NULL,
+      PRIMARY KEY (router_id, start_time)
+    )
+  `);
+}
+
+// "50GB", "1.5 TB", "500M" -> bytes (binary units, like formatBytes); null when unreadable
+function parseSize(value) {
+  const match = String(value).trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?)B?$/);
+  return match ? Math.round(parseFloat(match[1]) * SIZE_UNITS[`${match[2]}B`]) : null;
+}
+
+// "none", "unused" or "unused:10GB" (at most 10 GB carried over) -> { rollover, rolloverMax }; null when unreadable
+function parseRollover(value) {
+  const [mode, max] = String(value).trim().toLowerCase().split(':');
+  if (mode === 'none' && max === undefined) return { rollover: 'none', rolloverMax: null };
+  if (mode !== 'unused') return null;
+  if (max === undefined) return { rollover: 'unused', rolloverMax: null };
+  const rolloverMax = parseSize(max);
+  return rolloverMax === null ? null : { rollover: 'unused', rolloverMax };
+}
+
+// Local midnight of the cycle start day in a month (month may be -1 or 12; Date rolls the year)
+function cycleStartIn(year, month, startDay) {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(startDay, daysInMonth)).getTime();
+}
+
+// The cycle a point in time belongs to: { start, end } (end = start of the next cycle)
+function cycleBounds(startDay, timestamp) {
+  const date = new Date(timestamp);
+  const year = date.getFullYear();
+  let month = date.getMonth();
+  if (timestamp < cycleStartIn(year, month, startDay)) month -= 1;
+  return { start: cycleStartIn(year, month, startDay), end: cycleStartIn(year, month + 1, startDay) };
+}
+
+// Cellular bytes of a usage object (usageBetween); 0 when nothing was recorded
+function cellularUsage(usage) {
+  const cellular = usage && usage.links.cellular;
+  return cellular ? { download: cellular.download, upload: cellular.upload, total: cellular.download + cellular.upload }
+    : { download: 0, upload: 0, total: 0 };
+}
+
+// What the archived previous cycle leaves for the next one: its unused cap, up to rolloverMax.
+// Only the cap rolls over, not what was rolled into that cycle itself.
+function rolloverFrom(plan, previous) {
+  if (plan.rollover !== 'unused' || !previous || !previous.cap) return 0;
+  const unused = Math.max(0, previous.cap - previous.used);
+  return plan.rolloverMax === null ? unused : Math.min(unused, plan.rolloverMax);
+}
+
+// Where the cycle is heading. dailyUsage: bytes of each complete, recorded day so far. The average
+// daily burn extends what was used to the end of the cycle; the range is a 90% band from how much the
+// days varied (null until two days are known).
+function projectCycle({ start, end, now, used, dailyUsage }) {
+  const elapsedDays = Math.max((now - start) / DAY, 1 / 24);
+  const remainingDays = Math.max(0, (end - now) / DAY);
+  const dailyAverage = used / elapsedDays;
+  const projected = used + dailyAverage * remainingDays;
+
+  let range = null;
+  if (dailyUsage.length >= 2) {
+    const mean = dailyUsage.reduce((sum, bytes) => sum + bytes, 0) / dailyUsage.length;
+    const variance = dailyUsage.reduce((sum, bytes) => sum + (bytes - mean) ** 2, 0) / (dailyUsage.length - 1);
+    const spread = 1.645 * Math.sqrt(variance) * Math.sqrt(remainingDays);
+    range = { low: Math.max(used, projected - spread), high: projected + spread };
+  }
+  return { elapsedDays, remainingDays, dailyAverage, projected, range };
+}
+
+// Archived cycles of a router, newest first
+function archivedCycles(db, routerId, limit = -1) {
+  return db.prepare('SELECT * FROM billing_cycles WHERE router_id = ? ORDER BY start_time DESC LIMIT ?').all(routerId, limit);
+}
+
+// Archive the finished cycles since the last archived one (at most a year back, and not before usage
+// was first recorded). Oldest first, so each one's rollover comes from the one before. Returns the new rows.
+function archiveFinishedCycles(db, routerId, plan, now = Date.now()) {
+  const last = archivedCycles(db, routerId, 1)[0] || null;
+  const pending = [];
+  let cycle = cycleBounds(plan.startDay, cycleBounds(plan.startDay, now).start - 1);
+  while (pending.length < 12 && (!last || cycle.start > last.start_time)) {
+    const usage = usageBetween(db, routerId, cycle.start, cycle.end - 1);
+    if (!usage) break;
+    pending.unshift({ ...cycle, usage: cellularUsage(usage) });
+    cycle = cycleBounds(plan.startDay, cycle.start - 1);
+  }
+
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO billing_cycles (router_id, start_time, end_time, cap, rollover_in, used, download, upload, archived_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const archived = [];
+  let previous = last;
+  db.transaction(() => {
+    for (const { start, end, usage } of pending) {
+      // Rollover only follows on from the cycle right before
+      const row = {
+        router_id: routerId, start_time: start, end_time: end, cap: plan.cap,
+        rollover_in: previous && previous.end_time === start ? rolloverFrom(plan, previous) : 0,
+        used: usage.total, download: usage.download, upload: usage.upload, archived_at: now
+      };
+      insert.run(routerId, start, end, row.cap, row.rollover_in, row.used, row.download, row.upload, now);
+      archived.push(row);
+      previous = row;
+    }
+  })();
+  return archived;
+}
+
+// The current cycle of a router: { start, end, since, partial, used, download, upload, cap, rolloverIn,
+// allowance, remaining, percent }. since is when usage was first recorded in the cycle (start unless
+// monitoring began later: partial). allowance (cap plus rollover), remaining and percent are null without a cap.
+function cycleUsage(db, routerId, plan, now = Date.now()) {
+  const { start, end } = cycleBounds(plan.startDay, now);
+  const since = Math.min(now, Math.max(start, recordedSince(db, routerId) || now));
+  const usage = cellularUsage(usageBetween(db, routerId, start, now));
+  const previous = db.prepare('SELECT * FROM billing_cycles WHERE router_id = ? AND end_time = ?').get(routerId, start);
+  const rolloverIn = rolloverFrom(plan, previous);
+  const allowance = plan.cap ? plan.cap + rolloverIn : null;
+  return {
+    start, end, since, partial: since > start, used: usage.total, download: usage.download, upload: usage.upload,
+    cap: plan.cap, rolloverIn, allowance,
+    remaining: allowance === null ? null : Math.max(0, allowance - usage.total),
+    percent: allowance === null ? null : usage.total / allowance * 100
+  };
+}
+
+// Cellular bytes used today (since local midnight)
+function dayUsage(db, routerId, now = Date.now()) {
+  return cellularUsage(usageBetween(db, routerId, new Date(now).setHours(0, 0, 0, 0), now)).total;
+}
+
+// cycleUsage() plus where the cycle is heading: elapsedDays (since `since`), remainingDays, dailyAverage, projected, range
+function cycleStatus(db, routerId, plan, now = Date.now()) {
+  const cycle = cycleUsage(db, routerId, plan, now);
+  const { start, end, since } = cycle;
+
+  const dailyUsage = [];
+  for (let day = start; ;) {
+    const next = new Date(day);
+    next.setDate(next.getDate() + 1);
+    if (next.getTime() > now) break;
+    // Days the monitor did not run at all (or only from partway through) tell nothing about the burn rate
+    const usage = day >= since ? usageBetween(db, routerId, day, next.getTime() - 1) : null;
+    if (usage) dailyUsage.push(cellularUsage(usage).total);
+    day = next.getTime();
+  }
+
+  // A partial cycle burns at the rate seen since recording began
+  return { ...cycle, ...projectCycle({ start: since, end, now, used: cycle.used, dailyUsage }) };
+}
+
+module.exports = {
+  createBillingTable, parseSize, parseRollover, cycleBounds, projectCycle,
+  archivedCycles, archiveFinishedCycles, cycleUsage, dayUsage, cycleStatus
+};
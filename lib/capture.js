@@ -0,0 +1,61 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// Capture files are NDJSON: one {"timestamp": <ms>, "router": <profile>, "model": <raw model.json>} object per line.
+// They are appended to while recording and streamed while replaying, so they can grow large.
+
+function appendCapture(file, model, timestamp = Date.now(), router = null) {
+  const record = router ? { timestamp, router, model } : { timestamp, model };
+  fs.appendFileSync(file, JSON.stringify(record) + '\n');
+}
+
+// Yield { timestamp, router, model, line } for every valid record; malformed lines are reported via onInvalid
+async function* readCapture(file, onInvalid = null) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let line = 0;
+
+  for await (const text of rl) {
+    line++;
+    if (!text.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (error) {
+      if (onInvalid) onInvalid(line, error);
+      continue;
+    }
+
+    if (!record || typeof record.timestamp !== 'number' || !record.model) {
+      if (onInvalid) onInvalid(line, new Error('missing timestamp or model'));
+      continue;
+    }
+
+    yield { timestamp: record.timestamp, router: record.router || null, model: record.model, line };
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Feed a capture to onSample(model, timestamp, router), waiting the recorded gap between samples
+// divided by speed (1 = real time, 10 = ten times faster, Infinity = no waiting)
+async function replayCapture(file, { speed = 1, onSample, onInvalid = null, maxDelay = 60000 } = {}) {
+  let previousTimestamp = null;
+  let count = 0;
+
+  for await (const record of readCapture(file, onInvalid)) {
+    if (previousTimestamp !== null && Number.isFinite(speed) && speed > 0) {
+      const gap = Math.max(0, record.timestamp - previousTimestamp) / speed;
+      // Long recording gaps (router offline, laptop asleep) are shortened so replay keeps moving
+      await sleep(Math.min(gap, maxDelay));
+    }
+    previousTimestamp = record.timestamp;
+
+    await onSample(record.model, record.timestamp, record.router);
+    count++;
+  }
+
+  return count;
+}
+
+module.exports = { appendCapture, readCapture, replayCapture };
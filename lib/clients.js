@@ -0,0 +1,142 @@
+// Connected-client history: every device ever seen on a router (clients, keyed by MAC) and the
+// intervals it was connected (client_sessions). A session stays open while the device shows up in
+// every poll; it ends at the last poll it was seen in. A gap longer than maxInterval (collector
+// stopped, router unreachable) ends it too, since nobody knows what happened in between.
+// known_devices is the owner's allowlist with friendly aliases; it applies to every router, so any
+// other MAC on the primary or guest network is an unknown device.
+
+function createClientTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clients (
+      router_id TEXT NOT NULL,
+      mac TEXT NOT NULL,
+      name TEXT,
+      ip TEXT,
+      source TEXT,
+      first_seen INTEGER NOT NULL,
+      last_seen INTEGER NOT NULL,
+      PRIMARY KEY (router_id, mac)
+    );
+
+    CREATE TABLE IF NOT EXISTS client_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      router_id TEXT NOT NULL,
+      mac TEXT NOT NULL,
+      name TEXT,
+      ip TEXT,
+      source TEXT,
+      start_time INTEGER NOT NULL,
+      last_seen INTEGER NOT NULL,
+      end_time INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_client_sessions_router ON client_sessions(router_id, start_time);
+    CREATE INDEX IF NOT EXISTS idx_client_sessions_open ON client_sessions(router_id, end_time);
+  `);
+}
+
+function createKnownDevicesTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS known_devices (
+      mac TEXT PRIMARY KEY,
+      alias TEXT,
+      added_at INTEGER NOT NULL
+    )
+  `);
+}
+
+// "aa-bb-cc-dd-ee-ff" / "aa:bb:..." -> "AA:BB:CC:DD:EE:FF" as the router reports it; null when not a MAC
+function normalizeMac(value) {
+  const mac = String(value).trim().toUpperCase().replace(/-/g, ':');
+  return /^([0-9A-F]{2}:){5}[0-9A-F]{2}$/.test(mac) ? mac : null;
+}
+
+// The allowlist: Map of MAC -> { mac, alias, added_at }
+function loadKnownDevices(db) {
+  return new Map(db.prepare('SELECT * FROM known_devices').all().map(device => [device.mac, device]));
+}
+
+// Add a device to the allowlist or change its alias (null keeps the current one)
+function addKnownDevice(db, mac, alias = null, now = Date.now()) {
+  db.prepare(`
+    INSERT INTO known_devices (mac, alias, added_at) VALUES (?, ?, ?)
+    ON CONFLICT (mac) DO UPDATE SET alias = COALESCE(excluded.alias, alias)
+  `).run(mac, alias, now);
+}
+
+function removeKnownDevice(db, mac) {
+  return db.prepare('DELETE FROM known_devices WHERE mac = ?').run(mac).changes > 0;
+}
+
+// Update history with the clients of one poll (snapshot.clients). Returns what changed:
+// { joined: [client], left: [session], firstSeen: [client] } - joined lists clients that started a new
+// session, firstSeen the ones this router had never seen before (a subset of joined).
+function trackClients(db, routerId, clients, timestamp, maxInterval = 0) {
+  const open = new Map(db.prepare('SELECT * FROM client_sessions WHERE router_id = ? AND end_time IS NULL')
+    .all(routerId).map(session => [session.mac, session]));
+
+  const knownClient = db.prepare('SELECT 1 FROM clients WHERE router_id = ? AND mac = ?');
+  const upsertClient = db.prepare(`
+    INSERT INTO clients (router_id, mac, name, ip, source, first_seen, last_seen)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (router_id, mac) DO UPDATE SET
+      name = COALESCE(excluded.name, name), ip = excluded.ip, source = excluded.source, last_seen = excluded.last_seen
+  `);
+  const openSession = db.prepare(`
+    INSERT INTO client_sessions (router_id, mac, name, ip, source, start_time, last_seen) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const extendSession = db.prepare('UPDATE client_sessions SET last_seen = ?, ip = ?, name = COALESCE(?, name) WHERE id = ?');
+  const closeSession = db.prepare('UPDATE client_sessions SET end_time = last_seen WHERE id = ?');
+
+  const changes = { joined: [], left: [], firstSeen: [] };
+  const close = (session) => {
+    closeSession.run(session.id);
+    changes.left.push({ ...session, end_time: session.last_seen });
+  };
+
+  db.transaction(() => {
+    for (const client of clients) {
+      if (!client.mac) continue;
+      const isNew = !knownClient.get(routerId, client.mac);
+      upsertClient.run(routerId, client.mac, client.name, client.ip, client.source, timestamp, timestamp);
+
+      const session = open.get(client.mac);
+      open.delete(client.mac);
+      const continues = session && session.source === client.source &&
+        (!maxInterval || timestamp - session.last_seen <= maxInterval);
+      if (continues) {
+        extendSession.run(timestamp, client.ip, client.name, session.id);
+        continue;
+      }
+      if (session) close(session);
+      openSession.run(routerId, client.mac, client.name, client.ip, client.source, timestamp, timestamp);
+      changes.joined.push(client);
+      if (isNew) changes.firstSeen.push(client);
+    }
+    // Not in this poll any more
+    for (const session of open.values()) close(session);
+  })();
+
+  return changes;
+}
+
+// Sessions overlapping [from, to], newest first; open sessions have end_time null.
+// The device's latest name fills in sessions that saw none.
+function sessionsBetween(db, routerId, from, to) {
+  return db.prepare(`
+    SELECT s.id, s.router_id, s.mac, COALESCE(s.name, c.name) AS name, s.ip, s.source, s.start_time, s.last_seen, s.end_time
+    FROM client_sessions s LEFT JOIN clients c ON c.router_id = s.router_id AND c.mac = s.mac
+    WHERE s.router_id = ? AND s.start_time <= ? AND COALESCE(s.end_time, s.last_seen) >= ?
+    ORDER BY s.start_time DESC
+  `).all(routerId, to, from);
+}
+
+// Every device seen on a router, most recently seen first
+function seenClients(db, routerId) {
+  return db.prepare('SELECT * FROM clients WHERE router_id = ? ORDER BY last_seen DESC').all(routerId);
+}
+
+module.exports = {
+  createClientTables, trackClients, sessionsBetween, seenClients,
+  createKnownDevicesTable, normalizeMac, loadKnownDevices, addKnownDevice, removeKnownDevice
+};
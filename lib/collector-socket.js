@@ -0,0 +1,94 @@
+const fs = require('fs');
+const net = require('net');
+
+// The collector publishes its state to viewers (`router-stats attach`) over a Unix domain socket.
+// Messages are newline-delimited JSON and only flow from collector to viewer, so any number of
+// viewers can watch without ever talking to the router themselves.
+
+class CollectorServer {
+  constructor(socketPath) {
+    this.socketPath = socketPath;
+    this.clients = new Set();
+    this.server = null;
+  }
+
+  // onConnect(send) brings a new viewer up to date before it receives broadcasts.
+  // Only call this while holding the collector lock: a socket file left over from a crash is replaced.
+  listen(onConnect = null) {
+    this.server = net.createServer((socket) => {
+      const send = (message) => {
+        if (!socket.destroyed) socket.write(JSON.stringify(message) + '\n');
+      };
+      this.clients.add(socket);
+      socket.on('close', () => this.clients.delete(socket));
+      socket.on('error', () => socket.destroy());
+      // Viewers have nothing to say; ignore anything they send
+      socket.resume();
+      if (onConnect) onConnect(send);
+    });
+
+    return new Promise((resolve, reject) => {
+      const start = (retry) => {
+        this.server.once('error', (error) => {
+          if (error.code === 'EADDRINUSE' && retry) {
+            fs.rmSync(this.socketPath, { force: true });
+            start(false);
+          } else {
+            reject(error);
+          }
+        });
+        this.server.listen(this.socketPath, () => {
+          // Snapshots include client names and MAC addresses - keep them to the owner
+          fs.chmodSync(this.socketPath, 0o600);
+          resolve(this);
+        });
+      };
+      start(true);
+    });
+  }
+
+  broadcast(message) {
+    const line = JSON.stringify(message) + '\n';
+    for (const socket of this.clients) {
+      if (!socket.destroyed) socket.write(line);
+    }
+  }
+
+  close() {
+    for (const socket of this.clients) socket.destroy();
+    this.clients.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+      fs.rmSync(this.socketPath, { force: true });
+    }
+  }
+}
+
+// Connect to a collector and call onMessage(message) for every message; returns the socket
+function attachToCollector(socketPath, onMessage) {
+  const socket = net.createConnection(socketPath);
+  let buffer = '';
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      if (!line.trim()) continue;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        continue;   // A damaged message only costs one update
+      }
+      onMessage(message);
+    }
+  });
+
+  return socket;
+}
+
+module.exports = { CollectorServer, attachToCollector };
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Router passwords are stored encrypted (AES-256-GCM), so a copied database does not leak them.
+// The key comes from, in this order:
+//   - ROUTER_STATS_KEY: 32 bytes, hex or base64
+//   - a passphrase, stretched with scrypt - only when the database was set up with one (creds rotate --passphrase)
+//   - a key file: --key-file / ROUTER_STATS_KEY_FILE, else router-stats.key beside the database,
+//     created on first use and readable by its owner only
+// The settings table keeps how the key is made (scrypt salt and parameters, never the key itself) and a
+// check value, so a wrong key is reported instead of silently failing to log in.
+
+const KEY_LENGTH = 32;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const CHECK_TEXT = 'router-stats';
+
+class CredentialKeyError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'CredentialKeyError';
+    this.code = code;   // 'invalid-key', 'wrong-key', 'passphrase-required', 'no-key'
+  }
+}
+
+// A key given as 64 hex digits or base64 of 32 bytes
+function parseKey(text) {
+  const value = String(text).trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new CredentialKeyError('Credential key must be 32 bytes, hex or base64 encoded', 'invalid-key');
+  }
+  return key;
+}
+
+// router-stats.db -> router-stats.key; in-memory databases have none
+function defaultKeyFile(dbPath) {
+  return dbPath && dbPath !== ':memory:' ? dbPath.replace(/\.db$/, '') + '.key' : null;
+}
+
+function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+// Write a key file readable by the owner only. Written next to the target and renamed into place,
+// so a crash never leaves a half-written key behind.
+function writeKeyFile(file, key) {
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, key.toString('base64') + '\n', { mode: 0o600 });
+  fs.renameSync(temp, file);
+}
+
+function newKdf() {
+  return { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+}
+
+function deriveKey(passphrase, kdf) {
+  return crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'base64'), KEY_LENGTH,
+    { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.N * kdf.r });
+}
+
+// "v1:<iv>:<tag>:<ciphertext>", all base64
+function encryptSecret(key, text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), data].map(part => typeof part === 'string' ? part : part.toString('base64')).join(':');
+}
+
+function decryptSecret(key, secret) {
+  const [version, iv, tag, data] = String(secret).split(':');
+  if (version !== 'v1' || data === undefined) {
+    throw new CredentialKeyError('Unknown credential format', 'invalid-secret');
+  }
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new CredentialKeyError('Stored credentials cannot be decrypted with this key', 'wrong-key');
+  }
+}
+
+// Stored alongside the encrypted credentials: { kdf: null | { name, salt, N, r, p }, check }
+function keyDescriptor(key, kdf = null) {
+  return { kdf, check: encryptSecret(key, CHECK_TEXT) };
+}
+
+function keyMatches(key, descriptor) {
+  if (!descriptor || !descriptor.check) return true;
+  try {
+    return decryptSecret(key, descriptor.check) === CHECK_TEXT;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Find the key of a database. descriptor is its stored key setting (null before any credentials were
+// saved). Returns null when there is no key yet and create is false; a new key file is only written
+// with create. Throws CredentialKeyError when the key is wrong or a passphrase is needed but missing.
+function resolveKey({ descriptor = null, keyFile = null, passphrase = null, create = false, env = process.env } = {}) {
+  let key = null;
+
+  if (env.ROUTER_STATS_KEY) {
+    key = parseKey(env.ROUTER_STATS_KEY);
+  } else if (descriptor && descriptor.kdf) {
+    const secret = passphrase || env.ROUTER_STATS_PASSPHRASE;
+    if (!secret) {
+      throw new CredentialKeyError('Stored credentials are protected by a passphrase', 'passphrase-required');
+    }
+    key = deriveKey(secret, descriptor.kdf);
+  } else if (keyFile && fs.existsSync(keyFile)) {
+    key = parseKey(fs.readFileSync(keyFile, 'utf8'));
+  } else if (descriptor) {
+    throw new CredentialKeyError(`Credential key file ${keyFile || '(none)'} is missing`, 'no-key');
+  } else if (create) {
+    key = generateKey();
+    // In-memory databases (replays) get a key that lives as long as they do
+    if (keyFile) writeKeyFile(keyFile, key);
+  }
+
+  if (key && !keyMatches(key, descriptor)) {
+    throw new CredentialKeyError('Stored credentials were encrypted with a different key', 'wrong-key');
+  }
+  return key;
+}
+
+module.exports = {
+  CredentialKeyError,
+  parseKey, defaultKeyFile, generateKey, writeKeyFile, newKdf, deriveKey,
+  encryptSecret, decryptSecret, keyDescriptor, keyMatches, resolveKey
+};
@@ -0,0 +1,107 @@
+// Event log: things that happened on a router, one row each with a type, a severity ('info', 'warn',
+// 'error'), a one-line message and the details as JSON. Cellular transitions (band, technology,
+// operator, IP, connection, roaming) and offload switches are derived here by comparing each snapshot
+// with the last known state, which the collector keeps across restarts. The collector records its own
+// incidents too (auth, network, invalid-data, gap, temperature).
+
+const SEVERITIES = ['info', 'warn', 'error'];
+
+function createEventsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      router_id TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      severity TEXT NOT NULL DEFAULT 'info',
+      message TEXT,
+      payload TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_events_router ON events(router_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_events_type ON events(type, timestamp);
+  `);
+}
+
+// event: { timestamp, type, severity, message, payload }
+function recordEvent(db, routerId, event) {
+  db.prepare('INSERT INTO events (router_id, timestamp, type, severity, message, payload) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(routerId, event.timestamp, event.type, event.severity || 'info', event.message || null,
+         event.payload ? JSON.stringify(event.payload) : null);
+}
+
+// Events of [from, to], newest first, with payload parsed. routerIds / types: arrays, null = all.
+function eventsBetween(db, { routerIds = null, types = null, from = 0, to = Number.MAX_SAFE_INTEGER, limit = -1 } = {}) {
+  const where = ['timestamp >= ?', 'timestamp <= ?'];
+  const params = [from, to];
+  if (routerIds) {
+    where.push(`router_id IN (${routerIds.map(() => '?').join(', ')})`);
+    params.push(...routerIds);
+  }
+  if (types) {
+    where.push(`type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+  return db.prepare(`SELECT * FROM events WHERE ${where.join(' AND ')} ORDER BY timestamp DESC, id DESC LIMIT ?`)
+    .all(...params, limit)
+    .map(row => ({ ...row, payload: row.payload ? JSON.parse(row.payload) : null }));
+}
+
+// What the event log compares: the last non-empty value of each field (a modem that loses the
+// network reports no band or operator; the next one it registers with is compared to the last one)
+function cellularState(snapshot, previous = null) {
+  const cellular = snapshot.links.cellular;
+  const keep = (value, field) => (value !== null && value !== '' ? value : (previous ? previous[field] : null));
+  return {
+    connected: cellular.status === 'Connected',
+    technology: keep(cellular.technology, 'technology'),
+    band: keep(cellular.band, 'band'),
+    operator: keep(cellular.operator, 'operator'),
+    ip: keep(cellular.ip, 'ip'),
+    roaming: cellular.roaming,
+    session: snapshot.sessionDuration,
+    link: snapshot.activeLink
+  };
+}
+
+// Compare a snapshot with the previous cellular state. Returns { state, events: [...], changed };
+// without a previous state the snapshot only becomes the baseline.
+function cellularEvents(previous, snapshot) {
+  const state = cellularState(snapshot, previous);
+  const events = [];
+  const add = (type, severity, message, payload) => events.push({ timestamp: snapshot.timestamp, type, severity, message, payload });
+
+  if (previous) {
+    if (previous.connected && !state.connected) {
+      add('disconnected', 'warn', 'Cellular data connection lost', { technology: previous.technology, operator: previous.operator });
+    } else if (!previous.connected && state.connected) {
+      add('connected', 'info', `Connected (${[state.technology, state.operator].filter(Boolean).join(' ')})`,
+        { technology: state.technology, operator: state.operator, ip: state.ip });
+    } else if (state.connected && state.session < previous.session) {
+      // Dropped and came back between two polls: a new data session
+      add('reconnected', 'warn', 'Cellular data session restarted', { previousSession: previous.session, session: state.session });
+    }
+
+    for (const [type, label] of [['technology', 'Technology'], ['band', 'Band'], ['operator', 'Operator'], ['ip', 'IP']]) {
+      if (state[type] !== null && previous[type] !== null && state[type] !== previous[type]) {
+        add(type, 'info', `${label} ${previous[type]} → ${state[type]}`, { from: previous[type], to: state[type] });
+      }
+    }
+
+    if (state.roaming !== previous.roaming) {
+      add('roaming', state.roaming ? 'warn' : 'info', state.roaming ? `Roaming on (${state.operator || 'unknown operator'})` : 'Roaming off',
+        { roaming: state.roaming, operator: state.operator });
+    }
+
+    // States saved before offload switches were recorded have no link
+    if (previous.link && state.link !== previous.link) {
+      add('offload', 'info', state.link === 'cellular' ? `Back on cellular (was ${previous.link})` : `Offloading to ${state.link}`,
+        { from: previous.link, to: state.link });
+    }
+  }
+
+  const changed = !previous || ['connected', 'technology', 'band', 'operator', 'ip', 'roaming', 'link'].some(field => state[field] !== previous[field]);
+  return { state, events, changed };
+}
+
+module.exports = { SEVERITIES, createEventsTable, recordEvent, eventsBetween, cellularState, cellularEvents };
@@ -0,0 +1,270 @@
+const { once } = require('events');
+const { sampleFromRow, ledgerEntry } = require('./ledger');
+
+// Exports of the stored history: raw samples (timeseries), speeds between samples, the event log and
+// client sessions, as CSV, NDJSON or a table in a new SQLite file. Rows are read with iterate() and
+// written as they come, so an export of months of 5-second samples never sits in memory. Every row
+// starts with `time`, its timestamp formatted in the chosen time zone; the other columns keep the
+// database names (timestamps in epoch ms), so an export can be imported again.
+
+const EXPORT_TABLES = ['timeseries', 'speeds', 'events', 'clients'];
+const EXPORT_FORMATS = ['csv', 'ndjson', 'sqlite'];
+
+const TIMESERIES_COLUMNS = [
+  'router_id', 'timestamp', 'total_rx_bytes', 'total_tx_bytes', 'session_duration', 'lifetime_bytes',
+  'signal_rsrp', 'signal_rsrq', 'signal_sinr', 'cellular_download', 'cellular_upload',
+  'wifi_offload_download', 'wifi_offload_upload', 'wifi_offload_active', 'wifi_offload_ssid', 'wifi_offload_rssi', 'wifi_offload_bars',
+  'ethernet_offload_download', 'ethernet_offload_upload', 'ethernet_offload_active', 'connected', 'source'
+];
+const SIGNAL_COLUMNS = ['signal_rsrp', 'signal_rsrq', 'signal_sinr'];
+
+// ---- Time zones ----
+
+// "local", "UTC" or an IANA name ("Europe/Berlin") -> a time zone for Intl; null when unknown
+function resolveTimeZone(name) {
+  const timeZone = !name || name === 'local' ? Intl.DateTimeFormat().resolvedOptions().timeZone : name;
+  try {
+    return new Intl.DateTimeFormat('en', { timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+const formatters = new Map();
+function zoneParts(timestamp, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+      hourCycle: 'h23', timeZoneName: 'longOffset'
+    }));
+  }
+  return Object.fromEntries(formatters.get(timeZone).formatToParts(timestamp).map(part => [part.type, part.value]));
+}
+
+// Offset of a time zone from UTC at a point in time, in ms ("GMT+05:30" -> 19800000)
+function zoneOffset(timestamp, timeZone) {
+  const match = /GMT([+-])(\d{2}):(\d{2})/.exec(zoneParts(timestamp, timeZone).timeZoneName);
+  return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) * 60000 : 0;
+}
+
+// ISO 8601 with the zone's offset: "2024-03-04T10:00:00+01:00"
+function formatTime(timestamp, timeZone) {
+  const p = zoneParts(timestamp, timeZone);
+  const offset = p.timeZoneName === 'GMT' ? '+00:00' : p.timeZoneName.slice(3);
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${offset}`;
+}
+
+// Start of the resampling bucket a timestamp falls in, aligned to the zone's midnight (1h, 15m, 1d, ...)
+function bucketStart(timestamp, interval, timeZone) {
+  const offset = zoneOffset(timestamp, timeZone);
+  return Math.floor((timestamp + offset) / interval) * interval - offset;
+}
+
+// ---- Rows ----
+
+function routerFilter(routerIds) {
+  return routerIds && routerIds.length ? `AND router_id IN (${routerIds.map(() => '?').join(', ')})` : '';
+}
+
+// Raw samples, or with an interval one row per bucket: the counters of its last sample (they are
+// cumulative), the signal averaged, and how many samples it had
+function* timeseriesRows(db, { routerIds, from, to, resample, timeZone }) {
+  const rows = db.prepare(`
+    SELECT * FROM timeseries_data
+    WHERE timestamp >= ? AND timestamp <= ? ${routerFilter(routerIds)}
+    ORDER BY router_id, timestamp
+  `).iterate(from, to, ...(routerIds || []));
+  const pick = row => Object.fromEntries(TIMESERIES_COLUMNS.map(column => [column, row[column] === undefined ? null : row[column]]));
+
+  if (!resample) {
+    for (const row of rows) yield { time: formatTime(row.timestamp, timeZone), ...pick(row) };
+    return;
+  }
+
+  let bucket = null;
+  const finish = () => {
+    const row = { time: formatTime(bucket.start, timeZone), ...pick(bucket.last), timestamp: bucket.start, samples: bucket.samples };
+    for (const column of SIGNAL_COLUMNS) row[column] = bucket.signal[column].count ? bucket.signal[column].sum / bucket.signal[column].count : null;
+    return row;
+  };
+  for (const row of rows) {
+    const start = bucketStart(row.timestamp, resample, timeZone);
+    if (bucket && (bucket.start !== start || bucket.router !== row.router_id)) yield finish();
+    if (!bucket || bucket.start !== start || bucket.router !== row.router_id) {
+      bucket = { router: row.router_id, start, samples: 0, last: null, signal: Object.fromEntries(SIGNAL_COLUMNS.map(c => [c, { sum: 0, count: 0 }])) };
+    }
+    bucket.samples++;
+    // Rows interpolated over a gap have no counters of their own
+    if (row.cellular_download !== null || !bucket.last) bucket.last = row;
+    for (const column of SIGNAL_COLUMNS) {
+      if (row[column] === null || row[column] === undefined) continue;
+      bucket.signal[column].sum += row[column];
+      bucket.signal[column].count++;
+    }
+  }
+  if (bucket) yield finish();
+}
+
+// Download / upload between consecutive samples as bytes and bytes per second, on the link active at
+// the end of the interval. Intervals longer than maxInterval are gaps: their bytes are known, their
+// speeds are not (null). Resampled: bytes summed per bucket, average speed over the observed time
+// and the peak of the intervals in it.
+function* speedRows(db, { routerIds, from, to, resample, timeZone, maxInterval }) {
+  const rows = db.prepare(`
+    SELECT * FROM timeseries_data
+    WHERE cellular_download IS NOT NULL AND timestamp >= ? AND timestamp <= ? ${routerFilter(routerIds)}
+    ORDER BY router_id, timestamp
+  `).iterate(from, to, ...(routerIds || []));
+  const before = db.prepare(`
+    SELECT * FROM timeseries_data
+    WHERE router_id = ? AND cellular_download IS NOT NULL AND timestamp < ?
+    ORDER BY timestamp DESC
+    LIMIT 1
+  `);
+
+  let router = null;
+  let previous = null;
+  let bucket = null;
+  const finish = () => ({
+    time: formatTime(bucket.start, timeZone), router_id: bucket.router, timestamp: bucket.start,
+    duration_ms: bucket.observed, gap_ms: bucket.gap, link: bucket.link, download: bucket.download, upload: bucket.upload,
+    download_speed: bucket.observed ? bucket.observedDownload / bucket.observed * 1000 : null,
+    upload_speed: bucket.observed ? bucket.observedUpload / bucket.observed * 1000 : null,
+    peak_download_speed: bucket.observed ? bucket.peakDownload : null,
+    peak_upload_speed: bucket.observed ? bucket.peakUpload : null
+  });
+
+  for (const row of rows) {
+    if (row.router_id !== router) {
+      router = row.router_id;
+      const first = before.get(router, from);
+      previous = first ? sampleFromRow(first) : null;
+    }
+    const sample = sampleFromRow(row);
+    const entry = ledgerEntry(previous, sample, maxInterval);
+    previous = sample;
+    if (!entry) continue;
+    const downloadSpeed = entry.gap ? null : entry.download / entry.duration * 1000;
+    const uploadSpeed = entry.gap ? null : entry.upload / entry.duration * 1000;
+
+    if (!resample) {
+      yield {
+        time: formatTime(entry.timestamp, timeZone), router_id: router, timestamp: entry.timestamp, duration_ms: entry.duration,
+        gap: entry.gap ? 1 : 0, link: sample.activeLink, download: entry.download, upload: entry.upload,
+        download_speed: downloadSpeed, upload_speed: uploadSpeed
+      };
+      continue;
+    }
+
+    const start = bucketStart(entry.timestamp, resample, timeZone);
+    if (bucket && (bucket.start !== start || bucket.router !== router)) yield finish();
+    if (!bucket || bucket.start !== start || bucket.router !== router) {
+      bucket = {
+        router, start, observed: 0, gap: 0, link: null, download: 0, upload: 0,
+        observedDownload: 0, observedUpload: 0, peakDownload: 0, peakUpload: 0
+      };
+    }
+    bucket.link = sample.activeLink;
+    bucket.download += entry.download;
+    bucket.upload += entry.upload;
+    if (entry.gap) {
+      bucket.gap += entry.duration;
+      continue;
+    }
+    bucket.observed += entry.duration;
+    bucket.observedDownload += entry.download;
+    bucket.observedUpload += entry.upload;
+    bucket.peakDownload = Math.max(bucket.peakDownload, downloadSpeed);
+    bucket.peakUpload = Math.max(bucket.peakUpload, uploadSpeed);
+  }
+  if (bucket) yield finish();
+}
+
+function* eventRows(db, { routerIds, from, to, timeZone, parsePayload }) {
+  const rows = db.prepare(`
+    SELECT router_id, timestamp, type, severity, message, payload FROM events
+    WHERE timestamp >= ? AND timestamp <= ? ${routerFilter(routerIds)}
+    ORDER BY timestamp, id
+  `).iterate(from, to, ...(routerIds || []));
+  for (const row of rows) {
+    yield { time: formatTime(row.timestamp, timeZone), ...row, payload: parsePayload && row.payload ? JSON.parse(row.payload) : row.payload };
+  }
+}
+
+// Client sessions overlapping the range, with the device's alias from the allowlist
+function* clientRows(db, { routerIds, from, to, timeZone }) {
+  const hasAliases = !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'known_devices'").get();
+  const rows = db.prepare(`
+    SELECT s.router_id, s.mac, ${hasAliases ? 'k.alias' : 'NULL AS alias'}, s.name, s.ip, s.source, s.start_time, s.last_seen, s.end_time
+    FROM client_sessions s ${hasAliases ? 'LEFT JOIN known_devices k ON k.mac = s.mac' : ''}
+    WHERE s.start_time <= ? AND COALESCE(s.end_time, s.last_seen) >= ? ${routerFilter(routerIds).replace('router_id', 's.router_id')}
+    ORDER BY s.start_time, s.id
+  `).iterate(to, from, ...(routerIds || []));
+  for (const row of rows) yield { time: formatTime(row.start_time, timeZone), ...row };
+}
+
+const SOURCE_TABLES = { timeseries: 'timeseries_data', speeds: 'timeseries_data', events: 'events', clients: 'client_sessions' };
+
+// The rows of an export. options: { table, routerIds, from, to, resample (ms), timeZone, maxInterval, parsePayload }
+function exportRows(db, options) {
+  const generators = { timeseries: timeseriesRows, speeds: speedRows, events: eventRows, clients: clientRows };
+  return generators[options.table](db, options);
+}
+
+// ---- Output ----
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write to a stream, waiting for it to drain; resolves with the number of rows
+async function writeStream(rows, format, stream) {
+  let count = 0;
+  let columns = null;
+  for (const row of rows) {
+    let text = '';
+    if (format === 'csv') {
+      if (!columns) {
+        columns = Object.keys(row);
+        text += columns.map(csvValue).join(',') + '\n';
+      }
+      text += columns.map(column => csvValue(row[column])).join(',') + '\n';
+    } else {
+      text = JSON.stringify(row) + '\n';
+    }
+    count++;
+    if (!stream.write(text)) await once(stream, 'drain');
+  }
+  return count;
+}
+
+// Copy into a table of a new SQLite file (the export's table name); returns the number of rows
+function writeSqlite(rows, table, file) {
+  const Database = require('better-sqlite3');
+  const target = new Database(file);
+  let insert = null;
+  let count = 0;
+  try {
+    target.transaction(() => {
+      for (const row of rows) {
+        if (!insert) {
+          const columns = Object.keys(row);
+          target.exec(`CREATE TABLE ${table} (${columns.join(', ')})`);
+          insert = target.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`);
+        }
+        insert.run(Object.fromEntries(Object.entries(row).map(([key, value]) => [key, typeof value === 'object' && value !== null ? JSON.stringify(value) : value])));
+        count++;
+      }
+    })();
+  } finally {
+    target.close();
+  }
+  return count;
+}
+
+module.exports = {
+  EXPORT_TABLES, EXPORT_FORMATS, SOURCE_TABLES, TIMESERIES_COLUMNS, resolveTimeZone, formatTime, bucketStart,
+  exportRows, writeStream, writeSqlite
+};
@@ -0,0 +1,78 @@
+const { LINKS } = require('./snapshot');
+
+// Gaps: stretches of time without samples (collector not running, router unreachable). Each one is
+// stored as a record with its start and end, the lifetime counter across it and the bytes each link
+// moved in the meantime, so consumers can include, exclude or mark the data that nobody observed.
+// Rows interpolated into timeseries_data across a gap have source = 'interpolated' and no counters.
+
+function createGapsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS data_gaps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      router_id TEXT NOT NULL,
+      start_time INTEGER NOT NULL,
+      end_time INTEGER NOT NULL,
+      lifetime_start INTEGER,
+      lifetime_end INTEGER,
+      lifetime_delta INTEGER,
+      interpolated INTEGER NOT NULL DEFAULT 0,
+      ${LINKS.map(link => `${link}_download INTEGER NOT NULL DEFAULT 0,\n      ${link}_upload INTEGER NOT NULL DEFAULT 0`).join(',\n      ')},
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_gaps_router ON data_gaps(router_id, end_time);
+  `);
+}
+
+// gap: { start, end, lifetimeStart, lifetimeEnd, interpolated, links: { cellular: { download, upload }, ... } | null }
+function recordGap(db, routerId, gap) {
+  const lifetimeDelta = gap.lifetimeStart !== null && gap.lifetimeEnd !== null ? gap.lifetimeEnd - gap.lifetimeStart : null;
+  db.prepare(`
+    INSERT INTO data_gaps (router_id, start_time, end_time, lifetime_start, lifetime_end, lifetime_delta, interpolated,
+      ${LINKS.map(l => `${l}_download, ${l}_upload`).join(', ')})
+    VALUES (?, ?, ?, ?, ?, ?, ?, ${LINKS.map(() => '?, ?').join(', ')})
+  `).run(routerId, gap.start, gap.end, gap.lifetimeStart, gap.lifetimeEnd, lifetimeDelta, gap.interpolated || 0,
+         ...LINKS.flatMap(link => gap.links ? [gap.links[link].download, gap.links[link].upload] : [0, 0]));
+}
+
+// Gaps that ended within [from, to] - their bytes count towards the time they ended, like ledger entries
+function gapsBetween(db, routerId, from, to) {
+  return db.prepare('SELECT * FROM data_gaps WHERE router_id = ? AND end_time >= ? AND end_time <= ? ORDER BY end_time')
+    .all(routerId, from, to);
+}
+
+// Records for gaps left in timeseries_data by older versions: runs of interpolated rows between two samples
+function backfillGaps(db) {
+  const rows = db.prepare('SELECT router_id, timestamp, lifetime_bytes, source FROM timeseries_data ORDER BY router_id, timestamp').all();
+  const ledgerRow = db.prepare('SELECT * FROM usage_ledger WHERE router_id = ? AND timestamp = ?');
+
+  let count = 0;
+  let before = null;
+  let interpolated = 0;
+  for (const row of rows) {
+    if (before && before.router_id !== row.router_id) {
+      before = null;
+      interpolated = 0;
+    }
+    if (row.source === 'interpolated') {
+      interpolated++;
+      continue;
+    }
+    if (before && interpolated > 0) {
+      const entry = ledgerRow.get(row.router_id, row.timestamp);
+      const links = entry ? Object.fromEntries(LINKS.map(link => [link, {
+        download: entry[`${link}_download`],
+        upload: entry[`${link}_upload`]
+      }])) : null;
+      recordGap(db, row.router_id, {
+        start: before.timestamp, end: row.timestamp, lifetimeStart: before.lifetime_bytes, lifetimeEnd: row.lifetime_bytes, interpolated, links
+      });
+      count++;
+    }
+    before = row;
+    interpolated = 0;
+  }
+  return count;
+}
+
+module.exports = { createGapsTable, recordGap, gapsBetween, backfillGaps };
@@ -0,0 +1,62 @@
+const { spawn } = require('child_process');
+const http = require('http');
+const https = require('https');
+
+// Notification hooks: a command of the user's, run through the shell with the details of what
+// happened in environment variables (ROUTER_STATS_*), or a webhook that gets them as JSON. Hooks run
+// in the background and never throw; a slow one is stopped after `timeout` ms.
+
+// vars: { EVENT: 'unknown-client', MAC: ..., ... } -> ROUTER_STATS_EVENT, ROUTER_STATS_MAC, ...
+// Resolves with { code, error } once the command is done (code null when it could not run or was stopped)
+function runHook(command, vars, { timeout = 10000 } = {}) {
+  const env = { ...process.env };
+  for (const [name, value] of Object.entries(vars)) {
+    env[`ROUTER_STATS_${name}`] = value === null || value === undefined ? '' : String(value);
+  }
+
+  return new Promise((resolve) => {
+    let child;
+    try {
+      child = spawn(command, { shell: true, env, stdio: 'ignore' });
+    } catch (error) {
+      resolve({ code: null, error: error.message });
+      return;
+    }
+    const timer = setTimeout(() => child.kill('SIGTERM'), timeout);
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      resolve({ code: null, error: error.message });
+    });
+    child.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, error: signal ? `stopped by ${signal}` : (code === 0 ? null : `exit code ${code}`) });
+    });
+  });
+}
+
+// POST body as JSON to an http(s) URL. Resolves with { status, error } (error for anything but 2xx)
+function postWebhook(url, body, { timeout = 10000 } = {}) {
+  return new Promise((resolve) => {
+    const data = JSON.stringify(body);
+    let request;
+    try {
+      request = (url.startsWith('https:') ? https : http).request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
+        timeout
+      }, (response) => {
+        response.resume();
+        const ok = response.statusCode >= 200 && response.statusCode < 300;
+        resolve({ status: response.statusCode, error: ok ? null : `HTTP ${response.statusCode}` });
+      });
+    } catch (error) {
+      resolve({ status: null, error: error.message });
+      return;
+    }
+    request.on('timeout', () => request.destroy(new Error(`no answer within ${timeout / 1000}s`)));
+    request.on('error', error => resolve({ status: null, error: error.message }));
+    request.end(data);
+  });
+}
+
+module.exports = { runHook, postWebhook };
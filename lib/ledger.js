@@ -0,0 +1,161 @@
+const { LINKS } = require('./snapshot');
+
+// Usage ledger: one row per polling interval with the bytes each link moved in it. The router only
+// reports session counters, which start over on a reboot, a new cellular session or an offload
+// reconnect, so "last value minus first value" of a window is wrong as soon as anything reset in it.
+// The ledger turns the counters into deltas once, when the sample arrives; usage of any time range is
+// then a plain sum, and the rollups (lib/rollups.js) are built from the same entries.
+
+// Counters that are kept in 32 bits wrap around instead of resetting
+const COUNTER_WRAP = 2 ** 32;
+// A counter that went down from within this distance of the limit wrapped; anything else reset
+const WRAP_WINDOW = 2 ** 30;
+
+function createLedgerTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS usage_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      router_id TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      duration_ms INTEGER NOT NULL,
+      gap INTEGER NOT NULL DEFAULT 0,
+      resets TEXT,
+      ${LINKS.map(link => `${link}_download INTEGER NOT NULL DEFAULT 0,\n      ${link}_upload INTEGER NOT NULL DEFAULT 0`).join(',\n      ')}
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ledger_router ON usage_ledger(router_id, timestamp);
+  `);
+}
+
+// Bytes counted between two readings of one counter and what happened to it:
+// { bytes, reset: null | 'reset' | 'rollover' }. After a reset the counter has counted `current` bytes.
+function counterDelta(previous, current, sessionRestarted = false) {
+  if (current === null || current === undefined || previous === null || previous === undefined) {
+    return { bytes: 0, reset: null };
+  }
+  if (current >= previous && !sessionRestarted) {
+    return { bytes: current - previous, reset: null };
+  }
+  if (!sessionRestarted && previous < COUNTER_WRAP && previous >= COUNTER_WRAP - WRAP_WINDOW && current < WRAP_WINDOW) {
+    return { bytes: COUNTER_WRAP - previous + current, reset: 'rollover' };
+  }
+  return { bytes: current, reset: 'reset' };
+}
+
+// A stored timeseries_data row in the shape of a snapshot (only the fields the ledger and rollups use)
+function sampleFromRow(row) {
+  const wifiActive = !!row.wifi_offload_active;
+  const ethernetActive = !!row.ethernet_offload_active;
+  // Rows from before the connected column: a running cellular session or an active offload
+  const connected = row.connected !== null && row.connected !== undefined
+    ? !!row.connected
+    : row.session_duration > 0 || wifiActive || ethernetActive;
+  return {
+    timestamp: row.timestamp,
+    activeLink: wifiActive ? 'wifi' : (ethernetActive ? 'ethernet' : 'cellular'),
+    connected,
+    sessionDuration: row.session_duration,
+    links: {
+      cellular: { download: row.cellular_download, upload: row.cellular_upload },
+      wifi: { download: row.wifi_offload_download, upload: row.wifi_offload_upload },
+      ethernet: { download: row.ethernet_offload_download, upload: row.ethernet_offload_upload }
+    },
+    signal: { rsrp: row.signal_rsrp, rsrq: row.signal_rsrq, sinr: row.signal_sinr }
+  };
+}
+
+// Latest stored sample of a router, so the ledger continues where the last run stopped.
+// Rows interpolated over a gap carry no per-link counters and are skipped.
+function lastStoredSample(db, routerId) {
+  const row = db.prepare(`
+    SELECT * FROM timeseries_data
+    WHERE router_id = ? AND cellular_download IS NOT NULL
+    ORDER BY timestamp DESC
+    LIMIT 1
+  `).get(routerId);
+  return row ? sampleFromRow(row) : null;
+}
+
+// Ledger entry for the interval between two samples, or null without a usable previous sample.
+// An interval longer than maxInterval (collector stopped, failed polls) is marked as a gap: its bytes
+// were really used, but nobody watched the link in the meantime.
+function ledgerEntry(previous, current, maxInterval = 0) {
+  if (!previous) return null;
+  const duration = current.timestamp - previous.timestamp;
+  if (duration <= 0) return null;
+
+  // A cellular session that began within this interval counted its bytes from zero, even when the
+  // counter happens to be higher than at the end of the previous session
+  const sessionRestarted = current.sessionDuration > 0 && current.sessionDuration < previous.sessionDuration &&
+    current.sessionDuration * 1000 <= duration;
+
+  const entry = { timestamp: current.timestamp, duration, gap: !!(maxInterval && duration > maxInterval), resets: [], links: {}, download: 0, upload: 0 };
+  for (const link of LINKS) {
+    const restarted = link === 'cellular' && sessionRestarted;
+    const download = counterDelta(previous.links[link].download, current.links[link].download, restarted);
+    const upload = counterDelta(previous.links[link].upload, current.links[link].upload, restarted);
+    entry.links[link] = { download: download.bytes, upload: upload.bytes };
+    entry.download += download.bytes;
+    entry.upload += upload.bytes;
+    if (download.reset || upload.reset) entry.resets.push(link);
+  }
+  return entry;
+}
+
+function recordLedgerEntry(db, routerId, entry) {
+  if (!entry) return;
+  db.prepare(`
+    INSERT INTO usage_ledger (router_id, timestamp, duration_ms, gap, resets, ${LINKS.map(l => `${l}_download, ${l}_upload`).join(', ')})
+    VALUES (?, ?, ?, ?, ?, ${LINKS.map(() => '?, ?').join(', ')})
+  `).run(routerId, entry.timestamp, entry.duration, entry.gap ? 1 : 0, entry.resets.length ? entry.resets.join(',') : null,
+         ...LINKS.flatMap(link => [entry.links[link].download, entry.links[link].upload]));
+}
+
+// Average speed of each link over a ledger entry in bytes/s: { cellular: { download, upload }, ... }
+function linkSpeeds(entry) {
+  if (!entry) return null;
+  return Object.fromEntries(LINKS.map(link => [link, {
+    download: entry.links[link].download / entry.duration * 1000,
+    upload: entry.links[link].upload / entry.duration * 1000
+  }]));
+}
+
+// Replay the stored raw rows of every router as intervals: callback(routerId, entry, sample).
+// Used to build ledger and rollups for databases from before they existed.
+function forEachStoredInterval(db, maxInterval, callback) {
+  const rows = db.prepare(`
+    SELECT * FROM timeseries_data
+    WHERE cellular_download IS NOT NULL
+    ORDER BY router_id, timestamp
+  `).all();
+
+  let previous = null;
+  rows.forEach((row, index) => {
+    const sameRouter = index > 0 && rows[index - 1].router_id === row.router_id;
+    const sample = sampleFromRow(row);
+    callback(row.router_id, ledgerEntry(sameRouter ? previous : null, sample, maxInterval), sample);
+    previous = sample;
+  });
+  return rows.length;
+}
+
+function backfillLedger(db, maxInterval) {
+  return forEachStoredInterval(db, maxInterval, (routerId, entry) => recordLedgerEntry(db, routerId, entry));
+}
+
+// Ledger rows of [from, to), oldest first
+function loadLedger(db, routerId, from, to) {
+  return db.prepare('SELECT * FROM usage_ledger WHERE router_id = ? AND timestamp >= ? AND timestamp < ? ORDER BY timestamp')
+    .all(routerId, from, to);
+}
+
+// Timestamp of the oldest entry still kept for a router (null: none)
+function ledgerStart(db, routerId) {
+  const row = db.prepare('SELECT MIN(timestamp) AS start FROM usage_ledger WHERE router_id = ?').get(routerId);
+  return row ? row.start : null;
+}
+
+module.exports = {
+  createLedgerTable, counterDelta, sampleFromRow, lastStoredSample, ledgerEntry, linkSpeeds, recordLedgerEntry,
+  forEachStoredInterval, backfillLedger, loadLedger, ledgerStart
+};
@@ -0,0 +1,52 @@
+const fs = require('fs');
+
+// Another live process holds the lock
+class LockedError extends Error {
+  constructor(file, pid) {
+    super(`${file} is locked by process ${pid}`);
+    this.name = 'LockedError';
+    this.file = file;
+    this.pid = pid;
+  }
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+// Create a lock file holding our pid. A lock left behind by a process that no longer runs is taken over.
+// Returns a release function that only removes the file while it is still ours.
+function acquireLock(file) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = fs.openSync(file, 'wx');
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return () => {
+        try {
+          if (parseInt(fs.readFileSync(file, 'utf8')) === process.pid) fs.rmSync(file, { force: true });
+        } catch (error) {
+          // Already gone
+        }
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const pid = parseInt(fs.readFileSync(file, 'utf8'));
+      if (pid && pid !== process.pid && isAlive(pid)) {
+        throw new LockedError(file, pid);
+      }
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  throw new LockedError(file, null);
+}
+
+module.exports = { LockedError, acquireLock };
@@ -0,0 +1,49 @@
+const fs = require('fs');
+
+// JSON-lines logger for headless use: one {"time", "level", "event", ...fields} object per line,
+// written synchronously so nothing is lost when the process is stopped. Without a file it writes to stdout.
+class JsonLogger {
+  constructor(file = null) {
+    this.file = file;
+    this.fd = null;
+    this.open();
+  }
+
+  open() {
+    this.fd = this.file ? fs.openSync(this.file, 'a') : process.stdout.fd;
+  }
+
+  // Called on SIGHUP so logrotate can move the file away and we continue in a fresh one
+  reopen() {
+    if (!this.file) return;
+    this.close();
+    this.open();
+  }
+
+  close() {
+    if (this.file && this.fd !== null) {
+      fs.closeSync(this.fd);
+    }
+    this.fd = null;
+  }
+
+  log(level, event, fields = {}) {
+    if (this.fd === null) return;
+    const record = { time: new Date().toISOString(), level, event, ...fields };
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+  }
+
+  info(event, fields) {
+    this.log('info', event, fields);
+  }
+
+  warn(event, fields) {
+    this.log('warn', event, fields);
+  }
+
+  error(event, fields) {
+    this.log('error', event, fields);
+  }
+}
+
+module.exports = { JsonLogger };
@@ -0,0 +1,451 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const Database = require('better-sqlite3');
+const { migrate } = require('./migrations');
+const { TIERS, recordInterval, addBucket } = require('./rollups');
+const { sampleFromRow, ledgerEntry, recordLedgerEntry } = require('./ledger');
+const { recordGap } = require('./gaps');
+const { TIMESERIES_COLUMNS } = require('./export');
+
+// Imports: history of another database (any schema version - a migrated copy is read, the file itself
+// is left alone) or of an export (lib/export.js: timeseries, events or clients as CSV / NDJSON) merged
+// into this one, optionally under another router profile.
+//
+// Wherever this database already has data, it wins. The merge goes by rollup bucket, coarse to fine:
+// a day this database has nothing of comes over whole, otherwise the hours it has nothing of, and
+// within the hours it has, the minutes. What comes over is added to this database's coarser buckets
+// too, so all tiers keep adding up. Samples, ledger entries, speeds and gap records follow the buckets
+// they belong to. Where a finer tier was already pruned nobody can tell what overlaps, so that time is
+// left alone. Events, client sessions and archived billing cycles are de-duplicated on their own.
+// Credentials, plans and other settings are never imported.
+
+const [MINUTE_TIER, HOUR_TIER, DAY_TIER] = TIERS;
+
+function hasTable(db, name) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+}
+
+// INSERT of a row's columns (minus id and created_at), statements cached per column set
+function rowInserter(db) {
+  const statements = new Map();
+  return (table, row) => {
+    const columns = Object.keys(row).filter(column => column !== 'id' && column !== 'created_at');
+    const key = `${table}:${columns.join(',')}`;
+    if (!statements.has(key)) {
+      statements.set(key, db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`));
+    }
+    return statements.get(key).run(Object.fromEntries(columns.map(column => [column, row[column]])));
+  };
+}
+
+// ---- What is imported ----
+
+function isSqliteFile(file) {
+  const header = Buffer.alloc(16);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, header, 0, 16, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return header.toString('latin1') === 'SQLite format 3\0';
+}
+
+// A copy of another database brought up to the current schema: { db, schema (its version before), close() }
+function openSourceDatabase(file) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'router-stats-import-'));
+  try {
+    const copy = path.join(dir, 'source.db');
+    const original = new Database(file, { readonly: true, fileMustExist: true });
+    try {
+      original.prepare('VACUUM INTO ?').run(copy);
+    } finally {
+      original.close();
+    }
+    const db = new Database(copy);
+    // Stored passwords of old schemas get encrypted with a throwaway key; they are not imported anyway
+    const { from } = migrate(db, { keyFile: path.join(dir, 'source.key') });
+    return {
+      db,
+      schema: from,
+      close() {
+        db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    };
+  } catch (error) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+// Routers another database has history of
+function sourceRouters(db) {
+  const tables = ['timeseries_data', 'rollup_day', 'events', 'client_sessions'].filter(table => hasTable(db, table));
+  return db.prepare(tables.map(table => `SELECT router_id FROM ${table}`).join(' UNION ') + ' ORDER BY router_id')
+    .all().map(row => row.router_id).filter(Boolean);
+}
+
+const TEXT_COLUMNS = new Set([
+  'time', 'router_id', 'wifi_offload_ssid', 'source', 'type', 'severity', 'message', 'payload', 'mac', 'alias', 'name', 'ip', 'link'
+]);
+
+// Values of a CSV line; null while a quoted value continues on the next line
+function parseCsvLine(line) {
+  const values = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        value += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      values.push(value);
+      value = '';
+    } else {
+      value += c;
+    }
+  }
+  if (quoted) return null;
+  values.push(value);
+  return values;
+}
+
+// Rows of an export file (CSV with a header line, or NDJSON), read as a stream
+async function* readExportFile(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let columns = null;
+  let pending = '';
+  for await (const line of lines) {
+    if (!pending && !line.trim()) continue;
+    if (!columns && !pending && line.trimStart().startsWith('{')) columns = 'ndjson';
+    if (columns === 'ndjson') {
+      const row = JSON.parse(line);
+      if (row.payload && typeof row.payload === 'object') row.payload = JSON.stringify(row.payload);
+      yield row;
+      continue;
+    }
+
+    const values = parseCsvLine(pending ? `${pending}\n${line}` : line);
+    if (!values) {
+      pending = pending ? `${pending}\n${line}` : line;
+      continue;
+    }
+    pending = '';
+    if (!columns) {
+      columns = values;
+      continue;
+    }
+    yield Object.fromEntries(columns.map((column, index) => {
+      const value = values[index];
+      if (value === undefined || value === '') return [column, null];
+      return [column, TEXT_COLUMNS.has(column) || Number.isNaN(Number(value)) ? value : Number(value)];
+    }));
+  }
+}
+
+// Which export a row comes from; throws for exports that cannot be imported
+function exportKind(row) {
+  if ('samples' in row) throw new Error('Resampled exports cannot be imported - export the timeseries without --resample');
+  if ('download_speed' in row) throw new Error('Speeds are computed from the samples - import the timeseries export instead');
+  if ('cellular_download' in row && 'timestamp' in row) return 'timeseries';
+  if ('type' in row && 'severity' in row) return 'events';
+  if ('mac' in row && 'start_time' in row) return 'clients';
+  throw new Error('Not a router-stats export (timeseries, events or clients)');
+}
+
+// ---- Where this database has data ----
+
+// Per router, answers from the state before the import: each bucket is looked at before anything is
+// merged into it, and the answer is kept
+function targetCoverage(db, routerId) {
+  const cache = new Map();
+  const cached = (key, lookup) => {
+    if (!cache.has(key)) cache.set(key, lookup());
+    return cache.get(key);
+  };
+  const bucketExists = (tier, bucket) => cached(`${tier.name}:${bucket}`, () =>
+    !!db.prepare(`SELECT 1 FROM ${tier.table} WHERE router_id = ? AND bucket = ?`).get(routerId, bucket));
+  const anyWithin = (tier, from, to) => cached(`${tier.name}:${from}-${to}`, () =>
+    !!db.prepare(`SELECT 1 FROM ${tier.table} WHERE router_id = ? AND bucket >= ? AND bucket < ? LIMIT 1`).get(routerId, from, to));
+
+  return {
+    // Nothing there, or there is but its finer tier (what could tell the parts apart) is gone
+    dayFree: day => !bucketExists(DAY_TIER, day),
+    dayPruned: day => bucketExists(DAY_TIER, day) && !anyWithin(HOUR_TIER, day, DAY_TIER.next(day)),
+    hourFree: hour => !bucketExists(HOUR_TIER, hour),
+    hourPruned: hour => bucketExists(HOUR_TIER, hour) && !anyWithin(MINUTE_TIER, hour, HOUR_TIER.next(hour)),
+    minuteFree: minute => !bucketExists(MINUTE_TIER, minute),
+    // A sample's minute, as the rollups would count it; samples without counters have no buckets
+    sampleFree(timestamp) {
+      const minute = MINUTE_TIER.start(timestamp);
+      const sampled = cached(`samples:${minute}`, () =>
+        !!db.prepare('SELECT 1 FROM timeseries_data WHERE router_id = ? AND timestamp >= ? AND timestamp < ? LIMIT 1')
+          .get(routerId, minute, MINUTE_TIER.next(minute)));
+      if (sampled) return false;
+      const day = DAY_TIER.start(timestamp);
+      const hour = HOUR_TIER.start(timestamp);
+      if (this.dayFree(day)) return true;
+      if (this.dayPruned(day)) return false;
+      if (this.hourFree(hour)) return true;
+      if (this.hourPruned(hour)) return false;
+      return this.minuteFree(minute);
+    }
+  };
+}
+
+// ---- Merging ----
+
+function createResult(source, target) {
+  return { source, target, tables: {}, from: null, to: null, overlappingGaps: 0 };
+}
+
+function count(result, table, imported) {
+  const counts = result.tables[table] || (result.tables[table] = { imported: 0, skipped: 0 });
+  counts[imported ? 'imported' : 'skipped']++;
+}
+
+function extend(result, from, to = from) {
+  result.from = result.from === null ? from : Math.min(result.from, from);
+  result.to = result.to === null ? to : Math.max(result.to, to);
+}
+
+// An event this database already has (same time, type and message) is skipped
+function mergeEvent(db, routerId, row, result, insert) {
+  const exists = db.prepare('SELECT 1 FROM events WHERE router_id = ? AND timestamp = ? AND type = ? AND message IS ?')
+    .get(routerId, row.timestamp, row.type, row.message);
+  if (!exists) {
+    insert('events', {
+      router_id: routerId, timestamp: row.timestamp, type: row.type, severity: row.severity || 'info', message: row.message, payload: row.payload
+    });
+  }
+  count(result, 'events', !exists);
+}
+
+// A client session overlapping one of the same device here is skipped; the device's first / last seen
+// are widened either way
+function mergeSession(db, routerId, row, result, insert) {
+  const end = row.end_time === null ? row.last_seen : row.end_time;
+  const overlaps = db.prepare(`
+    SELECT 1 FROM client_sessions
+    WHERE router_id = ? AND mac = ? AND start_time <= ? AND COALESCE(end_time, last_seen) >= ?
+  `).get(routerId, row.mac, end, row.start_time);
+  if (!overlaps) {
+    insert('client_sessions', {
+      router_id: routerId, mac: row.mac, name: row.name, ip: row.ip, source: row.source,
+      start_time: row.start_time, last_seen: row.last_seen, end_time: row.end_time
+    });
+  }
+  count(result, 'client_sessions', !overlaps);
+  mergeClient(db, routerId, { ...row, first_seen: row.first_seen || row.start_time });
+}
+
+function mergeClient(db, routerId, row) {
+  db.prepare(`
+    INSERT INTO clients (router_id, mac, name, ip, source, first_seen, last_seen) VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (router_id, mac) DO UPDATE SET
+      first_seen = MIN(first_seen, excluded.first_seen),
+      last_seen = MAX(last_seen, excluded.last_seen),
+      name = CASE WHEN excluded.last_seen > last_seen THEN COALESCE(excluded.name, name) ELSE COALESCE(name, excluded.name) END,
+      ip = CASE WHEN excluded.last_seen > last_seen THEN COALESCE(excluded.ip, ip) ELSE COALESCE(ip, excluded.ip) END
+  `).run(routerId, row.mac, row.name, row.ip, row.source, row.first_seen, row.last_seen);
+}
+
+// Gaps recorded here that the imported data now (partly) fills: their estimated bytes still count
+function countOverlappingGaps(db, routerId, lastGapId, imported, result) {
+  const gaps = db.prepare('SELECT start_time, end_time FROM data_gaps WHERE router_id = ? AND id <= ?').all(routerId, lastGapId);
+  result.overlappingGaps = gaps.filter(gap => imported.some(([from, to]) => from < gap.end_time && to > gap.start_time)).length;
+}
+
+function lastId(db, table) {
+  return db.prepare(`SELECT COALESCE(MAX(id), 0) AS id FROM ${table}`).get().id;
+}
+
+// Merge the history of one router of another (migrated) database, as routerId here. Returns the result:
+// { source, target, tables: { table: { imported, skipped } }, from, to, overlappingGaps }
+function mergeDatabase(db, source, sourceRouterId, routerId) {
+  const result = createResult(sourceRouterId, routerId);
+  const insert = rowInserter(db);
+  const coverage = targetCoverage(db, routerId);
+  const lastGapId = lastId(db, 'data_gaps');
+
+  // Rollups, coarse to fine; imported: [from, to) spans that came over
+  const imported = [];
+  const within = (tier, from, to) => source.prepare(`SELECT * FROM ${tier.table} WHERE router_id = ? AND bucket >= ? AND bucket < ? ORDER BY bucket`)
+    .all(sourceRouterId, from, to);
+  const take = (tier, bucket, addTo) => {
+    addBucket(db, tier, routerId, bucket.bucket, bucket);
+    for (const coarser of addTo) addBucket(db, coarser, routerId, coarser.start(bucket.bucket), bucket);
+    count(result, tier.table, true);
+  };
+  const takeAll = (tier, from, to, addTo) => {
+    for (const level of TIERS.slice(0, TIERS.indexOf(tier) + 1)) {
+      for (const bucket of within(level, from, to)) take(level, bucket, level === tier ? addTo : []);
+    }
+    imported.push([from, to]);
+    extend(result, from, to);
+  };
+
+  for (const day of source.prepare(`SELECT bucket FROM ${DAY_TIER.table} WHERE router_id = ? ORDER BY bucket`).iterate(sourceRouterId)) {
+    const dayEnd = DAY_TIER.next(day.bucket);
+    if (coverage.dayFree(day.bucket)) {
+      takeAll(DAY_TIER, day.bucket, dayEnd, []);
+      continue;
+    }
+    if (coverage.dayPruned(day.bucket)) {
+      count(result, DAY_TIER.table, false);
+      continue;
+    }
+    for (const hour of within(HOUR_TIER, day.bucket, dayEnd)) {
+      const hourEnd = HOUR_TIER.next(hour.bucket);
+      if (coverage.hourFree(hour.bucket)) {
+        takeAll(HOUR_TIER, hour.bucket, hourEnd, [DAY_TIER]);
+        continue;
+      }
+      if (coverage.hourPruned(hour.bucket)) {
+        count(result, HOUR_TIER.table, false);
+        continue;
+      }
+      for (const minute of within(MINUTE_TIER, hour.bucket, hourEnd)) {
+        if (!coverage.minuteFree(minute.bucket)) {
+          count(result, MINUTE_TIER.table, false);
+          continue;
+        }
+        take(MINUTE_TIER, minute, [HOUR_TIER, DAY_TIER]);
+        imported.push([minute.bucket, MINUTE_TIER.next(minute.bucket)]);
+        extend(result, minute.bucket, MINUTE_TIER.next(minute.bucket));
+      }
+    }
+  }
+
+  // Rows that belong to a bucket that came over (spans are in order, and so are the rows), or that have
+  // no bucket at all (samples of schemas without per-link counters) at a time this database has nothing
+  const copyWithBuckets = (table, timeColumn) => {
+    if (!hasTable(source, table)) return;
+    let span = 0;
+    const rows = source.prepare(`SELECT * FROM ${table} WHERE router_id = ? ORDER BY ${timeColumn}`).iterate(sourceRouterId);
+    const sorted = [...imported].sort((a, b) => a[0] - b[0]);
+    for (const row of rows) {
+      // Ledger entries and gaps count towards the minute they ended in, like the rollups
+      const time = row[timeColumn];
+      while (span < sorted.length && sorted[span][1] <= time) span++;
+      const take = (span < sorted.length && sorted[span][0] <= time) || coverage.sampleFree(time);
+      if (take) insert(table, { ...row, router_id: routerId });
+      count(result, table, take);
+    }
+  };
+  copyWithBuckets('timeseries_data', 'timestamp');
+  copyWithBuckets('usage_ledger', 'timestamp');
+  copyWithBuckets('bandwidth_history', 'timestamp');
+  copyWithBuckets('data_gaps', 'end_time');
+
+  for (const row of source.prepare('SELECT * FROM events WHERE router_id = ? ORDER BY timestamp, id').iterate(sourceRouterId)) {
+    mergeEvent(db, routerId, row, result, insert);
+  }
+  for (const row of source.prepare('SELECT * FROM client_sessions WHERE router_id = ? ORDER BY start_time, id').iterate(sourceRouterId)) {
+    mergeSession(db, routerId, row, result, insert);
+  }
+  for (const row of source.prepare('SELECT * FROM clients WHERE router_id = ?').iterate(sourceRouterId)) {
+    mergeClient(db, routerId, row);
+  }
+  for (const row of source.prepare('SELECT * FROM billing_cycles WHERE router_id = ?').iterate(sourceRouterId)) {
+    const { changes } = db.prepare(`
+      INSERT OR IGNORE INTO billing_cycles (router_id, start_time, end_time, cap, rollover_in, used, download, upload, archived_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(routerId, row.start_time, row.end_time, row.cap, row.rollover_in, row.used, row.download, row.upload, row.archived_at);
+    count(result, 'billing_cycles', changes > 0);
+  }
+
+  countOverlappingGaps(db, routerId, lastGapId, imported, result);
+  return result;
+}
+
+// The allowlist is not per router: devices missing here are added, aliases here are kept
+function mergeKnownDevices(db, source) {
+  let added = 0;
+  for (const row of source.prepare('SELECT * FROM known_devices').iterate()) {
+    added += db.prepare('INSERT OR IGNORE INTO known_devices (mac, alias, added_at) VALUES (?, ?, ?)').run(row.mac, row.alias, row.added_at).changes;
+  }
+  return added;
+}
+
+// Merge the rows of an export file (readExportFile). Samples are merged where this database has
+// nothing in their minute; ledger, rollups and gap records are built from them as the collector does
+// (intervals up to maxInterval; longer ones are gaps). routerId: the profile to put everything under
+// (default: the router of each row); fromRouter: only rows of that router. Returns { kind, results }
+// with a result per router here.
+async function mergeExport(db, rows, { routerId = null, fromRouter = null, maxInterval }) {
+  const insert = rowInserter(db);
+  const routers = new Map();
+  let kind = null;
+
+  for await (const row of rows) {
+    kind = kind || exportKind(row);
+    if (fromRouter && row.router_id !== fromRouter) continue;
+    const target = routerId || row.router_id || 'default';
+    if (!routers.has(target)) {
+      routers.set(target, {
+        result: createResult(row.router_id, target), coverage: targetCoverage(db, target),
+        lastGapId: lastId(db, 'data_gaps'), imported: [], previous: null, previousRow: null
+      });
+    }
+    const state = routers.get(target);
+
+    if (kind === 'events') {
+      mergeEvent(db, target, row, state.result, insert);
+      continue;
+    }
+    if (kind === 'clients') {
+      mergeSession(db, target, row, state.result, insert);
+      if (row.alias) db.prepare('INSERT OR IGNORE INTO known_devices (mac, alias, added_at) VALUES (?, ?, ?)').run(row.mac, row.alias, row.start_time);
+      continue;
+    }
+
+    if (!state.coverage.sampleFree(row.timestamp)) {
+      count(state.result, 'timeseries_data', false);
+      // The interval to the next sample taken would cross data of this database
+      state.previous = null;
+      continue;
+    }
+    insert('timeseries_data', { ...Object.fromEntries(TIMESERIES_COLUMNS.map(column => [column, row[column] === undefined ? null : row[column]])), router_id: target, source: row.source || 'sample' });
+    count(state.result, 'timeseries_data', true);
+    extend(state.result, row.timestamp);
+    const minute = MINUTE_TIER.start(row.timestamp);
+    const last = state.imported[state.imported.length - 1];
+    if (!last || last[0] !== minute) state.imported.push([minute, MINUTE_TIER.next(minute)]);
+    // Rows interpolated over a gap have no counters to build intervals from
+    if (row.cellular_download === null || row.cellular_download === undefined) continue;
+
+    const sample = sampleFromRow(row);
+    const entry = ledgerEntry(state.previous, sample, maxInterval);
+    recordLedgerEntry(db, target, entry);
+    recordInterval(db, target, entry, sample);
+    if (entry && entry.gap) {
+      recordGap(db, target, {
+        start: state.previous.timestamp, end: sample.timestamp, lifetimeStart: state.previousRow.lifetime_bytes,
+        lifetimeEnd: row.lifetime_bytes, interpolated: 0, links: entry.links
+      });
+    }
+    state.previous = sample;
+    state.previousRow = row;
+  }
+
+  for (const [target, state] of routers) countOverlappingGaps(db, target, state.lastGapId, state.imported, state.result);
+  return { kind, results: [...routers.values()].map(state => state.result) };
+}
+
+module.exports = {
+  isSqliteFile, openSourceDatabase, sourceRouters, readExportFile, parseCsvLine,
+  mergeDatabase, mergeKnownDevices, mergeExport
+};
@@ -0,0 +1,380 @@
+const { createRollupTables, backfillRollups } = require('./rollups');
+const { createLedgerTable, backfillLedger } = require('./ledger');
+const { createGapsTable, backfillGaps } = require('./gaps');
+const { defaultKeyFile, encryptSecret, keyDescriptor, resolveKey } = require('./credentials');
+const { createClientTables, createKnownDevicesTable } = require('./clients');
+const { createEventsTable } = require('./events');
+const { createBillingTable } = require('./billing');
+
+// Versioned database schema. Every step runs once, in order, and is recorded in schema_migrations;
+// all pending steps of one upgrade run in a single transaction, so a failed upgrade leaves the database
+// exactly as it was. Never change a released step - add a new one.
+// Steps marked `destructive` (dropping or rewriting data) get a backup of the database file first;
+// scrubBackup(db, schema) removes from that copy what a pending step deletes for good (plaintext secrets).
+// up(db, context) gets { dbPath, keyFile } for steps that need files beside the database.
+
+function columnNames(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+}
+
+// Returns the names of the columns that were added
+function addColumns(db, table, columns) {
+  const existing = columnNames(db, table);
+  const added = [];
+  for (const [name, type] of columns) {
+    if (!existing.includes(name)) {
+      db.prepare(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`).run();
+      added.push(name);
+    }
+  }
+  return added;
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    description: 'Schema of 1.1; unversioned databases get the per-link and router_id columns they miss',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS bandwidth_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          router_id TEXT,
+          timestamp INTEGER NOT NULL,
+          download_speed REAL NOT NULL,
+          upload_speed REAL NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS timeseries_data (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          router_id TEXT,
+          timestamp INTEGER NOT NULL,
+          total_rx_bytes INTEGER NOT NULL,
+          total_tx_bytes INTEGER NOT NULL,
+          session_duration INTEGER NOT NULL,
+          lifetime_bytes INTEGER,
+          signal_rsrp INTEGER,
+          signal_rsrq INTEGER,
+          signal_sinr INTEGER,
+          cellular_download INTEGER,
+          cellular_upload INTEGER,
+          wifi_offload_download INTEGER,
+          wifi_offload_upload INTEGER,
+          wifi_offload_active INTEGER,
+          wifi_offload_ssid TEXT,
+          wifi_offload_rssi INTEGER,
+          wifi_offload_bars INTEGER,
+          ethernet_offload_download INTEGER,
+          ethernet_offload_upload INTEGER,
+          ethernet_offload_active INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Databases from before the per-link breakdown (formerly added by `npm run migrate`)
+      addColumns(db, 'timeseries_data', [
+        ['cellular_download', 'INTEGER'],
+        ['cellular_upload', 'INTEGER'],
+        ['wifi_offload_download', 'INTEGER'],
+        ['wifi_offload_upload', 'INTEGER'],
+        ['wifi_offload_active', 'INTEGER'],
+        ['wifi_offload_ssid', 'TEXT'],
+        ['wifi_offload_rssi', 'INTEGER'],
+        ['wifi_offload_bars', 'INTEGER'],
+        ['ethernet_offload_download', 'INTEGER'],
+        ['ethernet_offload_upload', 'INTEGER'],
+        ['ethernet_offload_active', 'INTEGER']
+      ]);
+
+      // Databases from before router profiles: their rows belong to the "default" profile
+      addColumns(db, 'timeseries_data', [['router_id', 'TEXT']]);
+      addColumns(db, 'bandwidth_history', [['router_id', 'TEXT']]);
+      db.prepare('UPDATE bandwidth_history SET router_id = ? WHERE router_id IS NULL').run('default');
+      db.prepare('UPDATE timeseries_data SET router_id = ? WHERE router_id IS NULL').run('default');
+
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_bandwidth_timestamp ON bandwidth_history(timestamp DESC);
+        CREATE INDEX IF NOT EXISTS idx_timeseries_timestamp ON timeseries_data(timestamp DESC);
+        CREATE INDEX IF NOT EXISTS idx_bandwidth_router ON bandwidth_history(router_id, timestamp DESC);
+        CREATE INDEX IF NOT EXISTS idx_timeseries_router ON timeseries_data(router_id, timestamp DESC);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'rollups',
+    description: 'Per-minute, per-hour and per-day rollups, built from the samples already stored',
+    up(db) {
+      addColumns(db, 'timeseries_data', [['connected', 'INTEGER']]);
+      createRollupTables(db);
+      // Poll intervals are not stored; anything longer than 3 minutes was a gap
+      backfillRollups(db, 3 * 60 * 1000);
+    }
+  },
+  {
+    version: 3,
+    name: 'usage-ledger',
+    description: 'Per-interval, per-link byte deltas that survive counter resets',
+    up(db) {
+      createLedgerTable(db);
+      backfillLedger(db, 3 * 60 * 1000);
+    }
+  },
+  {
+    version: 4,
+    name: 'gap-records',
+    description: 'Mark interpolated samples, drop their fake zero counters and record gaps in data_gaps',
+    destructive: true,
+    up(db) {
+      // Counters and session duration become nullable, which SQLite can only do by rebuilding the table
+      const copied = columnNames(db, 'timeseries_data').filter(name => name !== 'source');
+      db.exec(`
+        ALTER TABLE timeseries_data RENAME TO timeseries_data_old;
+
+        CREATE TABLE timeseries_data (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          router_id TEXT,
+          timestamp INTEGER NOT NULL,
+          total_rx_bytes INTEGER,
+          total_tx_bytes INTEGER,
+          session_duration INTEGER,
+          lifetime_bytes INTEGER,
+          signal_rsrp INTEGER,
+          signal_rsrq INTEGER,
+          signal_sinr INTEGER,
+          cellular_download INTEGER,
+          cellular_upload INTEGER,
+          wifi_offload_download INTEGER,
+          wifi_offload_upload INTEGER,
+          wifi_offload_active INTEGER,
+          wifi_offload_ssid TEXT,
+          wifi_offload_rssi INTEGER,
+          wifi_offload_bars INTEGER,
+          ethernet_offload_download INTEGER,
+          ethernet_offload_upload INTEGER,
+          ethernet_offload_active INTEGER,
+          connected INTEGER,
+          source TEXT NOT NULL DEFAULT 'sample',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO timeseries_data (${copied.join(', ')}) SELECT ${copied.join(', ')} FROM timeseries_data_old;
+        DROP TABLE timeseries_data_old;
+
+        CREATE INDEX IF NOT EXISTS idx_timeseries_timestamp ON timeseries_data(timestamp DESC);
+        CREATE INDEX IF NOT EXISTS idx_timeseries_router ON timeseries_data(router_id, timestamp DESC);
+      `);
+
+      // What older versions wrote across a gap: zero counters, zero session, no signal, only lifetime
+      db.exec(`
+        UPDATE timeseries_data
+        SET source = 'interpolated', total_rx_bytes = NULL, total_tx_bytes = NULL, session_duration = NULL
+        WHERE total_rx_bytes = 0 AND total_tx_bytes = 0 AND session_duration = 0 AND cellular_download IS NULL
+          AND signal_rsrp IS NULL AND signal_rsrq IS NULL AND signal_sinr IS NULL AND lifetime_bytes IS NOT NULL
+      `);
+
+      createGapsTable(db);
+      backfillGaps(db);
+    }
+  },
+  {
+    version: 5,
+    name: 'encrypt-credentials',
+    description: 'Encrypt stored router passwords (see lib/credentials.js); legacy single credentials become the default profile',
+    // Not destructive on purpose: a backup would keep exactly the plaintext passwords this step removes.
+    // When another pending step takes one anyway, the copy keeps the profiles without their passwords.
+    scrubBackup(db, schema) {
+      if (!db.prepare(`SELECT 1 FROM ${schema}.sqlite_master WHERE type = 'table' AND name = 'settings'`).get()) return;
+      const read = db.prepare(`SELECT value FROM ${schema}.settings WHERE key = ?`);
+      const write = db.prepare(`UPDATE ${schema}.settings SET value = ? WHERE key = ?`);
+      const routers = read.get('routers');
+      const legacy = read.get('credentials');
+      if (routers) write.run(JSON.stringify(JSON.parse(routers.value).map(({ password, ...profile }) => profile)), 'routers');
+      if (legacy) {
+        const { password, ...profile } = JSON.parse(legacy.value);
+        write.run(JSON.stringify(profile), 'credentials');
+      }
+    },
+    up(db, { keyFile }) {
+      const read = db.prepare('SELECT value FROM settings WHERE key = ?');
+      const routers = read.get('routers');
+      const legacy = read.get('credentials');
+      const profiles = routers ? JSON.parse(routers.value) : (legacy ? [{ name: 'default', ...JSON.parse(legacy.value) }] : []);
+      if (!routers && !legacy) return;
+
+      const key = resolveKey({ keyFile, create: true });
+      const encrypted = profiles.map(({ password, ...profile }) => ({ ...profile, secret: encryptSecret(key, password || '') }));
+
+      // Zero the cells of the old values instead of leaving the plaintext in free pages of the file
+      const secureDelete = db.pragma('secure_delete', { simple: true });
+      db.pragma('secure_delete = ON');
+      const write = db.prepare('INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)');
+      write.run('routers', JSON.stringify(encrypted));
+      write.run('credentialKey', JSON.stringify(keyDescriptor(key)));
+      db.prepare('DELETE FROM settings WHERE key = ?').run('credentials');
+      db.pragma(`secure_delete = ${secureDelete}`);
+    }
+  },
+  {
+    version: 6,
+    name: 'client-history',
+    description: 'Devices seen on each router (clients) and their connection intervals (client_sessions)',
+    up(db) {
+      createClientTables(db);
+    }
+  },
+  {
+    version: 7,
+    name: 'known-devices',
+    description: 'Allowlist of known client devices with aliases',
+    up(db) {
+      createKnownDevicesTable(db);
+    }
+  },
+  {
+    version: 8,
+    name: 'events',
+    description: 'Event log (cellular band, technology, operator, IP, connection and roaming changes)',
+    up(db) {
+      createEventsTable(db);
+    }
+  },
+  {
+    version: 9,
+    name: 'billing-cycles',
+    description: 'Archive of finished billing cycles (usage, cap, rollover)',
+    up(db) {
+      createBillingTable(db);
+    }
+  },
+  {
+    version: 10,
+    name: 'total-directions',
+    description: 'Swap total_rx_bytes / total_tx_bytes of samples written by 1.1, which stored the upload as rx',
+    destructive: true,
+    // An unversioned database holds only rows 1.1 wrote. Later ones also hold rows written since step 1 (the
+    // first versioned start) with the download in rx: only rows written before it are swapped.
+    up(db, { from }) {
+      const swap = 'UPDATE timeseries_data SET total_rx_bytes = total_tx_bytes, total_tx_bytes = total_rx_bytes';
+      if (from === 0) {
+        db.exec(swap);
+        return;
+      }
+      const first = db.prepare('SELECT applied_at FROM schema_migrations WHERE version = 1').get();
+      if (first) db.prepare(`${swap} WHERE created_at < ?`).run(first.applied_at);
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// The database was written by a newer monitor; running older code against it could corrupt it
+class SchemaTooNewError extends Error {
+  constructor(version, latest) {
+    super(`Database schema version ${version} is newer than this monitor supports (${latest}) - please upgrade`);
+    this.name = 'SchemaTooNewError';
+    this.version = version;
+  }
+}
+
+function hasMigrationsTable(db) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+}
+
+// Applied steps, oldest first: [{ version, name, applied_at }]
+function appliedMigrations(db) {
+  if (!hasMigrationsTable(db)) return [];
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+function getSchemaVersion(db) {
+  const applied = appliedMigrations(db);
+  return applied.length > 0 ? applied[applied.length - 1].version : 0;
+}
+
+function pendingMigrations(db, migrations = MIGRATIONS) {
+  const version = getSchemaVersion(db);
+  return migrations.filter(step => step.version > version);
+}
+
+// Whether any table holds rows - unversioned databases from before migrations can be full of history
+function hasStoredData(db) {
+  const tables = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'
+  `).all();
+  return tables.some(table => !!db.prepare(`SELECT 1 FROM "${table.name}" LIMIT 1`).get());
+}
+
+// Copy of the whole database next to it, e.g. router-stats.db.v3-20250101T120000.bak. The pending
+// steps' scrubBackup() run on the copy, with secure_delete so the old values do not linger in the file.
+function backupDatabase(db, dbPath, version, steps = []) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '');
+  const backupPath = `${dbPath}.v${version}-${stamp}.bak`;
+  db.prepare('VACUUM INTO ?').run(backupPath);
+
+  const scrubbing = steps.filter(step => step.scrubBackup);
+  if (scrubbing.length > 0) {
+    db.prepare('ATTACH DATABASE ? AS backup').run(backupPath);
+    try {
+      db.pragma('backup.secure_delete = ON');
+      db.transaction(() => scrubbing.forEach(step => step.scrubBackup(db, 'backup')))();
+    } finally {
+      db.exec('DETACH DATABASE backup');
+    }
+  }
+  return backupPath;
+}
+
+// Bring the database up to date. dryRun only reports what would happen; keyFile defaults to the
+// credential key file beside the database.
+// Returns { from, to, applied: [steps], backup: path | null }
+function migrate(db, { dbPath = null, keyFile = defaultKeyFile(dbPath), dryRun = false, migrations = MIGRATIONS } = {}) {
+  const from = getSchemaVersion(db);
+  const latest = migrations[migrations.length - 1].version;
+  if (from > latest) {
+    throw new SchemaTooNewError(from, latest);
+  }
+
+  const pending = migrations.filter(step => step.version > from);
+  const result = { from, to: from, applied: pending, backup: null };
+  if (pending.length === 0 || dryRun) {
+    if (dryRun && pending.length > 0) result.to = latest;
+    return result;
+  }
+
+  // An empty database has nothing to lose; in-memory databases cannot be backed up
+  if (hasStoredData(db) && dbPath && dbPath !== ':memory:' && pending.some(step => step.destructive)) {
+    result.backup = backupDatabase(db, dbPath, from, pending);
+  }
+
+  db.transaction(() => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+    for (const step of pending) {
+      step.up(db, { dbPath, keyFile, from });
+      record.run(step.version, step.name);
+    }
+  })();
+
+  result.to = latest;
+  return result;
+}
+
+module.exports = {
+  MIGRATIONS, LATEST_VERSION, SchemaTooNewError,
+  appliedMigrations, getSchemaVersion, pendingMigrations, backupDatabase, migrate
+};
@@ -0,0 +1,233 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+
+// Error codes that mean the router could not be reached at all
+const NETWORK_ERROR_CODES = ['EHOSTUNREACH', 'ENETUNREACH', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+// Base class for everything the client throws, so callers can catch router problems in one place
+class RouterError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    if (options.cause) this.cause = options.cause;
+  }
+}
+
+// Router rejected the login (bad password, missing token, login form error)
+class AuthError extends RouterError {}
+
+// Router answered with the HTML login page instead of JSON and re-authentication was not attempted
+class SessionExpiredError extends RouterError {}
+
+// Router unreachable (EHOSTUNREACH, ENETUNREACH, ECONNRESET, timeouts, ...)
+class NetworkError extends RouterError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = options.cause && options.cause.code ? options.cause.code : 'ETIMEDOUT';
+  }
+}
+
+// Router answered with something that is neither JSON nor the login page
+class InvalidResponseError extends RouterError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.body = options.body || '';
+  }
+}
+
+// The router serves its login page when the session cookie is unknown or expired
+function isLoginPage(body) {
+  const start = body.trim().slice(0, 20).toLowerCase();
+  return start.startsWith('<!doctype') || start.startsWith('<html') || start.startsWith('<head');
+}
+
+// Client for the MR1100 internal API. Every instance keeps its own session cookie and token,
+// so several routers (or several clients against one router) never share state.
+//
+// Events:
+//   'connect'          - session initialized and logged in
+//   'session-expired'  - router served the login page instead of model.json
+//   'reauthenticated'  - a new session was established after expiry
+//   'model'            - (data) every successfully fetched model.json
+//   'close'            - session state discarded
+class Mr1100Client extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // Accept "host:port" so the emulator or a port-forwarded router can be used anywhere an IP is asked for
+    const [host, port] = (options.host || '192.168.2.1').split(':');
+    this.host = host;
+    this.port = options.port || parseInt(port) || 80;
+    this.username = options.username || 'admin';
+    this.password = options.password || '';
+    this.timeout = options.timeout || 10000;
+
+    this.sessionCookie = null;
+    this.secToken = null;
+    this.connected = false;
+  }
+
+  // Make an HTTP request against the router, capturing the sessionId cookie
+  request(method, path, postData = null) {
+    return new Promise((resolve, reject) => {
+      const headers = {};
+      if (this.sessionCookie) headers['Cookie'] = this.sessionCookie;
+      if (postData) {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        headers['Content-Length'] = Buffer.byteLength(postData);
+      }
+
+      const req = http.request({ hostname: this.host, port: this.port, path, method, headers }, (res) => {
+        let data = '';
+
+        // Capture Set-Cookie header
+        if (res.headers['set-cookie']) {
+          const cookieHeader = res.headers['set-cookie'].find(c => c.startsWith('sessionId='));
+          if (cookieHeader) {
+            this.sessionCookie = cookieHeader.split(';')[0];
+          }
+        }
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          resolve({ statusCode: res.statusCode, data, headers: res.headers });
+        });
+      });
+
+      req.setTimeout(this.timeout, () => {
+        req.destroy(new NetworkError(`Connection timeout after ${this.timeout}ms`));
+      });
+
+      req.on('error', (error) => {
+        if (error instanceof RouterError) {
+          reject(error);
+        } else if (NETWORK_ERROR_CODES.includes(error.code)) {
+          reject(new NetworkError(`Router ${this.host} unreachable: ${error.message}`, { cause: error }));
+        } else {
+          reject(error);
+        }
+      });
+
+      if (postData) {
+        req.write(postData);
+      }
+
+      req.end();
+    });
+  }
+
+  modelPath() {
+    return `/api/model.json?internalapi=1&x=${Date.now()}`;
+  }
+
+  // Initialize session - the router hands out the sessionId cookie here
+  async initSession() {
+    this.sessionCookie = null;
+    this.secToken = null;
+    await this.request('GET', '/sess_cd_tmp');
+  }
+
+  // Fetch the security token and post the password with it
+  async login() {
+    const response = await this.request('GET', this.modelPath());
+
+    let secToken = null;
+    try {
+      const data = JSON.parse(response.data);
+      secToken = data.session && data.session.secToken;
+    } catch (error) {
+      throw new AuthError('Could not read security token from router', { cause: error });
+    }
+
+    if (!secToken) {
+      throw new AuthError('Router did not provide a security token');
+    }
+    this.secToken = secToken;
+
+    const postData = `session.password=${encodeURIComponent(this.password)}&token=${encodeURIComponent(secToken)}`;
+    const loginResponse = await this.request('POST', '/Forms/config', postData);
+
+    if (loginResponse.statusCode >= 400) {
+      throw new AuthError(`Login rejected by router (HTTP ${loginResponse.statusCode})`);
+    }
+  }
+
+  // Establish a fresh session and log in
+  async connect() {
+    this.connected = false;
+    try {
+      await this.initSession();
+      await this.login();
+    } catch (error) {
+      // Without a login the cookie only yields the unauthenticated model; start over on the next call
+      this.sessionCookie = null;
+      this.secToken = null;
+      throw error;
+    }
+    this.connected = true;
+    this.emit('connect');
+    return this;
+  }
+
+  // Fetch model.json, re-authenticating once if the session has expired
+  async getModel(retryOnAuthFailure = true) {
+    if (!this.sessionCookie) {
+      await this.connect();
+    }
+
+    const response = await this.request('GET', this.modelPath());
+
+    if (isLoginPage(response.data)) {
+      this.connected = false;
+      this.emit('session-expired');
+
+      if (!retryOnAuthFailure) {
+        throw new SessionExpiredError('Router session expired');
+      }
+
+      await this.connect();
+      this.emit('reauthenticated');
+
+      try {
+        return await this.getModel(false);
+      } catch (error) {
+        if (error instanceof SessionExpiredError) {
+          // A fresh login that still lands on the login page means the credentials are not accepted
+          throw new AuthError('Router rejected credentials after re-authentication', { cause: error });
+        }
+        throw error;
+      }
+    }
+
+    let data;
+    try {
+      data = JSON.parse(response.data);
+    } catch (error) {
+      throw new InvalidResponseError(`Invalid JSON from router: ${error.message}`, { cause: error, body: response.data });
+    }
+
+    this.emit('model', data);
+    return data;
+  }
+
+  // Forget session state; the router expires the session on its own
+  close() {
+    const wasConnected = this.connected || this.sessionCookie !== null;
+    this.sessionCookie = null;
+    this.secToken = null;
+    this.connected = false;
+    if (wasConnected) this.emit('close');
+  }
+}
+
+module.exports = {
+  Mr1100Client,
+  RouterError,
+  AuthError,
+  SessionExpiredError,
+  NetworkError,
+  InvalidResponseError,
+  isLoginPage,
+};
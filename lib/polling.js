@@ -0,0 +1,91 @@
+// Poll scheduling: fixed or adaptive intervals, never more than one poll in flight
+
+const DEFAULT_INTERVAL = 5000;   // 5 seconds
+const MIN_INTERVAL = 1000;
+
+// Combined download + upload rate (bytes/s) that counts as heavy traffic or as idle
+const BUSY_THRESHOLD = 512 * 1024;
+const IDLE_THRESHOLD = 5 * 1024;
+
+// Parse an interval given in seconds (CLI/env); returns milliseconds or null
+function parseInterval(value) {
+  const seconds = parseFloat(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+  return Math.max(MIN_INTERVAL, Math.round(seconds * 1000));
+}
+
+// The router reports whether it runs from the charger; anything else means battery
+function isOnBattery(model) {
+  const power = model && model.power;
+  if (!power) return false;
+  if (power.PMState === 'Battery') return true;
+  return power.battChargeSource === 'None';
+}
+
+// Pick the next interval for one router: faster under heavy traffic, slower when idle or on battery
+function adaptiveInterval({ baseInterval = DEFAULT_INTERVAL, speed = null, onBattery = false,
+  minInterval = Math.min(baseInterval, 2000), maxInterval = Math.max(baseInterval, 30000) } = {}) {
+  let interval = baseInterval;
+
+  if (speed) {
+    const traffic = speed.download + speed.upload;
+    if (traffic >= BUSY_THRESHOLD) {
+      interval = minInterval;
+    } else if (traffic <= IDLE_THRESHOLD) {
+      interval = baseInterval * 3;
+    }
+  }
+
+  if (onBattery) {
+    interval *= 2;
+  }
+
+  return Math.min(maxInterval, Math.max(minInterval, interval));
+}
+
+// Run task() now and then again nextInterval() ms after each run finishes. Because the next
+// run is only scheduled once the previous one completed, slow polls can never overlap. A run that
+// throws is passed to onError and polling goes on (later runs are timer callbacks: nothing else could catch it).
+function startPolling(task, nextInterval, onError = () => {}) {
+  let timer = null;
+  let running = false;
+  let stopped = false;
+
+  const tick = async () => {
+    if (running || stopped) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      onError(error);
+    } finally {
+      running = false;
+      if (!stopped) {
+        timer = setTimeout(tick, nextInterval());
+      }
+    }
+  };
+
+  const done = tick();
+
+  return {
+    done,
+    get running() {
+      return running;
+    },
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_INTERVAL,
+  BUSY_THRESHOLD,
+  IDLE_THRESHOLD,
+  parseInterval,
+  isOnBattery,
+  adaptiveInterval,
+  startPolling,
+};
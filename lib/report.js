@@ -0,0 +1,392 @@
+const { LINKS } = require('./snapshot');
+const { sampleFromRow, ledgerEntry } = require('./ledger');
+const { coveringBuckets } = require('./rollups');
+const { gapsBetween } = require('./gaps');
+
+// Usage reports of a day, week or month: totals, per-link usage and time, the busiest hours, speed
+// percentiles and signal figures, rendered as text, Markdown, a self-contained HTML page with inline
+// SVG charts, or JSON. The figures come from the rollups (lib/rollups.js), which outlive the raw
+// samples; only the speed percentiles want single intervals, taken from the raw samples while they are
+// kept and from minute or hour averages before that. Byte sizes are formatted by the caller's
+// formatBytes, so reports read like the dashboard.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const SIGNALS = ['rsrp', 'rsrq', 'sinr'];
+const PERIODS = ['day', 'week', 'month'];
+const FORMATS = ['text', 'markdown', 'html', 'json'];
+const PERIOD_TITLES = { day: 'Daily', week: 'Weekly', month: 'Monthly' };
+const LINK_LABELS = { cellular: 'Cellular', wifi: 'WiFi offload', ethernet: 'Ethernet offload' };
+const SPEED_SOURCES = { minutes: 'minute averages where samples were pruned', hours: 'hourly averages where samples were pruned' };
+
+// The day / week (from Monday) / calendar month containing a point in time: { start, end }
+function periodBounds(period, timestamp) {
+  const start = new Date(timestamp);
+  start.setHours(0, 0, 0, 0);
+  if (period === 'week') start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+  if (period === 'month') start.setDate(1);
+  const end = new Date(start);
+  if (period === 'day') end.setDate(end.getDate() + 1);
+  if (period === 'week') end.setDate(end.getDate() + 7);
+  if (period === 'month') end.setMonth(end.getMonth() + 1);
+  return { start: start.getTime(), end: end.getTime() };
+}
+
+// Nearest-rank percentile of sorted values (0 when empty)
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))];
+}
+
+function speedSummary(speeds, peak) {
+  const sorted = Float64Array.from(speeds).sort();
+  const sum = speeds.reduce((total, speed) => total + speed, 0);
+  return {
+    average: speeds.length ? sum / speeds.length : 0,
+    p50: percentile(sorted, 50), p95: percentile(sorted, 95), p99: percentile(sorted, 99),
+    peak: Math.max(peak || 0, sorted.length ? sorted[sorted.length - 1] : 0)
+  };
+}
+
+function bucketBytes(row, direction) {
+  return LINKS.reduce((sum, link) => sum + row[`${link}_${direction}`], 0);
+}
+
+// Buckets of a rollup tier in [from, to) that end by `until`
+function tierBuckets(db, table, size, routerId, from, until) {
+  return db.prepare(`SELECT * FROM ${table} WHERE router_id = ? AND bucket >= ? AND bucket + ? <= ? ORDER BY bucket`)
+    .all(routerId, from, size, until);
+}
+
+// Speeds of [from, to): one per sample interval where the raw samples are kept, before that the average
+// of each minute bucket, and before the minutes the average of each hour. Retention prunes the finer
+// tiers first, so each one starts where the coarser one stops. Returns { download, upload, source }
+function collectSpeeds(db, routerId, from, to, maxInterval) {
+  const speeds = { download: [], upload: [], source: 'samples' };
+  const firstRaw = db.prepare(`
+    SELECT MIN(timestamp) AS start FROM timeseries_data
+    WHERE router_id = ? AND cellular_download IS NOT NULL AND timestamp >= ? AND timestamp < ?
+  `).get(routerId, from, to).start;
+  const rawStart = firstRaw === null ? to : firstRaw;
+  const firstMinute = db.prepare('SELECT MIN(bucket) AS start FROM rollup_minute WHERE router_id = ? AND bucket >= ? AND bucket < ?')
+    .get(routerId, from, rawStart).start;
+  const minuteStart = firstMinute === null ? rawStart : firstMinute;
+
+  const addAverages = (rows, source) => {
+    for (const row of rows) {
+      if (row.duration_ms <= 0) continue;
+      speeds.download.push(bucketBytes(row, 'download') / row.duration_ms * 1000);
+      speeds.upload.push(bucketBytes(row, 'upload') / row.duration_ms * 1000);
+      if (speeds.source === 'samples') speeds.source = source;
+    }
+  };
+  // source names the coarsest resolution used
+  addAverages(tierBuckets(db, 'rollup_hour', HOUR, routerId, from, minuteStart), 'hours');
+  addAverages(tierBuckets(db, 'rollup_minute', MINUTE, routerId, minuteStart, rawStart), 'minutes');
+
+  // The sample before the first one kept starts the first interval; the rest are streamed, a month of them is large.
+  // Rows interpolated over a gap carry no per-link counters and are skipped, as in the ledger.
+  const first = db.prepare(`
+    SELECT * FROM timeseries_data
+    WHERE router_id = ? AND cellular_download IS NOT NULL AND timestamp < ?
+    ORDER BY timestamp DESC
+    LIMIT 1
+  `).get(routerId, rawStart);
+  let previous = first ? sampleFromRow(first) : null;
+  const rows = db.prepare(`
+    SELECT * FROM timeseries_data
+    WHERE router_id = ? AND cellular_download IS NOT NULL AND timestamp >= ? AND timestamp < ?
+    ORDER BY timestamp
+  `).iterate(routerId, rawStart, to);
+  for (const row of rows) {
+    const sample = sampleFromRow(row);
+    const entry = ledgerEntry(previous, sample, maxInterval);
+    previous = sample;
+    if (!entry || entry.gap) continue;
+    speeds.download.push(entry.download / entry.duration * 1000);
+    speeds.upload.push(entry.upload / entry.duration * 1000);
+  }
+  return speeds;
+}
+
+// Build the report of one router for [from, to). Bytes moved during gaps (lib/gaps.js) count towards
+// the totals and the chart, but not towards time, speeds or the busiest hours.
+function buildReport(db, routerId, { period = null, from, to, maxInterval, now = Date.now() }) {
+  const report = {
+    router: routerId, period, from, to, generatedAt: now,
+    samples: 0, observedMs: 0, connectedMs: 0, coverage: 0,
+    download: 0, upload: 0, total: 0,
+    links: Object.fromEntries(LINKS.map(link => [link, { download: 0, upload: 0, ms: 0 }])),
+    gap: { bytes: 0, ms: 0 },
+    hours: Array.from({ length: 24 }, (_, hour) => ({ hour, download: 0, upload: 0 })),
+    buckets: [],
+    busiestHours: [],
+    speeds: null,
+    signal: Object.fromEntries(SIGNALS.map(name => [name, { min: null, max: null, average: null, samples: 0 }]))
+  };
+
+  // Chart buckets: hours of a day, days of a week or month
+  const bucketMs = period === 'day' ? HOUR : null;
+  for (let start = from; start < to;) {
+    const next = new Date(start);
+    if (bucketMs) next.setTime(start + bucketMs);
+    else next.setDate(next.getDate() + 1);
+    report.buckets.push({ start, download: 0, upload: 0 });
+    start = next.getTime();
+  }
+
+  // Totals, time and signal: whole days of the period, finer tiers (or ledger entries) at its edges
+  const signalSums = Object.fromEntries(SIGNALS.map(name => [name, 0]));
+  let peak = { download: 0, upload: 0 };
+  for (const row of coveringBuckets(db, routerId, from, to)) {
+    report.samples += row.samples || 0;
+    if (!row.gap) report.observedMs += row.duration_ms;
+    report.connectedMs += row.connected_ms || 0;
+    for (const link of LINKS) {
+      report.links[link].download += row[`${link}_download`];
+      report.links[link].upload += row[`${link}_upload`];
+      report.links[link].ms += row[`${link}_ms`] || 0;
+    }
+    peak = { download: Math.max(peak.download, row.download_max || 0), upload: Math.max(peak.upload, row.upload_max || 0) };
+    for (const name of SIGNALS) {
+      if (!row[`${name}_count`]) continue;
+      const summary = report.signal[name];
+      summary.min = summary.min === null ? row[`${name}_min`] : Math.min(summary.min, row[`${name}_min`]);
+      summary.max = summary.max === null ? row[`${name}_max`] : Math.max(summary.max, row[`${name}_max`]);
+      signalSums[name] += row[`${name}_sum`];
+      summary.samples += row[`${name}_count`];
+    }
+  }
+  for (const link of LINKS) {
+    report.download += report.links[link].download;
+    report.upload += report.links[link].upload;
+  }
+
+  // Gap bytes are added to the bucket of the sample that ended the gap
+  const gaps = gapsBetween(db, routerId, from, to - 1);
+  const gapBytes = {};
+  for (const gap of gaps) {
+    report.gap.bytes += bucketBytes(gap, 'download') + bucketBytes(gap, 'upload');
+    report.gap.ms += gap.end_time - gap.start_time;
+    const hour = Math.floor(gap.end_time / HOUR) * HOUR;
+    gapBytes[hour] = gapBytes[hour] || { download: 0, upload: 0 };
+    gapBytes[hour].download += bucketBytes(gap, 'download');
+    gapBytes[hour].upload += bucketBytes(gap, 'upload');
+  }
+
+  // Hour of day without the gap bytes; the chart from hours (a day) or days (a week or month)
+  const hourRows = db.prepare('SELECT * FROM rollup_hour WHERE router_id = ? AND bucket >= ? AND bucket < ? ORDER BY bucket').all(routerId, from, to);
+  for (const row of hourRows) {
+    const hour = report.hours[new Date(row.bucket).getHours()];
+    const gap = gapBytes[row.bucket] || { download: 0, upload: 0 };
+    hour.download += Math.max(0, bucketBytes(row, 'download') - gap.download);
+    hour.upload += Math.max(0, bucketBytes(row, 'upload') - gap.upload);
+  }
+  const chartRows = period === 'day' ? hourRows
+    : db.prepare('SELECT * FROM rollup_day WHERE router_id = ? AND bucket >= ? AND bucket < ? ORDER BY bucket').all(routerId, from, to);
+  let bucket = 0;
+  for (const row of chartRows) {
+    while (bucket < report.buckets.length - 1 && report.buckets[bucket + 1].start <= row.bucket) bucket++;
+    report.buckets[bucket].download += bucketBytes(row, 'download');
+    report.buckets[bucket].upload += bucketBytes(row, 'upload');
+  }
+
+  report.total = report.download + report.upload;
+  report.coverage = Math.min(1, report.observedMs / (Math.min(to, now) - from || 1));
+  for (const name of SIGNALS) {
+    const summary = report.signal[name];
+    if (summary.samples > 0) summary.average = signalSums[name] / summary.samples;
+  }
+  report.busiestHours = report.hours
+    .filter(hour => hour.download + hour.upload > 0)
+    .sort((a, b) => (b.download + b.upload) - (a.download + a.upload))
+    .slice(0, 3);
+  const speeds = collectSpeeds(db, routerId, from, to, maxInterval);
+  report.speeds = {
+    download: speedSummary(speeds.download, peak.download),
+    upload: speedSummary(speeds.upload, peak.upload),
+    source: speeds.source
+  };
+  return report;
+}
+
+// ---- Rendering ----
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+function formatHours(ms) {
+  const minutes = Math.round(ms / 60000);
+  return `${Math.floor(minutes / 60)}h ${pad2(minutes % 60)}m`;
+}
+
+function hourRange(hour) {
+  return `${pad2(hour)}:00–${pad2((hour + 1) % 24)}:00`;
+}
+
+function periodTitle(report) {
+  const last = formatDate(report.to - 1);
+  const range = formatDate(report.from) === last ? last : `${formatDate(report.from)} – ${last}`;
+  return `${report.period ? `${PERIOD_TITLES[report.period]} usage` : 'Usage'} report: ${report.router}, ${range}`;
+}
+
+function signalText(summary, unit) {
+  if (summary.samples === 0) return 'no readings';
+  return `${summary.average.toFixed(1)} ${unit} average (${summary.min} to ${summary.max})`;
+}
+
+// The same sections for text and Markdown: [heading, [[label, value], ...]]
+function reportSections(report, formatBytes) {
+  const speed = bytes => `${formatBytes(Math.round(bytes))}/s`;
+  return [
+    ['Totals', [
+      ['Downloaded', formatBytes(report.download)],
+      ['Uploaded', formatBytes(report.upload)],
+      ['Total', formatBytes(report.total)],
+      ...(report.gap.bytes > 0 ? [['During gaps', `${formatBytes(report.gap.bytes)} (${formatHours(report.gap.ms)} not observed)`]] : []),
+      ['Coverage', `${(report.coverage * 100).toFixed(1)}% of the period observed (${report.samples} samples)`]
+    ]],
+    ['Per link', LINKS.map(link => {
+      const usage = report.links[link];
+      const share = report.observedMs ? ` (${(usage.ms / report.observedMs * 100).toFixed(1)}% of the time)` : '';
+      return [LINK_LABELS[link], `↓ ${formatBytes(usage.download)}  ↑ ${formatBytes(usage.upload)}  ${formatHours(usage.ms)}${share}`];
+    })],
+    ['Busiest hours', report.busiestHours.length === 0 ? [['-', 'no traffic']]
+      : report.busiestHours.map(hour => [hourRange(hour.hour), formatBytes(hour.download + hour.upload)])],
+    ['Speeds', ['download', 'upload'].map(direction => {
+      const s = report.speeds[direction];
+      return [direction === 'download' ? 'Download' : 'Upload',
+        `median ${speed(s.p50)}, 95th ${speed(s.p95)}, 99th ${speed(s.p99)}, peak ${speed(s.peak)}`];
+    }).concat(report.speeds.source === 'samples' ? [] : [['Percentiles from', SPEED_SOURCES[report.speeds.source]]])],
+    ['Signal', [
+      ['RSRP', signalText(report.signal.rsrp, 'dBm')],
+      ['RSRQ', signalText(report.signal.rsrq, 'dB')],
+      ['SINR', signalText(report.signal.sinr, 'dB')],
+      ['Connected', report.observedMs ? `${(report.connectedMs / report.observedMs * 100).toFixed(1)}% of the observed time` : '-']
+    ]]
+  ];
+}
+
+function renderText(reports, formatBytes) {
+  return reports.map((report) => {
+    const lines = [periodTitle(report), '='.repeat(periodTitle(report).length)];
+    for (const [heading, rows] of reportSections(report, formatBytes)) {
+      lines.push('', heading);
+      for (const [label, value] of rows) lines.push(`  ${label.padEnd(18)}${value}`);
+    }
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+function renderMarkdown(reports, formatBytes) {
+  return reports.map((report) => {
+    const lines = [`# ${periodTitle(report)}`];
+    for (const [heading, rows] of reportSections(report, formatBytes)) {
+      lines.push('', `## ${heading}`, '', '| | |', '|---|---|');
+      for (const [label, value] of rows) lines.push(`| ${label} | ${value.replace(/\|/g, '\\|')} |`);
+    }
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Stacked download/upload columns: bars = [{ label, download, upload }]
+function svgColumns(bars, formatBytes, { width = 720, height = 200 } = {}) {
+  const max = Math.max(1, ...bars.map(bar => bar.download + bar.upload));
+  const slot = width / Math.max(1, bars.length);
+  const chart = height - 20;
+  const columns = bars.map((bar, index) => {
+    const x = (index * slot + slot * 0.1).toFixed(1);
+    const w = (slot * 0.8).toFixed(1);
+    const down = bar.download / max * chart;
+    const up = bar.upload / max * chart;
+    const labelEvery = Math.ceil(bars.length / 16);
+    return `<g><title>${escapeHtml(bar.label)}: ↓ ${formatBytes(bar.download)} ↑ ${formatBytes(bar.upload)}</title>` +
+      `<rect x="${x}" y="${(chart - down).toFixed(1)}" width="${w}" height="${down.toFixed(1)}" fill="#2a9d8f"/>` +
+      `<rect x="${x}" y="${(chart - down - up).toFixed(1)}" width="${w}" height="${up.toFixed(1)}" fill="#e9c46a"/></g>` +
+      (index % labelEvery === 0
+        ? `<text x="${(index * slot + slot / 2).toFixed(1)}" y="${height - 5}" font-size="10" text-anchor="middle">${escapeHtml(bar.label)}</text>` : '');
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img">` +
+    `<text x="0" y="10" font-size="10" fill="#666">${formatBytes(max)}</text>` +
+    `<line x1="0" y1="${chart}" x2="${width}" y2="${chart}" stroke="#ccc"/>${columns.join('')}</svg>`;
+}
+
+// One bar split by link: shares = [{ label, value, color }]
+function svgShares(shares, { width = 720, height = 28 } = {}) {
+  const total = shares.reduce((sum, share) => sum + share.value, 0) || 1;
+  let x = 0;
+  const parts = shares.filter(share => share.value > 0).map((share) => {
+    const w = share.value / total * width;
+    const part = `<rect x="${x.toFixed(1)}" y="0" width="${w.toFixed(1)}" height="${height}" fill="${share.color}">` +
+      `<title>${escapeHtml(share.label)}: ${(share.value / total * 100).toFixed(1)}%</title></rect>`;
+    x += w;
+    return part;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img">${parts.join('')}</svg>`;
+}
+
+const LINK_COLORS = { cellular: '#264653', wifi: '#2a9d8f', ethernet: '#f4a261' };
+
+function renderHtml(reports, formatBytes) {
+  const sections = reports.map((report) => {
+    const bucketLabel = bucket => (report.period === 'day' ? `${pad2(new Date(bucket.start).getHours())}h` : formatDate(bucket.start).slice(5));
+    const tables = reportSections(report, formatBytes).map(([heading, rows]) =>
+      `<h3>${escapeHtml(heading)}</h3><table>${rows.map(([label, value]) =>
+        `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`);
+    const legend = LINKS.map(link => `<span class="key" style="background:${LINK_COLORS[link]}"></span>${LINK_LABELS[link]}`).join(' ');
+    return `<section>
+<h2>${escapeHtml(periodTitle(report))}</h2>
+<h3>Usage ${report.period === 'day' ? 'by hour' : 'by day'}</h3>
+<p class="legend"><span class="key" style="background:#2a9d8f"></span>Download <span class="key" style="background:#e9c46a"></span>Upload</p>
+${svgColumns(report.buckets.map(bucket => ({ label: bucketLabel(bucket), download: bucket.download, upload: bucket.upload })), formatBytes)}
+<h3>Hour of day</h3>
+${svgColumns(report.hours.map(hour => ({ label: pad2(hour.hour), download: hour.download, upload: hour.upload })), formatBytes, { height: 160 })}
+<h3>Time on each link</h3>
+<p class="legend">${legend}</p>
+${svgShares(LINKS.map(link => ({ label: LINK_LABELS[link], value: report.links[link].ms, color: LINK_COLORS[link] })))}
+${tables.join('\n')}
+</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(reports.length === 1 ? periodTitle(reports[0]) : 'Usage report')}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 780px; margin: 2em auto; color: #222; }
+h2 { border-bottom: 2px solid #264653; padding-bottom: .2em; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: .25em .5em; border-bottom: 1px solid #eee; font-weight: normal; }
+th { width: 30%; color: #555; }
+.legend { font-size: .85em; color: #555; }
+.key { display: inline-block; width: .8em; height: .8em; margin: 0 .3em 0 .8em; vertical-align: middle; }
+footer { margin-top: 2em; font-size: .8em; color: #888; }
+</style>
+</head>
+<body>
+${sections.join('\n')}
+<footer>Generated ${escapeHtml(new Date(reports.length ? reports[0].generatedAt : Date.now()).toLocaleString())} by router-stats</footer>
+</body>
+</html>
+`;
+}
+
+function renderReport(reports, format, { formatBytes }) {
+  if (format === 'json') return JSON.stringify(reports, null, 2) + '\n';
+  if (format === 'markdown') return renderMarkdown(reports, formatBytes);
+  if (format === 'html') return renderHtml(reports, formatBytes);
+  return renderText(reports, formatBytes);
+}
+
+module.exports = { PERIODS, FORMATS, periodBounds, percentile, buildReport, renderReport };
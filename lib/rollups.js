@@ -0,0 +1,285 @@
+const { LINKS } = require('./snapshot');
+const { forEachStoredInterval, loadLedger, ledgerStart } = require('./ledger');
+const { gapsBetween } = require('./gaps');
+
+// Rollups: per-minute, per-hour and per-day summaries of the raw samples, one table per tier.
+// The collector adds every usage ledger entry (lib/ledger.js) to the bucket of all three tiers as it
+// goes, so raw rows can be pruned early while the history stays. Each bucket holds:
+//   - bytes per link and direction
+//   - min/max speed (the average is bytes / duration_ms)
+//   - min/max and sum/count of each signal value (the average is sum / count)
+//   - observed time, time connected and time on each link (uptime share is connected_ms / duration_ms)
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Finest first. Day buckets start at local midnight so they line up with what people call "a day".
+const TIERS = [
+  { name: 'minute', table: 'rollup_minute', start: ts => Math.floor(ts / MINUTE) * MINUTE, next: bucket => bucket + MINUTE },
+  { name: 'hour', table: 'rollup_hour', start: ts => Math.floor(ts / HOUR) * HOUR, next: bucket => bucket + HOUR },
+  {
+    name: 'day',
+    table: 'rollup_day',
+    start: ts => new Date(ts).setHours(0, 0, 0, 0),
+    next: (bucket) => {
+      const date = new Date(bucket);
+      date.setDate(date.getDate() + 1);
+      return date.getTime();
+    }
+  }
+];
+
+const SIGNALS = ['rsrp', 'rsrq', 'sinr'];
+
+const SUM_COLUMNS = [
+  'samples', 'duration_ms', 'connected_ms',
+  ...LINKS.map(link => `${link}_ms`),
+  ...LINKS.flatMap(link => [`${link}_download`, `${link}_upload`]),
+  ...SIGNALS.flatMap(name => [`${name}_sum`, `${name}_count`])
+];
+const MIN_COLUMNS = ['download_min', 'upload_min', ...SIGNALS.map(name => `${name}_min`)];
+const MAX_COLUMNS = ['download_max', 'upload_max', ...SIGNALS.map(name => `${name}_max`)];
+
+// How long each kind of row is kept (ms, 0 = forever). Keep finer tiers at least as long as
+// one bucket of the next tier, so usage queries can fill the edges of a range, and coarser tiers
+// at least as long as finer ones.
+const DEFAULT_RETENTION = {
+  raw: 7 * DAY,
+  minute: 30 * DAY,
+  hour: 365 * DAY,
+  day: 0
+};
+
+const DURATION_UNITS = { s: 1000, m: MINUTE, h: HOUR, d: DAY, w: 7 * DAY, y: 365 * DAY };
+
+// Parse a duration like "90s", "15m", "24h", "7d", "2w" or "1y" to ms; null when unreadable
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)([smhdwy])$/);
+  return match ? Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2]]) : null;
+}
+
+// Parse "raw=7d,minute=30d,hour=1y,day=forever" (CLI/env); unset tiers keep their default.
+// Returns null when the value cannot be read, or when the tiers break the rule above: then
+// coveringBuckets() would find neither the coarse bucket nor the finer rows for part of a range.
+function parseRetention(value) {
+  const retention = { ...DEFAULT_RETENTION };
+  if (!value) return retention;
+
+  for (const part of String(value).split(',')) {
+    const [tier, amount] = part.split('=').map(s => s && s.trim());
+    if (!(tier in retention) || !amount) return null;
+    if (amount === 'forever' || amount === '0') {
+      retention[tier] = 0;
+      continue;
+    }
+    const duration = parseDuration(amount);
+    if (duration === null) return null;
+    retention[tier] = duration;
+  }
+
+  const kept = tier => retention[tier] === 0 ? Infinity : retention[tier];
+  const order = ['raw', ...TIERS.map(tier => tier.name)];
+  const bucketSize = { minute: MINUTE, hour: HOUR, day: DAY };
+  for (let i = 1; i < order.length; i++) {
+    const finer = order[i - 1];
+    const coarser = order[i];
+    if (kept(finer) < bucketSize[coarser] || kept(coarser) < kept(finer)) return null;
+  }
+  return retention;
+}
+
+function createRollupTables(db) {
+  const columns = [
+    ...SUM_COLUMNS.map(name => `${name} INTEGER NOT NULL DEFAULT 0`),
+    ...[...MIN_COLUMNS, ...MAX_COLUMNS].map(name => `${name} REAL`)
+  ];
+  for (const tier of TIERS) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${tier.table} (
+        router_id TEXT NOT NULL,
+        bucket INTEGER NOT NULL,
+        ${columns.join(',\n        ')},
+        PRIMARY KEY (router_id, bucket)
+      )
+    `);
+  }
+}
+
+// Bucket values for the ledger entry ending with `current`. Without an entry (first sample) only the
+// signal counts; a gap adds its bytes, but no time and no speeds.
+function intervalValues(entry, current) {
+  const values = {};
+  for (const name of [...SUM_COLUMNS, ...MIN_COLUMNS, ...MAX_COLUMNS]) {
+    values[name] = SUM_COLUMNS.includes(name) ? 0 : null;
+  }
+  values.samples = 1;
+
+  for (const name of SIGNALS) {
+    const value = current.signal[name];
+    if (value !== null && value !== undefined) {
+      values[`${name}_sum`] = value;
+      values[`${name}_count`] = 1;
+      values[`${name}_min`] = value;
+      values[`${name}_max`] = value;
+    }
+  }
+
+  if (!entry) return values;
+
+  for (const link of LINKS) {
+    values[`${link}_download`] = entry.links[link].download;
+    values[`${link}_upload`] = entry.links[link].upload;
+  }
+
+  if (entry.gap) return values;
+
+  values.duration_ms = entry.duration;
+  values.connected_ms = current.connected ? entry.duration : 0;
+  values[`${current.activeLink}_ms`] = entry.duration;
+  values.download_min = values.download_max = entry.download / (entry.duration / 1000);
+  values.upload_min = values.upload_max = entry.upload / (entry.duration / 1000);
+  return values;
+}
+
+// Prepared upserts per database connection and tier
+const upsertStatements = new WeakMap();
+
+function upsertStatement(db, tier) {
+  if (!upsertStatements.has(db)) upsertStatements.set(db, {});
+  const cache = upsertStatements.get(db);
+  if (cache[tier.name]) return cache[tier.name];
+
+  const columns = ['router_id', 'bucket', ...SUM_COLUMNS, ...MIN_COLUMNS, ...MAX_COLUMNS];
+  // MIN()/MAX() of SQLite return NULL as soon as one argument is NULL
+  const updates = [
+    ...SUM_COLUMNS.map(c => `${c} = ${c} + excluded.${c}`),
+    ...MIN_COLUMNS.map(c => `${c} = MIN(COALESCE(${c}, excluded.${c}), COALESCE(excluded.${c}, ${c}))`),
+    ...MAX_COLUMNS.map(c => `${c} = MAX(COALESCE(${c}, excluded.${c}), COALESCE(excluded.${c}, ${c}))`)
+  ];
+  cache[tier.name] = db.prepare(`
+    INSERT INTO ${tier.table} (${columns.join(', ')})
+    VALUES (${columns.map(c => '@' + c).join(', ')})
+    ON CONFLICT (router_id, bucket) DO UPDATE SET ${updates.join(', ')}
+  `);
+  return cache[tier.name];
+}
+
+// Add the ledger entry ending with `current` (entry may be null) to its minute, hour and day bucket
+function recordInterval(db, routerId, entry, current) {
+  const values = intervalValues(entry, current);
+  for (const tier of TIERS) {
+    upsertStatement(db, tier).run({ ...values, router_id: routerId, bucket: tier.start(current.timestamp) });
+  }
+}
+
+// Add the values of a bucket - of another database or a finer tier - to a bucket of a tier
+function addBucket(db, tier, routerId, bucket, values) {
+  upsertStatement(db, tier).run({ ...values, router_id: routerId, bucket });
+}
+
+// Build rollups from the raw rows already stored (databases from before rollups existed)
+function backfillRollups(db, maxInterval) {
+  return forEachStoredInterval(db, maxInterval, (routerId, entry, sample) => recordInterval(db, routerId, entry, sample));
+}
+
+// Buckets of one tier overlapping [from, to)
+function loadBuckets(db, tier, routerId, from, to) {
+  return db.prepare(`SELECT * FROM ${tier.table} WHERE router_id = ? AND bucket >= ? AND bucket < ? ORDER BY bucket`)
+    .all(routerId, from, to);
+}
+
+// Cover [from, to) with as few rows as possible: whole coarse buckets in the middle, finer tiers
+// towards the edges and single ledger entries for the parts smaller than a minute. Where the ledger
+// has already been pruned, a minute that is partly inside counts fully.
+function coveringBuckets(db, routerId, from, to, level = TIERS.length - 1) {
+  if (from >= to) return [];
+  const tier = TIERS[level];
+
+  const startBucket = tier.start(from);
+  const first = startBucket === from ? from : tier.next(startBucket);
+  const last = tier.start(to);
+  if (first >= last) {
+    return level > 0 ? coveringBuckets(db, routerId, from, to, level - 1) : edgeRows(db, routerId, from, to);
+  }
+
+  const finer = level > 0
+    ? (start, end) => coveringBuckets(db, routerId, start, end, level - 1)
+    : (start, end) => edgeRows(db, routerId, start, end);
+  return [...finer(from, first), ...loadBuckets(db, tier, routerId, first, last), ...finer(last, to)];
+}
+
+// Less than a minute: ledger entries while the ledger reaches back that far, else the minute buckets
+function edgeRows(db, routerId, from, to) {
+  if (from >= to) return [];
+  const start = ledgerStart(db, routerId);
+  if (start !== null && start <= from) {
+    return loadLedger(db, routerId, from, to);
+  }
+  return loadBuckets(db, TIERS[0], routerId, TIERS[0].start(from), to);
+}
+
+// When recording of a router began, null before anything was recorded. The oldest day bucket only
+// tells the day; a finer tier whose oldest bucket is still in that day (not pruned yet) tells the time.
+function recordedSince(db, routerId) {
+  const oldest = TIERS.map(tier => db.prepare(`SELECT MIN(bucket) AS bucket FROM ${tier.table} WHERE router_id = ?`).get(routerId).bucket);
+  const firstDay = oldest[oldest.length - 1];
+  if (firstDay === null) return null;
+  const dayEnd = TIERS[TIERS.length - 1].next(firstDay);
+  return oldest.find(bucket => bucket !== null && bucket < dayEnd);
+}
+
+// Bytes used in [from, to]: { download, upload, total, links: { cellular: { download, upload }, ... }, gap },
+// or null when nothing was recorded in that time. `gap` holds the part that moved during gaps (not
+// observed, see lib/gaps.js); with includeGaps = false it is left out of all other figures.
+function usageBetween(db, routerId, from, to, { includeGaps = true } = {}) {
+  const buckets = coveringBuckets(db, routerId, from, to + 1);
+  if (buckets.length === 0) return null;
+  const gaps = gapsBetween(db, routerId, from, to);
+
+  const usage = { download: 0, upload: 0, total: 0, links: {}, gap: { download: 0, upload: 0, total: 0 } };
+  for (const link of LINKS) {
+    const gapDownload = gaps.reduce((sum, g) => sum + g[`${link}_download`], 0);
+    const gapUpload = gaps.reduce((sum, g) => sum + g[`${link}_upload`], 0);
+    usage.gap.download += gapDownload;
+    usage.gap.upload += gapUpload;
+
+    let download = buckets.reduce((sum, b) => sum + b[`${link}_download`], 0);
+    let upload = buckets.reduce((sum, b) => sum + b[`${link}_upload`], 0);
+    if (!includeGaps) {
+      download = Math.max(0, download - gapDownload);
+      upload = Math.max(0, upload - gapUpload);
+    }
+    usage.links[link] = { download, upload };
+    usage.download += download;
+    usage.upload += upload;
+  }
+  usage.total = usage.download + usage.upload;
+  usage.gap.total = usage.gap.download + usage.gap.upload;
+  return usage;
+}
+
+// Delete raw rows (samples, speeds, ledger), rollup buckets and gap records older than their retention;
+// returns deleted rows per kind
+function applyRetention(db, retention, now = Date.now()) {
+  const deleted = { speeds: 0, timeseries: 0, ledger: 0 };
+  if (retention.raw) {
+    const cutoff = now - retention.raw;
+    deleted.speeds = db.prepare('DELETE FROM bandwidth_history WHERE timestamp < ?').run(cutoff).changes;
+    deleted.timeseries = db.prepare('DELETE FROM timeseries_data WHERE timestamp < ?').run(cutoff).changes;
+    deleted.ledger = db.prepare('DELETE FROM usage_ledger WHERE timestamp < ?').run(cutoff).changes;
+  }
+  for (const tier of TIERS) {
+    deleted[tier.name] = retention[tier.name]
+      ? db.prepare(`DELETE FROM ${tier.table} WHERE bucket < ?`).run(now - retention[tier.name]).changes
+      : 0;
+  }
+  // Gap records go with the coarsest summaries their bytes are part of
+  deleted.gaps = retention.day ? db.prepare('DELETE FROM data_gaps WHERE end_time < ?').run(now - retention.day).changes : 0;
+  return deleted;
+}
+
+module.exports = {
+  TIERS, DEFAULT_RETENTION,
+  parseDuration, parseRetention, createRollupTables, recordInterval, addBucket, backfillRollups, coveringBuckets, recordedSince, usageBetween, applyRetention
+};
@@ -0,0 +1,152 @@
+const { isOnBattery } = require('./polling');
+
+// A snapshot is the normalized form of one model.json sample. Display, database, tools and exporters
+// all read snapshots, so the firmware quirks below are dealt with in exactly one place:
+//   - cellular counters use the standard convention (RX = download, TX = upload)
+//   - offload counters are reversed (TX = download, RX = upload)
+//   - counters arrive as strings and may be missing
+//   - offload is only in use when it is enabled, switched on and actually connected
+
+const LINKS = ['cellular', 'wifi', 'ethernet'];
+
+function toInt(value) {
+  const number = parseInt(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function toNumberOrNull(value) {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(number) ? null : number;
+}
+
+// Data from an unauthenticated session or a changed API lacks the sections we rely on
+function isValidModel(model) {
+  return !!(model && model.wwan && model.general && model.power && model.wwan.dataUsage && model.wwan.dataUsage.generic);
+}
+
+function parseWifiOffload(offload) {
+  if (!offload) {
+    return { download: 0, upload: 0, available: false, enabled: false, active: false, ssid: null, ip: null, bars: null, rssi: null };
+  }
+  const active = !!(offload.enabled && offload.status === 'On' && offload.connectionSsid);
+  const counters = offload.dataTransferred || {};
+  return {
+    download: toInt(counters.tx),   // Offload: TX = Download
+    upload: toInt(counters.rx),     // Offload: RX = Upload
+    available: true,
+    enabled: !!offload.enabled,
+    active,
+    ssid: active ? offload.connectionSsid : null,
+    ip: active ? (offload.stationIPv4 || null) : null,
+    bars: active ? (offload.bars || 0) : null,
+    rssi: active ? toNumberOrNull(offload.rssi) : null
+  };
+}
+
+function parseEthernetOffload(offload) {
+  if (!offload) {
+    return { download: 0, upload: 0, available: false, enabled: false, active: false, ip: null };
+  }
+  const active = !!(offload.enabled && offload.on && offload.ipv4Addr && offload.ipv4Addr !== '0.0.0.0');
+  return {
+    download: toInt(offload.tx),    // Offload: TX = Download
+    upload: toInt(offload.rx),      // Offload: RX = Upload
+    available: true,
+    enabled: !!offload.enabled,
+    active,
+    ip: active ? offload.ipv4Addr : null
+  };
+}
+
+// Turn a raw model.json into a snapshot; returns null when the model is not usable
+function parseSnapshot(model, timestamp = Date.now()) {
+  if (!isValidModel(model)) return null;
+
+  const { wwan, general, power } = model;
+  const wwanAdv = model.wwanadv || {};
+  const signal = wwan.signalStrength || {};
+  const usage = wwan.dataUsage.generic;
+  const wifi = model.wifi || {};
+  const guest = wifi.guest || {};
+
+  const wifiOffload = parseWifiOffload(wifi.offload);
+  const ethernet = parseEthernetOffload(model.ethernet && model.ethernet.offload);
+
+  // WiFi offload wins over Ethernet, matching what the router routes traffic through
+  let activeLink = 'cellular';
+  if (wifiOffload.active) activeLink = 'wifi';
+  else if (ethernet.active) activeLink = 'ethernet';
+
+  const cellular = {
+    download: toInt(wwan.dataTransferredRx),   // Cellular: RX = Download
+    upload: toInt(wwan.dataTransferredTx),     // Cellular: TX = Upload
+    active: activeLink === 'cellular',
+    status: wwan.connection || null,
+    technology: wwan.connectionText || null,
+    operator: wwan.registerNetworkDisplay || null,
+    band: wwanAdv.curBand || null,
+    ip: wwan.IP || null,
+    roaming: !!wwan.roaming
+  };
+
+  const links = { cellular, wifi: wifiOffload, ethernet };
+  const totals = { download: 0, upload: 0 };
+  for (const name of LINKS) {
+    totals.download += links[name].download;
+    totals.upload += links[name].upload;
+  }
+
+  const lifetimeCellular = toInt(usage.dataTransferred);
+  const lifetimeRoaming = toInt(usage.dataTransferredRoaming);
+
+  const clients = ((model.router && model.router.clientList) || [])
+    .filter(client => client.IP)
+    .map(client => ({
+      mac: client.MAC ? client.MAC.toUpperCase() : null,
+      ip: client.IP,
+      name: client.name && client.name !== '*' ? client.name : null,
+      source: client.source === 'GuestAP' ? 'guest' : 'primary'
+    }));
+
+  return {
+    timestamp,
+    device: {
+      model: general.model || 'MR1100',
+      upTime: toInt(general.upTime),
+      temperature: toNumberOrNull(general.devTemperature)
+    },
+    activeLink,
+    // Internet reachable: offload is up, or the modem has a cellular data connection
+    connected: activeLink !== 'cellular' || cellular.status === 'Connected',
+    links,
+    totals,
+    sessionDuration: toInt(wwan.sessDuration),
+    signal: {
+      bars: toInt(signal.bars),
+      rsrp: toNumberOrNull(signal.rsrp),
+      rsrq: toNumberOrNull(signal.rsrq),
+      sinr: toNumberOrNull(signal.sinr)
+    },
+    lifetime: {
+      cellular: lifetimeCellular,
+      roaming: lifetimeRoaming,
+      total: lifetimeCellular + lifetimeRoaming
+    },
+    battery: {
+      state: power.PMState || null,
+      onBattery: isOnBattery(model),
+      level: toNumberOrNull(power.battChargeLevel),
+      chargeSource: power.battChargeSource || null,
+      batteryState: power.batteryState || null
+    },
+    wifi: {
+      ssid: wifi.SSID || null,
+      status: wifi.status || null,
+      maxClients: toNumberOrNull(wifi.maxClientLimit),
+      guest: { ssid: guest.SSID || null, status: guest.status || null }
+    },
+    clients
+  };
+}
+
+module.exports = { LINKS, isValidModel, parseSnapshot };
@@ -1,13 +1,12 @@
 #!/usr/bin/env node
 
-const http = require('http');
+const { Mr1100Client } = require('./lib/mr1100-client');
+const { parseSnapshot } = require('./lib/snapshot');
 
-const ROUTER_IP = process.argv[2] || '192.168.2.1';
-const PASSWORD = process.argv[3] || 'adaniel';
+const ROUTER_IP = process.argv[2] || process.env.ROUTER_IP || '192.168.2.1';
+const PASSWORD = process.argv[3] || process.env.ROUTER_PASSWORD;
 const POLL_INTERVAL = 5000; // 5 seconds
 
-let sessionCookie = null;
-
 // ANSI color codes
 const colors = {
   reset: '\x1b[0m',
@@ -20,77 +19,13 @@ const colors = {
   red: '\x1b[31m',
 };
 
-function httpRequest(options, postData = null, timeoutMs = 10000) {
-  return new Promise((resolve, reject) => {
-    const req = http.request(options, (res) => {
-      let data = '';
-
-      if (res.headers['set-cookie']) {
-        const cookieHeader = res.headers['set-cookie'].find(c => c.startsWith('sessionId='));
-        if (cookieHeader) {
-          sessionCookie = cookieHeader.split(';')[0];
-        }
-      }
-
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => { resolve({ statusCode: res.statusCode, data }); });
-    });
-
-    req.setTimeout(timeoutMs, () => {
-      req.destroy();
-      reject(new Error(`Connection timeout after ${timeoutMs}ms`));
-    });
-
-    req.on('error', reject);
-    if (postData) req.write(postData);
-    req.end();
-  });
-}
-
-async function initSession() {
-  await httpRequest({
-    hostname: ROUTER_IP,
-    port: 80,
-    path: '/sess_cd_tmp',
-    method: 'GET',
-  });
-}
-
-async function login() {
-  const apiResponse = await httpRequest({
-    hostname: ROUTER_IP,
-    port: 80,
-    path: `/api/model.json?internalapi=1&x=${Date.now()}`,
-    method: 'GET',
-    headers: { 'Cookie': sessionCookie }
-  });
-
-  const data = JSON.parse(apiResponse.data);
-  const secToken = data.session.secToken;
-
-  await httpRequest({
-    hostname: ROUTER_IP,
-    port: 80,
-    path: '/Forms/config',
-    method: 'POST',
-    headers: {
-      'Cookie': sessionCookie,
-      'Content-Type': 'application/x-www-form-urlencoded',
-    }
-  }, `session.password=${PASSWORD}&token=${secToken}`);
+if (!PASSWORD) {
+  console.error('Usage: node router-stats-debug.js <router-ip> <password>');
+  console.error('       (or set ROUTER_IP / ROUTER_PASSWORD)');
+  process.exit(1);
 }
 
-async function fetchStats() {
-  const response = await httpRequest({
-    hostname: ROUTER_IP,
-    port: 80,
-    path: `/api/model.json?internalapi=1&x=${Date.now()}`,
-    method: 'GET',
-    headers: { 'Cookie': sessionCookie }
-  });
-
-  return JSON.parse(response.data);
-}
+const client = new Mr1100Client({ host: ROUTER_IP, password: PASSWORD });
 
 function formatBytes(bytes) {
   if (bytes === 0) return '0 B';
@@ -102,6 +37,7 @@ function formatBytes(bytes) {
 
 function displayDebugInfo(data) {
   const timestamp = new Date().toLocaleTimeString();
+  const snapshot = parseSnapshot(data);
 
   console.log('\n' + '='.repeat(80));
   console.log(`${colors.bright}${colors.cyan}[${timestamp}] Router API Debug Output${colors.reset}`);
@@ -125,7 +61,7 @@ function displayDebugInfo(data) {
   const wifiOffload = data.wifi && data.wifi.offload;
   console.log(`\n${colors.bright}${colors.yellow}WiFi OFFLOAD:${colors.reset}`);
   if (wifiOffload) {
-    const isActive = wifiOffload.enabled && wifiOffload.status === 'On' && wifiOffload.connectionSsid;
+    const isActive = snapshot && snapshot.links.wifi.active;
     console.log(`  Enabled: ${wifiOffload.enabled ? colors.green + 'YES' + colors.reset : colors.red + 'NO' + colors.reset}`);
     console.log(`  Status: ${wifiOffload.status}`);
     console.log(`  ${colors.bright}Active:${colors.reset} ${isActive ? colors.green + 'YES' + colors.reset : colors.red + 'NO' + colors.reset}`);
@@ -151,7 +87,7 @@ function displayDebugInfo(data) {
   const ethOffload = data.ethernet && data.ethernet.offload;
   console.log(`\n${colors.bright}${colors.yellow}ETHERNET OFFLOAD:${colors.reset}`);
   if (ethOffload) {
-    const isActive = ethOffload.enabled && ethOffload.on && ethOffload.ipv4Addr && ethOffload.ipv4Addr !== '0.0.0.0';
+    const isActive = snapshot && snapshot.links.ethernet.active;
     console.log(`  Enabled: ${ethOffload.enabled ? colors.green + 'YES' + colors.reset : colors.red + 'NO' + colors.reset}`);
     console.log(`  On: ${ethOffload.on ? colors.green + 'YES' + colors.reset : colors.red + 'NO' + colors.reset}`);
     console.log(`  ${colors.bright}Active:${colors.reset} ${isActive ? colors.green + 'YES' + colors.reset : colors.red + 'NO' + colors.reset}`);
@@ -166,59 +102,40 @@ function displayDebugInfo(data) {
     console.log(`  ${colors.dim}Ethernet offload not available${colors.reset}`);
   }
 
-  // Aggregated Totals
+  // Aggregated Totals - the normalized snapshot the monitor stores
   console.log(`\n${colors.bright}${colors.yellow}AGGREGATED TOTALS (with convention conversion):${colors.reset}`);
-
-  // Cellular (standard convention)
-  let totalDownload = parseInt(data.wwan.dataTransferredRx) || 0;
-  let totalUpload = parseInt(data.wwan.dataTransferredTx) || 0;
-
-  console.log(`  Cellular: DL=${formatBytes(totalDownload)} UL=${formatBytes(totalUpload)}`);
-
-  // WiFi offload (reversed convention)
-  let wifiOffloadActive = false;
-  if (wifiOffload && wifiOffload.dataTransferred) {
-    const wifiDL = parseInt(wifiOffload.dataTransferred.tx) || 0;
-    const wifiUL = parseInt(wifiOffload.dataTransferred.rx) || 0;
-    totalDownload += wifiDL;
-    totalUpload += wifiUL;
-    wifiOffloadActive = wifiOffload.enabled && wifiOffload.status === 'On' && wifiOffload.connectionSsid;
-    console.log(`  WiFi:     DL=${formatBytes(wifiDL)} UL=${formatBytes(wifiUL)}`);
+  if (!snapshot) {
+    console.log(`  ${colors.red}Model is missing sections the monitor needs (wwan, general, power, dataUsage)${colors.reset}`);
+    return;
   }
 
-  // Ethernet offload (reversed convention)
-  let ethOffloadActive = false;
-  if (ethOffload) {
-    const ethDL = parseInt(ethOffload.tx) || 0;
-    const ethUL = parseInt(ethOffload.rx) || 0;
-    totalDownload += ethDL;
-    totalUpload += ethUL;
-    ethOffloadActive = ethOffload.enabled && ethOffload.on && ethOffload.ipv4Addr && ethOffload.ipv4Addr !== '0.0.0.0';
-    console.log(`  Ethernet: DL=${formatBytes(ethDL)} UL=${formatBytes(ethUL)}`);
+  const { cellular, wifi, ethernet } = snapshot.links;
+  console.log(`  Cellular: DL=${formatBytes(cellular.download)} UL=${formatBytes(cellular.upload)}`);
+  if (wifi.available) {
+    console.log(`  WiFi:     DL=${formatBytes(wifi.download)} UL=${formatBytes(wifi.upload)}`);
+  }
+  if (ethernet.available) {
+    console.log(`  Ethernet: DL=${formatBytes(ethernet.download)} UL=${formatBytes(ethernet.upload)}`);
   }
 
   console.log(`  ${colors.bright}---`);
-  console.log(`  ${colors.cyan}Total Download: ${formatBytes(totalDownload)}${colors.reset}`);
-  console.log(`  ${colors.magenta}Total Upload:   ${formatBytes(totalUpload)}${colors.reset}`);
-  console.log(`  ${colors.green}Total Data:     ${formatBytes(totalDownload + totalUpload)}${colors.reset}`);
+  console.log(`  ${colors.cyan}Total Download: ${formatBytes(snapshot.totals.download)}${colors.reset}`);
+  console.log(`  ${colors.magenta}Total Upload:   ${formatBytes(snapshot.totals.upload)}${colors.reset}`);
+  console.log(`  ${colors.green}Total Data:     ${formatBytes(snapshot.totals.download + snapshot.totals.upload)}${colors.reset}`);
+  console.log(`  Active link: ${colors.bright}${snapshot.activeLink}${colors.reset}`);
 
   // Warning about offload counter accuracy
-  if (wifiOffloadActive || ethOffloadActive) {
+  if (wifi.active || ethernet.active) {
     console.log(`\n  ${colors.red}⚠ WARNING:${colors.reset} ${colors.yellow}Offload counters may be inaccurate!${colors.reset}`);
     console.log(`  ${colors.dim}The router firmware updates offload counters slowly and may${colors.reset}`);
     console.log(`  ${colors.dim}stop updating entirely. Actual usage may be significantly higher.${colors.reset}`);
   }
 
   // Lifetime (billing cycle)
-  const dataUsage = data.wwan.dataUsage && data.wwan.dataUsage.generic;
-  if (dataUsage) {
-    const lifetimeData = parseInt(dataUsage.dataTransferred || 0);
-    const roamingData = parseInt(dataUsage.dataTransferredRoaming || 0);
-    console.log(`\n${colors.bright}${colors.yellow}LIFETIME (Billing Cycle - Cellular Only):${colors.reset}`);
-    console.log(`  Cellular: ${formatBytes(lifetimeData)}`);
-    console.log(`  Roaming:  ${formatBytes(roamingData)}`);
-    console.log(`  ${colors.bright}Total:    ${formatBytes(lifetimeData + roamingData)}${colors.reset}`);
-  }
+  console.log(`\n${colors.bright}${colors.yellow}LIFETIME (Billing Cycle - Cellular Only):${colors.reset}`);
+  console.log(`  Cellular: ${formatBytes(snapshot.lifetime.cellular)}`);
+  console.log(`  Roaming:  ${formatBytes(snapshot.lifetime.roaming)}`);
+  console.log(`  ${colors.bright}Total:    ${formatBytes(snapshot.lifetime.total)}${colors.reset}`);
 }
 
 async function main() {
@@ -228,17 +145,14 @@ async function main() {
   console.log(`${colors.dim}Press Ctrl+C to exit${colors.reset}\n`);
 
   try {
-    await initSession();
-    console.log(`${colors.green}✓${colors.reset} Session initialized`);
-
-    await login();
+    await client.connect();
     console.log(`${colors.green}✓${colors.reset} Logged in`);
     console.log(`${colors.green}✓${colors.reset} Starting debug monitor...\n`);
 
     // Continuous polling
     setInterval(async () => {
       try {
-        const data = await fetchStats();
+        const data = await client.getModel();
         displayDebugInfo(data);
       } catch (error) {
         console.error(`${colors.red}✗ Error fetching stats:${colors.reset}`, error.message);
@@ -246,7 +160,7 @@ async function main() {
     }, POLL_INTERVAL);
 
     // Initial fetch
-    const data = await fetchStats();
+    const data = await client.getModel();
     displayDebugInfo(data);
 
   } catch (error) {
@@ -1,19 +1,97 @@
 #!/usr/bin/env node
 
-const http = require('http');
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { Mr1100Client, AuthError, NetworkError, InvalidResponseError } = require('./lib/mr1100-client');
+const { appendCapture, replayCapture } = require('./lib/capture');
+const { DEFAULT_INTERVAL, parseInterval, adaptiveInterval, startPolling } = require('./lib/polling');
+const { LINKS, parseSnapshot } = require('./lib/snapshot');
+const { JsonLogger } = require('./lib/logger');
+const { LockedError, acquireLock } = require('./lib/lock');
+const { CollectorServer, attachToCollector } = require('./lib/collector-socket');
+const { SchemaTooNewError, migrate } = require('./lib/migrations');
+const { sampleFromRow, lastStoredSample, ledgerEntry, linkSpeeds, recordLedgerEntry } = require('./lib/ledger');
+const { recordGap, gapsBetween } = require('./lib/gaps');
+const { parseDuration, parseRetention, recordInterval, usageBetween, applyRetention } = require('./lib/rollups');
+const {
+  trackClients, sessionsBetween, seenClients, normalizeMac, loadKnownDevices, addKnownDevice, removeKnownDevice
+} = require('./lib/clients');
+const { runHook } = require('./lib/hooks');
+const { recordEvent, eventsBetween, cellularEvents } = require('./lib/events');
+const { parseSize, parseRollover, cycleBounds, archivedCycles, archiveFinishedCycles, cycleUsage, dayUsage, cycleStatus } = require('./lib/billing');
+const { parseThresholds, evaluateAlerts, createSink, dispatchAlert } = require('./lib/alerts');
+const { PERIODS, FORMATS, periodBounds, buildReport, renderReport } = require('./lib/report');
+const { EXPORT_TABLES, EXPORT_FORMATS, SOURCE_TABLES, resolveTimeZone, exportRows, writeStream, writeSqlite } = require('./lib/export');
+const { isSqliteFile, openSourceDatabase, sourceRouters, readExportFile, mergeDatabase, mergeKnownDevices, mergeExport } = require('./lib/merge');
+const {
+  CredentialKeyError, defaultKeyFile, generateKey, writeKeyFile, newKdf, deriveKey,
+  encryptSecret, decryptSecret, keyDescriptor, resolveKey
+} = require('./lib/credentials');
+
+// Subcommand (e.g. `router-stats attach`); plain `router-stats [options]` runs the monitor
+const COMMAND = process.argv[2] && !process.argv[2].startsWith('-') ? process.argv[2] : null;
+
+// Read the value following a command-line option (e.g. --record <file>)
+function getArgValue(name) {
+  const index = process.argv.indexOf(name);
+  if (index === -1) return null;
+  const value = process.argv[index + 1];
+  return value && !value.startsWith('--') ? value : null;
+}
 
-// Configuration
-const POLL_INTERVAL = 5000; // 5 seconds
-const DB_PATH = path.join(__dirname, 'router-stats.db');
+// Record / replay of raw model.json captures
+const RECORD_FILE = getArgValue('--record');
+const REPLAY_FILE = getArgValue('--replay');
+const REPLAY_SPEED = getArgValue('--replay-speed');
+// Headless collection (no TTY, no prompts): JSON lines to --log-file or stdout
+const DAEMON_MODE = process.argv.includes('--daemon');
+const LOG_FILE = getArgValue('--log-file');
+// Command run when a device that is not on the allowlist joins (see `router-stats devices`)
+const UNKNOWN_DEVICE_HOOK = getArgValue('--on-unknown-device') || process.env.ROUTER_STATS_ON_UNKNOWN_DEVICE || null;
+// Where data cap alerts go besides the dashboard (see lib/alerts.js)
+const ALERT_WEBHOOK = getArgValue('--alert-webhook') || process.env.ROUTER_STATS_ALERT_WEBHOOK || null;
+const ALERT_COMMAND = getArgValue('--on-alert') || process.env.ROUTER_STATS_ON_ALERT || null;
+const ALERT_LOG = getArgValue('--alert-log') || process.env.ROUTER_STATS_ALERT_LOG || null;
+// Template for `router-stats line` when --format is not given
+const DEFAULT_LINE_FORMAT = '{link} {bars} ↓{down} ↑{up}';
 
-// Router credentials (loaded from database on startup)
+// Configuration
+// Poll interval in seconds from --interval or ROUTER_STATS_INTERVAL (default: 5 seconds)
+const POLL_INTERVAL = parseInterval(getArgValue('--interval') || process.env.ROUTER_STATS_INTERVAL) || DEFAULT_INTERVAL;
+// Adaptive polling: faster under heavy traffic, slower when idle or on battery
+const ADAPTIVE_POLLING = process.argv.includes('--adaptive') || process.env.ROUTER_STATS_ADAPTIVE === '1';
+// How long raw samples and rollups are kept, from --retention or ROUTER_STATS_RETENTION (null = unreadable)
+const RETENTION = parseRetention(getArgValue('--retention') || process.env.ROUTER_STATS_RETENTION);
+// Replays go to a throwaway in-memory database unless --db is given, so they never mix with real history
+const DB_PATH = getArgValue('--db') || (REPLAY_FILE ? ':memory:' : path.join(__dirname, 'router-stats.db'));
+// Only one collector may write to a database; it publishes to viewers on a socket next to it
+const LOCK_PATH = `${DB_PATH}.lock`;
+const SOCKET_PATH = getArgValue('--socket') || DB_PATH.replace(/\.db$/, '') + '.sock';
+// Key file for the stored router passwords, unless ROUTER_STATS_KEY or a passphrase is used (see lib/credentials.js)
+const KEY_FILE = getArgValue('--key-file') || process.env.ROUTER_STATS_KEY_FILE || defaultKeyFile(DB_PATH);
+
+// Saved passwords protected by a passphrase that was not given (no terminal to ask on)
+const LOCKED_MESSAGE = 'Saved router passwords are locked - set ROUTER_STATS_PASSPHRASE (or ROUTER_STATS_KEY)';
+
+// Credentials of the router currently shown (router profiles are loaded from database on startup)
 let ROUTER_IP = null;
 let USERNAME = null;
 let PASSWORD = null;
 
+// Exit codes of the one-shot commands, so scripts can tell failures apart
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,             // bad options, no credentials
+  unreachable: 2,       // router did not answer
+  auth: 3,              // router rejected the credentials
+  disconnected: 4,      // router answered but has no internet connection
+  invalid: 5            // router answered with something we cannot read
+};
+
+// Profile name used for the first router and for data recorded before profiles existed
+const DEFAULT_ROUTER_ID = 'default';
+
 // ANSI color codes for nice CLI output
 const colors = {
   reset: '\x1b[0m',
@@ -32,6 +110,10 @@ const colors = {
 const VERBOSE_MODE = process.argv.includes('--verbose') || process.argv.includes('-v');
 const RESET_CREDENTIALS = process.argv.includes('--reset-credentials') || process.argv.includes('--reset');
 const SHOW_HELP = process.argv.includes('--help') || process.argv.includes('-h');
+const ADD_ROUTER = process.argv.includes('--add-router');
+const REMOVE_ROUTER = getArgValue('--remove-router');
+const LIST_ROUTERS = process.argv.includes('--list-routers');
+const SELECTED_ROUTERS = getArgValue('--router');
 
 // Show help and exit
 if (SHOW_HELP) {
@@ -41,11 +123,44 @@ ${colors.bright}${colors.cyan}Netgear MR1100 Router Stats Monitor${colors.reset}
 ${colors.bright}Usage:${colors.reset}
   node router-stats.js [options]
   npm start              (recommended)
+  router-stats attach    Open the dashboard of an already running collector (e.g. --daemon)
+  router-stats status    Fetch once, print the router's state and exit (--json for scripts)
+  router-stats line      Print one status line per poll (--format "<template>", --waybar)
+  router-stats creds     Manage saved router passwords (set, rotate, verify, remove - see below)
+  router-stats clients   Who was connected when (--since 24h, --at <time>, --devices, --json)
+  router-stats devices   Known-device allowlist: list, add <mac> [alias], remove <mac>, trust-all
+  router-stats plan      Billing cycle: show, set --start-day/--cap/--rollover/--alerts, clear, history
+  router-stats events    Event log: network changes and incidents (--since, --type auth,gap,...)
+  router-stats report    Usage report (--period day|week|month, --date, --format text|markdown|html|json, --output)
+  router-stats export    History as CSV, NDJSON or SQLite (--table timeseries|speeds|events|clients, --from, --to,
+                         --resample 1h, --timezone UTC, --output)
+  router-stats import    Merge another database or an export into this one (<file> [--router <profile>],
+                         --from-router, --dry-run)
 
 ${colors.bright}Options:${colors.reset}
   --verbose, -v          Start with verbose mode enabled (shows device details)
   --reset                Reset saved credentials and prompt for new ones
   --reset-credentials    Same as --reset
+  --interval <seconds>   Poll interval (default: 5, or ROUTER_STATS_INTERVAL)
+  --adaptive             Poll faster under heavy traffic, slower when idle or on battery
+  --add-router           Add another router profile (prompts for name and credentials)
+  --router <names>       Only monitor these profiles (comma-separated)
+  --list-routers         List saved router profiles
+  --remove-router <name> Remove a router profile (its history is kept)
+  --record <file>        Append every raw router response to an NDJSON capture file
+  --replay <file>        Replay a capture file instead of polling the router
+  --replay-speed <n>     Replay speed multiplier (default: 1 = real time, "max" = no delay)
+  --db <file>            Use a different database file (replays default to in-memory)
+  --retention <tiers>    How long to keep history, e.g. raw=7d,minute=30d,hour=1y,day=forever
+  --daemon               Headless mode: only collect into the database, no screen or prompts
+  --log-file <file>      Daemon log file (JSON lines, default: stdout; reopened on SIGHUP)
+  --socket <path>        Collector socket for viewers (default: router-stats.sock beside the database)
+  --key-file <file>      Key for the saved passwords (default: router-stats.key beside the database)
+  --on-unknown-device <command>
+                         Run a command when an unknown device joins (ROUTER_STATS_MAC, _IP, _NAME, ...)
+  --alert-webhook <url>  POST data cap alerts as JSON (thresholds: plan set --alerts / --daily-alert)
+  --on-alert <command>   Run a command on a data cap alert (ROUTER_STATS_KIND, _THRESHOLD, _USED, ...)
+  --alert-log <file>     Append data cap alerts to a file (JSON lines)
   --help, -h             Show this help message
 
 ${colors.bright}First Run:${colors.reset}
@@ -54,14 +169,42 @@ ${colors.bright}First Run:${colors.reset}
   - Username (default: admin)
   - Password (masked input)
 
-  Credentials are securely stored in SQLite database.
+  Credentials are stored in the SQLite database, the password encrypted.
+
+${colors.bright}Saved Passwords:${colors.reset}
+  Encrypted with the key file (created on first use, keep it private), with ROUTER_STATS_KEY
+  (32 bytes, hex or base64), or with a passphrase (ROUTER_STATS_PASSPHRASE, else asked on start).
+  creds set [--router <name>] [--ip <ip>] [--username <user>] [--password-file <file|->]
+  creds rotate [--passphrase | --passphrase-file <file>]   Re-encrypt with a new key or passphrase
+  creds verify [--router <names>] [--offline]              Check the key and log in to each router
+  creds remove [--router <name> | --all]
+
+${colors.bright}Daemon Mode:${colors.reset}
+  Credentials come from the saved profiles or from ROUTER_IP, ROUTER_USERNAME and
+  ROUTER_PASSWORD. SIGTERM stops cleanly, SIGHUP reopens the log file.
+
+${colors.bright}Line Placeholders:${colors.reset}
+  {down} {up} {bars} {signal} {rsrp} {rsrq} {sinr} {band} {link} {ssid} {operator}
+  {battery} {cycle_used} {clients} {state}   (default: "${DEFAULT_LINE_FORMAT}")
+
+${colors.bright}Status Exit Codes:${colors.reset}
+  0 connected │ 1 bad options or no credentials │ 2 router unreachable
+  3 login rejected │ 4 no internet connection (WAN down) │ 5 unreadable response
 
 ${colors.bright}Interactive Keyboard Controls:${colors.reset}
   ${colors.cyan}[n]${colors.reset}  Toggle Network connection panel
   ${colors.cyan}[b]${colors.reset}  Toggle Bandwidth & data usage panel
   ${colors.cyan}[h]${colors.reset}  Toggle bandwidth History histogram
+  ${colors.cyan}[l]${colors.reset}  Split usage and history by Link (metered cellular vs WiFi/Ethernet offload)
   ${colors.cyan}[d]${colors.reset}  Toggle Device & WiFi status panel
   ${colors.cyan}[v]${colors.reset}  Toggle Verbose mode (device details)
+  ${colors.cyan}[p]${colors.reset}  Toggle billing cycle / Plan panel (when a plan is set)
+  ${colors.cyan}[x]${colors.reset}  Dismiss the data cap alert banner
+  ${colors.cyan}[c]${colors.reset}  Toggle Clients history panel (who was connected in the last 24h)
+  ${colors.cyan}[t]${colors.reset}  Toggle event Timeline: network changes and incidents (↑/↓ scroll)
+  ${colors.cyan}[g]${colors.reset}  Include/exclude data from gaps in usage and history (~ marks estimates)
+  ${colors.cyan}[s]${colors.reset}  Switch to the next router (with several profiles)
+  ${colors.cyan}[a]${colors.reset}  Toggle All-routers summary view
   ${colors.cyan}[r]${colors.reset}  Reset credentials (exits and prompts on restart)
   ${colors.cyan}[q]${colors.reset}  Quit application
 
@@ -71,6 +214,21 @@ ${colors.bright}Examples:${colors.reset}
   npm run reset                      # Reset credentials
   node router-stats.js --verbose     # Start with verbose mode
   node router-stats.js --reset       # Reset credentials
+  node router-stats.js --interval 10 --adaptive           # Adaptive polling around 10s
+  node router-stats.js --add-router                      # Monitor another hotspot too
+  node router-stats.js --router office                   # Only the "office" profile
+  node router-stats.js --record bug.ndjson               # Capture raw responses
+  node router-stats.js --replay bug.ndjson --replay-speed 20
+  ROUTER_PASSWORD=secret node router-stats.js --daemon --log-file /var/log/router-stats.log
+  node router-stats.js attach                            # Watch the running daemon
+  node router-stats.js status --json --router travel     # One-shot check for scripts
+  node router-stats.js line --format "{link} {signal} {down}" # tmux/polybar status line
+  node router-stats.js creds set --router travel --ip 192.168.1.1 --password-file pw.txt
+  node router-stats.js clients --at "2025-03-01 14:30"   # Devices connected at that time
+  node router-stats.js devices add a4:83:e7:12:34:56 "Work laptop"
+  node router-stats.js events --since 7d --type band,disconnected   # How often the modem switched / dropped
+  node router-stats.js plan set --start-day 5 --cap 50GB --rollover unused   # Track the billing cycle
+  node router-stats.js plan set --alerts 50,80,95,100 --daily-alert 2GB     # ... and alert on the way
 
 ${colors.bright}Documentation:${colors.reset}
   https://github.com/decrypted/netgear-mr1100-monitor
@@ -80,87 +238,107 @@ ${colors.bright}License:${colors.reset} MIT
   process.exit(0);
 }
 
-let sessionCookie = null;
-let previousStats = null;
-let bandwidthHistory = {
-  download: [],
-  upload: [],
-  maxSamples: 66  // Fill most of the panel width
-};
+const HISTORY_SAMPLES = 66;  // Fill most of the panel width
+const TIMELINE_ROWS = 8;
+const HOT_TEMPERATURE = 60;     // °C; the device panel shows it red from here
+const COOLED_TEMPERATURE = 57;  // A hot router has cooled down below this (no event per degree around 60)
+
+// Per-router polling state (client session, previous sample, speed history), see createRouterState()
+let routers = [];
+let currentRouterIndex = 0;
+let currentPollInterval = POLL_INTERVAL;
+// Whether the header marks the interval as adaptive (the collector's setting when attached)
+let adaptiveShown = ADAPTIVE_POLLING;
+// First row of the timeline panel shown (0 = newest event)
+let timelineOffset = 0;
+// Data cap alert sinks (created on the first alert) and the last alert shown until dismissed with [x]
+let alertSinks = null;
+let alertBanner = null;
+
 let displayOptions = {
   showNetwork: true,
   showBandwidth: true,
   showDevice: false,
   showVerbose: VERBOSE_MODE,
-  showHistory: false
+  showHistory: false,
+  showSummary: false,
+  showClients: false,
+  showTimeline: false,
+  showBilling: true,    // only drawn for routers with a plan (router-stats plan set)
+  showLinks: false,     // usage rows and history split by link (cellular / WiFi / Ethernet offload)
+  includeGaps: true     // count data moved while nobody was polling (usage figures, history)
 };
 
 let db = null;
 
+// Key of the stored router passwords once unlocked (see unlockCredentials())
+let credentialKey = null;
+
+// Set in daemon mode; everything that happens is then logged as JSON instead of printed
+let logger = null;
+
+// Socket server publishing every poll to attached viewers (live collection only)
+let collectorServer = null;
+
+// Report an event: a JSON line in daemon mode, the colored console text otherwise
+function notify(level, event, fields, text) {
+  if (logger) {
+    logger.log(level, event, fields);
+  } else if (level === 'error') {
+    console.error(text);
+  } else {
+    console.log(text);
+  }
+}
+
+// A poll that threw is reported and skipped; the next one is still scheduled
+function reportPollError(error) {
+  notify('error', 'poll-error', { error: error.name, message: error.message },
+    `${colors.red}✗${colors.reset} Poll failed: ${error.message}`);
+}
+
+// One-shot commands read profiles from an existing database without creating it or touching the schema
+function openExistingDatabase() {
+  if (fs.existsSync(DB_PATH)) {
+    db = new Database(DB_PATH);
+  }
+}
+
+// Whether the open database has a table - read-only commands may look at databases of older schemas
+function hasTable(name) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+}
+
 // Database functions
 function initDatabase() {
   db = new Database(DB_PATH);
 
-  // Create tables
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS bandwidth_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      timestamp INTEGER NOT NULL,
-      download_speed REAL NOT NULL,
-      upload_speed REAL NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS timeseries_data (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      timestamp INTEGER NOT NULL,
-      total_rx_bytes INTEGER NOT NULL,
-      total_tx_bytes INTEGER NOT NULL,
-      session_duration INTEGER NOT NULL,
-      lifetime_bytes INTEGER,
-      signal_rsrp INTEGER,
-      signal_rsrq INTEGER,
-      signal_sinr INTEGER,
-      cellular_download INTEGER,
-      cellular_upload INTEGER,
-      wifi_offload_download INTEGER,
-      wifi_offload_upload INTEGER,
-      wifi_offload_active INTEGER,
-      wifi_offload_ssid TEXT,
-      wifi_offload_rssi INTEGER,
-      wifi_offload_bars INTEGER,
-      ethernet_offload_download INTEGER,
-      ethernet_offload_upload INTEGER,
-      ethernet_offload_active INTEGER,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS settings (
-      key TEXT PRIMARY KEY,
-      value TEXT NOT NULL,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_bandwidth_timestamp ON bandwidth_history(timestamp DESC);
-    CREATE INDEX IF NOT EXISTS idx_timeseries_timestamp ON timeseries_data(timestamp DESC);
-  `);
+  // Create or upgrade the schema (see lib/migrations.js)
+  const result = migrate(db, { dbPath: DB_PATH, keyFile: KEY_FILE });
+  if (result.backup) {
+    notify('info', 'backup', { path: result.backup }, `${colors.dim}Backed up database to ${result.backup}${colors.reset}`);
+  }
+  if (result.applied.length > 0 && result.from > 0) {
+    notify('info', 'migrated', { from: result.from, to: result.to, steps: result.applied.map(step => step.name) },
+      `${colors.green}✓${colors.reset} Database upgraded from schema ${result.from} to ${result.to}`);
+  }
 
-  console.log(`${colors.green}✓${colors.reset} Database initialized`);
+  notify('info', 'database', { path: DB_PATH, schema: result.to }, `${colors.green}✓${colors.reset} Database initialized`);
 }
 
-function saveBandwidthData(downloadSpeed, uploadSpeed) {
+function saveBandwidthData(routerId, timestamp, downloadSpeed, uploadSpeed) {
   if (!db) return;
 
-  const stmt = db.prepare('INSERT INTO bandwidth_history (timestamp, download_speed, upload_speed) VALUES (?, ?, ?)');
-  stmt.run(Date.now(), downloadSpeed, uploadSpeed);
+  const stmt = db.prepare('INSERT INTO bandwidth_history (router_id, timestamp, download_speed, upload_speed) VALUES (?, ?, ?, ?)');
+  stmt.run(routerId, timestamp, downloadSpeed, uploadSpeed);
 }
 
-function loadBandwidthHistory(maxSamples = 20) {
+function loadBandwidthHistory(routerId, maxSamples = 20) {
   if (!db) return { download: [], upload: [] };
 
   // Load last maxSamples entries from database
-  const stmt = db.prepare('SELECT download_speed, upload_speed FROM bandwidth_history ORDER BY timestamp DESC LIMIT ?');
-  const rows = stmt.all(maxSamples);
+  const stmt = db.prepare('SELECT download_speed, upload_speed FROM bandwidth_history WHERE router_id = ? ORDER BY timestamp DESC LIMIT ?');
+  const rows = stmt.all(routerId, maxSamples);
 
   // Reverse to get oldest first (for correct histogram display)
   rows.reverse();
@@ -172,7 +350,7 @@ function loadBandwidthHistory(maxSamples = 20) {
 }
 
 function saveSettings() {
-  if (!db) return;
+  if (!db || db.readonly) return;
 
   const stmt = db.prepare('INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)');
   stmt.run('displayOptions', JSON.stringify(displayOptions));
@@ -192,24 +370,103 @@ function loadSettings() {
   }
 }
 
-function saveCredentials(ip, username, password) {
-  if (!db) return;
+// How the credential key of this database is made ({ kdf, check }), null before any password was saved
+function loadKeyDescriptor() {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get('credentialKey');
+  return row ? JSON.parse(row.value) : null;
+}
 
+function saveKeyDescriptor(descriptor) {
   const stmt = db.prepare('INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)');
-  const credentials = { ip, username, password };
-  stmt.run('credentials', JSON.stringify(credentials));
+  stmt.run('credentialKey', JSON.stringify(descriptor));
 }
 
-function loadCredentials() {
-  if (!db) return null;
+// Key for saving a password: the unlocked one, else the key file (written on first use)
+function requireCredentialKey() {
+  if (!credentialKey) {
+    const descriptor = loadKeyDescriptor();
+    credentialKey = resolveKey({ descriptor, keyFile: KEY_FILE, create: true });
+    if (!descriptor) saveKeyDescriptor(keyDescriptor(credentialKey));
+  }
+  return credentialKey;
+}
+
+// Unlock the stored passwords before profiles are loaded. A passphrase is asked for on a terminal
+// only; without one the profiles stay locked (password null). A wrong key throws CredentialKeyError.
+async function unlockCredentials() {
+  if (!db || credentialKey) return credentialKey;
+
+  const descriptor = loadKeyDescriptor();
+  if (!descriptor) return null;
+
+  let passphrase = null;
+  if (descriptor.kdf && !process.env.ROUTER_STATS_KEY && !process.env.ROUTER_STATS_PASSPHRASE && process.stdin.isTTY && !DAEMON_MODE) {
+    passphrase = await readPasswordMasked('Credentials passphrase: ');
+  }
+  try {
+    credentialKey = resolveKey({ descriptor, keyFile: KEY_FILE, passphrase });
+  } catch (error) {
+    if (error.code !== 'passphrase-required') throw error;
+  }
+  return credentialKey;
+}
+
+// Router profiles are stored as one JSON list: [{ name, ip, username, secret }] with the password
+// encrypted (lib/credentials.js). Loaded profiles carry the plain password, or null while locked.
+function loadRouterProfiles() {
+  if (!db) return [];
 
   const stmt = db.prepare('SELECT value FROM settings WHERE key = ?');
-  const row = stmt.get('credentials');
+  const row = stmt.get('routers');
+  // One-shot commands open the database without migrating it: 1.1 kept a single login under
+  // `credentials` (migration step 5 turns it into the default profile)
+  const legacy = row ? null : stmt.get('credentials');
+  if (!row && !legacy) return [];
+  const stored = row ? JSON.parse(row.value) : [{ name: DEFAULT_ROUTER_ID, ...JSON.parse(legacy.value) }];
+
+  // Older schemas still hold plain passwords
+  return stored.map(({ secret, password = null, ...profile }) => ({
+    ...profile,
+    secret,
+    password: secret ? (credentialKey ? decryptSecret(credentialKey, secret) : null) : password
+  }));
+}
 
-  if (row) {
-    return JSON.parse(row.value);
+function saveRouterProfiles(profiles) {
+  if (!db) return;
+
+  // Profiles that stayed locked keep their stored secret
+  const stored = profiles.map(({ password, secret, ...profile }) => ({
+    ...profile,
+    secret: password !== null && password !== undefined ? encryptSecret(requireCredentialKey(), password) : secret
+  }));
+  const stmt = db.prepare('INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)');
+  stmt.run('routers', JSON.stringify(stored));
+}
+
+function saveCredentials(ip, username, password, name = DEFAULT_ROUTER_ID) {
+  if (!db) return;
+
+  const profiles = loadRouterProfiles();
+  const profile = { name, ip, username, password };
+  const index = profiles.findIndex(p => p.name === name);
+  if (index === -1) {
+    profiles.push(profile);
+  } else {
+    profiles[index] = profile;
   }
-  return null;
+  saveRouterProfiles(profiles);
+}
+
+function loadCredentials(name = DEFAULT_ROUTER_ID) {
+  return loadRouterProfiles().find(p => p.name === name) || null;
+}
+
+function deleteCredentials(name = null) {
+  if (!db) return;
+
+  const remaining = name ? loadRouterProfiles().filter(p => p.name !== name) : [];
+  saveRouterProfiles(remaining);
 }
 
 // Helper function for masked password input
@@ -258,8 +515,8 @@ function readPasswordMasked(prompt) {
   });
 }
 
-// Prompt user for credentials on first run
-async function promptForCredentials() {
+// Prompt user for credentials on first run (askName when adding another router profile)
+async function promptForCredentials(askName = false) {
   const readline = require('readline');
   const rl = readline.createInterface({
     input: process.stdin,
@@ -268,8 +525,18 @@ async function promptForCredentials() {
 
   const question = (query) => new Promise((resolve) => rl.question(query, resolve));
 
-  console.log(`\n${colors.bright}${colors.cyan}First-time setup${colors.reset}`);
-  console.log(`${colors.dim}Please enter your router credentials:${colors.reset}\n`);
+  let name = DEFAULT_ROUTER_ID;
+  if (askName) {
+    console.log(`\n${colors.bright}${colors.cyan}Add router${colors.reset}`);
+    console.log(`${colors.dim}Please enter a profile name and the router credentials:${colors.reset}\n`);
+    name = (await question(`Profile name ${colors.dim}(e.g. office, travel)${colors.reset}: `)).trim();
+    while (!/^[\w.-]+$/.test(name)) {
+      name = (await question(`Profile name ${colors.dim}(letters, digits, . _ - only)${colors.reset}: `)).trim();
+    }
+  } else {
+    console.log(`\n${colors.bright}${colors.cyan}First-time setup${colors.reset}`);
+    console.log(`${colors.dim}Please enter your router credentials:${colors.reset}\n`);
+  }
 
   const ip = await question(`Router IP address ${colors.dim}(default: 192.168.2.1)${colors.reset}: `) || '192.168.2.1';
   const username = await question(`Username ${colors.dim}(default: admin)${colors.reset}: `) || 'admin';
@@ -282,85 +549,101 @@ async function promptForCredentials() {
 
   console.log(`${colors.green}✓${colors.reset} Credentials saved to database\n`);
 
-  return { ip, username, password };
+  return { name, ip, username, password };
 }
 
-function saveTimeseriesData(timestamp, totalRx, totalTx, sessionDuration, lifetimeBytes, signalRsrp, signalRsrq, signalSinr,
-                            cellularDownload, cellularUpload, wifiOffloadDownload, wifiOffloadUpload, wifiOffloadActive, wifiOffloadSsid,
-                            wifiOffloadRssi, wifiOffloadBars, ethernetOffloadDownload, ethernetOffloadUpload, ethernetOffloadActive) {
+// Store one snapshot. total_rx_bytes/total_tx_bytes hold the summed session counters of all links
+// in the standard convention (RX = download, TX = upload); the per-link columns break them down.
+function saveTimeseriesData(routerId, snapshot) {
   if (!db) return;
 
+  const { cellular, wifi, ethernet } = snapshot.links;
   const stmt = db.prepare(`
     INSERT INTO timeseries_data (
-      timestamp, total_rx_bytes, total_tx_bytes, session_duration, lifetime_bytes, signal_rsrp, signal_rsrq, signal_sinr,
+      router_id, timestamp, total_rx_bytes, total_tx_bytes, session_duration, lifetime_bytes, signal_rsrp, signal_rsrq, signal_sinr,
       cellular_download, cellular_upload, wifi_offload_download, wifi_offload_upload, wifi_offload_active, wifi_offload_ssid,
-      wifi_offload_rssi, wifi_offload_bars, ethernet_offload_download, ethernet_offload_upload, ethernet_offload_active
+      wifi_offload_rssi, wifi_offload_bars, ethernet_offload_download, ethernet_offload_upload, ethernet_offload_active, connected
     )
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
-  stmt.run(timestamp, totalRx, totalTx, sessionDuration, lifetimeBytes, signalRsrp, signalRsrq, signalSinr,
-           cellularDownload, cellularUpload, wifiOffloadDownload, wifiOffloadUpload, wifiOffloadActive ? 1 : 0, wifiOffloadSsid,
-           wifiOffloadRssi, wifiOffloadBars, ethernetOffloadDownload, ethernetOffloadUpload, ethernetOffloadActive ? 1 : 0);
+  stmt.run(routerId, snapshot.timestamp, snapshot.totals.download, snapshot.totals.upload, snapshot.sessionDuration,
+           snapshot.lifetime.total, snapshot.signal.rsrp, snapshot.signal.rsrq, snapshot.signal.sinr,
+           cellular.download, cellular.upload, wifi.download, wifi.upload, wifi.active ? 1 : 0, wifi.ssid,
+           wifi.rssi, wifi.bars, ethernet.download, ethernet.upload, ethernet.active ? 1 : 0, snapshot.connected ? 1 : 0);
 }
 
-// Detect gap in data and interpolate missing lifetime usage
-function handleDataGap(currentTimestamp, lifetimeBytes) {
+// Detect a gap in the data: record it (data_gaps) and interpolate the lifetime usage across it.
+// entry is the usage ledger entry of the interval, holding what each link moved during the gap.
+function handleDataGap(routerId, currentTimestamp, lifetimeBytes, pollInterval = POLL_INTERVAL, entry = null) {
   if (!db) return false;
 
-  // Get the last recorded entry
+  // Get the last real sample for this router
   const lastEntry = db.prepare(`
     SELECT timestamp, lifetime_bytes
     FROM timeseries_data
-    WHERE lifetime_bytes IS NOT NULL
+    WHERE router_id = ? AND source = 'sample'
     ORDER BY timestamp DESC
     LIMIT 1
-  `).get();
+  `).get(routerId);
 
   if (!lastEntry) {
     return false; // No previous data, nothing to interpolate
   }
 
   const timeSinceLastPoll = currentTimestamp - lastEntry.timestamp;
-  const gapThreshold = POLL_INTERVAL * 3; // Consider it a gap if >15 seconds (3x poll interval)
-
-  // If there's a significant gap AND lifetime bytes increased
-  if (timeSinceLastPoll > gapThreshold && lifetimeBytes > lastEntry.lifetime_bytes) {
-    const lifetimeDelta = lifetimeBytes - lastEntry.lifetime_bytes;
-    const numIntervals = Math.floor(timeSinceLastPoll / POLL_INTERVAL);
-
-    // Only interpolate if the gap is reasonable (less than 24 hours) and we have significant data
-    if (numIntervals > 0 && numIntervals < (24 * 60 * 60 * 1000 / POLL_INTERVAL) && lifetimeDelta > 0) {
-      const bytesPerInterval = lifetimeDelta / numIntervals;
-
-      console.log(`${colors.yellow}⚠${colors.reset} Detected ${Math.floor(timeSinceLastPoll / 1000 / 60)}min gap - interpolating ${formatBytes(lifetimeDelta)} across ${numIntervals} intervals`);
+  const gapThreshold = pollInterval * 3; // Consider it a gap if >3x the poll interval in effect (15s by default)
+  if (timeSinceLastPoll <= gapThreshold) {
+    return false;
+  }
 
-      // Insert interpolated records
-      const insertStmt = db.prepare(`
-        INSERT INTO timeseries_data (timestamp, total_rx_bytes, total_tx_bytes, session_duration, lifetime_bytes, signal_rsrp, signal_rsrq, signal_sinr)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `);
+  const lifetimeDelta = lastEntry.lifetime_bytes !== null ? lifetimeBytes - lastEntry.lifetime_bytes : 0;
+  const numIntervals = Math.floor(timeSinceLastPoll / pollInterval);
+  let interpolated = 0;
 
-      for (let i = 1; i < numIntervals; i++) {
-        const interpolatedTimestamp = lastEntry.timestamp + (i * POLL_INTERVAL);
-        const interpolatedLifetime = Math.floor(lastEntry.lifetime_bytes + (bytesPerInterval * i));
+  // Only interpolate if the gap is reasonable (less than 24 hours) and lifetime usage increased
+  if (numIntervals > 0 && numIntervals < (24 * 60 * 60 * 1000 / pollInterval) && lifetimeDelta > 0) {
+    const bytesPerInterval = lifetimeDelta / numIntervals;
 
-        // Use 0 for session counters as we don't know the session state during the gap
-        // Use NULL for signal values as we don't have that data
-        insertStmt.run(interpolatedTimestamp, 0, 0, 0, interpolatedLifetime, null, null, null);
-      }
+    // Interpolated rows only carry the lifetime counter: session counters and signal were not observed
+    const insertStmt = db.prepare(`
+      INSERT INTO timeseries_data (router_id, timestamp, lifetime_bytes, source)
+      VALUES (?, ?, ?, 'interpolated')
+    `);
 
-      return true;
+    for (let i = 1; i < numIntervals; i++) {
+      const interpolatedTimestamp = lastEntry.timestamp + (i * pollInterval);
+      const interpolatedLifetime = Math.floor(lastEntry.lifetime_bytes + (bytesPerInterval * i));
+      insertStmt.run(routerId, interpolatedTimestamp, interpolatedLifetime);
     }
+    interpolated = numIntervals - 1;
   }
 
-  return false;
+  recordGap(db, routerId, {
+    start: lastEntry.timestamp,
+    end: currentTimestamp,
+    lifetimeStart: lastEntry.lifetime_bytes,
+    lifetimeEnd: lifetimeBytes,
+    interpolated,
+    links: entry ? entry.links : null
+  });
+
+  const minutes = Math.floor(timeSinceLastPoll / 1000 / 60);
+  storeEvent(routerId, { timestamp: currentTimestamp, type: 'gap', severity: 'warn',
+    message: `No samples for ${formatDuration(timeSinceLastPoll)} (${formatBytes(Math.max(0, lifetimeDelta))} moved)`,
+    payload: { from: lastEntry.timestamp, to: currentTimestamp, bytes: lifetimeDelta, interpolated } });
+  notify('warn', 'gap', { router: routerId, from: lastEntry.timestamp, to: currentTimestamp, bytes: lifetimeDelta, intervals: numIntervals, interpolated },
+    `${colors.yellow}⚠${colors.reset} ${routerLabel(routerId)}Detected ${minutes}min gap` +
+    (interpolated > 0 ? ` - interpolating ${formatBytes(lifetimeDelta)} across ${numIntervals} intervals` : ''));
+
+  return true;
 }
 
-// Calculate data usage over time periods
-function calculateUsageOverTime() {
+// Calculate a router's data usage over time periods (relative to `now`, which is the sample time during replays).
+// Each period is a usage object (see usageBetween() in lib/rollups.js) or null when nothing was recorded;
+// bytes moved during gaps are left out unless includeGaps is set.
+function calculateUsageOverTime(routerId, now = Date.now(), includeGaps = true) {
   if (!db) return null;
 
-  const now = Date.now();
   const periods = {
     '5m': now - (5 * 60 * 1000),
     '15m': now - (15 * 60 * 1000),
@@ -372,53 +655,43 @@ function calculateUsageOverTime() {
     '24h': now - (24 * 60 * 60 * 1000)
   };
 
+  // Sums of the usage ledger, where counter resets are already accounted for: whole hours from the
+  // rollups where possible, single ledger entries at the edges (see lib/rollups.js)
   const result = {};
-
   for (const [label, cutoffTime] of Object.entries(periods)) {
-    // Get the earliest and latest total bytes (RX+TX) within the period
-    // This includes ALL connection types (cellular + WiFi offload + Ethernet offload)
-    const stmt = db.prepare(`
-      SELECT
-        MIN(total_rx_bytes + total_tx_bytes) as start_bytes,
-        MAX(total_rx_bytes + total_tx_bytes) as end_bytes
-      FROM timeseries_data
-      WHERE timestamp >= ?
-    `);
-
-    const row = stmt.get(cutoffTime);
-
-    if (row && row.start_bytes !== null && row.end_bytes !== null) {
-      result[label] = row.end_bytes - row.start_bytes;
-    } else {
-      result[label] = null;
-    }
+    result[label] = usageBetween(db, routerId, cutoffTime, now, { includeGaps });
   }
 
   return result;
 }
 
-function calculateSpeedsFromTimeseries(limit = 20) {
-  if (!db) return { download: [], upload: [], timestamps: [] };
+// Speeds between the last limit + 1 real samples. Points whose interval spans a recorded gap are
+// flagged in `gaps` (they average over time nobody observed) or left out when includeGaps is false.
+// `links` holds the speed of each link per point (see linkSpeeds() in lib/ledger.js), null for rows
+// stored before the per-link columns.
+function calculateSpeedsFromTimeseries(routerId, limit = 20, includeGaps = true) {
+  const empty = { download: [], upload: [], links: [], timestamps: [], gaps: [] };
+  if (!db) return empty;
 
-  // Get last N+1 records to calculate N speed deltas
+  // Get last N+1 records to calculate N speed deltas (interpolated rows have no counters)
   const stmt = db.prepare(`
-    SELECT timestamp, total_rx_bytes, total_tx_bytes
+    SELECT *
     FROM timeseries_data
+    WHERE router_id = ? AND source = 'sample'
     ORDER BY timestamp DESC
     LIMIT ?
   `);
-  const rows = stmt.all(limit + 1);
+  const rows = stmt.all(routerId, limit + 1);
 
   if (rows.length < 2) {
-    return { download: [], upload: [], timestamps: [] };
+    return empty;
   }
 
   // Reverse to get oldest first
   rows.reverse();
 
-  const downloadSpeeds = [];
-  const uploadSpeeds = [];
-  const timestamps = [];
+  const gapEnds = new Set(gapsBetween(db, routerId, rows[0].timestamp, rows[rows.length - 1].timestamp).map(gap => gap.end_time));
+  const result = { download: [], upload: [], links: [], timestamps: [], gaps: [] };
 
   // Calculate speeds between consecutive data points
   for (let i = 1; i < rows.length; i++) {
@@ -427,6 +700,8 @@ function calculateSpeedsFromTimeseries(limit = 20) {
 
     const timeDiffMs = current.timestamp - previous.timestamp;
     const timeDiffSec = timeDiffMs / 1000;
+    const gap = gapEnds.has(current.timestamp);
+    if (gap && !includeGaps) continue;
 
     // Calculate bytes transferred and convert to bytes/second
     // NOTE: Database stores aggregated totals (already converted to standard convention)
@@ -435,198 +710,132 @@ function calculateSpeedsFromTimeseries(limit = 20) {
 
     // Handle counter rollover (router reset) - skip negative values
     if (rxDiff >= 0 && txDiff >= 0 && timeDiffSec > 0) {
-      const downloadSpeed = rxDiff / timeDiffSec;  // RX = Download (standard)
-      const uploadSpeed = txDiff / timeDiffSec;    // TX = Upload (standard)
-
-      downloadSpeeds.push(downloadSpeed);
-      uploadSpeeds.push(uploadSpeed);
-      timestamps.push(current.timestamp);
+      result.download.push(rxDiff / timeDiffSec);  // RX = Download (standard)
+      result.upload.push(txDiff / timeDiffSec);    // TX = Upload (standard)
+      const perLink = current.cellular_download !== null && previous.cellular_download !== null;
+      result.links.push(perLink ? linkSpeeds(ledgerEntry(sampleFromRow(previous), sampleFromRow(current))) : null);
+      result.timestamps.push(current.timestamp);
+      result.gaps.push(gap);
     }
   }
 
-  return {
-    download: downloadSpeeds,
-    upload: uploadSpeeds,
-    timestamps: timestamps
-  };
+  return result;
 }
 
-function cleanOldData(daysToKeep = 7) {
+// Drop raw samples and rollup buckets that are past their retention (RETENTION)
+function cleanOldData(now = Date.now()) {
   if (!db) return;
 
-  const cutoffTime = Date.now() - (daysToKeep * 24 * 60 * 60 * 1000);
-
-  const stmt1 = db.prepare('DELETE FROM bandwidth_history WHERE timestamp < ?');
-  const result1 = stmt1.run(cutoffTime);
-
-  const stmt2 = db.prepare('DELETE FROM timeseries_data WHERE timestamp < ?');
-  const result2 = stmt2.run(cutoffTime);
-
-  const totalCleaned = result1.changes + result2.changes;
+  const deleted = applyRetention(db, RETENTION, now);
+  const totalCleaned = Object.values(deleted).reduce((sum, count) => sum + count, 0);
   if (totalCleaned > 0) {
-    console.log(`${colors.dim}Cleaned ${totalCleaned} old records (${result1.changes} speeds, ${result2.changes} timeseries)${colors.reset}`);
+    const rollups = deleted.minute + deleted.hour + deleted.day;
+    notify('info', 'cleanup', deleted,
+      `${colors.dim}Cleaned ${totalCleaned} old records (${deleted.speeds} speeds, ${deleted.timeseries} timeseries, ${deleted.ledger} ledger, ${rollups} rollups)${colors.reset}`);
   }
 }
 
-// Helper function to make HTTP requests with timeout
-function httpRequest(options, postData = null, timeoutMs = 10000) {
-  return new Promise((resolve, reject) => {
-    const req = http.request(options, (res) => {
-      let data = '';
-
-      // Capture Set-Cookie header
-      if (res.headers['set-cookie']) {
-        const cookieHeader = res.headers['set-cookie'].find(c => c.startsWith('sessionId='));
-        if (cookieHeader) {
-          sessionCookie = cookieHeader.split(';')[0];
-        }
-      }
+// Prefix for console messages when several routers are monitored
+function routerLabel(routerId) {
+  return routers.length > 1 ? `[${routerId}] ` : '';
+}
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+// Per-router state: its own client session, last sample and speed history
+function createRouterState(profile) {
+  const router = {
+    id: profile.name,
+    ip: profile.ip,
+    username: profile.username,
+    password: profile.password,
+    client: null,
+    previousSnapshot: null,
+    lastSnapshot: null,
+    lastTimestamp: null,
+    currentSpeed: null,
+    pollInterval: POLL_INTERVAL,
+    error: null,
+    cellularState: null,    // last band / operator / IP / ... for the event log, see lib/events.js
+    incidents: {},          // ongoing conditions (network, auth, invalid-data, temperature) -> start time
+    cycleStart: null,       // start of the billing cycle of the last sample (a new one archives the old)
+    bandwidthHistory: { download: [], upload: [], links: [], gaps: [] }
+  };
+  return router;
+}
 
-      res.on('end', () => {
-        resolve({ statusCode: res.statusCode, data, headers: res.headers });
-      });
-    });
+// Create the router client for a router's credentials and hook its events to console output
+function createClient(router) {
+  if (router.client) router.client.close();
 
-    // Set timeout for connection
-    req.setTimeout(timeoutMs, () => {
-      req.destroy();
-      reject(new Error(`Connection timeout after ${timeoutMs}ms`));
-    });
+  router.client = new Mr1100Client({ host: router.ip, username: router.username, password: router.password });
 
-    req.on('error', (e) => {
-      reject(e);
-    });
+  router.client.on('session-expired', () => {
+    notify('warn', 'session-expired', { router: router.id }, `${colors.yellow}⟳${colors.reset} ${routerLabel(router.id)}Session expired, re-authenticating...`);
+  });
+  router.client.on('reauthenticated', () => {
+    notify('info', 'reauthenticated', { router: router.id }, `${colors.green}✓${colors.reset} ${routerLabel(router.id)}Re-authentication successful`);
+    storeEvent(router.id, { timestamp: Date.now(), type: 'auth', severity: 'info', message: 'Session expired, logged in again' });
+  });
 
-    if (postData) {
-      req.write(postData);
-    }
+  return router.client;
+}
 
-    req.end();
-  });
+// Make a router the one shown in the dashboard
+function selectRouter(index) {
+  currentRouterIndex = index;
+  const router = routers[index];
+  ROUTER_IP = router.ip;
+  USERNAME = router.username;
+  PASSWORD = router.password;
 }
 
 // Initialize session
-async function initSession() {
+async function initSession(router) {
   try {
-    const options = {
-      hostname: ROUTER_IP,
-      port: 80,
-      path: '/sess_cd_tmp',
-      method: 'GET',
-    };
-
-    await httpRequest(options);
-    console.log(`${colors.green}✓${colors.reset} Session initialized`);
+    await createClient(router).initSession();
+    console.log(`${colors.green}✓${colors.reset} ${routerLabel(router.id)}Session initialized`);
     return true;
   } catch (error) {
-    console.error(`${colors.red}✗${colors.reset} Failed to initialize session:`, error.message);
+    console.error(`${colors.red}✗${colors.reset} ${routerLabel(router.id)}Failed to initialize session:`, error.message);
     return false;
   }
 }
 
 // Login to router
-async function login() {
+async function login(router) {
   try {
-    // First get the security token
-    const apiOptions = {
-      hostname: ROUTER_IP,
-      port: 80,
-      path: `/api/model.json?internalapi=1&x=${Date.now()}`,
-      method: 'GET',
-      headers: {
-        'Cookie': sessionCookie
-      }
-    };
-
-    const apiResponse = await httpRequest(apiOptions);
-    const data = JSON.parse(apiResponse.data);
-    const secToken = data.session.secToken;
-
-    // Now login with credentials
-    const loginOptions = {
-      hostname: ROUTER_IP,
-      port: 80,
-      path: '/Forms/config',
-      method: 'POST',
-      headers: {
-        'Cookie': sessionCookie,
-        'Content-Type': 'application/x-www-form-urlencoded',
-      }
-    };
-
-    const postData = `session.password=${PASSWORD}&token=${secToken}`;
-    await httpRequest(loginOptions, postData);
-
-    console.log(`${colors.green}✓${colors.reset} Logged in as ${USERNAME}`);
+    await router.client.login();
+    router.client.connected = true;
+    console.log(`${colors.green}✓${colors.reset} ${routerLabel(router.id)}Logged in as ${router.username}`);
     return true;
   } catch (error) {
-    console.error(`${colors.red}✗${colors.reset} Login failed:`, error.message);
+    console.error(`${colors.red}✗${colors.reset} ${routerLabel(router.id)}Login failed:`, error.message);
     return false;
   }
 }
 
-// Re-authenticate when session expires
-async function reAuthenticate() {
-  console.log(`${colors.yellow}⟳${colors.reset} Session expired, re-authenticating...`);
-
-  if (await initSession() && await login()) {
-    console.log(`${colors.green}✓${colors.reset} Re-authentication successful`);
-    return true;
-  }
-
-  console.error(`${colors.red}✗${colors.reset} Re-authentication failed`);
-  return false;
-}
-
-// Fetch router stats with automatic re-authentication
-async function fetchStats(retryOnAuthFailure = true) {
+// Fetch router stats (the client re-authenticates automatically when the session expires)
+async function fetchStats(router) {
   try {
-    const options = {
-      hostname: ROUTER_IP,
-      port: 80,
-      path: `/api/model.json?internalapi=1&x=${Date.now()}`,
-      method: 'GET',
-      headers: {
-        'Cookie': sessionCookie
-      }
-    };
-
-    const response = await httpRequest(options);
-
-    // Check if we got HTML instead of JSON (session expired)
-    if (response.data.trim().startsWith('<!DOCTYPE') || response.data.trim().startsWith('<html')) {
-      if (retryOnAuthFailure) {
-        // Session expired, try to re-authenticate
-        if (await reAuthenticate()) {
-          // Retry the request with new session (but don't retry again to avoid infinite loop)
-          return await fetchStats(false);
-        }
-      }
-      return null;
-    }
-
-    const data = JSON.parse(response.data);
-    return data;
+    const stats = await router.client.getModel();
+    router.error = null;
+    incidentCleared(router, 'network', Date.now(), 'Router reachable again');
+    incidentCleared(router, 'auth', Date.now(), 'Logged in again');
+    return stats;
   } catch (error) {
-    // Handle network errors (EHOSTUNREACH, ENETUNREACH, ECONNRESET)
-    if (error.code === 'EHOSTUNREACH' || error.code === 'ENETUNREACH' || error.code === 'ECONNRESET') {
-      console.error(`${colors.red}✗${colors.reset} Network error: ${error.message}`);
-      console.log(`${colors.dim}Waiting for network to recover...${colors.reset}`);
-      return null;
-    }
-
-    // Handle JSON parse errors (session expired)
-    if (error.message.includes('Unexpected token') && retryOnAuthFailure) {
-      if (await reAuthenticate()) {
-        return await fetchStats(false);
-      }
+    router.error = error.message;
+    const label = routerLabel(router.id);
+    const fields = { router: router.id, error: error.name, message: error.message };
+    if (error instanceof NetworkError) {
+      notify('error', 'network-error', { ...fields, code: error.code }, `${colors.red}✗${colors.reset} ${label}Network error: ${error.message}`);
+      if (!logger) console.log(`${colors.dim}Waiting for network to recover...${colors.reset}`);
+      incidentStarted(router, 'network', { timestamp: Date.now(), severity: 'error', message: `Router unreachable (${error.code || error.message})`,
+        payload: { code: error.code, error: error.message } });
+    } else if (error instanceof AuthError) {
+      notify('error', 'auth-error', fields, `${colors.red}✗${colors.reset} ${label}Re-authentication failed: ${error.message}`);
+      incidentStarted(router, 'auth', { timestamp: Date.now(), severity: 'error', message: `Login failed: ${error.message}`, payload: { error: error.message } });
+    } else {
+      notify('error', 'poll-error', fields, `${colors.red}✗${colors.reset} ${label}Failed to fetch stats: ${error.message}`);
     }
-
-    console.error(`${colors.red}✗${colors.reset} Failed to fetch stats:`, error.message);
     return null;
   }
 }
@@ -636,7 +845,8 @@ function formatBytes(bytes) {
   if (bytes === 0) return '0 B';
   const k = 1024;
   const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  // Speeds below 1 B/s still show in bytes
+  const i = Math.max(0, Math.floor(Math.log(bytes) / Math.log(k)));
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
@@ -648,10 +858,247 @@ function calculateBandwidth(currentBytes, previousBytes, timeInterval) {
   return Math.max(0, bytesPerSecond);
 }
 
-// Format signal strength bars
-function getSignalBars(bars) {
+// Collector: parse a raw sample, persist it and update the router's speed history. Runs for every
+// router on every poll, whether or not it is shown, and never touches the screen - a failing render
+// cannot lose a sample. pollInterval is the interval in effect before this sample.
+function collectSnapshot(router, model, timestamp, pollInterval = POLL_INTERVAL) {
+  const snapshot = parseSnapshot(model, timestamp);
+  router.lastTimestamp = timestamp;
+
+  if (!snapshot) {
+    router.lastSnapshot = null;
+    router.error = 'Invalid data received from router';
+    incidentStarted(router, 'invalid-data', { timestamp, severity: 'warn', message: 'Router returned invalid data' });
+    return null;
+  }
+  incidentCleared(router, 'invalid-data', timestamp, 'Valid data again');
+
+  // After a restart, the usage ledger continues from the last stored sample
+  const previousSample = router.previousSnapshot || (db ? lastStoredSample(db, router.id) : null);
+
+  const entry = ledgerEntry(previousSample, snapshot, pollInterval * 3);
+
+  // Check for gaps and interpolate missing data before saving current data
+  handleDataGap(router.id, timestamp, snapshot.lifetime.total, pollInterval, entry);
+  saveTimeseriesData(router.id, snapshot);
+  if (db) {
+    recordLedgerEntry(db, router.id, entry);
+    recordInterval(db, router.id, entry, snapshot);
+
+    const clientChanges = trackClients(db, router.id, snapshot.clients, timestamp, pollInterval * 3);
+    if (logger) {
+      for (const client of clientChanges.joined) {
+        logger.info('client-joined', { router: router.id, mac: client.mac, ip: client.ip, name: client.name, source: client.source });
+      }
+      for (const session of clientChanges.left) {
+        logger.info('client-left', { router: router.id, mac: session.mac, ip: session.ip, since: session.start_time, until: session.end_time });
+      }
+    }
+    // Only a device's first appearance alerts; reconnecting after a gap is just a new session
+    const known = clientChanges.firstSeen.length > 0 ? loadKnownDevices(db) : null;
+    for (const client of clientChanges.firstSeen) {
+      if (!known.has(client.mac)) alertUnknownClient(router.id, client, timestamp);
+    }
+
+    // Cellular transitions; the last state is kept in the settings table, so restarts compare with it
+    const cellular = cellularEvents(router.cellularState || loadCellularState(router.id), snapshot);
+    router.cellularState = cellular.state;
+    if (cellular.changed) saveCellularState(router.id, cellular.state);
+    for (const event of cellular.events) logEvent(router.id, event);
+
+    // A new billing cycle: archive the one that ended (also on the first sample, for cycles missed while stopped)
+    const plan = loadBillingPlan(router.id);
+    const cycleStart = plan ? cycleBounds(plan.startDay, timestamp).start : null;
+    if (plan && cycleStart !== router.cycleStart) {
+      for (const cycle of archiveFinishedCycles(db, router.id, plan, timestamp)) {
+        logEvent(router.id, { timestamp, type: 'cycle', severity: 'info',
+          message: `Billing cycle ${formatDay(cycle.start_time)} → ${formatDay(cycle.end_time - 1)} ended: ${formatBytes(cycle.used)}` +
+            (cycle.cap ? ` of ${formatBytes(cycle.cap + cycle.rollover_in)}` : ''),
+          payload: { start: cycle.start_time, end: cycle.end_time, used: cycle.used, cap: cycle.cap, rolloverIn: cycle.rollover_in } });
+      }
+    }
+    router.cycleStart = cycleStart;
+    if (plan && ((plan.alerts && plan.alerts.length > 0) || plan.dailyAlert)) checkUsageAlerts(router.id, plan, timestamp);
+
+    const temperature = snapshot.device.temperature;
+    if (temperature !== null && temperature >= HOT_TEMPERATURE && !router.incidents.temperature) {
+      incidentStarted(router, 'temperature', { timestamp, severity: 'warn', message: `Router temperature ${temperature}°C`, payload: { temperature } });
+      if (logger) logger.warn('temperature', { router: router.id, temperature });
+    } else if (temperature !== null && temperature < COOLED_TEMPERATURE) {
+      incidentCleared(router, 'temperature', timestamp, `Cooled down to ${temperature}°C`);
+    }
+  }
+
+  // Calculate bandwidth over the real time between the two samples - polls are not evenly spaced
+  // (adaptive intervals, slow responses, re-authentication)
+  const previous = router.previousSnapshot;
+  const timeDiff = previous ? timestamp - previous.timestamp : 0;
+  if (previous && timeDiff > 0) {
+    const downloadSpeed = calculateBandwidth(snapshot.totals.download, previous.totals.download, timeDiff);
+    const uploadSpeed = calculateBandwidth(snapshot.totals.upload, previous.totals.upload, timeDiff);
+
+    // Save calculated speed to legacy table (for backward compatibility)
+    saveBandwidthData(router.id, timestamp, downloadSpeed, uploadSpeed);
+
+    // Add to history
+    const history = router.bandwidthHistory;
+    history.download.push(downloadSpeed);
+    history.upload.push(uploadSpeed);
+    history.links.push(linkSpeeds(entry));
+    history.gaps.push(!!(entry && entry.gap));
+    if (history.download.length > HISTORY_SAMPLES) {
+      history.download.shift();
+      history.upload.shift();
+      history.links.shift();
+      history.gaps.shift();
+    }
+
+    router.currentSpeed = { download: downloadSpeed, upload: uploadSpeed };
+  }
+
+  router.previousSnapshot = snapshot;
+  router.lastSnapshot = snapshot;
+
+  router.pollInterval = ADAPTIVE_POLLING
+    ? adaptiveInterval({ baseInterval: POLL_INTERVAL, speed: router.currentSpeed, onBattery: snapshot.battery.onBattery })
+    : POLL_INTERVAL;
+
+  return snapshot;
+}
+
+// Billing plan of a router ({ startDay, cap, rollover, rolloverMax }, see lib/billing.js) or null
+function loadBillingPlan(routerId) {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(`billingPlan:${routerId}`);
+  return row ? JSON.parse(row.value) : null;
+}
+
+function saveBillingPlan(routerId, plan) {
+  if (plan) {
+    const stmt = db.prepare('INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)');
+    stmt.run(`billingPlan:${routerId}`, JSON.stringify(plan));
+  } else {
+    db.prepare('DELETE FROM settings WHERE key = ?').run(`billingPlan:${routerId}`);
+  }
+}
+
+// What already fired for a router ({ cycleStart, fired, day }, see evaluateAlerts())
+function loadAlertState(routerId) {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(`alertState:${routerId}`);
+  return row ? JSON.parse(row.value) : null;
+}
+
+function saveAlertState(routerId, state) {
+  const stmt = db.prepare('INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)');
+  stmt.run(`alertState:${routerId}`, JSON.stringify(state));
+}
+
+// Sinks data cap alerts go to: the configured ones (not in replays), plus bell and banner on the dashboard
+function createAlertSinks() {
+  const sinks = [];
+  if (!REPLAY_FILE) {
+    if (ALERT_WEBHOOK) sinks.push(createSink('webhook', ALERT_WEBHOOK));
+    if (ALERT_COMMAND) sinks.push(createSink('command', ALERT_COMMAND));
+    if (ALERT_LOG) sinks.push(createSink('log', ALERT_LOG));
+  }
+  if (!logger) {
+    sinks.push({
+      name: 'terminal',
+      send: (alert) => {
+        alertBanner = alert;
+        process.stdout.write('\x07');
+        return { error: null };
+      }
+    });
+  }
+  return sinks;
+}
+
+// Fire the thresholds of a router's plan its usage crossed since the last poll. The state is saved
+// before anything is sent, so a crash or restart never sends an alert twice.
+function checkUsageAlerts(routerId, plan, now) {
+  const state = loadAlertState(routerId);
+  const result = evaluateAlerts(plan, cycleUsage(db, routerId, plan, now), plan.dailyAlert ? dayUsage(db, routerId, now) : 0, state, now);
+  if (JSON.stringify(result.state) !== JSON.stringify(state)) saveAlertState(routerId, result.state);
+  if (result.alerts.length === 0) return;
+
+  alertSinks = alertSinks || createAlertSinks();
+  for (const alert of result.alerts) {
+    alert.router = routerId;
+    alert.message = alert.kind === 'cap'
+      ? `${alert.threshold}% of the data cap reached: ${formatBytes(alert.used)} of ${formatBytes(alert.allowance)}`
+      : `${formatBytes(alert.used)} used today (alert at ${formatBytes(alert.threshold)})`;
+    logEvent(routerId, { timestamp: now, type: 'usage-alert', severity: alert.severity, message: alert.message,
+      payload: { kind: alert.kind, threshold: alert.threshold, used: alert.used, allowance: alert.allowance } });
+    dispatchAlert(alertSinks, alert).then((failures) => {
+      for (const failure of failures) {
+        logEvent(routerId, { timestamp: Date.now(), type: 'alert-error', severity: 'error',
+          message: `Alert via ${failure.sink} failed: ${failure.error}`, payload: { sink: failure.sink, error: failure.error } });
+      }
+    }).catch((error) => {
+      // A rejection here must not take the collector down (unhandled rejections end the process)
+      if (logger) logger.error('alert-error', { router: routerId, kind: alert.kind, message: error.message });
+    });
+  }
+}
+
+function loadCellularState(routerId) {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(`cellularState:${routerId}`);
+  return row ? JSON.parse(row.value) : null;
+}
+
+function saveCellularState(routerId, state) {
+  const stmt = db.prepare('INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)');
+  stmt.run(`cellularState:${routerId}`, JSON.stringify(state));
+}
+
+// Write an event to the events table (timeline panel, `router-stats events`)
+function storeEvent(routerId, event) {
+  if (db) recordEvent(db, routerId, event);
+}
+
+// ... and to the daemon log, for events nothing else reports
+function logEvent(routerId, event) {
+  storeEvent(routerId, event);
+  if (logger) logger.log(event.severity, event.type, { router: routerId, message: event.message, ...event.payload });
+}
+
+// Conditions that last several polls (router unreachable, login failing, invalid data, running hot)
+// are stored once when they start and once when they clear, not on every poll
+function incidentStarted(router, type, event) {
+  if (router.incidents[type] !== undefined) return;
+  router.incidents[type] = event.timestamp;
+  storeEvent(router.id, { type, ...event });
+}
+
+function incidentCleared(router, type, timestamp, message) {
+  const since = router.incidents[type];
+  if (since === undefined) return;
+  delete router.incidents[type];
+  storeEvent(router.id, { timestamp, type, severity: 'info', message: `${message} after ${formatDuration(timestamp - since)}`,
+    payload: { since, duration: timestamp - since } });
+}
+
+// A device that is not on the allowlist showed up for the first time: record an `unknown-client` event
+// and run the --on-unknown-device hook (once per device; the device panel highlights it for as long as it stays)
+function alertUnknownClient(routerId, client, timestamp) {
+  logEvent(routerId, { timestamp, type: 'unknown-client', severity: 'warn',
+    message: `Unknown device ${client.name || client.mac} joined (${client.ip || 'no IP'}, ${client.source})`,
+    payload: { mac: client.mac, ip: client.ip, name: client.name, source: client.source } });
+
+  // Replays show what happened; they do not notify anyone again
+  if (!UNKNOWN_DEVICE_HOOK || REPLAY_FILE) return;
+  runHook(UNKNOWN_DEVICE_HOOK, {
+    EVENT: 'unknown-client', ROUTER: routerId, MAC: client.mac, IP: client.ip, NAME: client.name, SOURCE: client.source
+  }).then((result) => {
+    if (result.error && logger) logger.error('hook-error', { hook: 'unknown-client', command: UNKNOWN_DEVICE_HOOK, message: result.error });
+  });
+}
+
+// Format signal strength bars (plain: without colors, for status bars that do not understand ANSI)
+function getSignalBars(bars, plain = false) {
   const filled = '█'.repeat(bars);
   const empty = '░'.repeat(5 - bars);
+  if (plain) return filled + empty;
   let color = colors.red;
   if (bars >= 4) color = colors.green;
   else if (bars >= 3) color = colors.yellow;
@@ -659,7 +1106,8 @@ function getSignalBars(bars) {
 }
 
 // Create ASCII histogram
-function createHistogram(data, maxWidth = 40, color = colors.cyan) {
+// Columns flagged in `gaps` are drawn dim
+function createHistogram(data, maxWidth = 40, color = colors.cyan, gaps = []) {
   if (data.length === 0) return '';
 
   const max = Math.max(...data, 1);
@@ -671,13 +1119,14 @@ function createHistogram(data, maxWidth = 40, color = colors.cyan) {
     for (let i = 0; i < data.length; i++) {
       const value = data[i];
       const normalizedHeight = (value / max) * 5;
+      const columnColor = gaps[i] ? colors.dim : color;
 
       if (normalizedHeight > row + 0.75) {
-        line += color + '█' + colors.reset;
+        line += columnColor + '█' + colors.reset;
       } else if (normalizedHeight > row + 0.25) {
-        line += color + '▄' + colors.reset;
+        line += columnColor + '▄' + colors.reset;
       } else if (normalizedHeight > row) {
-        line += color + '▁' + colors.reset;
+        line += columnColor + '▁' + colors.reset;
       } else {
         line += ' ';
       }
@@ -688,6 +1137,54 @@ function createHistogram(data, maxWidth = 40, color = colors.cyan) {
   return lines.join('\n');
 }
 
+// Names and colors of the links in the per-link views: metered cellular versus free offload
+const LINK_LABELS = { cellular: 'Cellular', wifi: 'WiFi', ethernet: 'Ethernet' };
+const LINK_COLORS = { cellular: colors.yellow, wifi: colors.green, ethernet: colors.blue };
+
+// ASCII histogram of `data` with each column split by link, cellular at the bottom. links[i] holds
+// the link speeds of column i (direction: 'download' or 'upload'); columns without them use `color`.
+// Columns flagged in `gaps` are drawn dim
+function createStackedHistogram(data, links, direction, color = colors.cyan, gaps = []) {
+  if (data.length === 0) return '';
+
+  const max = Math.max(...data, 1);
+  const lines = [];
+
+  // Link at a height of the column (0 bottom, 1 top)
+  const linkAt = (split, position) => {
+    const total = LINKS.reduce((sum, link) => sum + split[link][direction], 0);
+    let reached = 0;
+    for (const link of LINKS) {
+      reached += split[link][direction];
+      if (total > 0 && reached / total >= position) return link;
+    }
+    return 'cellular';
+  };
+
+  for (let row = 4; row >= 0; row--) {
+    let line = '  ';
+    for (let i = 0; i < data.length; i++) {
+      const normalizedHeight = (data[i] / max) * 5;
+      if (normalizedHeight <= row) {
+        line += ' ';
+        continue;
+      }
+
+      // Color a cell by the link filling its middle (or the top of a partly filled cell)
+      let columnColor = color;
+      if (gaps[i]) columnColor = colors.dim;
+      else if (links[i]) columnColor = LINK_COLORS[linkAt(links[i], Math.min(row + 0.5, normalizedHeight) / normalizedHeight)];
+
+      if (normalizedHeight > row + 0.75) line += columnColor + '█' + colors.reset;
+      else if (normalizedHeight > row + 0.25) line += columnColor + '▄' + colors.reset;
+      else line += columnColor + '▁' + colors.reset;
+    }
+    lines.push(line);
+  }
+
+  return lines.join('\n');
+}
+
 // Create horizontal bar graph
 function createBarGraph(label, value, maxValue, width = 30, color = colors.cyan) {
   const percentage = maxValue > 0 ? (value / maxValue) : 0;
@@ -714,31 +1211,31 @@ function createDataBar(label, current, total, width = 30, color = colors.cyan) {
   return `  ${label.padEnd(10)} ${color}${filled}${colors.dim}${empty}${colors.reset} ${percentStr.padStart(5)} ${sizeStr.padStart(10)}`;
 }
 
-// Display stats
-function displayStats(data) {
+// Shown instead of the dashboard when the router answered without the sections we need
+function displayInvalidData(router) {
   console.clear();
+  console.error(`${colors.red}✗${colors.reset} ${routerLabel(router.id)}Invalid data received from router`);
+  console.log(`${colors.dim}The router may not be properly authenticated or the API format has changed${colors.reset}`);
+  console.log(`${colors.dim}Current config: IP=${ROUTER_IP}, User=${USERNAME}${colors.reset}\n`);
+  console.log(`${colors.yellow}To reset credentials:${colors.reset}`);
+  console.log(`  • Press ${colors.cyan}[r]${colors.reset} to reset credentials and restart`);
+  console.log(`  • Or restart with: ${colors.cyan}npm run reset${colors.reset}`);
+  console.log(`  • Or press ${colors.cyan}Ctrl+C${colors.reset} to exit\n`);
+}
 
-  // Validate data structure
-  if (!data || !data.wwan || !data.general || !data.power) {
-    console.error(`${colors.red}✗${colors.reset} Invalid data received from router`);
-    console.log(`${colors.dim}The router may not be properly authenticated or the API format has changed${colors.reset}`);
-    console.log(`${colors.dim}Current config: IP=${ROUTER_IP}, User=${USERNAME}${colors.reset}\n`);
-    console.log(`${colors.yellow}To reset credentials:${colors.reset}`);
-    console.log(`  • Press ${colors.cyan}[r]${colors.reset} to reset credentials and restart`);
-    console.log(`  • Or restart with: ${colors.cyan}npm run reset${colors.reset}`);
-    console.log(`  • Or press ${colors.cyan}Ctrl+C${colors.reset} to exit\n`);
-    return;
-  }
+// Display a router's latest snapshot
+function displayStats(router, snapshot) {
+  console.clear();
 
-  const now = new Date().toLocaleTimeString();
-  const uptime = Math.floor(data.general.upTime / 60);
+  const now = new Date(snapshot.timestamp).toLocaleTimeString();
 
   // Header - 76 chars wide to match panels (74 chars between ║ symbols)
-  const titleText = `Netgear ${data.general.model} Router Monitor`;
+  const routerSuffix = routers.length > 1 ? ` - ${router.id} (${currentRouterIndex + 1}/${routers.length})` : '';
+  const titleText = `Netgear ${snapshot.device.model} Router Monitor${routerSuffix}`;
   const titlePadding = ' '.repeat(Math.max(0, 72 - titleText.length));
 
-  const powerText = `Power: ${data.power.PMState}`;
-  const statusLine = `  ${now}`;
+  const powerText = `Power: ${snapshot.battery.state}`;
+  const statusLine = `  ${now} · every ${currentPollInterval / 1000}s${adaptiveShown ? ' (adaptive)' : ''}`;
   const statusPadding = ' '.repeat(Math.max(0, 72 - statusLine.length - powerText.length));
 
   console.log(`${colors.bright}${colors.cyan}╔══════════════════════════════════════════════════════════════════════════╗${colors.reset}`);
@@ -747,106 +1244,57 @@ function displayStats(data) {
   console.log(`${colors.bright}${colors.cyan}║${colors.reset}${colors.dim}${statusLine}${statusPadding}${powerText}${colors.reset}  ${colors.bright}${colors.cyan}║${colors.reset}`);
   console.log(`${colors.bright}${colors.cyan}╚══════════════════════════════════════════════════════════════════════════╝${colors.reset}\n`);
 
+  if (alertBanner) {
+    const bannerColor = alertBanner.severity === 'error' ? colors.red : colors.yellow;
+    const routerPrefix = routers.length > 1 ? `${alertBanner.router}: ` : '';
+    console.log(`${bannerColor}${colors.bright}⚠ ${routerPrefix}${alertBanner.message}${colors.reset} ${colors.dim}(${formatClock(alertBanner.timestamp)}, [x] dismiss)${colors.reset}\n`);
+  }
+
   // Network Connection
-  const wwan = data.wwan;
-  const wwanAdv = data.wwanadv;
-  const signal = wwan.signalStrength;
+  const { cellular, wifi: wifiOffload, ethernet: ethOffload } = snapshot.links;
+  const signal = snapshot.signal;
+  const isOffloadActive = snapshot.activeLink !== 'cellular';
 
   if (displayOptions.showNetwork) {
     console.log(`${colors.bright}${colors.white}┌─ 📶 Network Connection ────────────────────────────────────────────────┐${colors.reset}`);
 
-    // Check for WiFi offloading
-    const wifiOffload = data.wifi && data.wifi.offload;
-    const wifiOffloadActive = wifiOffload && wifiOffload.enabled && wifiOffload.status === 'On' && wifiOffload.connectionSsid;
-
-    // Check for Ethernet offloading
-    const ethOffload = data.ethernet && data.ethernet.offload;
-    const ethOffloadActive = ethOffload && ethOffload.enabled && ethOffload.on && ethOffload.ipv4Addr && ethOffload.ipv4Addr !== '0.0.0.0';
-
-    if (wifiOffloadActive) {
+    if (snapshot.activeLink === 'wifi') {
       // WiFi offloading is active - show offload info only
-      const offloadBars = getSignalBars(wifiOffload.bars || 0);
-      console.log(`${colors.white}│${colors.reset} ${colors.bright}Status:${colors.reset}    📡 ${colors.green}WiFi Offload${colors.reset} via ${colors.bright}${wifiOffload.connectionSsid}${colors.reset}`);
-      console.log(`${colors.white}│${colors.reset} ${colors.bright}Signal:${colors.reset}    ${offloadBars} ${wifiOffload.bars || 0}/5 bars`);
-      console.log(`${colors.white}│${colors.reset} ${colors.bright}IP:${colors.reset}        ${colors.magenta}${wifiOffload.stationIPv4 || 'N/A'}${colors.reset}`);
-      console.log(`${colors.white}│${colors.reset} ${colors.bright}Cellular:${colors.reset}  ${colors.dim}${wwan.connection} (${wwan.connectionText}) via ${wwan.registerNetworkDisplay} - Standby${colors.reset}`);
-    } else if (ethOffloadActive) {
+      const offloadBars = getSignalBars(wifiOffload.bars);
+      console.log(`${colors.white}│${colors.reset} ${colors.bright}Status:${colors.reset}    📡 ${colors.green}WiFi Offload${colors.reset} via ${colors.bright}${wifiOffload.ssid}${colors.reset}`);
+      console.log(`${colors.white}│${colors.reset} ${colors.bright}Signal:${colors.reset}    ${offloadBars} ${wifiOffload.bars}/5 bars`);
+      console.log(`${colors.white}│${colors.reset} ${colors.bright}IP:${colors.reset}        ${colors.magenta}${wifiOffload.ip || 'N/A'}${colors.reset}`);
+      console.log(`${colors.white}│${colors.reset} ${colors.bright}Cellular:${colors.reset}  ${colors.dim}${cellular.status} (${cellular.technology}) via ${cellular.operator} - Standby${colors.reset}`);
+    } else if (snapshot.activeLink === 'ethernet') {
       // Ethernet offloading is active - show offload info only
       console.log(`${colors.white}│${colors.reset} ${colors.bright}Status:${colors.reset}    🔌 ${colors.green}Ethernet Offload${colors.reset}`);
-      console.log(`${colors.white}│${colors.reset} ${colors.bright}IP:${colors.reset}        ${colors.magenta}${ethOffload.ipv4Addr}${colors.reset}`);
-      console.log(`${colors.white}│${colors.reset} ${colors.bright}Cellular:${colors.reset}  ${colors.dim}${wwan.connection} (${wwan.connectionText}) via ${wwan.registerNetworkDisplay} - Standby${colors.reset}`);
+      console.log(`${colors.white}│${colors.reset} ${colors.bright}IP:${colors.reset}        ${colors.magenta}${ethOffload.ip}${colors.reset}`);
+      console.log(`${colors.white}│${colors.reset} ${colors.bright}Cellular:${colors.reset}  ${colors.dim}${cellular.status} (${cellular.technology}) via ${cellular.operator} - Standby${colors.reset}`);
     } else {
       // No offloading - show normal cellular connection info
-      const dataUsage = wwan.dataUsage && wwan.dataUsage.generic;
-      const lifetimeData = dataUsage ? parseInt(dataUsage.dataTransferred || 0) : 0;
-      const roamingData = dataUsage ? parseInt(dataUsage.dataTransferredRoaming || 0) : 0;
-      const totalLifetimeBytes = lifetimeData + roamingData;
-
-      console.log(`${colors.white}│${colors.reset} ${colors.bright}Status:${colors.reset}    ${colors.green}${wwan.connection}${colors.reset} (${wwan.connectionText}) via ${colors.bright}${wwan.registerNetworkDisplay}${colors.reset}`);
+      console.log(`${colors.white}│${colors.reset} ${colors.bright}Status:${colors.reset}    ${colors.green}${cellular.status}${colors.reset} (${cellular.technology}) via ${colors.bright}${cellular.operator}${colors.reset}`);
       console.log(`${colors.white}│${colors.reset} ${colors.bright}Signal:${colors.reset}    ${getSignalBars(signal.bars)} ${signal.bars}/5 bars`);
       console.log(`${colors.white}│${colors.reset} ${colors.bright}Quality:${colors.reset}   RSRP ${colors.cyan}${signal.rsrp} dBm${colors.reset} │ RSRQ ${colors.cyan}${signal.rsrq} dB${colors.reset} │ SINR ${colors.cyan}${signal.sinr} dB${colors.reset}`);
-      console.log(`${colors.white}│${colors.reset} ${colors.bright}Band:${colors.reset}      ${colors.yellow}${wwanAdv.curBand}${colors.reset} │ IP: ${colors.magenta}${wwan.IP}${colors.reset}`);
-      if (totalLifetimeBytes > 0) {
-        console.log(`${colors.white}│${colors.reset} ${colors.bright}Lifetime:${colors.reset}  ${colors.yellow}${formatBytes(totalLifetimeBytes)}${colors.reset} ${colors.dim}(billing cycle)${colors.reset}`);
+      console.log(`${colors.white}│${colors.reset} ${colors.bright}Band:${colors.reset}      ${colors.yellow}${cellular.band}${colors.reset} │ IP: ${colors.magenta}${cellular.ip}${colors.reset}`);
+      if (snapshot.lifetime.total > 0) {
+        console.log(`${colors.white}│${colors.reset} ${colors.bright}Lifetime:${colors.reset}  ${colors.yellow}${formatBytes(snapshot.lifetime.total)}${colors.reset} ${colors.dim}(billing cycle)${colors.reset}`);
       }
     }
 
-    console.log(`${colors.white}│${colors.reset} ${colors.bright}Session:${colors.reset}   ${Math.floor(wwan.sessDuration / 60)}m ${wwan.sessDuration % 60}s`);
+    console.log(`${colors.white}│${colors.reset} ${colors.bright}Session:${colors.reset}   ${Math.floor(snapshot.sessionDuration / 60)}m ${snapshot.sessionDuration % 60}s`);
 
     // Warning about offload counter accuracy
-    if (wifiOffloadActive || ethOffloadActive) {
+    if (wifiOffload.active || ethOffload.active) {
       console.log(`${colors.white}│${colors.reset} ${colors.yellow}⚠ Note:${colors.reset}     ${colors.dim}Offload counters may be inaccurate due to router firmware${colors.reset}`);
     }
 
     console.log(`${colors.white}└────────────────────────────────────────────────────────────────────────┘${colors.reset}\n`);
   }
 
-  // Data Usage - with safety checks for data structure
-  if (!wwan.dataUsage || !wwan.dataUsage.generic) {
-    console.error(`${colors.red}✗${colors.reset} Invalid data structure received from router`);
-    console.log(`${colors.dim}This might indicate authentication issues or API changes${colors.reset}`);
-    console.log(`${colors.dim}Current config: IP=${ROUTER_IP}, User=${USERNAME}${colors.reset}\n`);
-    console.log(`${colors.yellow}To reset credentials:${colors.reset}`);
-    console.log(`  • Press ${colors.cyan}[r]${colors.reset} to reset credentials and restart`);
-    console.log(`  • Or restart with: ${colors.cyan}npm run reset${colors.reset}`);
-    console.log(`  • Or press ${colors.cyan}Ctrl+C${colors.reset} to exit\n`);
-    return;
-  }
-
-  const dataUsage = wwan.dataUsage.generic;
-
-  // Aggregate data from all sources (cellular + WiFi offload + Ethernet offload)
-  // NOTE: Cellular uses standard convention (TX=Upload, RX=Download)
-  // BUT offload counters are reversed (TX=Download, RX=Upload)!
-  let totalDownload = parseInt(wwan.dataTransferredRx) || 0;  // Cellular: RX = Download
-  let totalUpload = parseInt(wwan.dataTransferredTx) || 0;     // Cellular: TX = Upload
-
-  // Add WiFi offload data if available (reversed convention!)
-  const wifiOffload = data.wifi && data.wifi.offload;
-  if (wifiOffload && wifiOffload.dataTransferred) {
-    totalDownload += parseInt(wifiOffload.dataTransferred.tx) || 0;  // Offload: TX = Download
-    totalUpload += parseInt(wifiOffload.dataTransferred.rx) || 0;     // Offload: RX = Upload
-  }
-
-  // Add Ethernet offload data if available (reversed convention!)
-  const ethOffload = data.ethernet && data.ethernet.offload;
-  if (ethOffload) {
-    totalDownload += parseInt(ethOffload.tx) || 0;  // Offload: TX = Download
-    totalUpload += parseInt(ethOffload.rx) || 0;     // Offload: RX = Upload
-  }
-
+  const { download: totalDownload, upload: totalUpload } = snapshot.totals;
   const totalData = totalDownload + totalUpload;
 
-  // Calculate lifetime usage
-  const lifetimeData = parseInt(dataUsage.dataTransferred || 0);
-  const roamingData = parseInt(dataUsage.dataTransferredRoaming || 0);
-  const totalLifetimeBytes = lifetimeData + roamingData;
-
   if (displayOptions.showBandwidth) {
-    // Check if offloading is active for warning display in header
-    const isOffloadActive = (wifiOffload && wifiOffload.enabled && wifiOffload.status === 'On' && wifiOffload.connectionSsid) ||
-                            (ethOffload && ethOffload.enabled && ethOffload.on && ethOffload.ipv4Addr && ethOffload.ipv4Addr !== '0.0.0.0');
-
     // Show warning in header if offloading is active
     if (isOffloadActive) {
       console.log(`${colors.bright}${colors.white}┌─ Data Usage & Bandwidth ${colors.yellow}⚠ May be inaccurate${colors.white} ───────────────────────┐${colors.reset}`);
@@ -859,11 +1307,13 @@ function displayStats(data) {
     console.log(`${colors.white}│${colors.reset}   ${colors.dim}Total: ${colors.yellow}${formatBytes(totalData)}${colors.reset}`);
 
     // Calculate usage over time periods
-    const usage = calculateUsageOverTime();
+    const usage = calculateUsageOverTime(router.id, snapshot.timestamp, displayOptions.includeGaps);
     if (usage) {
-      // Helper function to format usage entry with fixed width (padded labels, right-aligned values)
-      const formatUsageEntry = (label, bytes) => {
-        const formatted = bytes === null ? '---' : formatBytes(bytes);
+      // Helper function to format usage entry with fixed width (padded labels, right-aligned values).
+      // "~" marks figures that include data moved during a gap
+      const formatUsageEntry = (label, entry) => {
+        const estimated = entry && displayOptions.includeGaps && entry.gap.total > 0;
+        const formatted = entry === null ? '---' : (estimated ? '~' : '') + formatBytes(entry.total);
         const paddedLabel = label.padEnd(3); // Pad label to 3 chars (e.g., "5m ", "1h ", "24h")
         const value = formatted.padStart(9); // Right-align the value part
         // Colorize: cyan label, yellow value
@@ -891,93 +1341,37 @@ function displayStats(data) {
 
         console.log(`${colors.white}│${colors.reset}   ${hourParts.join('')}`);
       }
+
+      // The same periods per link; offload links only when they carried traffic in the last 24h.
+      // "~" follows the period as a whole - gap records do not say which link the estimate is for
+      const day = usage['24h'];
+      if (displayOptions.showLinks && day !== null) {
+        const linkEntry = (entry, link) => entry === null ? null
+          : { total: entry.links[link].download + entry.links[link].upload, gap: entry.gap };
+        const cellularShare = day.total > 0 ? Math.round(linkEntry(day, 'cellular').total / day.total * 100) : 0;
+        console.log(`${colors.white}│${colors.reset}`);
+        console.log(`${colors.white}│${colors.reset} ${colors.bright}By link:${colors.reset} ${colors.dim}(24h: ${cellularShare}% over metered cellular)${colors.reset}`);
+        for (const link of LINKS) {
+          if (link !== 'cellular' && linkEntry(day, link).total === 0) continue;
+          const label = `${LINK_COLORS[link]}${LINK_LABELS[link].padEnd(9)}${colors.reset}`;
+          const minutes = ['5m', '15m', '30m', '45m'].map(period => formatUsageEntry(period, linkEntry(usage[period], link)));
+          const hours = ['1h', '6h', '12h', '24h'].map(period => formatUsageEntry(period, linkEntry(usage[period], link)));
+          console.log(`${colors.white}│${colors.reset}   ${label}${minutes.join('')}`);
+          console.log(`${colors.white}│${colors.reset}   ${' '.repeat(9)}${hours.join('')}`);
+        }
+      }
     }
   }
 
-  // Save timeseries data (raw byte counters) - do this on every poll
-  const timestamp = Date.now();
-
-  // Check for gaps and interpolate missing data before saving current data
-  handleDataGap(timestamp, totalLifetimeBytes);
-
-  // Calculate individual connection type breakdown
-  const cellularDownload = parseInt(wwan.dataTransferredRx) || 0;
-  const cellularUpload = parseInt(wwan.dataTransferredTx) || 0;
-
-  const wifiOffloadDownload = (wifiOffload && wifiOffload.dataTransferred) ? (parseInt(wifiOffload.dataTransferred.tx) || 0) : 0;
-  const wifiOffloadUpload = (wifiOffload && wifiOffload.dataTransferred) ? (parseInt(wifiOffload.dataTransferred.rx) || 0) : 0;
-  const wifiOffloadActive = wifiOffload && wifiOffload.enabled && wifiOffload.status === 'On' && wifiOffload.connectionSsid;
-  const wifiOffloadSsid = wifiOffloadActive ? wifiOffload.connectionSsid : null;
-  const wifiOffloadRssi = wifiOffloadActive ? (wifiOffload.rssi || null) : null;
-  const wifiOffloadBars = wifiOffloadActive ? (wifiOffload.bars || null) : null;
-
-  const ethernetOffloadDownload = ethOffload ? (parseInt(ethOffload.tx) || 0) : 0;
-  const ethernetOffloadUpload = ethOffload ? (parseInt(ethOffload.rx) || 0) : 0;
-  const ethernetOffloadActive = ethOffload && ethOffload.enabled && ethOffload.on && ethOffload.ipv4Addr && ethOffload.ipv4Addr !== '0.0.0.0';
-
-  saveTimeseriesData(
-    timestamp,
-    totalUpload,
-    totalDownload,
-    wwan.sessDuration,
-    totalLifetimeBytes,
-    signal.rsrp,
-    signal.rsrq,
-    signal.sinr,
-    cellularDownload,
-    cellularUpload,
-    wifiOffloadDownload,
-    wifiOffloadUpload,
-    wifiOffloadActive,
-    wifiOffloadSsid,
-    wifiOffloadRssi,
-    wifiOffloadBars,
-    ethernetOffloadDownload,
-    ethernetOffloadUpload,
-    ethernetOffloadActive
-  );
-
-  // Calculate bandwidth if we have previous stats
-  if (previousStats) {
-    const timeDiff = POLL_INTERVAL;
-    // Cellular: standard convention (TX=Upload, RX=Download)
-    // Offload: reversed convention (TX=Download, RX=Upload)
-    // Aggregate previous totals from all sources (just like we did for current totals)
-    let prevDownload = parseInt(previousStats.wwan.dataTransferredRx) || 0;  // Cellular: RX = Download
-    let prevUpload = parseInt(previousStats.wwan.dataTransferredTx) || 0;     // Cellular: TX = Upload
-
-    // Add previous WiFi offload data if available (reversed!)
-    const prevWifiOffload = previousStats.wifi && previousStats.wifi.offload;
-    if (prevWifiOffload && prevWifiOffload.dataTransferred) {
-      prevDownload += parseInt(prevWifiOffload.dataTransferred.tx) || 0;  // Offload: TX = Download
-      prevUpload += parseInt(prevWifiOffload.dataTransferred.rx) || 0;     // Offload: RX = Upload
-    }
+  // Show speeds once the router has two samples
+  if (router.currentSpeed) {
+    const { download: downloadSpeed, upload: uploadSpeed } = router.currentSpeed;
+    const bandwidthHistory = router.bandwidthHistory;
 
-    // Add previous Ethernet offload data if available (reversed!)
-    const prevEthOffload = previousStats.ethernet && previousStats.ethernet.offload;
-    if (prevEthOffload) {
-      prevDownload += parseInt(prevEthOffload.tx) || 0;  // Offload: TX = Download
-      prevUpload += parseInt(prevEthOffload.rx) || 0;     // Offload: RX = Upload
-    }
-
-    const downloadSpeed = calculateBandwidth(totalDownload, prevDownload, timeDiff);
-    const uploadSpeed = calculateBandwidth(totalUpload, prevUpload, timeDiff);
-
-    // Save calculated speed to legacy table (for backward compatibility)
-    saveBandwidthData(downloadSpeed, uploadSpeed);
-
-    // Add to history
-    bandwidthHistory.download.push(downloadSpeed);
-    bandwidthHistory.upload.push(uploadSpeed);
-    if (bandwidthHistory.download.length > bandwidthHistory.maxSamples) {
-      bandwidthHistory.download.shift();
-      bandwidthHistory.upload.shift();
-    }
-
-    // Use max of current speeds for bar graphs (not historical max, which can make current speeds look tiny)
-    const currentMaxSpeed = Math.max(downloadSpeed, uploadSpeed, 1);
-    // Use historical max for histogram scaling
-    const historicalMaxSpeed = Math.max(...bandwidthHistory.download, ...bandwidthHistory.upload, 1);
+    // Use max of current speeds for bar graphs (not historical max, which can make current speeds look tiny)
+    const currentMaxSpeed = Math.max(downloadSpeed, uploadSpeed, 1);
+    // Use historical max for histogram scaling
+    const historicalMaxSpeed = Math.max(...bandwidthHistory.download, ...bandwidthHistory.upload, 1);
 
     if (displayOptions.showBandwidth) {
       console.log(`${colors.white}│${colors.reset}`);
@@ -986,16 +1380,33 @@ function displayStats(data) {
       console.log(`${colors.white}│${colors.reset}${createBarGraph('Upload', uploadSpeed, currentMaxSpeed, 35, colors.magenta)}`);
 
       // Show histogram if we have enough data AND it's enabled
-      if (displayOptions.showHistory && bandwidthHistory.download.length >= 5) {
+      // Points spanning a gap are drawn dim, or left out when gaps are excluded
+      const gaps = bandwidthHistory.gaps;
+      const shown = (values) => displayOptions.includeGaps ? values : values.filter((_, i) => !gaps[i]);
+      const historyDownload = shown(bandwidthHistory.download);
+      if (displayOptions.showHistory && historyDownload.length >= 5) {
         console.log(`${colors.white}│${colors.reset}`);
-        console.log(`${colors.white}│${colors.reset} ${colors.bright}History:${colors.reset} ${colors.dim}(${bandwidthHistory.download.length} samples)${colors.reset}`);
-        const histoDownload = createHistogram(bandwidthHistory.download, 66, colors.cyan);
-        const histoUpload = createHistogram(bandwidthHistory.upload, 66, colors.magenta);
+        console.log(`${colors.white}│${colors.reset} ${colors.bright}History:${colors.reset} ${colors.dim}(${historyDownload.length} samples)${colors.reset}`);
+        const gapMarks = displayOptions.includeGaps ? gaps : [];
+        let histoDownload;
+        let histoUpload;
+        if (displayOptions.showLinks) {
+          const links = shown(bandwidthHistory.links);
+          histoDownload = createStackedHistogram(historyDownload, links, 'download', colors.cyan, gapMarks);
+          histoUpload = createStackedHistogram(shown(bandwidthHistory.upload), links, 'upload', colors.magenta, gapMarks);
+        } else {
+          histoDownload = createHistogram(historyDownload, 66, colors.cyan, gapMarks);
+          histoUpload = createHistogram(shown(bandwidthHistory.upload), 66, colors.magenta, gapMarks);
+        }
 
         console.log(`${colors.white}│${colors.reset}   ${colors.cyan}DL:${colors.reset}`);
         histoDownload.split('\n').forEach(line => console.log(`${colors.white}│${colors.reset}${line}`));
         console.log(`${colors.white}│${colors.reset}   ${colors.magenta}UL:${colors.reset}`);
         histoUpload.split('\n').forEach(line => console.log(`${colors.white}│${colors.reset}${line}`));
+        if (displayOptions.showLinks) {
+          const legend = LINKS.map(link => `${LINK_COLORS[link]}█${colors.reset} ${LINK_LABELS[link]}`).join('  ');
+          console.log(`${colors.white}│${colors.reset}   ${legend}  ${colors.dim}(cellular is metered)${colors.reset}`);
+        }
       }
     }
   }
@@ -1005,42 +1416,276 @@ function displayStats(data) {
   }
 
   // Device Information
-  const power = data.power;
-  const general = data.general;
-  const wifi = data.wifi;
-  const clients = data.router.clientList.filter(c => c.IP);
+  const device = snapshot.device;
+  const wifi = snapshot.wifi;
+  const clients = snapshot.clients;
 
   if (displayOptions.showDevice) {
+    // Allowlist and first-seen times (read only while the panel is shown); devices without a known MAC are highlighted
+    const known = db ? loadKnownDevices(db) : new Map();
+    const seen = db && displayOptions.showVerbose ? new Map(seenClients(db, router.id).map(c => [c.mac, c])) : new Map();
+    const unknown = clients.filter(client => client.mac && !known.has(client.mac));
+
     // Temperature color
     let tempColor = colors.green;
-    if (general.devTemperature > 60) tempColor = colors.red;
-    else if (general.devTemperature > 50) tempColor = colors.yellow;
+    if (device.temperature > 60) tempColor = colors.red;
+    else if (device.temperature > 50) tempColor = colors.yellow;
 
     console.log(`${colors.bright}${colors.white}┌─ 🖥️  Device & WiFi Status ─────────────────────────────────────────────┐${colors.reset}`);
-    console.log(`${colors.white}│${colors.reset} ${colors.bright}Device:${colors.reset}    🌡️  ${tempColor}${general.devTemperature}°C${colors.reset} │ ⏱️  Uptime ${Math.floor(general.upTime / 60)}m ${general.upTime % 60}s │ 🔌 ${power.PMState}`);
-    console.log(`${colors.white}│${colors.reset} ${colors.bright}WiFi:${colors.reset}      📡 ${colors.cyan}${wifi.SSID}${colors.reset} (${wifi.status}) │ 🔓 ${colors.magenta}${wifi.guest.SSID}${colors.reset} (${wifi.guest.status})`);
-    console.log(`${colors.white}│${colors.reset} ${colors.bright}Clients:${colors.reset}   👥 ${colors.yellow}${clients.length}${colors.reset}/${wifi.maxClientLimit} devices connected`);
+    console.log(`${colors.white}│${colors.reset} ${colors.bright}Device:${colors.reset}    🌡️  ${tempColor}${device.temperature}°C${colors.reset} │ ⏱️  Uptime ${Math.floor(device.upTime / 60)}m ${device.upTime % 60}s │ 🔌 ${snapshot.battery.state}`);
+    console.log(`${colors.white}│${colors.reset} ${colors.bright}WiFi:${colors.reset}      📡 ${colors.cyan}${wifi.ssid}${colors.reset} (${wifi.status}) │ 🔓 ${colors.magenta}${wifi.guest.ssid}${colors.reset} (${wifi.guest.status})`);
+    const unknownText = unknown.length > 0 ? ` │ ${colors.red}${colors.bright}⚠ ${unknown.length} unknown${colors.reset}` : '';
+    console.log(`${colors.white}│${colors.reset} ${colors.bright}Clients:${colors.reset}   👥 ${colors.yellow}${clients.length}${colors.reset}/${wifi.maxClients} devices connected${unknownText}`);
 
     if (displayOptions.showVerbose) {
       console.log(`${colors.white}│${colors.reset}`);
       console.log(`${colors.white}│${colors.reset} ${colors.bright}Connected Devices:${colors.reset}`);
       clients.forEach((client, index) => {
-        const deviceName = client.name === '*' ? 'Unknown Device' : client.name;
-        const source = client.source === 'PrimaryAP' ? '📡' : '🔓';
-        console.log(`${colors.white}│${colors.reset}   ${index + 1}. ${colors.green}${deviceName}${colors.reset}`);
-        console.log(`${colors.white}│${colors.reset}      ${source} ${client.IP} │ MAC: ${client.MAC}`);
+        const device = known.get(client.mac);
+        const deviceName = (device && device.alias) || client.name || 'Unknown Device';
+        const reported = device && device.alias && client.name ? ` ${colors.dim}(${client.name})${colors.reset}` : '';
+        const source = client.source === 'primary' ? '📡' : '🔓';
+        const firstSeen = seen.has(client.mac) ? ` │ first seen ${formatStamp(seen.get(client.mac).first_seen)}` : '';
+        if (device || !client.mac) {
+          console.log(`${colors.white}│${colors.reset}   ${index + 1}. ${colors.green}${deviceName}${colors.reset}${reported}`);
+        } else {
+          console.log(`${colors.white}│${colors.reset}   ${index + 1}. ${colors.red}${colors.bright}⚠ ${deviceName} - unknown device${colors.reset}`);
+        }
+        console.log(`${colors.white}│${colors.reset}      ${source} ${client.ip} │ MAC: ${client.mac}${colors.dim}${firstSeen}${colors.reset}`);
+      });
+    } else {
+      unknown.forEach((client) => {
+        const source = client.source === 'primary' ? '📡' : '🔓';
+        console.log(`${colors.white}│${colors.reset}   ${colors.red}${colors.bright}⚠ Unknown device:${colors.reset} ${colors.red}${client.name || 'no name'} ${source} ${client.ip} │ MAC: ${client.mac}${colors.reset}`);
       });
     }
 
     console.log(`${colors.white}└────────────────────────────────────────────────────────────────────────┘${colors.reset}\n`);
   }
 
-  // Help text
-  const shortcutsLine1 = ['[n] Network', '[b] Bandwidth', '[h] History', '[d] Device/WiFi'];
-  const shortcutsLine2 = ['[v] Verbose', '[r] Reset Credentials', '[q] Quit'];
+  if (displayOptions.showBilling) {
+    displayBillingCycle(router.id, snapshot.timestamp);
+  }
+
+  if (displayOptions.showClients) {
+    displayClientHistory(router.id, snapshot.timestamp);
+  }
+
+  if (displayOptions.showTimeline) {
+    displayTimeline(router.id);
+  }
+
+  displayShortcuts();
+}
+
+// "14:05"
+function formatClock(timestamp) {
+  const date = new Date(timestamp);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// "03-01"
+function formatDay(timestamp) {
+  const date = new Date(timestamp);
+  return `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// "03-01 14:05" - for times that are not necessarily today
+function formatStamp(timestamp) {
+  return `${formatDay(timestamp)} ${formatClock(timestamp)}`;
+}
+
+// "<1m", "45m", "3h 05m", "2d 4h"
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return '<1m';
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+  return `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`;
+}
+
+// Client sessions of the last 24 hours, newest first; "now" marks devices still connected
+function displayClientHistory(routerId, now) {
+  const sessions = db ? sessionsBetween(db, routerId, now - 24 * 60 * 60 * 1000, now) : [];
+  const known = db ? loadKnownDevices(db) : new Map();
+
+  console.log(`${colors.bright}${colors.white}┌─ 👥 Client History (24h) ──────────────────────────────────────────────┐${colors.reset}`);
+  if (sessions.length === 0) {
+    console.log(`${colors.white}│${colors.reset} ${colors.dim}No clients recorded yet${colors.reset}`);
+  }
+  sessions.slice(0, 12).forEach((session) => {
+    const connected = session.end_time === null;
+    const until = connected ? `${colors.green}now  ${colors.reset}` : formatClock(session.end_time);
+    const duration = formatDuration((connected ? session.last_seen : session.end_time) - session.start_time);
+    const source = session.source === 'guest' ? '🔓' : '📡';
+    const device = known.get(session.mac);
+    const name = ((device && device.alias) || session.name || 'Unknown Device').slice(0, 16).padEnd(17);
+    console.log(`${colors.white}│${colors.reset} ${formatClock(session.start_time)}–${until} ${colors.dim}${duration.padStart(7)}${colors.reset}  ` +
+      `${source} ${device ? colors.green : colors.red}${name}${colors.reset}${(session.ip || '').padEnd(16)}${colors.dim}${session.mac}${colors.reset}`);
+  });
+  if (sessions.length > 12) {
+    console.log(`${colors.white}│${colors.reset} ${colors.dim}... ${sessions.length - 12} more (router-stats clients --since 24h)${colors.reset}`);
+  }
+  console.log(`${colors.white}└────────────────────────────────────────────────────────────────────────┘${colors.reset}\n`);
+}
+
+// Cellular data used in the current billing cycle against the plan, and where the cycle is heading
+function displayBillingCycle(routerId, now) {
+  if (!db || !hasTable('billing_cycles')) return;
+  const plan = loadBillingPlan(routerId);
+  if (!plan) return;
+  const cycle = cycleStatus(db, routerId, plan, now);
+
+  const title = `─ 📅 Billing Cycle ${formatDay(cycle.start)} → ${formatDay(cycle.end - 1)} `;
+  console.log(`${colors.bright}${colors.white}┌${title}${'─'.repeat(Math.max(0, 72 - title.length))}┐${colors.reset}`);
+  if (cycle.allowance !== null) {
+    const share = Math.min(1, cycle.used / cycle.allowance);
+    const barColor = cycle.percent >= 90 ? colors.red : (cycle.percent >= 75 ? colors.yellow : colors.green);
+    const rollover = cycle.rolloverIn > 0 ? ` ${colors.dim}(${formatBytes(plan.cap)} + ${formatBytes(cycle.rolloverIn)} rollover)${colors.reset}` : '';
+    console.log(`${colors.white}│${colors.reset} ${colors.bright}Used:${colors.reset}      ${barColor}${'▓'.repeat(Math.floor(share * 30))}${colors.dim}${'░'.repeat(30 - Math.floor(share * 30))}${colors.reset} ` +
+      `${barColor}${cycle.percent.toFixed(1)}%${colors.reset} ${formatBytes(cycle.used)} of ${formatBytes(cycle.allowance)}${rollover}`);
+    console.log(`${colors.white}│${colors.reset} ${colors.bright}Remaining:${colors.reset} ${colors.cyan}${formatBytes(cycle.remaining)}${colors.reset} │ ` +
+      `${Math.ceil(cycle.remainingDays)} day(s) left │ ${formatBytes(cycle.dailyAverage)}/day average`);
+  } else {
+    console.log(`${colors.white}│${colors.reset} ${colors.bright}Used:${colors.reset}      ${colors.cyan}${formatBytes(cycle.used)}${colors.reset} ${colors.dim}(no cap)${colors.reset} │ ` +
+      `${Math.ceil(cycle.remainingDays)} day(s) left │ ${formatBytes(cycle.dailyAverage)}/day average`);
+  }
+
+  const range = cycle.range ? ` ${colors.dim}(${formatBytes(cycle.range.low)} – ${formatBytes(cycle.range.high)})${colors.reset}` : '';
+  let verdict = '';
+  if (cycle.allowance !== null) {
+    if (cycle.projected > cycle.allowance) verdict = ` ${colors.red}⚠ over by ${formatBytes(cycle.projected - cycle.allowance)}${colors.reset}`;
+    else if (cycle.range && cycle.range.high > cycle.allowance) verdict = ` ${colors.yellow}⚠ may go over${colors.reset}`;
+    else verdict = ` ${colors.green}✓ within cap${colors.reset}`;
+  }
+  console.log(`${colors.white}│${colors.reset} ${colors.bright}Projected:${colors.reset} ${formatBytes(Math.round(cycle.projected))}${range}${verdict}`);
+  if (cycle.partial) {
+    console.log(`${colors.white}│${colors.reset} ${colors.yellow}Partial cycle:${colors.reset} ${colors.dim}recorded since ${formatDay(cycle.since)}, earlier usage is not counted${colors.reset}`);
+  }
+  console.log(`${colors.white}└────────────────────────────────────────────────────────────────────────┘${colors.reset}\n`);
+}
+
+// Events of a router, newest first, TIMELINE_ROWS at a time from timelineOffset (↑/↓ scroll)
+function displayTimeline(routerId) {
+  const events = db && hasTable('events') ? eventsBetween(db, { routerIds: [routerId], limit: timelineOffset + TIMELINE_ROWS + 1 }) : [];
+  // Scrolled past the end (events were pruned, router switched): show the oldest page
+  timelineOffset = Math.max(0, Math.min(timelineOffset, events.length - TIMELINE_ROWS));
+  const page = events.slice(timelineOffset, timelineOffset + TIMELINE_ROWS);
+  const severityColor = { info: colors.white, warn: colors.yellow, error: colors.red };
+
+  console.log(`${colors.bright}${colors.white}┌─ 🕑 Event Timeline ────────────────────────────────────────────────────┐${colors.reset}`);
+  if (page.length === 0) {
+    console.log(`${colors.white}│${colors.reset} ${colors.dim}No events recorded yet${colors.reset}`);
+  }
+  if (timelineOffset > 0) {
+    console.log(`${colors.white}│${colors.reset} ${colors.dim}↑ ${timelineOffset} newer${colors.reset}`);
+  }
+  for (const event of page) {
+    console.log(`${colors.white}│${colors.reset} ${colors.dim}${formatStamp(event.timestamp)}${colors.reset}  ${colors.cyan}${event.type.padEnd(13)}${colors.reset}` +
+      `${severityColor[event.severity] || colors.white}${(event.message || '').slice(0, 46)}${colors.reset}`);
+  }
+  if (events.length > timelineOffset + TIMELINE_ROWS) {
+    console.log(`${colors.white}│${colors.reset} ${colors.dim}↓ older${colors.reset}`);
+  }
+  console.log(`${colors.white}└────────────────────────────────────────────────────────────────────────┘${colors.reset}\n`);
+}
+
+// Help text
+function displayShortcuts() {
+  const shortcutsLine1 = ['[n] Network', '[b] Bandwidth', '[h] History', '[d] Device/WiFi', '[p] Plan', '[c] Clients', '[t] Timeline'];
+  const shortcutsLine2 = ['[v] Verbose', '[l] Links', `[g] Gaps ${displayOptions.includeGaps ? 'on' : 'off'}`, '[r] Reset Credentials', '[q] Quit'];
 
   console.log(`${colors.dim}${shortcutsLine1.join(' │ ')}${colors.reset}`);
   console.log(`${colors.dim}${shortcutsLine2.join(' │ ')}${colors.reset}`);
+  if (routers.length > 1) {
+    console.log(`${colors.dim}${['[s] Switch Router', '[a] All Routers'].join(' │ ')}${colors.reset}`);
+  }
+}
+
+// Combined view: one line per router plus totals
+function displaySummary(timestamp = Date.now()) {
+  console.clear();
+
+  const titleText = `Netgear Router Monitor - All Routers (${routers.length})`;
+  const titlePadding = ' '.repeat(Math.max(0, 72 - titleText.length));
+  const statusLine = `  ${new Date(timestamp).toLocaleTimeString()}`;
+
+  console.log(`${colors.bright}${colors.cyan}╔══════════════════════════════════════════════════════════════════════════╗${colors.reset}`);
+  console.log(`${colors.bright}${colors.cyan}║${colors.reset}  ${colors.bright}${titleText}${colors.reset}${titlePadding}${colors.bright}${colors.cyan}║${colors.reset}`);
+  console.log(`${colors.bright}${colors.cyan}╠══════════════════════════════════════════════════════════════════════════╣${colors.reset}`);
+  console.log(`${colors.bright}${colors.cyan}║${colors.reset}${colors.dim}${statusLine.padEnd(74)}${colors.reset}${colors.bright}${colors.cyan}║${colors.reset}`);
+  console.log(`${colors.bright}${colors.cyan}╚══════════════════════════════════════════════════════════════════════════╝${colors.reset}\n`);
+
+  console.log(`${colors.bright}${colors.white}┌─ 📶 All Routers ───────────────────────────────────────────────────────┐${colors.reset}`);
+  console.log(`${colors.white}│${colors.reset} ${colors.dim}${'#'.padEnd(3)} ${'Router'.padEnd(11)}${'Link'.padEnd(17)}${'Signal'.padEnd(6)}${'Download'.padStart(11)}${'Upload'.padStart(11)}${'24h'.padStart(10)}${colors.reset}`);
+
+  let totalDownload = 0;
+  let totalUpload = 0;
+  let total24h = 0;
+
+  routers.forEach((router, index) => {
+    const marker = index === currentRouterIndex ? `${colors.cyan}▸${colors.reset}` : ' ';
+    const name = router.id.slice(0, 10).padEnd(11);
+    const snapshot = router.lastSnapshot;
+
+    if (!snapshot) {
+      const reason = router.error || 'Waiting for data...';
+      console.log(`${colors.white}│${colors.reset}${marker}${String(index + 1).padEnd(3)} ${colors.bright}${name}${colors.reset}${colors.red}✗ ${reason.slice(0, 55)}${colors.reset}`);
+      return;
+    }
+
+    const { cellular, wifi } = snapshot.links;
+    let link = `${cellular.technology} ${cellular.operator}`;
+    let bars = snapshot.signal.bars;
+    if (snapshot.activeLink === 'wifi') {
+      link = `WiFi ${wifi.ssid}`;
+      bars = wifi.bars;
+    } else if (snapshot.activeLink === 'ethernet') {
+      link = 'Ethernet';
+    }
+
+    const speed = router.currentSpeed || { download: 0, upload: 0 };
+    const usage = calculateUsageOverTime(router.id, snapshot.timestamp, displayOptions.includeGaps);
+    const day = usage && usage['24h'] !== null ? usage['24h'].total : 0;
+    totalDownload += speed.download;
+    totalUpload += speed.upload;
+    total24h += day;
+
+    const stale = router.error ? ` ${colors.red}!${colors.reset}` : '';
+    console.log(`${colors.white}│${colors.reset}${marker}${String(index + 1).padEnd(3)} ${colors.bright}${name}${colors.reset}${link.slice(0, 16).padEnd(17)}${getSignalBars(bars)} ` +
+      `${colors.cyan}${(formatBytes(speed.download) + '/s').padStart(11)}${colors.reset}${colors.magenta}${(formatBytes(speed.upload) + '/s').padStart(11)}${colors.reset}${colors.yellow}${formatBytes(day).padStart(10)}${colors.reset}${stale}`);
+  });
+
+  console.log(`${colors.white}│${colors.reset}`);
+  console.log(`${colors.white}│${colors.reset} ${colors.bright}${'Total'.padEnd(3 + 1 + 11 + 17 + 6)}${colors.reset}` +
+    `${colors.cyan}${(formatBytes(totalDownload) + '/s').padStart(11)}${colors.reset}${colors.magenta}${(formatBytes(totalUpload) + '/s').padStart(11)}${colors.reset}${colors.yellow}${formatBytes(total24h).padStart(10)}${colors.reset}`);
+  console.log(`${colors.white}└────────────────────────────────────────────────────────────────────────┘${colors.reset}\n`);
+
+  displayShortcuts();
+}
+
+// Redraw the dashboard from the routers' last samples
+function render() {
+  if (displayOptions.showSummary && routers.length > 1) {
+    displaySummary();
+    return;
+  }
+
+  const router = routers[currentRouterIndex];
+  if (router && router.lastSnapshot) {
+    displayStats(router, router.lastSnapshot);
+  } else if (router && router.lastTimestamp) {
+    displayInvalidData(router);
+  }
+}
+
+// Rendering is best effort: the samples are already stored, so a broken frame is reported and skipped
+function safeRender() {
+  try {
+    render();
+  } catch (error) {
+    console.error(`${colors.red}✗${colors.reset} Display error:`, error.message);
+  }
 }
 
 // Setup keyboard input
@@ -1073,6 +1718,10 @@ function setupKeyboardInput(refreshCallback) {
         displayOptions.showHistory = !displayOptions.showHistory;
         shouldRefresh = true;
         break;
+      case 'l':
+        displayOptions.showLinks = !displayOptions.showLinks;
+        shouldRefresh = true;
+        break;
       case 'd':
         displayOptions.showDevice = !displayOptions.showDevice;
         shouldRefresh = true;
@@ -1081,15 +1730,60 @@ function setupKeyboardInput(refreshCallback) {
         displayOptions.showVerbose = !displayOptions.showVerbose;
         shouldRefresh = true;
         break;
-      case 'r':
-        console.log(`\n\n${colors.yellow}⟳${colors.reset} Resetting credentials...`);
+      case 'p':
+        displayOptions.showBilling = !displayOptions.showBilling;
+        shouldRefresh = true;
+        break;
+      case 'x':
+        shouldRefresh = alertBanner !== null;
+        alertBanner = null;
+        break;
+      case 'c':
+        displayOptions.showClients = !displayOptions.showClients;
+        shouldRefresh = true;
+        break;
+      case 't':
+        displayOptions.showTimeline = !displayOptions.showTimeline;
+        timelineOffset = 0;
+        shouldRefresh = true;
+        break;
+      case 'up':
+      case 'down':
+        if (displayOptions.showTimeline) {
+          timelineOffset = Math.max(0, timelineOffset + (key.name === 'down' ? 1 : -1));
+          shouldRefresh = true;
+        }
+        break;
+      case 'g':
+        displayOptions.includeGaps = !displayOptions.includeGaps;
+        shouldRefresh = true;
+        break;
+      case 's':
+        if (routers.length > 1) {
+          selectRouter((currentRouterIndex + 1) % routers.length);
+          displayOptions.showSummary = false;
+          shouldRefresh = true;
+        }
+        break;
+      case 'a':
+        if (routers.length > 1) {
+          displayOptions.showSummary = !displayOptions.showSummary;
+          shouldRefresh = true;
+        }
+        break;
+      case 'r': {
+        // Viewers do not own the credentials; reset them where the collector runs
+        if (COMMAND === 'attach') break;
+        const router = routers[currentRouterIndex];
+        console.log(`\n\n${colors.yellow}⟳${colors.reset} Resetting credentials${routers.length > 1 ? ` for ${router.id}` : ''}...`);
         console.log(`${colors.dim}The application will restart and prompt for new credentials${colors.reset}\n`);
         if (db) {
-          db.prepare('DELETE FROM settings WHERE key = ?').run('credentials');
+          deleteCredentials(routers.length > 1 ? router.id : null);
           db.close();
         }
         process.exit(0);
         break;
+      }
       case 'q':
         console.log(`\n\n${colors.yellow}Shutting down...${colors.reset}`);
         if (db) db.close();
@@ -1097,7 +1791,7 @@ function setupKeyboardInput(refreshCallback) {
         break;
     }
 
-    // Save settings and instant refresh on keypress
+    // Save settings and instantly redraw on keypress (from the last samples - polling keeps its own schedule)
     if (shouldRefresh) {
       saveSettings();
       if (refreshCallback) {
@@ -1107,130 +1801,1441 @@ function setupKeyboardInput(refreshCallback) {
   });
 }
 
+// Log in to one router, prompting again for its credentials on failure
+async function connectRouter(router) {
+  const maxRetries = 3;
+
+  for (let retryCount = 0; retryCount < maxRetries; retryCount++) {
+    if (!(await initSession(router))) {
+      console.log(`${colors.red}Failed to connect to router at ${router.ip}${colors.reset}`);
+
+      // With several routers one being offline is normal - keep polling it alongside the others
+      if (routers.length > 1) {
+        console.log(`${colors.dim}Will keep retrying while monitoring the other routers${colors.reset}\n`);
+        return true;
+      }
+      console.log(`${colors.dim}Please check IP address and network connection${colors.reset}\n`);
+    } else if (!(await login(router))) {
+      console.log(`${colors.red}${routerLabel(router.id)}Login failed - wrong password?${colors.reset}\n`);
+    } else {
+      return true;
+    }
+
+    // Replace bad credentials and try again
+    const credentials = await promptForCredentials();
+    saveCredentials(credentials.ip, credentials.username, credentials.password, router.id);
+    router.ip = credentials.ip;
+    router.username = credentials.username;
+    router.password = credentials.password;
+  }
+
+  return false;
+}
+
+// Fetch one router's stats and record them; returns false when the poll failed
+async function pollRouter(router) {
+  const stats = await fetchStats(router);
+  if (!stats) {
+    publishRouter(router);
+    return false;
+  }
+
+  const timestamp = Date.now();
+  if (RECORD_FILE) {
+    appendCapture(RECORD_FILE, stats, timestamp, router.id);
+  }
+  const snapshot = collectSnapshot(router, stats, timestamp, currentPollInterval);
+
+  if (logger) {
+    if (snapshot) {
+      const speed = router.currentSpeed || { download: 0, upload: 0 };
+      logger.info('poll', { router: router.id, link: snapshot.activeLink, download: Math.round(speed.download), upload: Math.round(speed.upload), lifetime: snapshot.lifetime.total });
+    } else {
+      logger.warn('invalid-data', { router: router.id });
+    }
+  }
+  publishRouter(router);
+  return true;
+}
+
+// Everything a viewer needs to draw a router exactly like the collector would
+function routerMessage(router) {
+  return {
+    type: 'router',
+    id: router.id,
+    snapshot: router.lastSnapshot,
+    timestamp: router.lastTimestamp,
+    speed: router.currentSpeed,
+    history: router.bandwidthHistory,
+    error: router.error,
+    pollInterval: currentPollInterval,
+    adaptive: ADAPTIVE_POLLING
+  };
+}
+
+function publishRouter(router) {
+  if (collectorServer) collectorServer.broadcast(routerMessage(router));
+}
+
+// Become the one collector for this database: take the lock and open the socket for viewers
+async function claimCollector() {
+  if (DB_PATH === ':memory:') return;
+
+  let releaseLock;
+  try {
+    releaseLock = acquireLock(LOCK_PATH);
+  } catch (error) {
+    if (!(error instanceof LockedError)) throw error;
+    notify('error', 'locked', { db: DB_PATH, pid: error.pid },
+      `${colors.red}✗${colors.reset} Another collector (pid ${error.pid}) is already writing to ${DB_PATH}\n` +
+      `  ${colors.dim}Watch it with:${colors.reset} ${colors.cyan}router-stats attach${getArgValue('--db') ? ` --db ${DB_PATH}` : ''}${colors.reset}`);
+    db.close();
+    process.exit(1);
+  }
+
+  collectorServer = new CollectorServer(SOCKET_PATH);
+  process.on('exit', () => {
+    collectorServer.close();
+    releaseLock();
+  });
+
+  // New viewers get the router list and the latest state of every router right away
+  await collectorServer.listen((send) => {
+    send({ type: 'hello', pid: process.pid, routers: routers.map(r => r.id) });
+    routers.forEach(router => send(routerMessage(router)));
+  });
+}
+
+// Long-running sessions prune old rows every hour, not only at startup
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+let lastCleanup = 0;
+
+function cleanOldDataPeriodically(now = Date.now()) {
+  if (now - lastCleanup < CLEANUP_INTERVAL) return;
+  lastCleanup = now;
+  cleanOldData(now);
+}
+
+// The busiest router sets the pace when several are polled together
+function nextPollInterval() {
+  currentPollInterval = ADAPTIVE_POLLING ? Math.min(...routers.map(r => r.pollInterval)) : POLL_INTERVAL;
+  return currentPollInterval;
+}
+
+// Replay a capture file through the display and database pipeline instead of polling the router
+async function replay() {
+  if (!fs.existsSync(REPLAY_FILE)) {
+    console.error(`${colors.red}✗${colors.reset} Capture file not found: ${REPLAY_FILE}`);
+    process.exit(1);
+  }
+
+  const speed = REPLAY_SPEED === 'max' ? Infinity : (parseFloat(REPLAY_SPEED) || 1);
+  console.log(`${colors.green}✓${colors.reset} Replaying ${REPLAY_FILE} at ${speed === Infinity ? 'max' : speed + 'x'} speed`);
+
+  // Keys redraw the last replayed samples
+  setupKeyboardInput(safeRender);
+
+  let invalidLines = 0;
+  const count = await replayCapture(REPLAY_FILE, {
+    speed,
+    onSample: (stats, timestamp, routerId) => {
+      // Captures from several routers carry the profile name; older captures belong to the default one
+      const id = routerId || DEFAULT_ROUTER_ID;
+      let router = routers.find(r => r.id === id);
+      if (!router) {
+        router = createRouterState({ name: id });
+        routers.push(router);
+      }
+      collectSnapshot(router, stats, timestamp);
+      safeRender();
+    },
+    onInvalid: () => invalidLines++
+  });
+
+  console.log(`\n${colors.green}✓${colors.reset} Replay finished: ${count} samples${invalidLines > 0 ? ` (${invalidLines} invalid lines skipped)` : ''}`);
+  if (db) db.close();
+  process.exit(0);
+}
+
+// Human-readable name of the link traffic goes through
+function describeLink(snapshot) {
+  const { wifi, cellular } = snapshot.links;
+  if (snapshot.activeLink === 'wifi') return `WiFi offload via ${wifi.ssid}`;
+  if (snapshot.activeLink === 'ethernet') return 'Ethernet offload';
+  return `Cellular (${cellular.technology} ${cellular.operator})`;
+}
+
+// Fetch one model.json for a profile; exits with the matching code when that is impossible
+async function fetchOnce(profile, fail) {
+  const client = new Mr1100Client({ host: profile.ip, username: profile.username, password: profile.password });
+  try {
+    return await client.getModel();
+  } catch (error) {
+    if (error instanceof NetworkError) return fail(EXIT_CODES.unreachable, 'unreachable', error.message);
+    if (error instanceof AuthError) return fail(EXIT_CODES.auth, 'auth', error.message);
+    if (error instanceof InvalidResponseError) return fail(EXIT_CODES.invalid, 'invalid-response', error.message);
+    return fail(EXIT_CODES.error, 'error', error.message);
+  } finally {
+    client.close();
+  }
+}
+
+// `router-stats status [--json]`: log in, fetch once, print the router's state and exit.
+// The exit code tells scripts whether the router is unreachable, refused the login or has no WAN.
+async function status() {
+  const json = process.argv.includes('--json');
+
+  let profile = null;
+  const fail = (code, reason, message) => {
+    if (json) {
+      console.log(JSON.stringify({ router: profile ? profile.name : null, ok: false, error: reason, message }, null, 2));
+    } else {
+      console.error(`${colors.red}✗${colors.reset} ${message}`);
+    }
+    process.exit(code);
+  };
+
+  openExistingDatabase();
+  try {
+    await unlockCredentials();
+  } catch (error) {
+    if (!(error instanceof CredentialKeyError)) throw error;
+    return fail(EXIT_CODES.error, 'credentials-key', error.message);
+  }
+  profile = filterSelectedRouters(loadHeadlessProfiles())[0];
+  if (db) db.close();
+
+  if (!profile) {
+    return fail(EXIT_CODES.error, 'no-credentials', 'No saved router profile and ROUTER_PASSWORD is not set');
+  }
+  if (profile.password === null) {
+    return fail(EXIT_CODES.error, 'credentials-locked', LOCKED_MESSAGE);
+  }
+
+  const snapshot = parseSnapshot(await fetchOnce(profile, fail), Date.now());
+  if (!snapshot) {
+    return fail(EXIT_CODES.invalid, 'invalid-data', 'Router answered without the expected data (not logged in?)');
+  }
+
+  const { cellular } = snapshot.links;
+  const session = { duration: snapshot.sessionDuration, download: snapshot.totals.download, upload: snapshot.totals.upload };
+
+  if (json) {
+    console.log(JSON.stringify({
+      router: profile.name,
+      ip: profile.ip,
+      timestamp: snapshot.timestamp,
+      ok: snapshot.connected,
+      state: snapshot.connected ? 'connected' : 'disconnected',
+      activeLink: snapshot.activeLink,
+      link: snapshot.links[snapshot.activeLink],
+      cellular,
+      signal: snapshot.signal,
+      session,
+      lifetime: snapshot.lifetime,
+      battery: snapshot.battery,
+      clients: snapshot.clients.length
+    }, null, 2));
+  } else {
+    const state = snapshot.connected ? `${colors.green}Connected${colors.reset}` : `${colors.red}Disconnected${colors.reset}`;
+    const battery = snapshot.battery;
+    const signal = snapshot.signal;
+    console.log(`${colors.bright}${profile.name}${colors.reset} ${colors.dim}(${profile.ip}, ${snapshot.device.model})${colors.reset}`);
+    console.log(`  State:     ${state} ${snapshot.connected ? 'via ' + describeLink(snapshot) : `(${describeLink(snapshot)})`}`);
+    console.log(`  Signal:    ${getSignalBars(signal.bars)} ${signal.bars}/5 │ RSRP ${signal.rsrp} dBm │ RSRQ ${signal.rsrq} dB │ SINR ${signal.sinr} dB`);
+    console.log(`  Band:      ${cellular.band} │ IP ${snapshot.links[snapshot.activeLink].ip || '-'}${cellular.roaming ? ' │ roaming' : ''}`);
+    console.log(`  Session:   ${Math.floor(session.duration / 60)}m ${session.duration % 60}s │ ↓ ${formatBytes(session.download)} │ ↑ ${formatBytes(session.upload)}`);
+    console.log(`  Lifetime:  ${formatBytes(snapshot.lifetime.total)} ${colors.dim}(billing cycle)${colors.reset}`);
+    console.log(`  Battery:   ${battery.level !== null ? battery.level + '%' : '-'} │ ${battery.onBattery ? 'on battery' : 'on charger'}${battery.batteryState ? ` (${battery.batteryState})` : ''}`);
+    console.log(`  Clients:   ${snapshot.clients.length}`);
+  }
+
+  process.exit(snapshot.connected ? EXIT_CODES.ok : EXIT_CODES.disconnected);
+}
+
+// Placeholder values for `router-stats line` templates. cycleUsed: cellular bytes of the billing cycle
+// (cycleUsage()), null without a plan - {cycle_used} then shows the router's own cycle counter
+function lineValues(snapshot, speed, cycleUsed = null) {
+  const { cellular, wifi } = snapshot.links;
+  const bars = snapshot.activeLink === 'wifi' ? wifi.bars : snapshot.signal.bars;
+  const links = { cellular: cellular.technology || 'Cellular', wifi: 'WiFi', ethernet: 'Ethernet' };
+  const orDash = (value) => value === null || value === undefined ? '-' : value;
+  speed = speed || { download: 0, upload: 0 };
+
+  return {
+    down: formatBytes(speed.download) + '/s',
+    up: formatBytes(speed.upload) + '/s',
+    bars: getSignalBars(bars, true),
+    signal: `${bars}/5`,
+    rsrp: orDash(snapshot.signal.rsrp),
+    rsrq: orDash(snapshot.signal.rsrq),
+    sinr: orDash(snapshot.signal.sinr),
+    band: orDash(cellular.band),
+    link: snapshot.connected ? links[snapshot.activeLink] : 'offline',
+    ssid: orDash(wifi.ssid),
+    operator: orDash(cellular.operator),
+    battery: snapshot.battery.level === null ? '-' : `${snapshot.battery.level}%`,
+    cycle_used: formatBytes(cycleUsed !== null ? cycleUsed : snapshot.lifetime.total),
+    clients: snapshot.clients.length,
+    state: snapshot.connected ? 'connected' : 'disconnected'
+  };
+}
+
+// Fill {placeholders}; unknown ones are left as they are so typos are visible
+function formatLine(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+// CSS class for waybar, by signal quality of the link in use (same thresholds as getSignalBars)
+function signalClass(snapshot) {
+  if (!snapshot.connected) return 'disconnected';
+  const bars = snapshot.activeLink === 'wifi' ? snapshot.links.wifi.bars : snapshot.signal.bars;
+  if (snapshot.activeLink === 'ethernet' || bars >= 4) return 'good';
+  if (bars >= 3) return 'fair';
+  return 'poor';
+}
+
+// waybar custom module output: {"text", "tooltip", "class", "percentage"}
+function waybarOutput(routerId, snapshot, speed, template, cycleUsed = null) {
+  const values = lineValues(snapshot, speed, cycleUsed);
+  const tooltip = [
+    `${routerId} · ${describeLink(snapshot)}${snapshot.connected ? '' : ' · disconnected'}`,
+    `Signal ${values.signal} · RSRP ${values.rsrp} dBm · RSRQ ${values.rsrq} dB · SINR ${values.sinr} dB`,
+    `Band ${values.band} · ${values.operator}`,
+    `↓ ${values.down} · ↑ ${values.up}`,
+    `Cycle used ${values.cycle_used}`,
+    `Battery ${values.battery}${snapshot.battery.onBattery ? '' : ' (charger)'} · ${values.clients} clients`
+  ].join('\n');
+
+  const bars = snapshot.activeLink === 'wifi' ? snapshot.links.wifi.bars : snapshot.signal.bars;
+  return { text: formatLine(template, values), tooltip, class: signalClass(snapshot), percentage: bars * 20 };
+}
+
+// `router-stats line [--format "<template>"] [--waybar]`: one updated line per poll for tmux,
+// polybar or waybar. Follows a running collector when there is one, otherwise polls the router
+// itself (without writing to the database).
+async function line() {
+  const template = getArgValue('--format') || DEFAULT_LINE_FORMAT;
+  const waybar = process.argv.includes('--waybar');
+  const wanted = SELECTED_ROUTERS ? SELECTED_ROUTERS.split(',')[0].trim() : null;
+
+  // {cycle_used} is the plan's cycle usage from the database, like `plan show` and the billing panel
+  openExistingDatabase();
+  const cycleUsed = (routerId, timestamp) => {
+    const plan = db && hasTable('billing_cycles') ? loadBillingPlan(routerId) : null;
+    return plan ? cycleUsage(db, routerId, plan, timestamp).used : null;
+  };
+
+  const print = (routerId, snapshot, speed, error) => {
+    if (!snapshot) {
+      const text = `✗ ${error || 'no data'}`;
+      console.log(waybar ? JSON.stringify({ text, tooltip: `${routerId}: ${error}`, class: 'disconnected', percentage: 0 }) : text);
+    } else if (waybar) {
+      console.log(JSON.stringify(waybarOutput(routerId, snapshot, speed, template, cycleUsed(routerId, snapshot.timestamp))));
+    } else {
+      console.log(formatLine(template, lineValues(snapshot, speed, cycleUsed(routerId, snapshot.timestamp))));
+    }
+  };
+
+  // A running collector already polls the router - follow it instead of opening a second session
+  const attached = await new Promise((resolve) => {
+    let routerId = wanted;
+    const socket = attachToCollector(SOCKET_PATH, (message) => {
+      if (message.type === 'hello') {
+        routerId = routerId || message.routers[0];
+      } else if (message.type === 'router' && message.id === routerId && message.timestamp) {
+        print(routerId, message.snapshot, message.speed, message.error);
+      }
+    });
+    let connected = false;
+    socket.on('connect', () => {
+      connected = true;
+      resolve(true);
+    });
+    socket.on('error', () => resolve(false));
+    // Status bars restart commands that exit; without the collector the restarted one polls by itself
+    socket.on('close', () => {
+      if (connected) process.exit(EXIT_CODES.unreachable);
+    });
+  });
+  if (attached) return;
+
+  await unlockCredentials();
+  const profile = filterSelectedRouters(loadHeadlessProfiles())[0];
+  if (!profile) {
+    console.error(`${colors.red}✗${colors.reset} No saved router profile and ROUTER_PASSWORD is not set`);
+    process.exit(EXIT_CODES.error);
+  }
+  if (profile.password === null) {
+    console.error(`${colors.red}✗${colors.reset} ${LOCKED_MESSAGE}`);
+    process.exit(EXIT_CODES.error);
+  }
+
+  const client = new Mr1100Client({ host: profile.ip, username: profile.username, password: profile.password });
+  let previous = null;
+
+  startPolling(async () => {
+    let snapshot = null;
+    try {
+      snapshot = parseSnapshot(await client.getModel(), Date.now());
+    } catch (error) {
+      print(profile.name, null, null, error instanceof NetworkError ? 'router unreachable' : error.message);
+      return;
+    }
+    if (!snapshot) {
+      print(profile.name, null, null, 'invalid data');
+      return;
+    }
+
+    let speed = null;
+    if (previous && snapshot.timestamp > previous.timestamp) {
+      const elapsed = snapshot.timestamp - previous.timestamp;
+      speed = {
+        download: calculateBandwidth(snapshot.totals.download, previous.totals.download, elapsed),
+        upload: calculateBandwidth(snapshot.totals.upload, previous.totals.upload, elapsed)
+      };
+    }
+    previous = snapshot;
+    print(profile.name, snapshot, speed);
+  }, () => POLL_INTERVAL, error => print(profile.name, null, null, error.message));
+}
+
+// Read a password or passphrase from a file ("-" = stdin) without its trailing newline
+function readSecretFile(file) {
+  return fs.readFileSync(file === '-' ? 0 : file, 'utf8').replace(/\r?\n$/, '');
+}
+
+// `router-stats creds set|rotate|verify|remove`: manage the saved router passwords (encrypted, see
+// lib/credentials.js). Passwords from --password-file or ROUTER_PASSWORD are taken without a prompt.
+async function creds() {
+  const action = process.argv[3];
+  const interactive = process.stdin.isTTY;
+  const fail = (message, code = EXIT_CODES.error) => {
+    console.error(`${colors.red}✗${colors.reset} ${message}`);
+    if (db) db.close();
+    process.exit(code);
+  };
+
+  if (!['set', 'rotate', 'verify', 'remove'].includes(action)) {
+    return fail(`Usage: router-stats creds set|rotate|verify|remove ${colors.dim}(see --help)${colors.reset}`);
+  }
+  const name = SELECTED_ROUTERS || DEFAULT_ROUTER_ID;
+  if ((action === 'set' || action === 'remove') && !/^[\w.-]+$/.test(name)) {
+    return fail(`Invalid profile name "${name}" ${colors.dim}(one name; letters, digits, . _ - only)${colors.reset}`);
+  }
+
+  initDatabase();
+  let profiles;
+  try {
+    // Removing works without the key
+    if (action !== 'remove') await unlockCredentials();
+    profiles = loadRouterProfiles();
+  } catch (error) {
+    if (!(error instanceof CredentialKeyError)) throw error;
+    return fail(error.message);
+  }
+  if (action !== 'remove' && profiles.some(p => p.password === null)) {
+    return fail(LOCKED_MESSAGE);
+  }
+
+  if (action === 'set') {
+    const saved = profiles.find(p => p.name === name) || {};
+    const ip = getArgValue('--ip') || process.env.ROUTER_IP || saved.ip || '192.168.2.1';
+    const username = getArgValue('--username') || process.env.ROUTER_USERNAME || saved.username || 'admin';
+    const passwordFile = getArgValue('--password-file');
+    let password = passwordFile ? readSecretFile(passwordFile) : process.env.ROUTER_PASSWORD;
+    if (!password) {
+      if (!interactive) return fail('No password given - use --password-file <file> or ROUTER_PASSWORD');
+      password = await readPasswordMasked(`Password for ${name} (${username}@${ip}): `);
+    }
+    saveCredentials(ip, username, password, name);
+    console.log(`${colors.green}✓${colors.reset} Saved encrypted credentials for ${name} ${colors.dim}(${username}@${ip})${colors.reset}`);
+  }
+
+  if (action === 'rotate') {
+    const passphraseFile = getArgValue('--passphrase-file');
+    let kdf = null;
+    let key;
+    if (passphraseFile || process.argv.includes('--passphrase')) {
+      let passphrase = passphraseFile ? readSecretFile(passphraseFile) : process.env.ROUTER_STATS_NEW_PASSPHRASE;
+      if (!passphrase) {
+        if (!interactive) return fail('No passphrase given - use --passphrase-file <file> or ROUTER_STATS_NEW_PASSPHRASE');
+        passphrase = await readPasswordMasked('New passphrase: ');
+        if (passphrase !== await readPasswordMasked('Repeat passphrase: ')) return fail('Passphrases do not match');
+      }
+      if (!passphrase) return fail('Empty passphrase');
+      kdf = newKdf();
+      key = deriveKey(passphrase, kdf);
+    } else {
+      if (!KEY_FILE) return fail('No key file for an in-memory database - use --key-file <file>');
+      key = generateKey();
+      // Only moved into place once the database is re-encrypted, so a failure keeps the old key working
+      writeKeyFile(`${KEY_FILE}.new`, key);
+    }
+
+    credentialKey = key;
+    db.transaction(() => {
+      saveRouterProfiles(profiles);
+      saveKeyDescriptor(keyDescriptor(key, kdf));
+    })();
+    if (!kdf) fs.renameSync(`${KEY_FILE}.new`, KEY_FILE);
+
+    console.log(`${colors.green}✓${colors.reset} Re-encrypted ${profiles.length} saved password(s) with a new ${kdf ? 'passphrase' : `key in ${KEY_FILE}`}`);
+    if (kdf && KEY_FILE && fs.existsSync(KEY_FILE)) {
+      console.log(`${colors.dim}The key file ${KEY_FILE} is no longer used and can be deleted${colors.reset}`);
+    }
+    if (process.env.ROUTER_STATS_KEY) {
+      console.log(`${colors.yellow}⚠${colors.reset} Unset ROUTER_STATS_KEY - it no longer matches the saved passwords`);
+    }
+  }
+
+  if (action === 'verify') {
+    const selected = filterSelectedRouters(profiles);
+    if (selected.length === 0) return fail('No saved router profiles');
+    console.log(`${colors.green}✓${colors.reset} Key unlocks ${selected.length} saved password(s)`);
+
+    // Exit code of the first failed login, like `router-stats status`
+    let exitCode = EXIT_CODES.ok;
+    for (const profile of selected) {
+      if (process.argv.includes('--offline')) continue;
+      let failure = null;
+      await fetchOnce(profile, (code, reason, message) => {
+        failure = { code, message };
+      });
+      if (failure) {
+        console.log(`  ${colors.red}✗${colors.reset} ${profile.name.padEnd(16)} ${profile.ip} ${colors.dim}${failure.message}${colors.reset}`);
+        exitCode = exitCode || failure.code;
+      } else {
+        console.log(`  ${colors.green}✓${colors.reset} ${profile.name.padEnd(16)} ${profile.ip} ${colors.dim}login ok${colors.reset}`);
+      }
+    }
+    db.close();
+    process.exit(exitCode);
+  }
+
+  if (action === 'remove') {
+    if (process.argv.includes('--all')) {
+      deleteCredentials();
+      console.log(`${colors.green}✓${colors.reset} Removed all ${profiles.length} router profile(s) ${colors.dim}(their history stays in the database)${colors.reset}`);
+    } else if (!loadCredentials(name)) {
+      return fail(`No router profile named "${name}"`);
+    } else {
+      deleteCredentials(name);
+      console.log(`${colors.green}✓${colors.reset} Removed router profile ${name} ${colors.dim}(its history stays in the database)${colors.reset}`);
+    }
+  }
+
+  db.close();
+}
+
+// A point in time from the command line: "14:30" (today), "2025-03-01 14:30" or any date Date.parse reads
+function parseTimeArg(value) {
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(value);
+  if (clock) return new Date().setHours(Number(clock[1]), Number(clock[2]), 0, 0);
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// `router-stats clients [--since 24h | --at <time>] [--devices] [--json]`: who was connected when, from
+// the stored client history (all routers unless --router is given)
+async function clientHistory() {
+  const json = process.argv.includes('--json');
+  const fail = (message) => {
+    console.error(`${colors.red}✗${colors.reset} ${message}`);
+    process.exit(EXIT_CODES.error);
+  };
+
+  const now = Date.now();
+  const at = getArgValue('--at');
+  const since = getArgValue('--since') || '24h';
+  let from = now - parseDuration(since);
+  let to = now;
+  if (at) {
+    from = to = parseTimeArg(at);
+    if (from === null) return fail(`Unreadable time "${at}" ${colors.dim}(e.g. 14:30 or "2025-03-01 14:30")${colors.reset}`);
+  } else if (parseDuration(since) === null) {
+    return fail(`Unreadable duration "${since}" ${colors.dim}(e.g. 30m, 24h, 7d)${colors.reset}`);
+  }
+
+  try {
+    db = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+  } catch (error) {
+    return fail(`No database at ${DB_PATH}`);
+  }
+  const hasHistory = hasTable('clients');
+  const known = hasTable('known_devices') ? loadKnownDevices(db) : new Map();
+  const alias = mac => (known.has(mac) && known.get(mac).alias) || null;
+  const routerIds = SELECTED_ROUTERS
+    ? SELECTED_ROUTERS.split(',').map(name => name.trim())
+    : (hasHistory ? db.prepare('SELECT DISTINCT router_id FROM clients ORDER BY router_id').all().map(row => row.router_id) : []);
+
+  if (process.argv.includes('--devices')) {
+    const seenDevices = routerIds.flatMap(routerId => hasHistory ? seenClients(db, routerId) : []);
+    db.close();
+    if (json) {
+      console.log(JSON.stringify(seenDevices.map(c => ({
+        router: c.router_id, mac: c.mac, name: c.name, alias: alias(c.mac), known: known.has(c.mac), ip: c.ip, source: c.source, firstSeen: c.first_seen, lastSeen: c.last_seen
+      })), null, 2));
+      return;
+    }
+    if (seenDevices.length === 0) console.log(`${colors.dim}No clients recorded yet${colors.reset}`);
+    for (const c of seenDevices) {
+      console.log(`  ${(alias(c.mac) || c.name || 'Unknown Device').slice(0, 16).padEnd(17)}${c.mac}  ${(c.ip || '').padEnd(16)}${c.source.padEnd(8)}` +
+        `${colors.dim}first ${formatStamp(c.first_seen)} · last ${formatStamp(c.last_seen)}${routerIds.length > 1 ? ` · ${c.router_id}` : ''}${colors.reset}`);
+    }
+    return;
+  }
+
+  const sessions = routerIds.flatMap(routerId => hasHistory ? sessionsBetween(db, routerId, from, to) : []);
+  db.close();
+
+  if (json) {
+    console.log(JSON.stringify(sessions.map(s => ({
+      router: s.router_id, mac: s.mac, name: s.name, alias: alias(s.mac), known: known.has(s.mac), ip: s.ip, source: s.source, start: s.start_time, end: s.end_time, lastSeen: s.last_seen
+    })), null, 2));
+    return;
+  }
+
+  const range = at ? `at ${formatStamp(from)}` : `in the last ${since}`;
+  console.log(`${colors.bright}${sessions.length} client session(s) ${range}${colors.reset}`);
+  for (const s of sessions) {
+    const end = s.end_time === null ? s.last_seen : s.end_time;
+    // Open sessions of a collector that is no longer running end where it last saw them
+    const live = s.end_time === null && now - s.last_seen < 5 * 60 * 1000;
+    const until = live ? `${colors.green}now        ${colors.reset}` : formatStamp(end);
+    console.log(`  ${formatStamp(s.start_time)} → ${until} ${colors.dim}${formatDuration(end - s.start_time).padStart(7)}${colors.reset}  ` +
+      `${(alias(s.mac) || s.name || 'Unknown Device').slice(0, 16).padEnd(17)}${(s.ip || '').padEnd(16)}${s.source.padEnd(8)}${colors.dim}${s.mac}` +
+      `${routerIds.length > 1 ? ` · ${s.router_id}` : ''}${colors.reset}`);
+  }
+}
+
+// `router-stats devices [list|add|remove|trust-all]`: the allowlist of known client devices. Devices
+// that are not on it are highlighted in the device panel and raise an `unknown-client` alert.
+async function devices() {
+  const action = process.argv[3] && !process.argv[3].startsWith('-') ? process.argv[3] : 'list';
+  const fail = (message) => {
+    console.error(`${colors.red}✗${colors.reset} ${message}`);
+    if (db) db.close();
+    process.exit(EXIT_CODES.error);
+  };
+
+  if (!['list', 'add', 'remove', 'trust-all'].includes(action)) {
+    return fail(`Usage: router-stats devices list|add <mac> [alias]|remove <mac>|trust-all ${colors.dim}(see --help)${colors.reset}`);
+  }
+  const mac = process.argv[4] ? normalizeMac(process.argv[4]) : null;
+  if ((action === 'add' || action === 'remove') && !mac) {
+    return fail(`Expected a MAC address like A4:83:E7:12:34:56${process.argv[4] ? `, got "${process.argv[4]}"` : ''}`);
+  }
+
+  // Listing never creates or upgrades the database
+  if (action === 'list') {
+    try {
+      db = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+    } catch (error) {
+      db = new Database(':memory:');
+    }
+  } else {
+    initDatabase();
+  }
+  const known = hasTable('known_devices') ? loadKnownDevices(db) : new Map();
+  // Latest name and sighting of every device on any router
+  const seen = new Map(hasTable('clients')
+    ? db.prepare('SELECT mac, name, ip, source, MIN(first_seen) AS first_seen, MAX(last_seen) AS last_seen FROM clients GROUP BY mac')
+      .all().map(c => [c.mac, c])
+    : []);
+
+  if (action === 'add') {
+    // Quote aliases with spaces: devices add <mac> "Work laptop"
+    const alias = process.argv[5] && !process.argv[5].startsWith('--') ? process.argv[5] : null;
+    addKnownDevice(db, mac, alias);
+    const device = loadKnownDevices(db).get(mac);
+    console.log(`${colors.green}✓${colors.reset} ${known.has(mac) ? 'Updated' : 'Added'} known device ${mac}${device.alias ? ` as "${device.alias}"` : ''}`);
+  } else if (action === 'remove') {
+    if (!removeKnownDevice(db, mac)) return fail(`${mac} is not a known device`);
+    console.log(`${colors.green}✓${colors.reset} Removed ${mac} from the known devices`);
+  } else if (action === 'trust-all') {
+    const added = [...seen.values()].filter(c => !known.has(c.mac));
+    db.transaction(() => added.forEach(c => addKnownDevice(db, c.mac, c.name)))();
+    console.log(`${colors.green}✓${colors.reset} Added ${added.length} device(s) seen so far to the known devices`);
+  } else if (process.argv.includes('--json')) {
+    const list = [...new Set([...known.keys(), ...seen.keys()])].map(address => ({
+      mac: address,
+      known: known.has(address),
+      alias: known.has(address) ? known.get(address).alias : null,
+      name: seen.has(address) ? seen.get(address).name : null,
+      firstSeen: seen.has(address) ? seen.get(address).first_seen : null,
+      lastSeen: seen.has(address) ? seen.get(address).last_seen : null
+    }));
+    console.log(JSON.stringify(list, null, 2));
+  } else {
+    const line = (address, name, color) => {
+      const c = seen.get(address);
+      const when = c ? `first ${formatStamp(c.first_seen)} · last ${formatStamp(c.last_seen)}` : 'not seen yet';
+      console.log(`  ${color}${(name || 'Unknown Device').slice(0, 24).padEnd(25)}${colors.reset}${address}  ${colors.dim}${when}${colors.reset}`);
+    };
+    console.log(`${colors.bright}Known devices (${known.size})${colors.reset}`);
+    for (const device of known.values()) line(device.mac, device.alias || (seen.get(device.mac) || {}).name, colors.green);
+    const strangers = [...seen.values()].filter(c => !known.has(c.mac));
+    if (strangers.length > 0) {
+      console.log(`\n${colors.bright}${colors.red}Unknown devices seen (${strangers.length})${colors.reset} ${colors.dim}- add with: router-stats devices add <mac> [alias]${colors.reset}`);
+      for (const c of strangers) line(c.mac, c.name, colors.red);
+    }
+  }
+
+  db.close();
+}
+
+// `router-stats events [--since 24h] [--type band,ip] [--json]`: the stored event log, newest first
+// (all routers unless --router is given)
+async function eventLog() {
+  const json = process.argv.includes('--json');
+  const fail = (message) => {
+    console.error(`${colors.red}✗${colors.reset} ${message}`);
+    process.exit(EXIT_CODES.error);
+  };
+
+  const since = getArgValue('--since') || '24h';
+  if (parseDuration(since) === null) {
+    return fail(`Unreadable duration "${since}" ${colors.dim}(e.g. 30m, 24h, 7d)${colors.reset}`);
+  }
+  const typeArg = getArgValue('--type');
+  const types = typeArg ? typeArg.split(',').map(type => type.trim()) : null;
+
+  try {
+    db = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+  } catch (error) {
+    return fail(`No database at ${DB_PATH}`);
+  }
+  const routerIds = SELECTED_ROUTERS ? SELECTED_ROUTERS.split(',').map(name => name.trim()) : null;
+  const events = hasTable('events') ? eventsBetween(db, { routerIds, types, from: Date.now() - parseDuration(since) }) : [];
+  db.close();
+
+  if (json) {
+    console.log(JSON.stringify(events.map(e => ({
+      router: e.router_id, timestamp: e.timestamp, type: e.type, severity: e.severity, message: e.message, ...e.payload
+    })), null, 2));
+    return;
+  }
+
+  const severityColor = { info: colors.white, warn: colors.yellow, error: colors.red };
+  const multipleRouters = new Set(events.map(e => e.router_id)).size > 1;
+  console.log(`${colors.bright}${events.length} event(s) in the last ${since}${types ? ` (${types.join(', ')})` : ''}${colors.reset}`);
+  for (const e of events) {
+    console.log(`  ${formatStamp(e.timestamp)}  ${colors.cyan}${e.type.padEnd(13)}${colors.reset}${severityColor[e.severity] || colors.white}${e.message || ''}${colors.reset}` +
+      `${multipleRouters ? `${colors.dim} · ${e.router_id}${colors.reset}` : ''}`);
+  }
+}
+
+// `router-stats plan [show|set|clear|history]`: the billing plan of a router (--router, else the
+// default profile) and its cycles. `set` changes only the options given.
+async function billingPlan() {
+  const action = process.argv[3] && !process.argv[3].startsWith('-') ? process.argv[3] : 'show';
+  const json = process.argv.includes('--json');
+  const routerId = SELECTED_ROUTERS || DEFAULT_ROUTER_ID;
+  const fail = (message) => {
+    console.error(`${colors.red}✗${colors.reset} ${message}`);
+    if (db) db.close();
+    process.exit(EXIT_CODES.error);
+  };
+
+  if (!['show', 'set', 'clear', 'history'].includes(action)) {
+    return fail(`Usage: router-stats plan show|set|clear|history ${colors.dim}(see --help)${colors.reset}`);
+  }
+  if (routerId.includes(',')) {
+    return fail('Plans are per router - give one --router');
+  }
+
+  if (action === 'set') {
+    const startDay = getArgValue('--start-day');
+    const cap = getArgValue('--cap');
+    const rollover = getArgValue('--rollover');
+    const alerts = getArgValue('--alerts');
+    const dailyAlert = getArgValue('--daily-alert');
+    if (startDay !== null && !/^([1-9]|[12]\d|3[01])$/.test(startDay)) {
+      return fail(`Invalid --start-day "${startDay}" ${colors.dim}(1-31; days past the end of a month mean its last day)${colors.reset}`);
+    }
+    if (cap !== null && cap !== 'none' && parseSize(cap) === null) {
+      return fail(`Invalid --cap "${cap}" ${colors.dim}(e.g. 50GB, 500MB, or none)${colors.reset}`);
+    }
+    if (rollover !== null && parseRollover(rollover) === null) {
+      return fail(`Invalid --rollover "${rollover}" ${colors.dim}(none, unused or unused:<max> e.g. unused:10GB)${colors.reset}`);
+    }
+    if (alerts !== null && parseThresholds(alerts) === null) {
+      return fail(`Invalid --alerts "${alerts}" ${colors.dim}(percentages of the cap, e.g. 50,80,95,100, or none)${colors.reset}`);
+    }
+    if (dailyAlert !== null && dailyAlert !== 'none' && parseSize(dailyAlert) === null) {
+      return fail(`Invalid --daily-alert "${dailyAlert}" ${colors.dim}(e.g. 2GB, or none)${colors.reset}`);
+    }
+
+    initDatabase();
+    const plan = { alerts: [], dailyAlert: null, ...(loadBillingPlan(routerId) || { startDay: 1, cap: null, rollover: 'none', rolloverMax: null }) };
+    if (startDay !== null) plan.startDay = Number(startDay);
+    if (cap !== null) plan.cap = cap === 'none' ? null : parseSize(cap);
+    if (rollover !== null) Object.assign(plan, parseRollover(rollover));
+    if (alerts !== null) plan.alerts = parseThresholds(alerts);
+    if (dailyAlert !== null) plan.dailyAlert = dailyAlert === 'none' ? null : parseSize(dailyAlert);
+    saveBillingPlan(routerId, plan);
+    // Cycles already recorded are archived under the new plan right away, so the rollover is known
+    const archived = archiveFinishedCycles(db, routerId, plan);
+    console.log(`${colors.green}✓${colors.reset} Billing plan of ${routerId}: cycle starts on day ${plan.startDay}, ` +
+      `${plan.cap ? `${formatBytes(plan.cap)} cap` : 'no cap'}` +
+      `${plan.rollover === 'unused' ? `, unused data rolls over${plan.rolloverMax ? ` (up to ${formatBytes(plan.rolloverMax)})` : ''}` : ''}`);
+    if (archived.length > 0) {
+      console.log(`${colors.dim}Archived ${archived.length} finished cycle(s) recorded so far (router-stats plan history)${colors.reset}`);
+    }
+    if (plan.alerts.length > 0 || plan.dailyAlert) {
+      console.log(`${colors.green}✓${colors.reset} Alerts at ${[...plan.alerts.map(t => `${t}%`), ...(plan.dailyAlert ? [`${formatBytes(plan.dailyAlert)} a day`] : [])].join(', ')}` +
+        `${plan.alerts.length > 0 && !plan.cap ? ` ${colors.yellow}(percentages need a --cap)${colors.reset}` : ''}`);
+    }
+    db.close();
+    return;
+  }
+
+  if (action === 'clear') {
+    initDatabase();
+    saveBillingPlan(routerId, null);
+    console.log(`${colors.green}✓${colors.reset} Removed the billing plan of ${routerId} ${colors.dim}(archived cycles are kept)${colors.reset}`);
+    db.close();
+    return;
+  }
+
+  try {
+    db = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+  } catch (error) {
+    return fail(`No database at ${DB_PATH}`);
+  }
+  const plan = loadBillingPlan(routerId);
+
+  if (action === 'history') {
+    const cycles = hasTable('billing_cycles') ? archivedCycles(db, routerId) : [];
+    db.close();
+    if (json) {
+      console.log(JSON.stringify(cycles.map(c => ({
+        router: c.router_id, start: c.start_time, end: c.end_time, used: c.used, download: c.download, upload: c.upload, cap: c.cap, rolloverIn: c.rollover_in
+      })), null, 2));
+      return;
+    }
+    console.log(`${colors.bright}${cycles.length} archived billing cycle(s) of ${routerId}${colors.reset}`);
+    for (const c of cycles) {
+      const allowance = c.cap ? c.cap + c.rollover_in : null;
+      const share = allowance ? ` ${(c.used / allowance * 100).toFixed(1).padStart(5)}% of ${formatBytes(allowance)}` : '';
+      console.log(`  ${formatDay(c.start_time)} → ${formatDay(c.end_time - 1)}  ${(allowance && c.used > allowance ? colors.red : colors.cyan)}${formatBytes(c.used).padStart(10)}${colors.reset}` +
+        `${share}${c.rollover_in ? ` ${colors.dim}(${formatBytes(c.rollover_in)} rolled over)${colors.reset}` : ''}`);
+    }
+    return;
+  }
+
+  if (!plan) {
+    db.close();
+    return fail(`No billing plan for ${routerId} - set one with: router-stats plan set --start-day <day> --cap <size>`);
+  }
+  const cycle = hasTable('billing_cycles') ? cycleStatus(db, routerId, plan) : null;
+  db.close();
+  if (!cycle) return fail('The database predates billing cycles - run the monitor once to upgrade it');
+
+  if (json) {
+    console.log(JSON.stringify({ router: routerId, plan, cycle }, null, 2));
+    return;
+  }
+  console.log(`${colors.bright}Billing cycle of ${routerId}: ${formatDay(cycle.start)} → ${formatDay(cycle.end - 1)}${colors.reset} ` +
+    `${colors.dim}(${Math.ceil(cycle.remainingDays)} day(s) left)${colors.reset}`);
+  console.log(`  Used:       ${formatBytes(cycle.used)}${cycle.allowance !== null ? ` of ${formatBytes(cycle.allowance)} (${cycle.percent.toFixed(1)}%)` : ' (no cap)'}` +
+    `${cycle.rolloverIn ? ` ${colors.dim}incl. ${formatBytes(cycle.rolloverIn)} rollover${colors.reset}` : ''}`);
+  if (cycle.remaining !== null) console.log(`  Remaining:  ${formatBytes(cycle.remaining)}`);
+  if (cycle.partial) console.log(`  Recorded:   since ${formatDay(cycle.since)} ${colors.dim}(partial cycle: earlier usage is not counted)${colors.reset}`);
+  const alerts = [...(plan.alerts || []).map(t => `${t}%`), ...(plan.dailyAlert ? [`${formatBytes(plan.dailyAlert)} a day`] : [])];
+  if (alerts.length > 0) console.log(`  Alerts:     ${alerts.join(', ')}`);
+  console.log(`  Average:    ${formatBytes(cycle.dailyAverage)}/day`);
+  console.log(`  Projected:  ${formatBytes(Math.round(cycle.projected))}` +
+    `${cycle.range ? ` ${colors.dim}(90%: ${formatBytes(cycle.range.low)} – ${formatBytes(cycle.range.high)})${colors.reset}` : ''}`);
+}
+
+// `router-stats report [--period day|week|month] [--date <day>] [--format text|markdown|html|json] [--output <file>]`:
+// a usage report of the period containing --date (default: the current one so far) from the rollups,
+// so it still covers periods whose raw samples were pruned - every router that has some unless --router is given
+async function usageReport() {
+  const fail = (message) => {
+    console.error(`${colors.red}✗${colors.reset} ${message}`);
+    process.exit(EXIT_CODES.error);
+  };
+
+  const period = getArgValue('--period') || 'week';
+  if (!PERIODS.includes(period)) return fail(`Unknown period "${period}" ${colors.dim}(${PERIODS.join(', ')})${colors.reset}`);
+  const format = getArgValue('--format') || 'text';
+  if (!FORMATS.includes(format)) return fail(`Unknown format "${format}" ${colors.dim}(${FORMATS.join(', ')})${colors.reset}`);
+  const dateArg = getArgValue('--date');
+  const date = dateArg ? parseTimeArg(dateArg) : Date.now();
+  if (date === null) return fail(`Unreadable date "${dateArg}" ${colors.dim}(e.g. 2024-03-01)${colors.reset}`);
+  const output = getArgValue('--output');
+
+  try {
+    db = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+  } catch (error) {
+    return fail(`No database at ${DB_PATH}`);
+  }
+  const { start, end } = periodBounds(period, date);
+  const routerIds = SELECTED_ROUTERS
+    ? SELECTED_ROUTERS.split(',').map(name => name.trim())
+    : db.prepare('SELECT DISTINCT router_id FROM rollup_day WHERE bucket >= ? AND bucket < ? ORDER BY router_id')
+      .all(start, end).map(row => row.router_id);
+  if (routerIds.length === 0) routerIds.push(DEFAULT_ROUTER_ID);
+  const reports = routerIds.map(routerId => buildReport(db, routerId, { period, from: start, to: end, maxInterval: POLL_INTERVAL * 3 }));
+  db.close();
+
+  const text = renderReport(reports, format, { formatBytes });
+  if (!output) {
+    process.stdout.write(text);
+    return;
+  }
+  try {
+    fs.writeFileSync(output, text);
+  } catch (error) {
+    return fail(`Could not write ${output}: ${error.message}`);
+  }
+  console.log(`${colors.green}✓${colors.reset} Wrote the ${format} ${period} report of ${routerIds.join(', ')} to ${output}`);
+}
+
+// `router-stats export [--table timeseries|speeds|events|clients] [--format csv|ndjson|sqlite] [--from <time>]
+// [--to <time>] [--resample 1h] [--timezone UTC] [--output <file>]`: stored history out of the database,
+// streamed to stdout or a file (all routers unless --router is given)
+async function dataExport() {
+  const fail = (message) => {
+    console.error(`${colors.red}✗${colors.reset} ${message}`);
+    process.exit(EXIT_CODES.error);
+  };
+  // "2024-03-01", "14:30" or how long ago ("30d")
+  const timeArg = (name, fallback) => {
+    const value = getArgValue(name);
+    if (value === null) return fallback;
+    const time = parseDuration(value) !== null ? Date.now() - parseDuration(value) : parseTimeArg(value);
+    return time === null ? fail(`Unreadable ${name} "${value}" ${colors.dim}(e.g. 2024-03-01, "2024-03-01 14:30" or 30d)${colors.reset}`) : time;
+  };
+
+  const table = getArgValue('--table') || 'timeseries';
+  if (!EXPORT_TABLES.includes(table)) return fail(`Unknown table "${table}" ${colors.dim}(${EXPORT_TABLES.join(', ')})${colors.reset}`);
+  const format = getArgValue('--format') || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) return fail(`Unknown format "${format}" ${colors.dim}(${EXPORT_FORMATS.join(', ')})${colors.reset}`);
+  const output = getArgValue('--output');
+  if (format === 'sqlite' && !output) return fail('--format sqlite needs --output <file>');
+  if (format === 'sqlite' && fs.existsSync(output)) return fail(`${output} already exists`);
+  const from = timeArg('--from', 0);
+  const to = timeArg('--to', Date.now());
+  const resampleArg = getArgValue('--resample');
+  const resample = resampleArg ? parseDuration(resampleArg) : null;
+  if (resampleArg && !resample) return fail(`Unreadable interval "${resampleArg}" ${colors.dim}(e.g. 1m, 1h, 1d)${colors.reset}`);
+  if (resample && !['timeseries', 'speeds'].includes(table)) return fail('--resample applies to the timeseries and speeds tables');
+  const timeZone = resolveTimeZone(getArgValue('--timezone'));
+  if (!timeZone) return fail(`Unknown time zone "${getArgValue('--timezone')}" ${colors.dim}(local, UTC, Europe/Berlin, ...)${colors.reset}`);
+
+  try {
+    db = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+  } catch (error) {
+    return fail(`No database at ${DB_PATH}`);
+  }
+  if (!hasTable(SOURCE_TABLES[table])) {
+    db.close();
+    return fail(`The database has no ${table} history yet`);
+  }
+  const rows = exportRows(db, {
+    table, from, to, resample, timeZone, maxInterval: POLL_INTERVAL * 3, parsePayload: format === 'ndjson',
+    routerIds: SELECTED_ROUTERS ? SELECTED_ROUTERS.split(',').map(name => name.trim()) : null
+  });
+
+  let count;
+  if (format === 'sqlite') {
+    count = writeSqlite(rows, table, output);
+  } else if (output) {
+    const stream = fs.createWriteStream(output);
+    count = await writeStream(rows, format, stream);
+    await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+  } else {
+    // `| head` closing the pipe early is not an error
+    process.stdout.on('error', (error) => {
+      if (error.code === 'EPIPE') process.exit(EXIT_CODES.ok);
+    });
+    count = await writeStream(rows, format, process.stdout);
+  }
+  db.close();
+  if (output) console.log(`${colors.green}✓${colors.reset} Exported ${count} ${table} row(s) to ${output}`);
+}
+
+// What an import counts, in the order it is shown
+const IMPORT_TABLES = {
+  timeseries_data: 'samples',
+  usage_ledger: 'ledger entries',
+  rollup_minute: 'minutes',
+  rollup_hour: 'hours',
+  rollup_day: 'days',
+  bandwidth_history: 'speed samples',
+  data_gaps: 'gap records',
+  events: 'events',
+  client_sessions: 'client sessions',
+  billing_cycles: 'billing cycles'
+};
+
+// `router-stats import <file> [--router <profile>] [--from-router <router>] [--dry-run] [--json]`: merge
+// another database or an export into this one (see lib/merge.js). Rows keep their router unless
+// --router names the profile to put them under.
+async function importHistory() {
+  const json = process.argv.includes('--json');
+  const dryRun = process.argv.includes('--dry-run');
+  const fail = (message) => {
+    console.error(`${colors.red}✗${colors.reset} ${message}`);
+    process.exit(EXIT_CODES.error);
+  };
+
+  const file = process.argv[3] && !process.argv[3].startsWith('-') ? process.argv[3] : null;
+  if (!file) return fail(`Usage: router-stats import <database or export file> ${colors.dim}(see --help)${colors.reset}`);
+  if (!fs.existsSync(file)) return fail(`No file at ${file}`);
+  if (path.resolve(file) === path.resolve(DB_PATH)) return fail('A database cannot be imported into itself');
+  if (SELECTED_ROUTERS && SELECTED_ROUTERS.includes(',')) return fail('Import into one router profile at a time');
+  const routerId = SELECTED_ROUTERS;
+  const fromRouter = getArgValue('--from-router');
+
+  // A collector would keep writing while the import runs in one long transaction
+  if (DB_PATH !== ':memory:') {
+    try {
+      process.on('exit', acquireLock(LOCK_PATH));
+    } catch (error) {
+      if (!(error instanceof LockedError)) throw error;
+      return fail(`A collector (pid ${error.pid}) is writing to ${DB_PATH} - stop it before importing`);
+    }
+  }
+  initDatabase();
+
+  let source = null;
+  let kind = 'database';
+  let results = [];
+  let knownDevices = 0;
+  let failure = null;
+  try {
+    if (isSqliteFile(file)) {
+      source = openSourceDatabase(file);
+      const routers = sourceRouters(source.db).filter(id => !fromRouter || id === fromRouter);
+      if (routers.length === 0) {
+        throw new Error(fromRouter ? `it has no history of ${fromRouter} (routers: ${sourceRouters(source.db).join(', ') || 'none'})` : 'it has no history');
+      }
+      if (routerId && routers.length > 1) {
+        throw new Error(`it has history of several routers (${routers.join(', ')}) - pick one with --from-router`);
+      }
+      db.exec('BEGIN');
+      results = routers.map(id => mergeDatabase(db, source.db, id, routerId || id));
+      knownDevices = mergeKnownDevices(db, source.db);
+    } else {
+      db.exec('BEGIN');
+      ({ kind, results } = await mergeExport(db, readExportFile(file), { routerId, fromRouter, maxInterval: POLL_INTERVAL * 3 }));
+    }
+    db.exec(dryRun ? 'ROLLBACK' : 'COMMIT');
+  } catch (error) {
+    if (db.inTransaction) db.exec('ROLLBACK');
+    failure = error;
+  } finally {
+    if (source) source.close();
+  }
+  const profiles = loadRouterProfiles().map(profile => profile.name);
+  db.close();
+  if (failure) return fail(`Could not import ${file}: ${failure.message}`);
+
+  if (json) {
+    console.log(JSON.stringify({ file, kind, dryRun, schema: source ? source.schema : null, knownDevices, routers: results }, null, 2));
+    return;
+  }
+  const what = source ? `database, ${source.schema ? `schema ${source.schema}` : 'unversioned'}` : `${kind} export`;
+  console.log(`${colors.green}✓${colors.reset} ${dryRun ? 'Would import' : 'Imported'} ${file} ${colors.dim}(${what})${colors.reset}`);
+  if (results.length === 0) console.log(`  ${colors.dim}Nothing to import${fromRouter ? ` from ${fromRouter}` : ''}${colors.reset}`);
+  for (const result of results) {
+    const range = result.from !== null ? ` ${colors.dim}${formatStamp(result.from)} → ${formatStamp(result.to)}${colors.reset}` : '';
+    const renamed = result.source && result.source !== result.target ? ` ← ${result.source}` : '';
+    console.log(`  ${colors.bright}${result.target}${renamed}${colors.reset}${range}`);
+    if (!profiles.includes(result.target)) {
+      console.log(`    ${colors.dim}(not a saved router profile - its history is kept all the same)${colors.reset}`);
+    }
+    for (const [table, label] of Object.entries(IMPORT_TABLES)) {
+      const counts = result.tables[table];
+      if (!counts) continue;
+      console.log(`    ${label.padEnd(17)}${colors.cyan}${String(counts.imported).padStart(8)}${colors.reset} new` +
+        `${counts.skipped ? `${colors.dim}, ${counts.skipped} already here or overlapping${colors.reset}` : ''}`);
+    }
+    if (result.overlappingGaps > 0) {
+      console.log(`    ${colors.yellow}⚠${colors.reset} ${result.overlappingGaps} gap(s) recorded here overlap the imported data; ` +
+        `their estimated bytes still count ${colors.dim}([g] leaves gap estimates out)${colors.reset}`);
+    }
+  }
+  if (knownDevices > 0) console.log(`  ${knownDevices} known device(s) added to the allowlist`);
+  if (dryRun) console.log(`${colors.dim}Dry run: nothing was changed${colors.reset}`);
+}
+
+// Viewer: draw what a running collector publishes instead of polling the router. The database is only
+// opened read-only for the usage figures.
+async function attach() {
+  try {
+    db = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+  } catch (error) {
+    db = null;
+  }
+  loadSettings();
+
+  let attached = false;
+
+  const onMessage = (message) => {
+    if (message.type === 'hello') {
+      const selected = routers[currentRouterIndex];
+      routers = message.routers.map(id => routers.find(r => r.id === id) || createRouterState({ name: id }));
+      const index = selected ? routers.findIndex(r => r.id === selected.id) : -1;
+      currentRouterIndex = index === -1 ? 0 : index;
+      console.log(`${colors.green}✓${colors.reset} Attached to collector (pid ${message.pid}) - waiting for the next poll...`);
+    } else if (message.type === 'router') {
+      const router = routers.find(r => r.id === message.id);
+      if (!router) return;
+      router.lastSnapshot = message.snapshot;
+      router.lastTimestamp = message.timestamp;
+      router.currentSpeed = message.speed;
+      // Collectors from older versions send neither gap flags nor per-link speeds
+      const blank = message.history.download.map(() => null);
+      router.bandwidthHistory = { gaps: blank.map(() => false), links: blank, ...message.history };
+      router.error = message.error;
+      currentPollInterval = message.pollInterval;
+      adaptiveShown = message.adaptive;
+      safeRender();
+    }
+  };
+
+  const connect = () => {
+    let connected = false;
+    const socket = attachToCollector(SOCKET_PATH, onMessage);
+    socket.on('connect', () => {
+      attached = true;
+      connected = true;
+    });
+    socket.on('error', (error) => {
+      if (!attached) {
+        console.error(`${colors.red}✗${colors.reset} No collector is running for ${DB_PATH} ${colors.dim}(${error.code})${colors.reset}`);
+        console.log(`  ${colors.dim}Start one with:${colors.reset} ${colors.cyan}router-stats --daemon${colors.reset} ${colors.dim}or just${colors.reset} ${colors.cyan}router-stats${colors.reset}`);
+        process.exit(1);
+      }
+    });
+    // A restarting collector (e.g. systemd) comes back on the same socket
+    socket.on('close', () => {
+      if (!attached) return;
+      if (connected) {
+        console.log(`\n${colors.yellow}⟳${colors.reset} Collector stopped - waiting for it to come back...`);
+      }
+      setTimeout(connect, 2000);
+    });
+  };
+
+  setupKeyboardInput(safeRender);
+  connect();
+}
+
+// Profiles for commands that never prompt (daemon, status, ...): ROUTER_PASSWORD (with optional ROUTER_IP / ROUTER_USERNAME) stands in for the saved
+// default profile without being stored; otherwise the saved profiles are used as they are
+function loadHeadlessProfiles() {
+  const profiles = loadRouterProfiles();
+  if (!process.env.ROUTER_PASSWORD) return profiles;
+
+  const saved = profiles.find(p => p.name === DEFAULT_ROUTER_ID) || {};
+  const profile = {
+    name: DEFAULT_ROUTER_ID,
+    ip: process.env.ROUTER_IP || saved.ip || '192.168.2.1',
+    username: process.env.ROUTER_USERNAME || saved.username || 'admin',
+    password: process.env.ROUTER_PASSWORD
+  };
+  return [profile, ...profiles.filter(p => p.name !== DEFAULT_ROUTER_ID)];
+}
+
+// Keep only the profiles named with --router
+function filterSelectedRouters(profiles) {
+  if (!SELECTED_ROUTERS) return profiles;
+
+  const names = SELECTED_ROUTERS.split(',').map(n => n.trim());
+  const unknown = names.filter(name => !profiles.some(p => p.name === name));
+  if (unknown.length > 0) {
+    notify('error', 'unknown-router', { routers: unknown },
+      `${colors.red}✗${colors.reset} Unknown router profile: ${unknown.join(', ')} ${colors.dim}(see --list-routers)${colors.reset}`);
+    if (db) db.close();
+    process.exit(1);
+  }
+  return profiles.filter(p => names.includes(p.name));
+}
+
+// Headless collection: no screen, keyboard or prompts. Routers that are offline or reject the
+// password at startup are simply retried on every poll.
+async function daemon(profiles) {
+  const locked = profiles.filter(p => p.password === null);
+  if (locked.length > 0) {
+    logger.warn('credentials-locked', { routers: locked.map(p => p.name), message: LOCKED_MESSAGE });
+    profiles = profiles.filter(p => p.password !== null);
+  }
+  if (profiles.length === 0) {
+    logger.error('no-credentials', { message: 'No saved router profile and ROUTER_PASSWORD is not set' });
+    db.close();
+    process.exit(1);
+  }
+
+  routers = profiles.map(createRouterState);
+  logger.info('start', { pid: process.pid, routers: routers.map(r => r.id), db: DB_PATH, interval: POLL_INTERVAL, adaptive: ADAPTIVE_POLLING });
+  cleanOldDataPeriodically();
+
+  for (const router of routers) {
+    try {
+      await createClient(router).connect();
+      logger.info('connect', { router: router.id, ip: router.ip });
+    } catch (error) {
+      router.error = error.message;
+      logger.error('connect-error', { router: router.id, ip: router.ip, error: error.name, message: error.message });
+    }
+  }
+
+  const poller = startPolling(async () => {
+    cleanOldDataPeriodically();
+    await Promise.all(routers.map(pollRouter));
+  }, nextPollInterval, reportPollError);
+
+  // Stop between polls' database writes (they are synchronous), so the database is never left half-written
+  const shutdown = (signal) => {
+    poller.stop();
+    routers.forEach(router => router.client && router.client.close());
+    logger.info('stop', { signal });
+    logger.close();
+    db.close();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGHUP', () => {
+    logger.reopen();
+    logger.info('log-reopened', { file: LOG_FILE });
+  });
+
+  await poller.done;
+}
+
 // Main loop
 async function main() {
-  console.log(`${colors.bright}${colors.blue}Netgear Router Stats Monitor${colors.reset}\n`);
+  if (DAEMON_MODE) {
+    logger = new JsonLogger(LOG_FILE);
+    if (REPLAY_FILE || ADD_ROUTER) {
+      logger.error('invalid-options', { message: '--daemon cannot be combined with --replay or --add-router' });
+      process.exit(1);
+    }
+  }
+
+  if (COMMAND === 'attach') {
+    return attach();
+  }
+  if (COMMAND === 'status') {
+    return status();
+  }
+  if (COMMAND === 'line') {
+    return line();
+  }
+  if (COMMAND === 'creds') {
+    return creds();
+  }
+  if (COMMAND === 'clients') {
+    return clientHistory();
+  }
+  if (COMMAND === 'devices') {
+    return devices();
+  }
+  if (COMMAND === 'events') {
+    return eventLog();
+  }
+  if (COMMAND === 'plan') {
+    return billingPlan();
+  }
+  if (COMMAND === 'report') {
+    return usageReport();
+  }
+  if (COMMAND === 'export') {
+    return dataExport();
+  }
+  if (COMMAND === 'import') {
+    return importHistory();
+  }
+  if (COMMAND) {
+    console.error(`${colors.red}✗${colors.reset} Unknown command: ${COMMAND} ${colors.dim}(see --help)${colors.reset}`);
+    process.exit(1);
+  }
+
+  if (!DAEMON_MODE) {
+    console.log(`${colors.bright}${colors.blue}Netgear Router Stats Monitor${colors.reset}\n`);
+  }
+
+  if (RECORD_FILE && REPLAY_FILE) {
+    console.error(`${colors.red}✗${colors.reset} --record and --replay cannot be used together`);
+    process.exit(1);
+  }
+
+  if (!RETENTION) {
+    notify('error', 'invalid-options', { message: 'Invalid --retention' },
+      `${colors.red}✗${colors.reset} Invalid --retention ${colors.dim}(e.g. raw=7d,minute=30d,hour=1y,day=forever; ` +
+      `each tier kept at least as long as the finer one and one bucket of the next)${colors.reset}`);
+    process.exit(1);
+  }
 
   // Initialize database
   initDatabase();
 
-  // Load saved settings
-  loadSettings();
+  // Load saved settings (display options only matter on screen)
+  if (!DAEMON_MODE) {
+    loadSettings();
+  }
+
+  if (REPLAY_FILE) {
+    return replay();
+  }
 
   // Check if user wants to reset credentials
   if (RESET_CREDENTIALS) {
     console.log(`${colors.yellow}⟳${colors.reset} Resetting credentials...`);
-    db.prepare('DELETE FROM settings WHERE key = ?').run('credentials');
+    deleteCredentials();
   }
 
-  // Load or prompt for credentials
-  let credentials = loadCredentials();
-  if (!credentials) {
-    credentials = await promptForCredentials();
-    saveCredentials(credentials.ip, credentials.username, credentials.password);
-  } else {
-    console.log(`${colors.green}✓${colors.reset} Credentials loaded from database`);
+  if (LIST_ROUTERS) {
+    const profiles = loadRouterProfiles();
+    if (profiles.length === 0) {
+      console.log(`${colors.dim}No router profiles saved yet${colors.reset}`);
+    }
+    profiles.forEach(p => console.log(`  ${colors.cyan}${p.name.padEnd(16)}${colors.reset} ${p.ip} ${colors.dim}(${p.username})${colors.reset}`));
+    db.close();
+    process.exit(0);
   }
 
-  // Set global variables from credentials
-  ROUTER_IP = credentials.ip;
-  USERNAME = credentials.username;
-  PASSWORD = credentials.password;
-
-  // Try to load bandwidth history from timeseries data first (preferred method)
-  const timeseriesHistory = calculateSpeedsFromTimeseries(bandwidthHistory.maxSamples);
-  if (timeseriesHistory.download.length > 0) {
-    bandwidthHistory.download = timeseriesHistory.download;
-    bandwidthHistory.upload = timeseriesHistory.upload;
-    console.log(`${colors.green}✓${colors.reset} Loaded ${bandwidthHistory.download.length} historical bandwidth samples from timeseries data`);
-  } else {
-    // Fallback to legacy bandwidth_history table if timeseries data is not available
-    const historyFromDb = loadBandwidthHistory(bandwidthHistory.maxSamples);
-    bandwidthHistory.download = historyFromDb.download;
-    bandwidthHistory.upload = historyFromDb.upload;
-
-    if (bandwidthHistory.download.length > 0) {
-      console.log(`${colors.green}✓${colors.reset} Loaded ${bandwidthHistory.download.length} historical bandwidth samples (legacy)`);
+  if (REMOVE_ROUTER) {
+    if (!loadCredentials(REMOVE_ROUTER)) {
+      console.error(`${colors.red}✗${colors.reset} No router profile named "${REMOVE_ROUTER}"`);
+      db.close();
+      process.exit(1);
     }
+    deleteCredentials(REMOVE_ROUTER);
+    console.log(`${colors.green}✓${colors.reset} Removed router profile ${REMOVE_ROUTER} ${colors.dim}(its history stays in the database)${colors.reset}`);
+    db.close();
+    process.exit(0);
   }
 
-  // Clean old data (keep last 7 days)
-  cleanOldData(7);
+  // Checked before any prompt: a second monitor on the same database should attach instead
+  await claimCollector();
 
-  // Initialize session and login with retry on failure
-  let loginSuccess = false;
-  let retryCount = 0;
-  const maxRetries = 3;
+  await unlockCredentials();
 
-  while (!loginSuccess && retryCount < maxRetries) {
-    if (!(await initSession())) {
-      console.log(`${colors.red}Failed to connect to router at ${ROUTER_IP}${colors.reset}`);
-      console.log(`${colors.dim}Please check IP address and network connection${colors.reset}\n`);
+  if (DAEMON_MODE) {
+    return daemon(filterSelectedRouters(loadHeadlessProfiles()));
+  }
+
+  // Load or prompt for credentials
+  let profiles = loadRouterProfiles();
+  if (profiles.some(p => p.password === null)) {
+    console.error(`${colors.red}✗${colors.reset} ${LOCKED_MESSAGE}`);
+    db.close();
+    process.exit(1);
+  }
+  if (profiles.length === 0) {
+    const credentials = await promptForCredentials();
+    saveCredentials(credentials.ip, credentials.username, credentials.password, credentials.name);
+  } else if (profiles.length === 1) {
+    console.log(`${colors.green}✓${colors.reset} Credentials loaded from database`);
+  } else {
+    console.log(`${colors.green}✓${colors.reset} Loaded ${profiles.length} router profiles: ${profiles.map(p => p.name).join(', ')}`);
+  }
 
-      // Delete bad credentials and prompt again
-      db.prepare('DELETE FROM settings WHERE key = ?').run('credentials');
-      credentials = await promptForCredentials();
-      saveCredentials(credentials.ip, credentials.username, credentials.password);
-      ROUTER_IP = credentials.ip;
-      USERNAME = credentials.username;
-      PASSWORD = credentials.password;
-      retryCount++;
-      continue;
+  if (ADD_ROUTER) {
+    const credentials = await promptForCredentials(true);
+    if (loadCredentials(credentials.name)) {
+      console.log(`${colors.yellow}⚠${colors.reset} Replacing existing router profile ${credentials.name}`);
     }
+    saveCredentials(credentials.ip, credentials.username, credentials.password, credentials.name);
+    console.log(`${colors.green}✓${colors.reset} Router profile ${credentials.name} saved`);
+  }
 
-    if (!(await login())) {
-      console.log(`${colors.red}Login failed - wrong password?${colors.reset}\n`);
-
-      // Delete bad credentials and prompt again
-      db.prepare('DELETE FROM settings WHERE key = ?').run('credentials');
-      credentials = await promptForCredentials();
-      saveCredentials(credentials.ip, credentials.username, credentials.password);
-      ROUTER_IP = credentials.ip;
-      USERNAME = credentials.username;
-      PASSWORD = credentials.password;
-      retryCount++;
-      continue;
+  profiles = filterSelectedRouters(loadRouterProfiles());
+
+  routers = profiles.map(createRouterState);
+  selectRouter(0);
+
+  for (const router of routers) {
+    // Try to load bandwidth history from timeseries data first (preferred method)
+    const history = router.bandwidthHistory;
+    const timeseriesHistory = calculateSpeedsFromTimeseries(router.id, HISTORY_SAMPLES);
+    if (timeseriesHistory.download.length > 0) {
+      history.download = timeseriesHistory.download;
+      history.upload = timeseriesHistory.upload;
+      history.links = timeseriesHistory.links;
+      history.gaps = timeseriesHistory.gaps;
+      console.log(`${colors.green}✓${colors.reset} ${routerLabel(router.id)}Loaded ${history.download.length} historical bandwidth samples from timeseries data`);
+    } else {
+      // Fallback to legacy bandwidth_history table if timeseries data is not available
+      const historyFromDb = loadBandwidthHistory(router.id, HISTORY_SAMPLES);
+      history.download = historyFromDb.download;
+      history.upload = historyFromDb.upload;
+      history.links = historyFromDb.download.map(() => null);
+      history.gaps = historyFromDb.download.map(() => false);
+
+      if (history.download.length > 0) {
+        console.log(`${colors.green}✓${colors.reset} ${routerLabel(router.id)}Loaded ${history.download.length} historical bandwidth samples (legacy)`);
+      }
     }
+  }
+
+  // Clean old data (keep last 7 days)
+  cleanOldDataPeriodically();
 
-    loginSuccess = true;
+  // Initialize sessions and login, one router at a time since failures prompt for new credentials
+  for (const router of [...routers]) {
+    if (!(await connectRouter(router))) {
+      console.error(`${colors.red}✗${colors.reset} ${routerLabel(router.id)}Failed to login after 3 attempts`);
+      routers.splice(routers.indexOf(router), 1);
+    }
   }
 
-  if (!loginSuccess) {
-    console.error(`${colors.red}✗${colors.reset} Failed to login after ${maxRetries} attempts`);
+  if (routers.length === 0) {
     if (db) db.close();
     process.exit(1);
   }
+  selectRouter(0);
 
   console.log(`${colors.green}✓${colors.reset} Starting stats monitoring...\n`);
+  if (RECORD_FILE) {
+    console.log(`${colors.green}✓${colors.reset} Recording raw responses to ${RECORD_FILE}\n`);
+  }
 
-  // Refresh function
+  // Refresh function - polls all routers concurrently, then redraws
   const refresh = async () => {
-    const stats = await fetchStats();
-    if (stats) {
-      displayStats(stats);
-      previousStats = stats;
+    cleanOldDataPeriodically();
+    const results = await Promise.all(routers.map(pollRouter));
+
+    // On a failed poll keep the error message on screen instead of redrawing stale stats
+    if ((displayOptions.showSummary && routers.length > 1) || results[currentRouterIndex]) {
+      safeRender();
     }
   };
 
-  // Setup keyboard input with refresh callback
-  setupKeyboardInput(refresh);
+  // Keys redraw from the last samples
+  setupKeyboardInput(safeRender);
 
-  // Initial fetch
-  await refresh();
-
-  // Poll for updates
-  setInterval(refresh, POLL_INTERVAL);
+  // Initial fetch, then poll for updates (the next poll is only scheduled once the previous one finished)
+  const poller = startPolling(refresh, nextPollInterval, reportPollError);
+  await poller.done;
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log(`\n\n${colors.yellow}Shutting down...${colors.reset}`);
-  if (db) db.close();
-  process.exit(0);
-});
+// Handle graceful shutdown (the daemon installs its own signal handlers; commands just exit)
+if (!DAEMON_MODE && !COMMAND) {
+  process.on('SIGINT', () => {
+    console.log(`\n\n${colors.yellow}Shutting down...${colors.reset}`);
+    if (db) db.close();
+    process.exit(0);
+  });
+}
 
 // Start the service
 main().catch((error) => {
-  console.error(`${colors.red}Fatal error:${colors.reset}`, error);
+  if (logger) {
+    logger.error('fatal', { error: error.name, message: error.message });
+  } else if (error instanceof SchemaTooNewError || error instanceof CredentialKeyError) {
+    console.error(`${colors.red}✗${colors.reset} ${error.message}`);
+  } else {
+    console.error(`${colors.red}Fatal error:${colors.reset}`, error);
+  }
   process.exit(1);
 });
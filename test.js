@@ -15,17 +15,21 @@ const colors = {
 
 let passed = 0;
 let failed = 0;
+let queue = Promise.resolve();
 
+// Tests run one after another; a test may return a promise
 function test(name, fn) {
-  try {
-    fn();
-    console.log(`${colors.green}✓${colors.reset} ${name}`);
-    passed++;
-  } catch (error) {
-    console.log(`${colors.red}✗${colors.reset} ${name}`);
-    console.log(`  ${colors.red}${error.message}${colors.reset}`);
-    failed++;
-  }
+  queue = queue.then(async () => {
+    try {
+      await fn();
+      console.log(`${colors.green}✓${colors.reset} ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`${colors.red}✗${colors.reset} ${name}`);
+      console.log(`  ${colors.red}${error.message}${colors.reset}`);
+      failed++;
+    }
+  });
 }
 
 function assert(condition, message) {
@@ -107,7 +111,7 @@ test('router-stats.js handles command-line arguments', () => {
 
 // Test 9: Verify database table creation SQL
 test('Database schema includes all required tables', () => {
-  const script = fs.readFileSync('router-stats.js', 'utf8');
+  const script = fs.readFileSync('lib/migrations.js', 'utf8');
   assert(script.includes('CREATE TABLE IF NOT EXISTS bandwidth_history'), 'Missing bandwidth_history table');
   assert(script.includes('CREATE TABLE IF NOT EXISTS timeseries_data'), 'Missing timeseries_data table');
   assert(script.includes('CREATE TABLE IF NOT EXISTS settings'), 'Missing settings table');
@@ -139,6 +143,7 @@ test('All utility scripts exist in tools/', () => {
   assert(fs.existsSync('tools/migrate-db.js'), 'migrate-db.js not found');
   assert(fs.existsSync('tools/check-api.js'), 'check-api.js not found');
   assert(fs.existsSync('tools/test-counters.js'), 'test-counters.js not found');
+  assert(fs.existsSync('tools/mock-router.js'), 'mock-router.js not found');
 });
 
 // Test 13: Check debug mode script exists
@@ -156,6 +161,7 @@ test('Utility scripts have valid syntax', () => {
     execSync('node -c tools/migrate-db.js', { stdio: 'pipe' });
     execSync('node -c tools/check-api.js', { stdio: 'pipe' });
     execSync('node -c tools/test-counters.js', { stdio: 'pipe' });
+    execSync('node -c tools/mock-router.js', { stdio: 'pipe' });
   } catch (error) {
     throw new Error(`Syntax error in utility scripts: ${error.message}`);
   }
@@ -167,15 +173,1435 @@ test('npm scripts defined for all tools', () => {
   assert(pkg.scripts.migrate, 'Missing migrate script');
   assert(pkg.scripts['check-api'], 'Missing check-api script');
   assert(pkg.scripts['test-counters'], 'Missing test-counters script');
+  assert(pkg.scripts['mock-router'], 'Missing mock-router script');
   assert(pkg.scripts.debug, 'Missing debug script');
 });
 
-console.log(`\n${colors.yellow}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
-console.log(`\n📊 Test Results:`);
-console.log(`   ${colors.green}✓ ${passed} passed${colors.reset}`);
-if (failed > 0) {
-  console.log(`   ${colors.red}✗ ${failed} failed${colors.reset}`);
-}
-console.log(`\n${colors.yellow}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}\n`);
+// Test 16: Router client library exports class and typed errors
+test('lib/mr1100-client.js exports client and typed errors', () => {
+  const lib = require('./lib/mr1100-client');
+  assert(typeof lib.Mr1100Client === 'function', 'Missing Mr1100Client class');
+
+  const client = new lib.Mr1100Client({ host: '10.0.0.1', password: 'secret' });
+  assert(typeof client.connect === 'function', 'Missing connect()');
+  assert(typeof client.getModel === 'function', 'Missing getModel()');
+  assert(typeof client.close === 'function', 'Missing close()');
+  assert(typeof client.on === 'function', 'Client should be an EventEmitter');
+  assertEquals(client.sessionCookie, null, 'Client should start without a session cookie');
+
+  for (const name of ['AuthError', 'SessionExpiredError', 'NetworkError', 'InvalidResponseError']) {
+    const err = new lib[name]('boom');
+    assert(err instanceof lib.RouterError, `${name} should extend RouterError`);
+    assertEquals(err.name, name);
+  }
+
+  assert(lib.isLoginPage('  <!DOCTYPE html><html>'), 'Login page not detected');
+  assert(lib.isLoginPage('<HTML><head>'), 'Uppercase login page not detected');
+  assert(!lib.isLoginPage('{"session":{}}'), 'JSON mistaken for login page');
+});
+
+// Test 17: Each client instance keeps its own session state
+test('Router clients do not share session state', () => {
+  const { Mr1100Client } = require('./lib/mr1100-client');
+  const a = new Mr1100Client({ host: '10.0.0.1' });
+  const b = new Mr1100Client({ host: '10.0.0.2' });
+  a.sessionCookie = 'sessionId=abc';
+  assertEquals(b.sessionCookie, null, 'Session cookie leaked between instances');
+  a.close();
+  assertEquals(a.sessionCookie, null, 'close() should clear the session cookie');
+});
+
+// Test 18: No script carries its own copy of the HTTP/login code or a hardcoded password
+test('Tools use the shared client instead of hardcoded credentials', () => {
+  for (const file of ['router-stats.js', 'router-stats-debug.js', 'tools/check-api.js', 'tools/test-counters.js']) {
+    const script = fs.readFileSync(file, 'utf8');
+    assert(script.includes("lib/mr1100-client"), `${file} does not use lib/mr1100-client`);
+    assert(!script.includes('function httpRequest'), `${file} still has its own httpRequest`);
+    assert(!script.includes("'adaniel'"), `${file} has a hardcoded password`);
+  }
+});
+
+// Test 19: Emulator serves the login flow and evolving counters
+test('Mock router supports login, counters and offload switching', async () => {
+  const { createMockRouter } = require('./tools/mock-router');
+  const { Mr1100Client } = require('./lib/mr1100-client');
+
+  const router = await createMockRouter({ password: 'pw', scenario: 'offload-switch', autoAdvance: false }).listen();
+  try {
+    const client = new Mr1100Client({ host: `127.0.0.1:${router.port}`, password: 'pw' });
+    await client.connect();
+
+    const first = await client.getModel();
+    assertEquals(first.wifi.offload.status, 'Off', 'Scenario should start on cellular');
+    const startRx = parseInt(first.wwan.dataTransferredRx);
+
+    router.advance(10);
+    const second = await client.getModel();
+    assertEquals(parseInt(second.wwan.dataTransferredRx) - startRx, 5000000, 'Cellular RX should grow by 10s of traffic');
+
+    router.advance(60);
+    const offload = await client.getModel();
+    assertEquals(offload.wifi.offload.status, 'On', 'Scenario should switch to WiFi offload');
+    assert(parseInt(offload.wifi.offload.dataTransferred.tx) > parseInt(offload.wifi.offload.dataTransferred.rx),
+      'Offload TX (download) should outgrow RX (upload)');
+  } finally {
+    await router.close();
+  }
+});
+
+// Test 20: Session expiry, bad passwords and network drops surface as the right client behaviour
+test('Mock router exercises re-auth and typed errors', async () => {
+  const { createMockRouter } = require('./tools/mock-router');
+  const { Mr1100Client, AuthError, NetworkError } = require('./lib/mr1100-client');
+
+  const router = await createMockRouter({ password: 'pw', autoAdvance: false }).listen();
+  try {
+    const client = new Mr1100Client({ host: `127.0.0.1:${router.port}`, password: 'pw' });
+    const seen = [];
+    client.on('session-expired', () => seen.push('session-expired'));
+    client.on('reauthenticated', () => seen.push('reauthenticated'));
+    await client.connect();
+
+    router.expireSessions();
+    const data = await client.getModel();
+    assert(data.wwan, 'Should get model.json after re-authenticating');
+    assertEquals(seen.join(','), 'session-expired,reauthenticated');
+
+    const wrong = new Mr1100Client({ host: `127.0.0.1:${router.port}`, password: 'nope' });
+    let error = null;
+    try { await wrong.connect(); } catch (e) { error = e; }
+    assert(error instanceof AuthError, 'Wrong password should raise AuthError');
+
+    router.state.drop = true;
+    error = null;
+    try { await client.getModel(); } catch (e) { error = e; }
+    assert(error instanceof NetworkError, 'Dropped connection should raise NetworkError');
+  } finally {
+    await router.close();
+  }
+});
+
+// Test 21: Capture files round-trip and replay in order, skipping damaged lines
+test('Capture files record and replay raw responses', async () => {
+  const os = require('os');
+  const { appendCapture, replayCapture } = require('./lib/capture');
+
+  const file = path.join(os.tmpdir(), `router-stats-capture-${process.pid}.ndjson`);
+  try {
+    appendCapture(file, { wwan: { dataTransferredRx: '100' } }, 1000);
+    fs.appendFileSync(file, 'not json\n');
+    appendCapture(file, { wwan: { dataTransferredRx: '200' } }, 6000);
+
+    const samples = [];
+    let invalid = 0;
+    const count = await replayCapture(file, {
+      speed: Infinity,
+      onSample: (model, timestamp) => samples.push([timestamp, model.wwan.dataTransferredRx]),
+      onInvalid: () => invalid++
+    });
+
+    assertEquals(count, 2, 'Should replay both valid samples');
+    assertEquals(invalid, 1, 'Should report the damaged line');
+    assertEquals(JSON.stringify(samples), JSON.stringify([[1000, '100'], [6000, '200']]));
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+});
+
+// Test 22: Stored rows and usage queries are scoped per router profile
+test('Timeseries data and usage calculations are scoped by router_id', () => {
+  const script = fs.readFileSync('router-stats.js', 'utf8');
+  const schema = fs.readFileSync('lib/migrations.js', 'utf8');
+  assert(/CREATE TABLE IF NOT EXISTS timeseries_data \(\s*id INTEGER PRIMARY KEY AUTOINCREMENT,\s*router_id TEXT/.test(schema),
+    'timeseries_data should have a router_id column');
+  assert(script.includes('function calculateUsageOverTime(routerId'), 'calculateUsageOverTime should take a router id');
+  assert(script.includes('function calculateSpeedsFromTimeseries(routerId'), 'calculateSpeedsFromTimeseries should take a router id');
+  assert(script.includes('function handleDataGap(routerId'), 'handleDataGap should take a router id');
+});
+
+// Test 23: Single-router credentials from older versions become the "default" profile
+test('Legacy credentials migrate to a router profile', () => {
+  const os = require('os');
+  const { execFileSync } = require('child_process');
+  const Database = require('better-sqlite3');
+
+  const dbFile = path.join(os.tmpdir(), `router-stats-profiles-${process.pid}.db`);
+  try {
+    const db = new Database(dbFile);
+    db.exec('CREATE TABLE settings (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+    db.prepare('INSERT INTO settings (key, value) VALUES (?, ?)').run('credentials', JSON.stringify({ ip: '10.0.0.1', username: 'admin', password: 'x' }));
+    db.close();
+
+    const output = execFileSync('node', ['router-stats.js', '--db', dbFile, '--list-routers'], { encoding: 'utf8' });
+    assert(/default\s.*10\.0\.0\.1/.test(output), 'Legacy credentials should be listed as the default profile');
+
+    const check = new Database(dbFile);
+    const routersRow = check.prepare('SELECT value FROM settings WHERE key = ?').get('routers');
+    const legacyRow = check.prepare('SELECT value FROM settings WHERE key = ?').get('credentials');
+    check.close();
+    assertEquals(JSON.parse(routersRow.value)[0].name, 'default');
+    assert(!legacyRow, 'Legacy credentials entry should be removed');
+  } finally {
+    // The database, its key and the backup the upgrade writes
+    for (const name of fs.readdirSync(os.tmpdir())) {
+      if (name.startsWith(path.basename(dbFile, '.db'))) fs.rmSync(path.join(os.tmpdir(), name), { force: true });
+    }
+  }
+});
+
+// Test 24: Adaptive polling speeds up under load and backs off when idle or on battery
+test('Adaptive poll interval follows traffic and power source', () => {
+  const { adaptiveInterval, isOnBattery, parseInterval } = require('./lib/polling');
+  const base = 5000;
+
+  assertEquals(adaptiveInterval({ baseInterval: base }), base, 'No speed yet should keep the base interval');
+  assertEquals(adaptiveInterval({ baseInterval: base, speed: { download: 2e6, upload: 1e5 } }), 2000, 'Heavy traffic should poll faster');
+  assertEquals(adaptiveInterval({ baseInterval: base, speed: { download: 100, upload: 100 } }), 15000, 'Idle link should poll slower');
+  assertEquals(adaptiveInterval({ baseInterval: base, speed: { download: 100, upload: 100 }, onBattery: true }), 30000, 'Idle on battery should poll slowest');
+
+  assert(isOnBattery({ power: { PMState: 'Battery' } }), 'PMState Battery should count as battery');
+  assert(!isOnBattery({ power: { PMState: 'Online', battChargeSource: 'Charger' } }), 'Charger should not count as battery');
+  assertEquals(parseInterval('2.5'), 2500);
+  assertEquals(parseInterval('abc'), null);
+});
+
+// Test 25: A slow poll never overlaps the next one
+test('Polling never runs two refreshes at once', async () => {
+  const { startPolling } = require('./lib/polling');
+  let active = 0;
+  let maxActive = 0;
+  let runs = 0;
+
+  const poller = startPolling(async () => {
+    active++;
+    runs++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    active--;
+  }, () => 1);
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+  poller.stop();
+
+  assert(runs >= 2, `Expected several polls, got ${runs}`);
+  assertEquals(maxActive, 1, 'Polls overlapped');
+});
+
+// Test 26: Snapshots normalize counter conventions and the active link
+test('parseSnapshot normalizes per-link counters and offload state', () => {
+  const { parseSnapshot } = require('./lib/snapshot');
+  const model = {
+    general: { model: 'MR1100', upTime: 100, devTemperature: 41 },
+    power: { PMState: 'Online', battChargeLevel: 80, battChargeSource: 'Charger' },
+    wwan: {
+      connection: 'Connected', connectionText: '4G+', registerNetworkDisplay: 'Tel', IP: '10.0.0.2', sessDuration: 60,
+      dataTransferredRx: '1000', dataTransferredTx: '100',
+      signalStrength: { bars: 4, rsrp: -95, rsrq: -10, sinr: 12 },
+      dataUsage: { generic: { dataTransferred: '5000', dataTransferredRoaming: '7' } }
+    },
+    wifi: { offload: { enabled: true, status: 'On', connectionSsid: 'Cafe', bars: 3, rssi: -60, dataTransferred: { tx: '300', rx: '30' } } },
+    ethernet: { offload: { enabled: true, on: false, ipv4Addr: '0.0.0.0', tx: '9', rx: '1' } },
+    router: { clientList: [{ IP: '192.168.1.5', MAC: 'aa:bb:cc:dd:ee:ff', name: '*', source: 'GuestAP' }, { MAC: '11:22:33:44:55:66' }] }
+  };
+
+  const snapshot = parseSnapshot(model, 1234);
+  assertEquals(snapshot.timestamp, 1234);
+  assertEquals(snapshot.activeLink, 'wifi');
+  assertEquals(snapshot.links.wifi.download, 300, 'Offload TX is download');
+  assertEquals(snapshot.links.wifi.upload, 30, 'Offload RX is upload');
+  assertEquals(snapshot.links.cellular.download, 1000, 'Cellular RX is download');
+  assert(!snapshot.links.ethernet.active, 'Ethernet without an address is not active');
+  assertEquals(snapshot.totals.download, 1309);
+  assertEquals(snapshot.totals.upload, 131);
+  assertEquals(snapshot.lifetime.total, 5007);
+  assertEquals(snapshot.clients.length, 1, 'Clients without an IP are not connected');
+  assertEquals(snapshot.clients[0].mac, 'AA:BB:CC:DD:EE:FF');
+  assertEquals(snapshot.clients[0].name, null);
+  assertEquals(parseSnapshot({ session: { secToken: 'x' } }), null, 'Unauthenticated models are not snapshots');
+});
+
+// Test 27: Daemon mode logs JSON lines and never prompts for credentials
+test('Daemon mode logs JSON and fails without credentials instead of prompting', () => {
+  const os = require('os');
+  const { spawnSync } = require('child_process');
+  const { JsonLogger } = require('./lib/logger');
+
+  const logFile = path.join(os.tmpdir(), `router-stats-log-${process.pid}.log`);
+  const dbFile = path.join(os.tmpdir(), `router-stats-daemon-${process.pid}.db`);
+  try {
+    const logger = new JsonLogger(logFile);
+    logger.info('poll', { router: 'default' });
+    logger.reopen();
+    logger.error('network-error', { code: 'ECONNRESET' });
+    logger.close();
+    const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assertEquals(lines.length, 2, 'Both lines should survive a reopen');
+    assertEquals(lines[1].event, 'network-error');
+    assertEquals(lines[1].level, 'error');
+
+    const env = { ...process.env };
+    delete env.ROUTER_PASSWORD;
+    const result = spawnSync('node', ['router-stats.js', '--daemon', '--db', dbFile], { encoding: 'utf8', env, input: '', timeout: 10000 });
+    assertEquals(result.status, 1, 'Daemon without credentials should exit with 1');
+    const events = result.stdout.trim().split('\n').map(line => JSON.parse(line).event);
+    assert(events.includes('no-credentials'), 'Missing no-credentials log line');
+  } finally {
+    fs.rmSync(logFile, { force: true });
+    fs.rmSync(dbFile, { force: true });
+  }
+});
+
+// Test 28: One collector per database, any number of viewers on its socket
+test('Collector lock and socket serve several viewers', async () => {
+  const os = require('os');
+  const { acquireLock, LockedError } = require('./lib/lock');
+  const { CollectorServer, attachToCollector } = require('./lib/collector-socket');
+
+  const lockFile = path.join(os.tmpdir(), `router-stats-${process.pid}.lock`);
+  const socketPath = path.join(os.tmpdir(), `router-stats-${process.pid}.sock`);
+
+  // A lock from a process that no longer exists is taken over
+  fs.writeFileSync(lockFile, '999999999');
+  const release = acquireLock(lockFile);
+  let server = null;
+  try {
+    assertEquals(fs.readFileSync(lockFile, 'utf8'), String(process.pid));
+
+    // A live holder (here: the parent process) blocks the lock
+    const other = path.join(os.tmpdir(), `router-stats-${process.pid}-other.lock`);
+    fs.writeFileSync(other, String(process.ppid));
+    try {
+      acquireLock(other);
+      throw new Error('Lock held by a live process should not be acquired');
+    } catch (error) {
+      assert(error instanceof LockedError, `Expected LockedError, got ${error.message}`);
+      assertEquals(error.pid, process.ppid);
+    } finally {
+      fs.rmSync(other, { force: true });
+    }
+
+    server = new CollectorServer(socketPath);
+    await server.listen(send => send({ type: 'hello', routers: ['default'] }));
+
+    // Two viewers: each is greeted on connect, then both receive the same broadcast
+    const viewers = [0, 1].map(() => {
+      const received = [];
+      let onMessage = null;
+      const socket = attachToCollector(socketPath, (message) => {
+        received.push(message.type);
+        if (onMessage) onMessage();
+      });
+      const waitFor = (count) => new Promise((resolve) => {
+        onMessage = () => received.length >= count && resolve();
+        onMessage();
+      });
+      return { socket, received, waitFor };
+    });
+
+    await Promise.all(viewers.map(v => v.waitFor(1)));
+    server.broadcast({ type: 'router', id: 'default' });
+    await Promise.all(viewers.map(v => v.waitFor(2)));
+    viewers.forEach(v => {
+      v.socket.destroy();
+      assertEquals(v.received.join(','), 'hello,router');
+    });
+  } finally {
+    if (server) server.close();
+    release();
+  }
+  assert(!fs.existsSync(lockFile), 'Lock file should be removed on release');
+  assert(!fs.existsSync(socketPath), 'Socket file should be removed on close');
+});
+
+// Test 29: `status` exit codes tell connected, WAN down, bad password and unreachable apart
+test('status command reports state through exit codes', async () => {
+  const os = require('os');
+  const { execFile } = require('child_process');
+  const Database = require('better-sqlite3');
+  const { createMockRouter } = require('./tools/mock-router');
+
+  // Run asynchronously so the in-process mock router can answer. Without a password the saved profile is used.
+  const status = (ip, password, db = path.join(os.tmpdir(), `router-stats-status-${process.pid}.db`)) => new Promise((resolve) => {
+    const { ROUTER_IP, ROUTER_PASSWORD, ...env } = process.env;
+    if (password) Object.assign(env, { ROUTER_IP: ip, ROUTER_PASSWORD: password });
+    execFile('node', ['router-stats.js', 'status', '--json', '--db', db], { env, timeout: 15000 }, (error, stdout) => {
+      resolve({ code: error ? error.code : 0, result: JSON.parse(stdout) });
+    });
+  });
+
+  const router = await createMockRouter({ password: 'pw', scenario: 'no-service', autoAdvance: false }).listen();
+  try {
+    const host = `127.0.0.1:${router.port}`;
+
+    const ok = await status(host, 'pw');
+    assertEquals(ok.code, 0, 'Connected router should exit 0');
+    assertEquals(ok.result.state, 'connected');
+    assertEquals(ok.result.activeLink, 'cellular');
+    assertEquals(ok.result.clients, 3);
+
+    // A 1.1 database nobody upgraded yet: its single saved login is used, and the file is left as it was
+    const legacyDb = path.join(os.tmpdir(), `router-stats-status-legacy-${process.pid}.db`);
+    try {
+      const legacy = new Database(legacyDb);
+      legacy.exec('CREATE TABLE settings (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+      legacy.prepare('INSERT INTO settings (key, value) VALUES (?, ?)').run('credentials', JSON.stringify({ ip: host, username: 'admin', password: 'pw' }));
+      legacy.close();
+      const saved = await status(null, null, legacyDb);
+      assertEquals(saved.code, 0, 'Legacy credentials should be enough for status');
+      assertEquals(saved.result.router, 'default');
+      const check = new Database(legacyDb);
+      assert(check.prepare("SELECT value FROM settings WHERE key = 'credentials'").get(), 'status should not migrate the database');
+      check.close();
+    } finally {
+      fs.rmSync(legacyDb, { force: true });
+    }
+
+    router.advance(31);
+    const down = await status(host, 'pw');
+    assertEquals(down.code, 4, 'Lost cellular network should exit 4');
+    assertEquals(down.result.state, 'disconnected');
+
+    const auth = await status(host, 'wrong');
+    assertEquals(auth.code, 3, 'Rejected password should exit 3');
+    assertEquals(auth.result.error, 'auth');
+  } finally {
+    await router.close();
+  }
+
+  const unreachable = await status(`127.0.0.1:${router.port}`, 'pw');
+  assertEquals(unreachable.code, 2, 'Unreachable router should exit 2');
+});
+
+// Test 30: `line` fills template placeholders and speaks waybar JSON
+test('line command prints templates and waybar JSON', async () => {
+  const os = require('os');
+  const { spawn } = require('child_process');
+  const Database = require('better-sqlite3');
+  const { migrate } = require('./lib/migrations');
+  const { recordInterval } = require('./lib/rollups');
+  const { ledgerEntry } = require('./lib/ledger');
+  const { createMockRouter } = require('./tools/mock-router');
+
+  // First line printed by `router-stats line ...args`, then the command is stopped
+  const firstLine = (host, args) => new Promise((resolve, reject) => {
+    const env = { ...process.env, ROUTER_IP: host, ROUTER_PASSWORD: 'pw' };
+    const db = path.join(os.tmpdir(), `router-stats-line-${process.pid}.db`);
+    const child = spawn('node', ['router-stats.js', 'line', '--db', db, ...args], { env });
+    let output = '';
+    const timer = setTimeout(() => child.kill(), 10000);
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('\n')) child.kill();
+    });
+    child.on('error', reject);
+    child.on('close', () => {
+      clearTimeout(timer);
+      resolve(output.split('\n')[0]);
+    });
+  });
+
+  const router = await createMockRouter({ password: 'pw', scenario: 'offload-switch', autoAdvance: false }).listen();
+  try {
+    const host = `127.0.0.1:${router.port}`;
+
+    const text = await firstLine(host, ['--format', '{band}|{rsrp}|{bars}|{battery}|{unknown}']);
+    assertEquals(text, 'LTE B3|-95|████░|85%|{unknown}');
+
+    router.advance(61);
+    const waybar = JSON.parse(await firstLine(host, ['--waybar', '--format', '{link} {signal}']));
+    assertEquals(waybar.text, 'WiFi 3/5');
+    assertEquals(waybar.class, 'fair', 'Class follows the offload signal, not the cellular one');
+    assert(waybar.tooltip.includes('WiFi offload via'), 'Tooltip should describe the active link');
+
+    // {cycle_used}: the router's own counter without a plan, the plan's cycle usage (as in `plan show`) with one
+    assert(/^5(\.\d+)? GB$/.test(await firstLine(host, ['--format', '{cycle_used}'])), 'Without a plan the router counter is shown');
+    const dbFile = path.join(os.tmpdir(), `router-stats-line-${process.pid}.db`);
+    try {
+      const db = new Database(dbFile);
+      migrate(db);
+      const t1 = Date.now() - 20000;
+      const sample = (timestamp, download) => ({
+        timestamp, sessionDuration: 60, activeLink: 'cellular', connected: true,
+        links: { cellular: { download, upload: 0 }, wifi: { download: 0, upload: 0 }, ethernet: { download: 0, upload: 0 } },
+        signal: { rsrp: null, rsrq: null, sinr: null }
+      });
+      recordInterval(db, 'default', ledgerEntry(null, sample(t1, 0)), sample(t1, 0));
+      recordInterval(db, 'default', ledgerEntry(sample(t1, 0), sample(t1 + 10000, 1000), 60000), sample(t1 + 10000, 1000));
+      db.prepare('INSERT INTO settings (key, value) VALUES (?, ?)')
+        .run('billingPlan:default', JSON.stringify({ startDay: new Date(t1).getDate(), cap: null, rollover: 'none', rolloverMax: null }));
+      db.close();
+      assertEquals(await firstLine(host, ['--format', '{cycle_used}']), '1000 B');
+    } finally {
+      fs.rmSync(dbFile, { force: true });
+    }
+  } finally {
+    await router.close();
+  }
+});
+
+// Test 31: Schema migrations upgrade old databases once, support dry runs and back up before destructive steps
+test('Schema migrations are versioned, transactional and back up destructive steps', () => {
+  const os = require('os');
+  const Database = require('better-sqlite3');
+  const { MIGRATIONS, LATEST_VERSION, getSchemaVersion, migrate } = require('./lib/migrations');
+
+  const file = path.join(os.tmpdir(), `router-stats-migrate-${process.pid}.db`);
+  const cleanup = () => {
+    for (const name of fs.readdirSync(os.tmpdir())) {
+      if (name.startsWith(path.basename(file))) fs.rmSync(path.join(os.tmpdir(), name), { force: true });
+    }
+  };
+  cleanup();
+
+  try {
+    // Layout from before versioning, per-link columns and router profiles
+    const db = new Database(file);
+    db.exec(`
+      CREATE TABLE timeseries_data (id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp INTEGER NOT NULL,
+        total_rx_bytes INTEGER NOT NULL, total_tx_bytes INTEGER NOT NULL, session_duration INTEGER NOT NULL);
+      INSERT INTO timeseries_data (timestamp, total_rx_bytes, total_tx_bytes, session_duration) VALUES (1000, 10, 5, 60);
+      CREATE TABLE settings (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+    `);
+    db.prepare('INSERT INTO settings (key, value) VALUES (?, ?)')
+      .run('credentials', JSON.stringify({ ip: '192.168.1.1', username: 'admin', password: 'SuperSecretPw123' }));
+
+    const dry = migrate(db, { dbPath: file, dryRun: true });
+    assertEquals(dry.from, 0);
+    assertEquals(dry.applied.length, MIGRATIONS.length);
+    assertEquals(getSchemaVersion(db), 0, 'Dry run should not record anything');
+
+    const result = migrate(db, { dbPath: file, keyFile: `${file}.key` });
+    assertEquals(result.to, LATEST_VERSION);
+    assert(result.backup && fs.existsSync(result.backup), 'A populated unversioned database should be backed up before destructive steps');
+    // The backup is taken before passwords are encrypted: it keeps the profile but not the plaintext password
+    assert(!fs.readFileSync(result.backup).includes('SuperSecretPw123'), 'The backup should not hold the plaintext password');
+    const backup = new Database(result.backup, { readonly: true });
+    assertEquals(JSON.parse(backup.prepare("SELECT value FROM settings WHERE key = 'credentials'").get().value).username, 'admin');
+    backup.close();
+    assert(!fs.readFileSync(file).includes('SuperSecretPw123'), 'The migrated database should not hold it either');
+    assertEquals(getSchemaVersion(db), LATEST_VERSION);
+    const columns = db.prepare('PRAGMA table_info(timeseries_data)').all().map(col => col.name);
+    assert(columns.includes('wifi_offload_download') && columns.includes('router_id'), 'Missing columns should be added');
+    assertEquals(db.prepare('SELECT router_id FROM timeseries_data').get().router_id, 'default');
+    assertEquals(JSON.stringify(db.prepare('SELECT total_rx_bytes, total_tx_bytes FROM timeseries_data').get()),
+      JSON.stringify({ total_rx_bytes: 5, total_tx_bytes: 10 }), '1.1 stored the upload as rx: swapped to download');
+
+    // Upgraded before the swap existed: only rows written before the first versioned start are 1.1 rows
+    const mixed = new Database(':memory:');
+    migrate(mixed, { migrations: MIGRATIONS.filter(step => step.version < 10) });
+    const row = mixed.prepare(`INSERT INTO timeseries_data (router_id, timestamp, total_rx_bytes, total_tx_bytes, session_duration, created_at)
+      VALUES ('default', ?, ?, ?, 0, COALESCE(?, CURRENT_TIMESTAMP))`);
+    row.run(1000, 10, 5, '2020-01-01 00:00:00');
+    row.run(2000, 10, 5, null);
+    migrate(mixed);
+    assertEquals(mixed.prepare('SELECT total_rx_bytes AS rx FROM timeseries_data ORDER BY timestamp').all().map(r => r.rx).join(), '5,10');
+    mixed.close();
+    assertEquals(migrate(db, { dbPath: file }).applied.length, 0, 'Second run should be a no-op');
+
+    // A failing step rolls back the whole upgrade; a destructive one is preceded by a backup
+    const failing = [...MIGRATIONS, {
+      version: LATEST_VERSION + 1, name: 'drop-and-fail', destructive: true,
+      up(conn) {
+        conn.exec('DROP TABLE timeseries_data');
+        throw new Error('boom');
+      }
+    }];
+    let error = null;
+    try {
+      migrate(db, { dbPath: file, migrations: failing });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message === 'boom', 'Failing step should throw');
+    assertEquals(getSchemaVersion(db), LATEST_VERSION, 'Failed upgrade should not be recorded');
+    assertEquals(db.prepare('SELECT COUNT(*) AS n FROM timeseries_data').get().n, 1, 'Failed upgrade should be rolled back');
+    const backups = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith(path.basename(file)) && name.endsWith('.bak'));
+    assertEquals(backups.length, 2, 'Destructive step should be preceded by a backup');
+
+    // Code older than the database refuses to touch it
+    db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(LATEST_VERSION + 5, 'future');
+    let tooNew = null;
+    try {
+      migrate(db, { dbPath: file });
+    } catch (e) {
+      tooNew = e;
+    }
+    assert(tooNew && tooNew.name === 'SchemaTooNewError', 'Newer schema should be rejected');
+    db.close();
+  } finally {
+    cleanup();
+  }
+});
+
+// Test 32: Rollups add up per-link bytes across counter resets and survive pruning of finer tiers
+test('Rollups aggregate intervals into tiers and usage reads the coarsest tier', () => {
+  const Database = require('better-sqlite3');
+  const { migrate } = require('./lib/migrations');
+  const { DEFAULT_RETENTION, parseRetention, recordInterval, backfillRollups, coveringBuckets, usageBetween, applyRetention } = require('./lib/rollups');
+  const { ledgerEntry, recordLedgerEntry } = require('./lib/ledger');
+
+  const retention = parseRetention('raw=2d, day=forever');
+  assertEquals(retention.raw, 2 * 24 * 60 * 60 * 1000);
+  assertEquals(retention.minute, DEFAULT_RETENTION.minute);
+  assertEquals(retention.day, 0);
+  assertEquals(parseRetention('weeks=1d'), null);
+  assertEquals(parseRetention('raw=5x'), null);
+  assertEquals(parseRetention('minute=1h,hour=1h'), null, 'Hours kept for less than a day bucket');
+  assertEquals(parseRetention('raw=40d'), null, 'Raw samples outliving the minute buckets');
+  assertEquals(parseRetention('hour=2y,day=1y'), null, 'Days dropped before hours');
+  assertEquals(parseRetention('raw=1h,minute=1d,hour=1d,day=forever').hour, 24 * 60 * 60 * 1000);
+
+  const db = new Database(':memory:');
+  migrate(db);
+
+  // 3 hours of 30s samples; the cellular counter starts over after sample 200 (router reboot)
+  const start = Date.UTC(2024, 0, 1, 10, 0, 0);
+  const sample = (i) => ({
+    timestamp: start + i * 30000,
+    sessionDuration: (i < 200 ? i : i - 200) * 30,
+    activeLink: 'cellular',
+    connected: i % 2 === 0,
+    links: {
+      cellular: { download: i < 200 ? i * 1000 : 500 + (i - 200) * 1000, upload: 0 },
+      wifi: { download: 0, upload: 0 },
+      ethernet: { download: 0, upload: 0 }
+    },
+    signal: { rsrp: -90 - (i % 10), rsrq: null, sinr: 10 }
+  });
+  let previous = null;
+  for (let i = 0; i <= 360; i++) {
+    const current = sample(i);
+    const entry = ledgerEntry(previous, current, 90000);
+    recordLedgerEntry(db, 'r1', entry);
+    recordInterval(db, 'r1', entry, current);
+    previous = current;
+  }
+
+  const end = start + 3 * 60 * 60 * 1000;
+  assertEquals(usageBetween(db, 'r1', start, end).links.cellular.download, 359500);
+  assertEquals(coveringBuckets(db, 'r1', start, end + 1).length, 4, 'Three hour buckets and one ledger entry');
+  assertEquals(usageBetween(db, 'r2', start, end), null);
+
+  const hour = db.prepare('SELECT * FROM rollup_hour WHERE router_id = ? AND bucket = ?').get('r1', start);
+  assertEquals(hour.rsrp_min, -99);
+  assertEquals(hour.rsrp_max, -90);
+  assertEquals(hour.rsrq_count, 0);
+  assertEquals(hour.duration_ms, 119 * 30000);
+  assert(hour.connected_ms > 0 && hour.connected_ms < hour.duration_ms, 'Uptime share should be partial');
+
+  // Minute buckets past their retention are gone, whole hours still answer the query
+  const deleted = applyRetention(db, { raw: 0, minute: 60 * 60 * 1000, hour: 0, day: 0 }, end);
+  assert(deleted.minute > 0 && deleted.hour === 0, 'Only minute buckets should be pruned');
+  assertEquals(usageBetween(db, 'r1', start, end).links.cellular.download, 359500);
+
+  // Raw rows stored before rollups existed are rolled up by the migration
+  const insert = db.prepare(`INSERT INTO timeseries_data (router_id, timestamp, total_rx_bytes, total_tx_bytes, session_duration,
+    cellular_download, cellular_upload, wifi_offload_download, wifi_offload_upload, ethernet_offload_download, ethernet_offload_upload)
+    VALUES ('old', ?, ?, 0, 60, ?, 0, 0, 0, 0, 0)`);
+  [[start, 100], [start + 5000, 600], [start + 10000, 1600]].forEach(([ts, bytes]) => insert.run(ts, bytes, bytes));
+  assertEquals(backfillRollups(db, 60000), 3);
+  assertEquals(usageBetween(db, 'old', start, end).total, 1500);
+  db.close();
+});
+
+// Test 33: The usage ledger turns session counters into per-link deltas across resets, rollovers and gaps
+test('Usage ledger handles counter resets, rollovers, new sessions and gaps', () => {
+  const Database = require('better-sqlite3');
+  const { migrate } = require('./lib/migrations');
+  const { counterDelta, ledgerEntry, recordLedgerEntry, backfillLedger } = require('./lib/ledger');
+  const { usageBetween } = require('./lib/rollups');
+
+  assertEquals(JSON.stringify(counterDelta(1000, 1500)), JSON.stringify({ bytes: 500, reset: null }));
+  assertEquals(JSON.stringify(counterDelta(1000, 300)), JSON.stringify({ bytes: 300, reset: 'reset' }));
+  assertEquals(JSON.stringify(counterDelta(2 ** 32 - 100, 50)), JSON.stringify({ bytes: 150, reset: 'rollover' }));
+  assertEquals(JSON.stringify(counterDelta(1000, 1500, true)), JSON.stringify({ bytes: 1500, reset: 'reset' }));
+  assertEquals(JSON.stringify(counterDelta(null, 1500)), JSON.stringify({ bytes: 0, reset: null }));
+
+  const sample = (timestamp, sessionDuration, cellular, wifi) => ({
+    timestamp, sessionDuration, activeLink: 'cellular', connected: true, signal: {},
+    links: { cellular: { download: cellular, upload: 0 }, wifi: { download: wifi, upload: 0 }, ethernet: { download: 0, upload: 0 } }
+  });
+
+  // New cellular session within the interval: its counter counted from zero even though it is higher now
+  const restarted = ledgerEntry(sample(0, 600, 5000, 0), sample(10000, 4, 8000, 0), 15000);
+  assertEquals(restarted.links.cellular.download, 8000);
+  assertEquals(restarted.resets.join(), 'cellular');
+
+  // WiFi offload reconnected (its counter went down) while cellular kept counting
+  const switched = ledgerEntry(sample(0, 600, 5000, 90000), sample(5000, 605, 5200, 1000), 15000);
+  assertEquals(switched.links.cellular.download, 200);
+  assertEquals(switched.links.wifi.download, 1000);
+  assertEquals(switched.download, 1200);
+  assertEquals(switched.resets.join(), 'wifi');
+  assertEquals(switched.gap, false);
+  assertEquals(ledgerEntry(sample(0, 600, 5000, 0), sample(60000, 660, 6000, 0), 15000).gap, true);
+  assertEquals(ledgerEntry(null, sample(0, 0, 0, 0)), null);
 
-process.exit(failed > 0 ? 1 : 0);
+  const db = new Database(':memory:');
+  migrate(db);
+
+  // Sub-minute ranges are summed from single entries
+  const start = Date.UTC(2024, 0, 1, 10, 0, 0);
+  let previous = null;
+  for (let i = 0; i <= 12; i++) {
+    const current = sample(start + i * 5000, i * 5, i * 100, 0);
+    recordLedgerEntry(db, 'r1', ledgerEntry(previous, current, 15000));
+    previous = current;
+  }
+  assertEquals(usageBetween(db, 'r1', start + 20000, start + 40000).total, 500);
+
+  // Rows interpolated over a gap (zero counters, no per-link columns) do not disturb the deltas
+  const insert = db.prepare(`INSERT INTO timeseries_data (router_id, timestamp, total_rx_bytes, total_tx_bytes, session_duration,
+    cellular_download, cellular_upload, wifi_offload_download, wifi_offload_upload, ethernet_offload_download, ethernet_offload_upload)
+    VALUES ('old', ?, ?, 0, ?, ?, 0, 0, 0, 0, 0)`);
+  insert.run(start, 4000, 100, 4000);
+  db.prepare(`INSERT INTO timeseries_data (router_id, timestamp, total_rx_bytes, total_tx_bytes, session_duration)
+    VALUES ('old', ?, 0, 0, 0)`).run(start + 5000);
+  insert.run(start + 10000, 4500, 110, 4500);
+  backfillLedger(db, 60000);
+  assertEquals(usageBetween(db, 'old', start + 10000, start + 20000).total, 500);
+  db.close();
+});
+
+// Test 34: Interpolated rows are flagged, gaps are records and usage can leave them out
+test('Gap records and interpolated rows can be told apart from real samples', () => {
+  const os = require('os');
+  const Database = require('better-sqlite3');
+  const { MIGRATIONS, migrate } = require('./lib/migrations');
+  const { usageBetween } = require('./lib/rollups');
+
+  const file = path.join(os.tmpdir(), `router-stats-gaps-${process.pid}.db`);
+  const cleanup = () => {
+    for (const name of fs.readdirSync(os.tmpdir())) {
+      if (name.startsWith(path.basename(file))) fs.rmSync(path.join(os.tmpdir(), name), { force: true });
+    }
+  };
+  cleanup();
+
+  try {
+    // A database from before gap records, with the zero rows older versions interpolated into a 60s gap
+    const db = new Database(file);
+    migrate(db, { migrations: MIGRATIONS.filter(step => step.version === 1) });
+    const start = Date.UTC(2024, 0, 1, 10, 0, 0);
+    const real = db.prepare(`INSERT INTO timeseries_data (router_id, timestamp, total_rx_bytes, total_tx_bytes, session_duration, lifetime_bytes,
+      cellular_download, cellular_upload, wifi_offload_download, wifi_offload_upload, ethernet_offload_download, ethernet_offload_upload)
+      VALUES ('r1', ?, ?, 0, ?, ?, ?, 0, 0, 0, 0, 0)`);
+    const fake = db.prepare(`INSERT INTO timeseries_data (router_id, timestamp, total_rx_bytes, total_tx_bytes, session_duration, lifetime_bytes)
+      VALUES ('r1', ?, 0, 0, 0, ?)`);
+    real.run(start, 1000, 100, 50000, 1000);
+    real.run(start + 5000, 2000, 105, 51000, 2000);
+    for (let i = 1; i < 12; i++) fake.run(start + 5000 + i * 5000, 51000 + i * 500);
+    real.run(start + 65000, 8000, 165, 57000, 8000);
+    real.run(start + 70000, 9000, 170, 58000, 9000);
+    db.close();
+
+    const upgraded = new Database(file);
+    const result = migrate(upgraded, { dbPath: file });
+    assert(result.backup && fs.existsSync(result.backup), 'Rebuilding timeseries_data should back up the database first');
+
+    const counts = upgraded.prepare('SELECT source, COUNT(*) AS n, MAX(total_rx_bytes) AS rx FROM timeseries_data GROUP BY source ORDER BY source').all();
+    assertEquals(JSON.stringify(counts), JSON.stringify([{ source: 'interpolated', n: 11, rx: null }, { source: 'sample', n: 4, rx: 9000 }]));
+
+    const gap = upgraded.prepare('SELECT * FROM data_gaps').get();
+    assertEquals(gap.start_time, start + 5000);
+    assertEquals(gap.end_time, start + 65000);
+    assertEquals(gap.lifetime_delta, 6000);
+    assertEquals(gap.interpolated, 11);
+    assertEquals(gap.cellular_download, 6000);
+
+    const withGaps = usageBetween(upgraded, 'r1', start, start + 70000);
+    const withoutGaps = usageBetween(upgraded, 'r1', start, start + 70000, { includeGaps: false });
+    assertEquals(withGaps.total, 8000);
+    assertEquals(withGaps.gap.total, 6000);
+    assertEquals(withoutGaps.total, 2000);
+    assertEquals(withoutGaps.links.cellular.download, 2000);
+    upgraded.close();
+  } finally {
+    cleanup();
+  }
+});
+
+// Test 35: Router passwords are encrypted at rest, migrated from plaintext and set without prompts
+test('Stored credentials are encrypted and managed with the creds command', () => {
+  const os = require('os');
+  const { execFileSync } = require('child_process');
+  const Database = require('better-sqlite3');
+  const { MIGRATIONS, migrate } = require('./lib/migrations');
+  const { encryptSecret, decryptSecret, keyDescriptor, resolveKey, newKdf, deriveKey } = require('./lib/credentials');
+
+  const key = resolveKey({ create: true });
+  const secret = encryptSecret(key, 'hunter2');
+  assert(!secret.includes('hunter2'), 'Secret should not contain the password');
+  assertEquals(decryptSecret(key, secret), 'hunter2');
+  let wrongKey = null;
+  try {
+    resolveKey({ descriptor: keyDescriptor(key), env: { ROUTER_STATS_KEY: 'ab'.repeat(32) } });
+  } catch (error) {
+    wrongKey = error.code;
+  }
+  assertEquals(wrongKey, 'wrong-key', 'A different key should be rejected by the check value');
+  const kdf = { ...newKdf(), N: 1024 };
+  const descriptor = keyDescriptor(deriveKey('phrase', kdf), kdf);
+  assertEquals(decryptSecret(resolveKey({ descriptor, passphrase: 'phrase', env: {} }), descriptor.check), 'router-stats');
+
+  const dbFile = path.join(os.tmpdir(), `router-stats-creds-${process.pid}.db`);
+  const keyFile = dbFile.replace(/\.db$/, '.key');
+  const passwordFile = path.join(os.tmpdir(), `router-stats-creds-${process.pid}.txt`);
+  try {
+    // A schema 4 database with a plaintext profile
+    const db = new Database(dbFile);
+    migrate(db, { migrations: MIGRATIONS.slice(0, 4) });
+    db.prepare('INSERT INTO settings (key, value) VALUES (?, ?)')
+      .run('routers', JSON.stringify([{ name: 'office', ip: '10.0.0.2', username: 'admin', password: 'plain-pw' }]));
+    migrate(db, { dbPath: dbFile });
+    const [office] = JSON.parse(db.prepare('SELECT value FROM settings WHERE key = ?').get('routers').value);
+    db.close();
+    assert(fs.existsSync(keyFile), 'Migration should create the key file beside the database');
+    assertEquals(office.password, undefined, 'Plaintext password should be gone');
+    assertEquals(decryptSecret(resolveKey({ keyFile, env: {} }), office.secret), 'plain-pw');
+
+    fs.writeFileSync(passwordFile, 'file-pw\n');
+    const env = { ...process.env, ROUTER_PASSWORD: '' };
+    execFileSync('node', ['router-stats.js', 'creds', 'set', '--db', dbFile, '--router', 'travel', '--ip', '10.0.0.3', '--password-file', passwordFile],
+      { encoding: 'utf8', env, stdio: ['ignore', 'pipe', 'pipe'] });
+    const output = execFileSync('node', ['router-stats.js', 'creds', 'verify', '--offline', '--db', dbFile], { encoding: 'utf8', env });
+    assert(/unlocks 2 saved/.test(output), 'verify should decrypt both profiles');
+
+    const check = new Database(dbFile);
+    const stored = check.prepare('SELECT value FROM settings WHERE key = ?').get('routers').value;
+    check.close();
+    assert(!stored.includes('file-pw') && !stored.includes('plain-pw'), 'No password should be stored in plain text');
+    const travel = JSON.parse(stored).find(p => p.name === 'travel');
+    assertEquals(decryptSecret(resolveKey({ keyFile, env: {} }), travel.secret), 'file-pw', 'Trailing newline of the password file is dropped');
+  } finally {
+    for (const file of [dbFile, keyFile, passwordFile]) fs.rmSync(file, { force: true });
+    // The backup the upgrade from schema 4 writes
+    for (const name of fs.readdirSync(os.tmpdir())) {
+      if (name.startsWith(`${path.basename(dbFile)}.v`)) fs.rmSync(path.join(os.tmpdir(), name), { force: true });
+    }
+  }
+});
+
+// Test 36: Client history keeps one row per device and one session per connected stretch
+test('Client sessions open, extend and close with presence and gaps', () => {
+  const Database = require('better-sqlite3');
+  const { migrate } = require('./lib/migrations');
+  const { trackClients, sessionsBetween, seenClients } = require('./lib/clients');
+
+  const db = new Database(':memory:');
+  migrate(db);
+  const laptop = { mac: 'AA:00:00:00:00:01', ip: '192.168.1.20', name: 'laptop', source: 'primary' };
+  const guest = { mac: 'AA:00:00:00:00:02', ip: '192.168.1.50', name: null, source: 'guest' };
+  const t0 = 1700000000000;
+
+  const first = trackClients(db, 'r1', [laptop, guest], t0, 15000);
+  assertEquals(first.joined.length, 2);
+  assertEquals(first.firstSeen.length, 2, 'Both devices are seen for the first time');
+  trackClients(db, 'r1', [laptop, guest], t0 + 5000, 15000);
+  const left = trackClients(db, 'r1', [laptop], t0 + 10000, 15000).left;
+  assertEquals(left.map(s => s.mac).join(), guest.mac, 'Guest should leave');
+  assertEquals(left[0].end_time, t0 + 5000, 'A session ends at the last poll that saw the device');
+
+  // Collector stopped for a minute: the laptop's session ends before the gap and a new one starts after
+  const rejoined = trackClients(db, 'r1', [{ ...laptop, name: null }], t0 + 70000, 15000);
+  assertEquals(rejoined.joined.length, 1, 'A gap should end the session');
+  assertEquals(rejoined.firstSeen.length, 0, 'A device coming back after a gap is not new');
+
+  const sessions = sessionsBetween(db, 'r1', t0, t0 + 70000);
+  assertEquals(sessions.length, 3);
+  assertEquals(sessions[0].end_time, null, 'Latest session is still open');
+  assertEquals(sessions[0].name, 'laptop', 'Sessions without a name use the device name');
+  assertEquals(sessionsBetween(db, 'r1', t0 + 7000, t0 + 7000).map(s => s.mac).join(), laptop.mac, 'Only the laptop was connected at t0+7s');
+  assertEquals(sessionsBetween(db, 'r2', t0, t0 + 70000).length, 0, 'History is per router');
+
+  const devices = seenClients(db, 'r1');
+  assertEquals(devices.length, 2);
+  assertEquals(devices[0].first_seen, t0);
+  assertEquals(devices[0].last_seen, t0 + 70000);
+  db.close();
+});
+
+// Test 37: Known-device allowlist with aliases; hooks get the details in ROUTER_STATS_* variables
+test('Known devices allowlist and notification hook', async () => {
+  const Database = require('better-sqlite3');
+  const { migrate } = require('./lib/migrations');
+  const { normalizeMac, loadKnownDevices, addKnownDevice, removeKnownDevice } = require('./lib/clients');
+  const { runHook } = require('./lib/hooks');
+
+  assertEquals(normalizeMac('a4-83-e7-12-34-56'), 'A4:83:E7:12:34:56');
+  assertEquals(normalizeMac('not a mac'), null);
+
+  const db = new Database(':memory:');
+  migrate(db);
+  addKnownDevice(db, 'A4:83:E7:12:34:56', 'Work laptop');
+  addKnownDevice(db, 'A4:83:E7:12:34:56');
+  assertEquals(loadKnownDevices(db).get('A4:83:E7:12:34:56').alias, 'Work laptop', 'Adding again without alias keeps it');
+  assert(removeKnownDevice(db, 'A4:83:E7:12:34:56'), 'Remove should report the deleted device');
+  assertEquals(loadKnownDevices(db).size, 0);
+  db.close();
+
+  const result = await runHook(`node -e "process.exit(process.env.ROUTER_STATS_MAC === 'AA:BB' && process.env.ROUTER_STATS_NAME === '' ? 0 : 3)"`,
+    { MAC: 'AA:BB', NAME: null });
+  assertEquals(result.code, 0, 'Hook should see its variables');
+  assertEquals((await runHook('exit 4', {})).error, 'exit code 4');
+
+  // Unknown devices end up in the event log once (a replay stores what the collector would)
+  const os = require('os');
+  const { execFileSync } = require('child_process');
+  const { MockRouter } = require('./tools/mock-router');
+  const { appendCapture } = require('./lib/capture');
+  const { eventsBetween } = require('./lib/events');
+  const capture = path.join(os.tmpdir(), `router-stats-unknown-${process.pid}.ndjson`);
+  const dbFile = path.join(os.tmpdir(), `router-stats-unknown-${process.pid}.db`);
+  try {
+    const model = new MockRouter({ autoAdvance: false }).model({ token: 'x' });
+    appendCapture(capture, model, 1700000000000);
+    appendCapture(capture, model, 1700000005000);
+    const setup = new Database(dbFile);
+    migrate(setup, { dbPath: dbFile });
+    addKnownDevice(setup, 'A4:83:E7:12:34:56', 'Work laptop');
+    setup.close();
+
+    execFileSync('node', ['router-stats.js', '--replay', capture, '--replay-speed', 'max', '--db', dbFile], { stdio: 'ignore', timeout: 15000 });
+    const check = new Database(dbFile);
+    const unknown = eventsBetween(check, { types: ['unknown-client'] });
+    check.close();
+    assertEquals(unknown.map(e => e.payload.mac).sort().join(), '3C:22:FB:00:11:22,F0:18:98:AB:CD:EF', 'Each unknown device is recorded once');
+    assertEquals(unknown.find(e => e.payload.mac === 'F0:18:98:AB:CD:EF').payload.name, 'phone');
+  } finally {
+    fs.rmSync(capture, { force: true });
+    fs.rmSync(dbFile, { force: true });
+  }
+});
+
+// Test 38: Cellular transitions become events; a lost band or operator does not count as a change
+test('Cellular band, operator and connection changes are recorded as events', () => {
+  const Database = require('better-sqlite3');
+  const { migrate } = require('./lib/migrations');
+  const { recordEvent, eventsBetween, cellularEvents } = require('./lib/events');
+
+  const snapshot = (timestamp, cellular, sessionDuration = timestamp / 1000) => ({
+    timestamp, sessionDuration,
+    links: { cellular: { status: 'Connected', technology: '4G+', band: 'LTE B3', operator: 'MockTel', ip: '10.0.0.2', roaming: false, ...cellular } }
+  });
+
+  let result = cellularEvents(null, snapshot(1000, {}));
+  assertEquals(result.events.length, 0, 'The first snapshot is only the baseline');
+  result = cellularEvents(result.state, snapshot(2000, { band: 'LTE B7', technology: '4G' }));
+  assertEquals(result.events.map(e => e.type).join(','), 'technology,band');
+  assertEquals(JSON.stringify(result.events[1].payload), JSON.stringify({ from: 'LTE B3', to: 'LTE B7' }));
+  result = cellularEvents(result.state, snapshot(3000, { status: 'Disconnected', technology: '', band: '', operator: '', ip: '' }));
+  assertEquals(result.events.map(e => e.type).join(','), 'disconnected');
+  assertEquals(result.state.band, 'LTE B7', 'The last band is kept while disconnected');
+  result = cellularEvents(result.state, snapshot(4000, { band: 'LTE B7', technology: '4G', ip: '10.0.0.9', roaming: true }, 5));
+  assertEquals(result.events.map(e => e.type).join(','), 'connected,ip,roaming');
+  result = cellularEvents(result.state, snapshot(5000, { band: 'LTE B7', technology: '4G', ip: '10.0.0.9', roaming: true }, 2));
+  assertEquals(result.events.map(e => e.type).join(','), 'reconnected', 'A shorter session means the connection restarted');
+  assert(!result.changed, 'A restarted session alone does not need the state saved');
+
+  const db = new Database(':memory:');
+  migrate(db);
+  recordEvent(db, 'home', { timestamp: 1000, type: 'band', message: 'Band LTE B3 → LTE B7', payload: { from: 'LTE B3', to: 'LTE B7' } });
+  recordEvent(db, 'home', { timestamp: 2000, type: 'disconnected', severity: 'warn' });
+  recordEvent(db, 'office', { timestamp: 3000, type: 'band' });
+  assertEquals(eventsBetween(db).map(e => e.timestamp).join(','), '3000,2000,1000', 'Newest first');
+  const bands = eventsBetween(db, { routerIds: ['home'], types: ['band'] });
+  assertEquals(bands.length, 1);
+  assertEquals(bands[0].payload.to, 'LTE B7');
+  assertEquals(eventsBetween(db, { from: 1500, to: 2500 })[0].severity, 'warn');
+  db.close();
+});
+
+// Test 39: Offload switches are events too; states saved before links were tracked are no baseline for them
+test('Offload transitions are recorded as events', () => {
+  const { cellularEvents } = require('./lib/events');
+  const snapshot = (timestamp, activeLink) => ({
+    timestamp, activeLink, sessionDuration: timestamp,
+    links: { cellular: { status: 'Connected', technology: '4G', band: 'LTE B3', operator: 'MockTel', ip: '10.0.0.2', roaming: false } }
+  });
+
+  const { state } = cellularEvents(null, snapshot(1000, 'cellular'));
+  let result = cellularEvents(state, snapshot(2000, 'wifi'));
+  assertEquals(result.events.length, 1);
+  assertEquals(result.events[0].type, 'offload');
+  assertEquals(JSON.stringify(result.events[0].payload), JSON.stringify({ from: 'cellular', to: 'wifi' }));
+  assert(result.changed, 'The new link should be saved');
+
+  const { link, ...savedBefore } = state;
+  result = cellularEvents(savedBefore, snapshot(3000, 'wifi'));
+  assertEquals(result.events.length, 0, 'No link in the saved state, no offload event');
+  assertEquals(result.state.link, 'wifi');
+});
+
+// Test 40: Billing cycles follow the start day, archive with rollover and project the cycle end
+test('Billing cycles are archived with rollover and the current one is projected', () => {
+  const Database = require('better-sqlite3');
+  const { migrate } = require('./lib/migrations');
+  const { parseSize, parseRollover, cycleBounds, archiveFinishedCycles, archivedCycles, cycleStatus } = require('./lib/billing');
+  const { DEFAULT_RETENTION, recordInterval, applyRetention } = require('./lib/rollups');
+  const { ledgerEntry } = require('./lib/ledger');
+
+  assertEquals(parseSize('1.5 GB'), 1.5 * 1024 ** 3);
+  assertEquals(parseSize('lots'), null);
+  assertEquals(JSON.stringify(parseRollover('unused:10GB')), JSON.stringify({ rollover: 'unused', rolloverMax: 10 * 1024 ** 3 }));
+  assertEquals(parseRollover('sometimes'), null);
+
+  const bounds = cycleBounds(31, new Date(2024, 1, 15).getTime());
+  assertEquals(bounds.start, new Date(2024, 0, 31).getTime());
+  assertEquals(bounds.end, new Date(2024, 1, 29).getTime(), 'Day 31 in February is its last day');
+  assertEquals(cycleBounds(5, new Date(2024, 0, 3).getTime()).start, new Date(2023, 11, 5).getTime());
+
+  // 1000 cellular bytes an hour from Jan 20 to Mar 8, noon
+  const db = new Database(':memory:');
+  migrate(db);
+  const start = new Date(2024, 0, 20).getTime();
+  const now = new Date(2024, 2, 8, 12).getTime();
+  let previous = null;
+  for (let i = 0; start + i * 3600000 <= now; i++) {
+    const current = {
+      timestamp: start + i * 3600000, sessionDuration: i * 3600, activeLink: 'cellular', connected: true,
+      links: { cellular: { download: i * 1000, upload: 0 }, wifi: { download: 0, upload: 0 }, ethernet: { download: 0, upload: 0 } },
+      signal: { rsrp: null, rsrq: null, sinr: null }
+    };
+    recordInterval(db, 'r1', ledgerEntry(previous, current, 2 * 3600000), current);
+    previous = current;
+  }
+
+  const plan = { startDay: 5, cap: 1000000, rollover: 'unused', rolloverMax: null };
+  const archived = archiveFinishedCycles(db, 'r1', plan, now);
+  assertEquals(archived.length, 2, 'Jan 5 and Feb 5 cycles; nothing was recorded before');
+  assertEquals(archived[1].used, 29 * 24 * 1000);
+  assertEquals(archived[1].rollover_in, 1000000 - archived[0].used, 'Unused cap of January rolls into February');
+  assertEquals(archiveFinishedCycles(db, 'r1', plan, now).length, 0, 'Archived once');
+  assertEquals(archivedCycles(db, 'r1')[0].start_time, new Date(2024, 1, 5).getTime());
+
+  const cycle = cycleStatus(db, 'r1', { ...plan, rolloverMax: 100000 }, now);
+  assertEquals(cycle.used, 85 * 1000);
+  assertEquals(cycle.rolloverIn, 100000, 'Rollover is capped');
+  assertEquals(cycle.allowance, 1100000);
+  assert(Math.abs(cycle.dailyAverage - 85000 / 3.5) < 1, 'Average over the elapsed 3.5 days');
+  assert(Math.abs(cycle.projected - (85000 + 85000 / 3.5 * 27.5)) < 1, 'Projection to Apr 5');
+  assertEquals(Math.round(cycle.range.high), Math.round(cycle.projected), 'Days that all used the same give no spread');
+
+  // The router's own counter disagrees (reset on its own day, samples pruned after a week): the ledger wins
+  const insert = db.prepare(`INSERT INTO timeseries_data (router_id, timestamp, total_rx_bytes, total_tx_bytes, session_duration, lifetime_bytes)
+    VALUES ('r1', ?, 0, 0, 0, ?)`);
+  insert.run(new Date(2024, 1, 20).getTime(), 4000000);
+  insert.run(new Date(2024, 2, 6).getTime(), 9000000);
+  insert.run(new Date(2024, 2, 7).getTime(), 500);
+  applyRetention(db, DEFAULT_RETENTION, now);
+  assertEquals(db.prepare('SELECT COUNT(*) AS n FROM timeseries_data').get().n, 2, 'Samples older than a week are pruned');
+  assertEquals(cycleStatus(db, 'r1', plan, now).used, 85 * 1000, 'Cycle usage ignores the lifetime counter and survives pruning');
+  assert(!cycleStatus(db, 'r1', plan, now).partial, 'Recorded since before the cycle started');
+
+  // Monitoring began on Mar 7, 6:00: the cycle is partial and the average only counts the 1.25 days since
+  let last = null;
+  for (let t = new Date(2024, 2, 7, 6).getTime(), i = 0; t <= now; t += 3600000, i++) {
+    const current = {
+      timestamp: t, sessionDuration: i * 3600, activeLink: 'cellular', connected: true,
+      links: { cellular: { download: i * 1000, upload: 0 }, wifi: { download: 0, upload: 0 }, ethernet: { download: 0, upload: 0 } },
+      signal: { rsrp: null, rsrq: null, sinr: null }
+    };
+    recordInterval(db, 'r2', ledgerEntry(last, current, 2 * 3600000), current);
+    last = current;
+  }
+  const partial = cycleStatus(db, 'r2', plan, now);
+  assert(partial.partial, 'A cycle recorded from partway through is partial');
+  assertEquals(partial.since, new Date(2024, 2, 7, 6).getTime());
+  assertEquals(partial.used, 30 * 1000);
+  assert(Math.abs(partial.dailyAverage - 30000 / 1.25) < 1, 'Average over the 1.25 days recorded, not the 3.5 days of the cycle');
+  assertEquals(partial.range, null, 'Mar 7 was only partly recorded: no complete day yet');
+  db.close();
+});
+
+// Test 41: Usage alerts fire once per threshold and cycle, and reach every sink
+test('Usage alerts fire once per threshold and go to all sinks', async () => {
+  const http = require('http');
+  const os = require('os');
+  const { parseThresholds, evaluateAlerts, createSink, dispatchAlert } = require('./lib/alerts');
+
+  assertEquals(parseThresholds('95, 50,80%').join(','), '50,80,95');
+  assertEquals(parseThresholds('none').length, 0);
+  assertEquals(parseThresholds('half'), null);
+
+  const plan = { alerts: [50, 80, 100], dailyAlert: 1000 };
+  const now = new Date(2024, 2, 8, 12).getTime();
+  const cycle = (start, percent) => ({ start, end: start + 1, used: percent * 100, allowance: 10000, percent });
+
+  let result = evaluateAlerts(plan, cycle(1, 85), 200, null, now);
+  assertEquals(result.alerts.length, 1, 'Only the highest of the thresholds crossed at once');
+  assertEquals(result.alerts[0].threshold, 80);
+  result = evaluateAlerts(plan, cycle(1, 90), 1500, result.state, now);
+  assertEquals(result.alerts.map(a => a.kind).join(','), 'daily');
+  result = evaluateAlerts(plan, cycle(1, 101), 2000, result.state, now + 60000);
+  assertEquals(result.alerts.map(a => `${a.kind}:${a.threshold}`).join(','), 'cap:100', 'Daily alert once a day');
+  assertEquals(result.alerts[0].severity, 'error');
+  result = evaluateAlerts(plan, cycle(2, 55), 0, result.state, now);
+  assertEquals(result.alerts[0].threshold, 50, 'A new cycle starts over');
+
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const logFile = path.join(os.tmpdir(), `router-stats-alerts-${process.pid}.log`);
+  try {
+    const sinks = [
+      createSink('webhook', `http://127.0.0.1:${server.address().port}/hook`),
+      createSink('log', logFile),
+      createSink('command', 'exit 2'),
+      { name: 'broken', send: () => { throw new Error('nope'); } }
+    ];
+    const failures = await dispatchAlert(sinks, { router: 'home', kind: 'cap', threshold: 80, percent: 81, message: 'test' });
+    assertEquals(failures.map(f => `${f.sink}: ${f.error}`).join('; '), 'command: exit code 2; broken: nope');
+    assertEquals(received[0].threshold, 80, 'The webhook gets the alert as JSON');
+    assertEquals(JSON.parse(fs.readFileSync(logFile, 'utf8')).router, 'home');
+
+    const script = fs.readFileSync('router-stats.js', 'utf8');
+    assert(/dispatchAlert\(alertSinks, alert\)\.then\([\s\S]*?\}\)\.catch\(/.test(script), 'A failing dispatch must not become an unhandled rejection');
+  } finally {
+    server.close();
+    if (fs.existsSync(logFile)) fs.unlinkSync(logFile);
+  }
+});
+
+// Test 42: Reports count per-link bytes and time, leave gaps out of speeds and render every format
+test('Usage reports sum links, hours and speeds and render all formats', () => {
+  const Database = require('better-sqlite3');
+  const { migrate } = require('./lib/migrations');
+  const { periodBounds, percentile, buildReport, renderReport } = require('./lib/report');
+  const { forEachStoredInterval, recordLedgerEntry } = require('./lib/ledger');
+  const { DEFAULT_RETENTION, recordInterval, applyRetention } = require('./lib/rollups');
+  const { recordGap } = require('./lib/gaps');
+
+  // What the collector records along with each sample: ledger entry, rollups and gap records
+  const recordHistory = (conn, maxInterval) => forEachStoredInterval(conn, maxInterval, (routerId, entry, sample) => {
+    recordLedgerEntry(conn, routerId, entry);
+    recordInterval(conn, routerId, entry, sample);
+    if (entry && entry.gap) {
+      recordGap(conn, routerId, { start: sample.timestamp - entry.duration, end: sample.timestamp, lifetimeStart: null, lifetimeEnd: null, links: entry.links });
+    }
+  });
+
+  const week = periodBounds('week', new Date(2024, 2, 7, 15).getTime());
+  assertEquals(week.start, new Date(2024, 2, 4).getTime(), 'Weeks start on Monday');
+  assertEquals(periodBounds('month', new Date(2024, 1, 10).getTime()).end, new Date(2024, 2, 1).getTime());
+  assertEquals(percentile([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], 95), 10);
+  assertEquals(percentile([], 50), 0);
+
+  // A sample a minute on Mar 4 from 10:00: 1000 B/s on cellular for an hour, then 10 minutes of
+  // WiFi offload at 5000 B/s, then a two-hour gap that moved 1 MB more on cellular
+  const db = new Database(':memory:');
+  migrate(db);
+  const insert = db.prepare(`
+    INSERT INTO timeseries_data (router_id, timestamp, session_duration, signal_rsrp, cellular_download, cellular_upload,
+      wifi_offload_download, wifi_offload_upload, wifi_offload_active, ethernet_offload_download, ethernet_offload_upload, ethernet_offload_active, connected)
+    VALUES ('r1', ?, ?, ?, ?, 0, ?, 0, ?, 0, 0, 0, 1)
+  `);
+  const start = new Date(2024, 2, 4, 10).getTime();
+  for (let minute = 0; minute <= 60; minute++) insert.run(start + minute * 60000, minute * 60, -90 - minute % 2 * 10, minute * 60000, 0, 0);
+  for (let minute = 61; minute <= 70; minute++) insert.run(start + minute * 60000, minute * 60, null, 3600000, (minute - 60) * 300000, 1);
+  insert.run(start + 190 * 60000, 190 * 60, -80, 3600000 + 1048576, 3000000, 0);
+  recordHistory(db, 180000);
+
+  const day = periodBounds('day', start);
+  const report = buildReport(db, 'r1', { period: 'day', from: day.start, to: day.end, maxInterval: 180000, now: day.end });
+  assertEquals(report.samples, 72);
+  assertEquals(report.links.cellular.download, 3600000 + 1048576);
+  assertEquals(report.links.wifi.download, 3000000);
+  assertEquals(report.links.cellular.ms, 3600000, 'Time on each link counts the link a sample reports');
+  assertEquals(report.links.wifi.ms, 600000);
+  assertEquals(JSON.stringify(report.gap), JSON.stringify({ bytes: 1048576, ms: 7200000 }));
+  assertEquals(report.speeds.download.peak, 5000, 'Gap bytes are no speed');
+  assertEquals(report.speeds.download.p50, 1000);
+  assertEquals(report.busiestHours[0].hour, 10);
+  assertEquals(report.buckets.length, 24);
+  assertEquals(report.buckets[13].download, 1048576, 'Gap bytes land in the hour they were seen');
+  assertEquals(JSON.stringify(report.signal.rsrp), JSON.stringify({ min: -100, max: -80, average: -5870 / 62, samples: 62 }));
+
+  const formatBytes = bytes => `${bytes} B`;
+  assert(renderReport([report], 'text', { formatBytes }).includes('Daily usage report: r1, 2024-03-04'), 'Text title');
+  assert(renderReport([report], 'markdown', { formatBytes }).includes('| WiFi offload | ↓ 3000000 B'), 'Markdown table');
+  const html = renderReport([report], 'html', { formatBytes });
+  assert(html.includes('<svg') && !/<(script|link)\b|src=/.test(html), 'HTML has inline charts and nothing external');
+  assertEquals(JSON.parse(renderReport([report], 'json', { formatBytes }))[0].total, report.total);
+  db.close();
+
+  // A sample every 10 minutes at 600 B/s from Mar 1 to 20; by Mar 21 the default retention pruned
+  // the samples of the first two weeks, but the month report still covers all of it
+  const month = new Database(':memory:');
+  migrate(month);
+  const monthStart = new Date(2024, 2, 1).getTime();
+  const monthInsert = month.prepare(`
+    INSERT INTO timeseries_data (router_id, timestamp, session_duration, cellular_download, cellular_upload,
+      wifi_offload_download, wifi_offload_upload, wifi_offload_active, ethernet_offload_download, ethernet_offload_upload, ethernet_offload_active, connected)
+    VALUES ('r1', ?, ?, ?, 0, 0, 0, 0, 0, 0, 0, 1)
+  `);
+  const samples = 20 * 144;
+  for (let i = 0; i < samples; i++) monthInsert.run(monthStart + i * 600000, i * 600, i * 360000);
+  recordHistory(month, 1800000);
+  const monthNow = new Date(2024, 2, 21).getTime();
+  applyRetention(month, DEFAULT_RETENTION, monthNow);
+  assert(month.prepare('SELECT MIN(timestamp) AS first FROM timeseries_data').get().first >= monthNow - DEFAULT_RETENTION.raw, 'Old samples are pruned');
+
+  const bounds = periodBounds('month', monthStart);
+  const monthly = buildReport(month, 'r1', { period: 'month', from: bounds.start, to: bounds.end, maxInterval: 1800000, now: monthNow });
+  month.close();
+  assertEquals(monthly.samples, samples);
+  assertEquals(monthly.total, (samples - 1) * 360000, 'Pruned samples still count through the rollups');
+  assertEquals(monthly.links.cellular.ms, (samples - 1) * 600000);
+  assertEquals(monthly.buckets[0].download, 143 * 360000, 'Mar 1 is in the chart');
+  assertEquals(Math.round(monthly.speeds.download.p50), 600);
+  assertEquals(monthly.speeds.source, 'minutes', 'Percentiles say where they fall back to minute averages');
+  assert(renderReport([monthly], 'text', { formatBytes }).includes('minute averages where samples were pruned'), 'Text notes the resolution');
+});
+
+// Test 43: Exports stream rows in a time zone, resample speeds per bucket and quote CSV
+test('Exports resample speeds, format times in a zone and write CSV and SQLite', async () => {
+  const Database = require('better-sqlite3');
+  const { PassThrough } = require('stream');
+  const os = require('os');
+  const { migrate } = require('./lib/migrations');
+  const { recordEvent } = require('./lib/events');
+  const { resolveTimeZone, formatTime, bucketStart, exportRows, writeStream, writeSqlite } = require('./lib/export');
+
+  assertEquals(resolveTimeZone('Mars/Base'), null);
+  assertEquals(formatTime(Date.UTC(2024, 6, 1, 12), 'Europe/Berlin'), '2024-07-01T14:00:00+02:00');
+  assertEquals(formatTime(Date.UTC(2024, 0, 1), 'UTC'), '2024-01-01T00:00:00+00:00');
+  assertEquals(bucketStart(Date.UTC(2024, 6, 1, 23, 30), 86400000, 'Europe/Berlin'), Date.UTC(2024, 6, 1, 22), 'Days start at local midnight');
+
+  // A sample a minute for two hours at 1000 B/s, then a 10-minute gap with 60000 bytes more
+  const db = new Database(':memory:');
+  migrate(db);
+  const insert = db.prepare(`
+    INSERT INTO timeseries_data (router_id, timestamp, session_duration, cellular_download, cellular_upload,
+      wifi_offload_download, wifi_offload_upload, wifi_offload_active, ethernet_offload_download, ethernet_offload_upload, ethernet_offload_active, connected)
+    VALUES ('r1', ?, ?, ?, 0, 0, 0, 0, 0, 0, 0, 1)
+  `);
+  const start = Date.UTC(2024, 2, 4, 10);
+  for (let minute = 0; minute <= 120; minute++) insert.run(start + minute * 60000, minute * 60, minute * 60000);
+  insert.run(start + 130 * 60000, 130 * 60, 121 * 60000);
+
+  const options = { routerIds: ['r1'], from: start, to: start + 3 * 3600000, timeZone: 'UTC', maxInterval: 180000 };
+  const raw = [...exportRows(db, { ...options, table: 'speeds' })];
+  assertEquals(raw.length, 121);
+  assertEquals(raw[0].download_speed, 1000);
+  assertEquals(raw[120].download_speed, null, 'A gap has bytes but no speed');
+  const hourly = [...exportRows(db, { ...options, table: 'speeds', resample: 3600000 })];
+  assertEquals(hourly.length, 3);
+  assertEquals(JSON.stringify([hourly[2].download, hourly[2].gap_ms, hourly[2].download_speed]), JSON.stringify([120000, 600000, 1000]), 'The interval ending at 12:00 plus the gap');
+  assertEquals(hourly[0].time, '2024-03-04T10:00:00+00:00');
+  assertEquals([...exportRows(db, { ...options, table: 'timeseries', resample: 3600000 })][1].samples, 60);
+
+  recordEvent(db, 'r1', { timestamp: start, type: 'band', severity: 'info', message: 'Band 3, then "7"', payload: { band: 7 } });
+  let csv = '';
+  const stream = new PassThrough();
+  stream.on('data', chunk => { csv += chunk; });
+  assertEquals(await writeStream(exportRows(db, { ...options, table: 'events' }), 'csv', stream), 1);
+  assertEquals(csv.split('\n')[1], '2024-03-04T10:00:00+00:00,r1,1709546400000,band,info,"Band 3, then ""7""","{""band"":7}"');
+
+  const file = path.join(os.tmpdir(), `router-stats-export-${process.pid}.db`);
+  try {
+    assertEquals(writeSqlite(exportRows(db, { ...options, table: 'speeds' }), 'speeds', file), 121);
+    const extract = new Database(file, { readonly: true });
+    assertEquals(extract.prepare('SELECT SUM(download) AS bytes FROM speeds').get().bytes, 121 * 60000);
+    extract.close();
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+  db.close();
+});
+
+// Test 44: Imports merge where this database has nothing, keep every rollup tier adding up and skip duplicates
+test('Imports merge exports and databases without double counting', async () => {
+  const Database = require('better-sqlite3');
+  const os = require('os');
+  const { PassThrough } = require('stream');
+  const { migrate } = require('./lib/migrations');
+  const { recordInterval, usageBetween } = require('./lib/rollups');
+  const { sampleFromRow, ledgerEntry, recordLedgerEntry } = require('./lib/ledger');
+  const { recordEvent } = require('./lib/events');
+  const { exportRows, writeStream } = require('./lib/export');
+  const { parseCsvLine, readExportFile, mergeExport, mergeDatabase } = require('./lib/merge');
+
+  assertEquals(JSON.stringify(parseCsvLine('a,"b, ""c""",,1')), JSON.stringify(['a', 'b, "c"', '', '1']));
+  assertEquals(parseCsvLine('a,"multi'), null, 'A quoted value continues on the next line');
+
+  // A sample a minute at 1000 B/s from 10:00 to 14:00 in one database; the other has 12:00 to 16:00
+  const samples = (db, routerId, from, to) => {
+    const insert = db.prepare(`
+      INSERT INTO timeseries_data (router_id, timestamp, session_duration, cellular_download, cellular_upload,
+        wifi_offload_download, wifi_offload_upload, wifi_offload_active, ethernet_offload_download, ethernet_offload_upload, ethernet_offload_active, connected)
+      VALUES (?, ?, ?, ?, 0, 0, 0, 0, 0, 0, 0, 1)
+    `);
+    for (let minute = from; minute <= to; minute++) insert.run(routerId, start + minute * 60000, minute * 60, minute * 60000);
+  };
+  const start = new Date(2024, 2, 4, 10).getTime();
+  const laptop = new Database(':memory:');
+  migrate(laptop);
+  samples(laptop, 'home', 0, 240);
+  recordEvent(laptop, 'home', { timestamp: start, type: 'band', severity: 'info', message: 'Band 3 → 7' });
+
+  // Export the laptop's samples and events and import them into an empty database, twice
+  const file = path.join(os.tmpdir(), `router-stats-import-${process.pid}.csv`);
+  const exportTo = async (table) => {
+    const stream = new PassThrough();
+    const written = fs.promises.writeFile(file, stream);
+    await writeStream(exportRows(laptop, { table, from: 0, to: Infinity, timeZone: 'UTC' }), 'csv', stream);
+    stream.end();
+    await written;
+  };
+  const desktop = new Database(':memory:');
+  migrate(desktop);
+  try {
+    await exportTo('timeseries');
+    const first = await mergeExport(desktop, readExportFile(file), { routerId: 'laptop', maxInterval: 180000 });
+    assertEquals(first.kind, 'timeseries');
+    assertEquals(first.results[0].tables.timeseries_data.imported, 241);
+    assertEquals(usageBetween(desktop, 'laptop', start, start + 240 * 60000).total, 240 * 60000, 'Ledger and rollups are built from the samples');
+    const again = await mergeExport(desktop, readExportFile(file), { routerId: 'laptop', maxInterval: 180000 });
+    assertEquals(again.results[0].tables.timeseries_data.skipped, 241, 'Importing twice changes nothing');
+
+    await exportTo('events');
+    const events = await mergeExport(desktop, readExportFile(file), { maxInterval: 180000 });
+    assertEquals(JSON.stringify(events.results[0].tables.events), JSON.stringify({ imported: 1, skipped: 0 }));
+    assertEquals(desktop.prepare('SELECT message FROM events').get().message, 'Band 3 → 7');
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+
+  // Database merge: the overlapping two hours stay as they are, the rest comes over into every tier
+  const home = new Database(':memory:');
+  migrate(home);
+  samples(home, 'home', 120, 360);
+  for (const db of [laptop, home]) {
+    let previous = null;
+    for (const row of db.prepare('SELECT * FROM timeseries_data ORDER BY timestamp').all()) {
+      const sample = sampleFromRow(row);
+      const entry = ledgerEntry(previous, sample, 180000);
+      recordLedgerEntry(db, 'home', entry);
+      recordInterval(db, 'home', entry, sample);
+      previous = sample;
+    }
+  }
+  const result = mergeDatabase(home, laptop, 'home', 'home');
+  assertEquals(result.tables.timeseries_data.imported, 120);
+  assertEquals(result.tables.rollup_minute.skipped, 121, '12:00 to 14:00 was already here');
+  const total = tier => home.prepare(`SELECT SUM(cellular_download) AS bytes FROM ${tier}`).get().bytes;
+  assertEquals(total('rollup_minute'), 359 * 60000, 'Only 11:59-12:00 is missing: its minute was here, but not the sample before it');
+  assertEquals(total('rollup_hour'), total('rollup_minute'));
+  assertEquals(total('rollup_day'), total('rollup_minute'));
+  assertEquals(total('usage_ledger'), total('rollup_minute'));
+  assertEquals(mergeDatabase(home, laptop, 'home', 'home').tables.timeseries_data.imported, 0);
+  for (const db of [laptop, desktop, home]) db.close();
+});
+
+// Test 45: Usage and speed history split by link, cellular kept apart from free offload
+test('Per-link speeds and usage split metered cellular from offload', () => {
+  const Database = require('better-sqlite3');
+  const { migrate } = require('./lib/migrations');
+  const { ledgerEntry, linkSpeeds } = require('./lib/ledger');
+  const { recordInterval, usageBetween } = require('./lib/rollups');
+
+  const sample = (timestamp, cellular, wifi) => ({
+    timestamp, sessionDuration: 600, activeLink: 'wifi', connected: true, signal: {},
+    links: { cellular: { download: cellular, upload: 100 }, wifi: { download: wifi, upload: wifi / 10 }, ethernet: { download: 0, upload: 0 } }
+  });
+
+  // 10 s with 20 KB over cellular and 80 KB over WiFi; a WiFi counter reset still counts what it moved
+  const entry = ledgerEntry(sample(0, 10000, 50000), sample(10000, 30000, 130000), 15000);
+  const speeds = linkSpeeds(entry);
+  assertEquals(JSON.stringify(speeds), JSON.stringify({
+    cellular: { download: 2000, upload: 0 }, wifi: { download: 8000, upload: 800 }, ethernet: { download: 0, upload: 0 }
+  }));
+  assertEquals(linkSpeeds(ledgerEntry(sample(0, 10000, 50000), sample(5000, 10000, 20000))).wifi.download, 4000);
+  assertEquals(linkSpeeds(null), null, 'No previous sample should have no link speeds');
+
+  const db = new Database(':memory:');
+  migrate(db);
+  const hour = Date.UTC(2024, 0, 1, 10);
+  recordInterval(db, 'r1', { ...entry, timestamp: hour + 10000 }, sample(hour + 10000, 30000, 130000));
+  const usage = usageBetween(db, 'r1', hour, hour + 60000);
+  db.close();
+  assertEquals(usage.links.cellular.download + usage.links.cellular.upload, 20000);
+  assertEquals(usage.links.wifi.download + usage.links.wifi.upload, 88000);
+  assertEquals(usage.total, 108000, 'Link figures should add up to the total');
+
+  const script = fs.readFileSync('router-stats.js', 'utf8');
+  assert(script.includes('function createStackedHistogram('), 'History should be drawn stacked by link');
+  assert(/case 'l':\s*displayOptions\.showLinks = !displayOptions\.showLinks/.test(script), 'l should toggle the per-link view');
+  assert(script.includes('history.links.push(linkSpeeds(entry))'), 'Live history should keep per-link speeds');
+});
+
+// Test 46: A poll that throws later on is reported and polling goes on
+test('Polling reports a failed refresh and keeps going', async () => {
+  const { startPolling } = require('./lib/polling');
+  const errors = [];
+  let runs = 0;
+
+  const poller = startPolling(async () => {
+    runs++;
+    if (runs === 2) throw new Error('router went away');
+  }, () => 5, error => errors.push(error.message));
+
+  await poller.done;
+  await new Promise(resolve => setTimeout(resolve, 100));
+  poller.stop();
+
+  assertEquals(errors.join(), 'router went away', 'The second poll\'s error should be reported');
+  assert(runs >= 3, `Polling should go on after a failed run, got ${runs} runs`);
+});
+
+// Test 47: The migration tool does not upgrade a database a collector is writing to
+test('migrate-db refuses to run while a collector holds the lock', () => {
+  const os = require('os');
+  const { spawnSync } = require('child_process');
+  const Database = require('better-sqlite3');
+  const { LATEST_VERSION, getSchemaVersion } = require('./lib/migrations');
+
+  const dbFile = path.join(os.tmpdir(), `router-stats-migrate-tool-${process.pid}.db`);
+  const lockFile = `${dbFile}.lock`;
+  try {
+    const db = new Database(dbFile);
+    db.exec('CREATE TABLE settings (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+    db.close();
+
+    // This test process stands in for the collector
+    fs.writeFileSync(lockFile, String(process.pid));
+    const locked = spawnSync('node', ['tools/migrate-db.js', '--db', dbFile], { encoding: 'utf8', timeout: 15000 });
+    assertEquals(locked.status, 1, 'Migrating under a collector should fail');
+    assert(locked.stdout.includes(`pid ${process.pid}`), 'The message should name the collector');
+    const check = new Database(dbFile, { readonly: true });
+    assertEquals(getSchemaVersion(check), 0, 'Nothing should be migrated');
+    check.close();
+
+    fs.rmSync(lockFile);
+    const free = spawnSync('node', ['tools/migrate-db.js', '--db', dbFile], { encoding: 'utf8', timeout: 15000 });
+    assertEquals(free.status, 0, free.stdout + free.stderr);
+    const upgraded = new Database(dbFile, { readonly: true });
+    assertEquals(getSchemaVersion(upgraded), LATEST_VERSION);
+    upgraded.close();
+    assert(!fs.existsSync(lockFile), 'The tool should release its lock');
+  } finally {
+    for (const name of fs.readdirSync(os.tmpdir())) {
+      if (name.startsWith(path.basename(dbFile).replace(/\.db$/, ''))) fs.rmSync(path.join(os.tmpdir(), name), { force: true });
+    }
+  }
+});
+
+queue.then(() => {
+  console.log(`\n${colors.yellow}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+  console.log(`\n📊 Test Results:`);
+  console.log(`   ${colors.green}✓ ${passed} passed${colors.reset}`);
+  if (failed > 0) {
+    console.log(`   ${colors.red}✗ ${failed} failed${colors.reset}`);
+  }
+  console.log(`\n${colors.yellow}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}\n`);
+
+  process.exit(failed > 0 ? 1 : 0);
+});
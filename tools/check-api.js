@@ -1,76 +1,21 @@
 #!/usr/bin/env node
 
-const http = require('http');
+const { Mr1100Client } = require('../lib/mr1100-client');
 
-const ROUTER_IP = '192.168.2.1';
-const PASSWORD = 'adaniel';
-let sessionCookie = null;
+const ROUTER_IP = process.argv[2] || process.env.ROUTER_IP || '192.168.2.1';
+const PASSWORD = process.argv[3] || process.env.ROUTER_PASSWORD;
 
-function httpRequest(options, postData = null) {
-  return new Promise((resolve, reject) => {
-    const req = http.request(options, (res) => {
-      let data = '';
-
-      if (res.headers['set-cookie']) {
-        const cookieHeader = res.headers['set-cookie'].find(c => c.startsWith('sessionId='));
-        if (cookieHeader) {
-          sessionCookie = cookieHeader.split(';')[0];
-        }
-      }
-
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => { resolve({ statusCode: res.statusCode, data }); });
-    });
-
-    req.on('error', reject);
-    if (postData) req.write(postData);
-    req.end();
-  });
+if (!PASSWORD) {
+  console.error('Usage: node tools/check-api.js <router-ip> <password>');
+  console.error('       (or set ROUTER_IP / ROUTER_PASSWORD)');
+  process.exit(1);
 }
 
-async function main() {
-  // Init session
-  await httpRequest({
-    hostname: ROUTER_IP,
-    port: 80,
-    path: '/sess_cd_tmp',
-    method: 'GET',
-  });
-
-  // Get token
-  const apiResponse = await httpRequest({
-    hostname: ROUTER_IP,
-    port: 80,
-    path: `/api/model.json?internalapi=1&x=${Date.now()}`,
-    method: 'GET',
-    headers: { 'Cookie': sessionCookie }
-  });
+const client = new Mr1100Client({ host: ROUTER_IP, password: PASSWORD });
 
-  const data = JSON.parse(apiResponse.data);
-  const secToken = data.session.secToken;
-
-  // Login
-  await httpRequest({
-    hostname: ROUTER_IP,
-    port: 80,
-    path: '/Forms/config',
-    method: 'POST',
-    headers: {
-      'Cookie': sessionCookie,
-      'Content-Type': 'application/x-www-form-urlencoded',
-    }
-  }, `session.password=${PASSWORD}&token=${secToken}`);
-
-  // Get full data
-  const fullResponse = await httpRequest({
-    hostname: ROUTER_IP,
-    port: 80,
-    path: `/api/model.json?internalapi=1&x=${Date.now()}`,
-    method: 'GET',
-    headers: { 'Cookie': sessionCookie }
-  });
-
-  const fullData = JSON.parse(fullResponse.data);
+async function main() {
+  await client.connect();
+  const fullData = await client.getModel();
 
   // Print relevant sections
   console.log('=== WWAN Data ===');
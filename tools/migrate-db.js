@@ -1,53 +1,102 @@
 #!/usr/bin/env node
 
+// Show or apply database schema migrations (lib/migrations.js).
+// The monitor applies pending migrations itself on startup; this tool is for looking before leaping.
+//
+//   npm run migrate                      apply pending migrations
+//   npm run migrate -- --status          list applied and pending migrations
+//   npm run migrate -- --dry-run         show what would be applied, change nothing
+//   npm run migrate -- --db other.db     use another database file
+//   npm run migrate -- --key-file <file> credential key (default: router-stats.key beside the database)
+
 const Database = require('better-sqlite3');
+const fs = require('fs');
 const path = require('path');
+const { MIGRATIONS, LATEST_VERSION, appliedMigrations, getSchemaVersion, pendingMigrations, migrate } = require('../lib/migrations');
+const { LockedError, acquireLock } = require('../lib/lock');
 
-const DB_PATH = path.join(__dirname, '..', 'router-stats.db');
+const args = process.argv.slice(2);
+const dbIndex = args.indexOf('--db');
+const DB_PATH = dbIndex !== -1 && args[dbIndex + 1]
+  ? path.resolve(args[dbIndex + 1])
+  : path.join(__dirname, '..', 'router-stats.db');
+const keyIndex = args.indexOf('--key-file');
+const KEY_FILE = keyIndex !== -1 && args[keyIndex + 1] ? path.resolve(args[keyIndex + 1]) : undefined;
+const STATUS = args.includes('--status');
+const DRY_RUN = args.includes('--dry-run');
 
-console.log('🔄 Migrating database schema...\n');
+if (!fs.existsSync(DB_PATH)) {
+  console.log(`No database at ${DB_PATH} - it is created on the first run of the monitor.`);
+  process.exit(0);
+}
+
+function describe(step) {
+  const flag = step.destructive ? ' [destructive - database is backed up first]' : '';
+  return `${step.version}. ${step.name}${flag}${step.description ? ` - ${step.description}` : ''}`;
+}
+
+const db = new Database(DB_PATH, { readonly: STATUS || DRY_RUN });
+const version = getSchemaVersion(db);
+const pending = pendingMigrations(db);
+
+console.log(`Database: ${DB_PATH}`);
+console.log(`Schema version: ${version} (latest: ${LATEST_VERSION})\n`);
+
+if (version > LATEST_VERSION) {
+  console.log('❌ This database was written by a newer version of the monitor.');
+  db.close();
+  process.exit(1);
+}
 
-const db = new Database(DB_PATH);
-
-// Get current columns
-const tableInfo = db.prepare("PRAGMA table_info(timeseries_data)").all();
-const existingColumns = tableInfo.map(col => col.name);
-
-console.log('Existing columns:', existingColumns.join(', '));
-console.log('');
-
-// Define new columns to add
-const newColumns = [
-  { name: 'cellular_download', type: 'INTEGER' },
-  { name: 'cellular_upload', type: 'INTEGER' },
-  { name: 'wifi_offload_download', type: 'INTEGER' },
-  { name: 'wifi_offload_upload', type: 'INTEGER' },
-  { name: 'wifi_offload_active', type: 'INTEGER' },
-  { name: 'wifi_offload_ssid', type: 'TEXT' },
-  { name: 'wifi_offload_rssi', type: 'INTEGER' },
-  { name: 'wifi_offload_bars', type: 'INTEGER' },
-  { name: 'ethernet_offload_download', type: 'INTEGER' },
-  { name: 'ethernet_offload_upload', type: 'INTEGER' },
-  { name: 'ethernet_offload_active', type: 'INTEGER' }
-];
-
-// Add missing columns
-let addedCount = 0;
-for (const col of newColumns) {
-  if (!existingColumns.includes(col.name)) {
-    console.log(`✓ Adding column: ${col.name} (${col.type})`);
-    db.prepare(`ALTER TABLE timeseries_data ADD COLUMN ${col.name} ${col.type}`).run();
-    addedCount++;
-  } else {
-    console.log(`  Column already exists: ${col.name}`);
+if (STATUS) {
+  const applied = appliedMigrations(db);
+  console.log('Applied:');
+  if (applied.length === 0) console.log('  (none)');
+  for (const row of applied) {
+    const step = MIGRATIONS.find(m => m.version === row.version);
+    console.log(`  ✓ ${step ? describe(step) : `${row.version}. ${row.name}`} (${row.applied_at})`);
   }
+  console.log('\nPending:');
+  if (pending.length === 0) console.log('  (none)');
+  for (const step of pending) console.log(`  • ${describe(step)}`);
+  db.close();
+  process.exit(0);
 }
 
-console.log('');
-if (addedCount > 0) {
-  console.log(`✅ Migration complete! Added ${addedCount} new columns.`);
-} else {
+if (pending.length === 0) {
   console.log('✅ Database is already up to date!');
+  db.close();
+  process.exit(0);
+}
+
+if (DRY_RUN) {
+  console.log('Would apply:');
+  for (const step of pending) console.log(`  • ${describe(step)}`);
+  console.log('\nNothing was changed (dry run).');
+  db.close();
+  process.exit(0);
+}
+
+// A running collector writes to the database while the upgrade rewrites it: take its lock, like `import`
+try {
+  process.on('exit', acquireLock(`${DB_PATH}.lock`));
+} catch (error) {
+  if (!(error instanceof LockedError)) throw error;
+  console.log(`❌ A collector (pid ${error.pid}) is writing to ${DB_PATH} - stop it before migrating.`);
+  db.close();
+  process.exit(1);
+}
+
+console.log('🔄 Migrating database schema...\n');
+try {
+  const result = migrate(db, { dbPath: DB_PATH, keyFile: KEY_FILE });
+  if (result.backup) console.log(`Backup written to ${result.backup}`);
+  for (const step of result.applied) console.log(`✓ ${describe(step)}`);
+  console.log(`\n✅ Migration complete! Schema version ${result.from} → ${result.to}.`);
+} catch (error) {
+  console.log(`❌ Migration failed, nothing was changed: ${error.message}`);
+  db.close();
+  process.exit(1);
 }
 
 db.close();
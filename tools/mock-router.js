@@ -0,0 +1,488 @@
+#!/usr/bin/env node
+
+// MR1100 emulator - a local HTTP server that speaks the same session/login/model.json
+// protocol as the real hotspot, driven by scriptable traffic scenarios.
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const LOGIN_PAGE = `<!DOCTYPE html>
+<html>
+<head><title>NETGEAR Mobile Router</title></head>
+<body><form action="/Forms/config" method="post"><input type="password" name="session.password"></form></body>
+</html>
+`;
+
+const DEFAULT_CLIENTS = [
+  { IP: '192.168.1.20', MAC: 'A4:83:E7:12:34:56', name: 'laptop', source: 'PrimaryAP' },
+  { IP: '192.168.1.21', MAC: 'F0:18:98:AB:CD:EF', name: 'phone', source: 'PrimaryAP' },
+  { IP: '192.168.1.50', MAC: '3C:22:FB:00:11:22', name: '*', source: 'GuestAP' },
+];
+
+// Built-in scenarios. Each step runs for `duration` simulated seconds; any field a step
+// leaves out keeps the value from the step before it.
+//   link:      'cellular' | 'wifi' | 'ethernet'
+//   download:  bytes/second on the active link (upload likewise)
+//   drop:      true to reset every connection during the step (network unreachable)
+//   wan:       false to lose the cellular network while the router itself stays reachable
+//   event:     'session-reset' | 'expire-sessions' | 'reboot' - applied when the step starts
+//   signal, band, technology, operator, roaming, battery, charging, temperature, clients
+const SCENARIOS = {
+  steady: {
+    description: 'Cellular link with constant moderate traffic',
+    steps: [
+      { duration: 60, link: 'cellular', download: 250000, upload: 40000 },
+    ],
+  },
+  'counter-growth': {
+    description: 'Idle, then a large download, then idle again',
+    steps: [
+      { duration: 30, link: 'cellular', download: 2000, upload: 1000 },
+      { duration: 60, download: 4000000, upload: 120000 },
+      { duration: 30, download: 2000, upload: 1000 },
+    ],
+  },
+  'session-reset': {
+    description: 'Modem reconnects every two minutes, resetting session counters',
+    steps: [
+      { duration: 120, link: 'cellular', download: 300000, upload: 50000 },
+      { duration: 120, event: 'session-reset' },
+    ],
+  },
+  'session-expiry': {
+    description: 'Router forgets all login sessions every 90 seconds',
+    steps: [
+      { duration: 90, link: 'cellular', download: 200000, upload: 30000 },
+      { duration: 90, event: 'expire-sessions' },
+    ],
+  },
+  'offload-switch': {
+    description: 'Cycles cellular -> WiFi offload -> Ethernet offload',
+    steps: [
+      { duration: 60, link: 'cellular', download: 500000, upload: 60000 },
+      { duration: 60, link: 'wifi', download: 1500000, upload: 200000 },
+      { duration: 60, link: 'ethernet', download: 3000000, upload: 400000 },
+    ],
+  },
+  'no-service': {
+    description: 'Cellular network lost for 30 seconds every minute; the router stays reachable',
+    steps: [
+      { duration: 30, link: 'cellular', download: 250000, upload: 40000, wan: true, signal: { bars: 4 } },
+      { duration: 30, wan: false, signal: { bars: 0 } },
+    ],
+  },
+  'band-hopping': {
+    description: 'Hands over between LTE bands, falls back to 3G roaming on another network, drops out, comes back',
+    steps: [
+      { duration: 30, link: 'cellular', download: 250000, upload: 40000, wan: true, band: 'LTE B3', technology: '4G+', operator: 'MockTel', roaming: false },
+      { duration: 30, band: 'LTE B7', technology: '4G' },
+      { duration: 20, band: 'WCDMA B1', technology: '3G', operator: 'OtherNet', roaming: true },
+      { duration: 10, wan: false },
+      { duration: 30, wan: true, band: 'LTE B3', technology: '4G+', operator: 'MockTel', roaming: false, event: 'session-reset' },
+    ],
+  },
+  'network-drop': {
+    description: 'Router becomes unreachable for 20 seconds every minute',
+    steps: [
+      { duration: 40, link: 'cellular', download: 250000, upload: 40000, drop: false },
+      { duration: 20, drop: true },
+    ],
+  },
+};
+
+// Load a scenario by built-in name or from a .json / .js file
+function loadScenario(nameOrFile) {
+  if (!nameOrFile) return SCENARIOS.steady;
+  if (typeof nameOrFile === 'object') return nameOrFile;
+  if (SCENARIOS[nameOrFile]) return SCENARIOS[nameOrFile];
+
+  const file = path.resolve(nameOrFile);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown scenario "${nameOrFile}" (built-in: ${Object.keys(SCENARIOS).join(', ')})`);
+  }
+  return file.endsWith('.json') ? JSON.parse(fs.readFileSync(file, 'utf8')) : require(file);
+}
+
+function randomIp(prefix) {
+  return `${prefix}.${1 + crypto.randomInt(253)}`;
+}
+
+class MockRouter {
+  constructor(options = {}) {
+    this.password = options.password || 'password';
+    this.scenario = loadScenario(options.scenario);
+    this.loop = this.scenario.loop !== false;
+    this.speed = options.speed || 1;                       // simulated seconds per real second
+    this.sessionTimeout = options.sessionTimeout || 0;     // idle seconds before a session expires (0 = never)
+    this.autoAdvance = options.autoAdvance !== false;
+
+    this.sessions = new Map();   // sessionId -> { token, authenticated, lastSeen }
+    this.server = null;
+    this.timer = null;
+    this.requestCount = 0;
+
+    this.stepIndex = -1;
+    this.stepElapsed = 0;
+    this.step = {};
+    this.state = this.initialState();
+    this.enterStep(0);
+  }
+
+  initialState() {
+    return {
+      link: 'cellular',
+      download: 0,
+      upload: 0,
+      drop: false,
+      wan: true,
+      upTime: 3600,
+      sessDuration: 600,
+      ip: '10.64.12.34',
+      cellularRx: 150 * 1024 * 1024,
+      cellularTx: 20 * 1024 * 1024,
+      wifiTx: 0,
+      wifiRx: 0,
+      ethTx: 0,
+      ethRx: 0,
+      lifetime: 5 * 1024 * 1024 * 1024,
+      roamingLifetime: 0,
+      signal: { bars: 4, rsrp: -95, rsrq: -10, sinr: 12 },
+      band: 'LTE B3',
+      technology: '4G+',
+      operator: 'MockTel',
+      roaming: false,
+      battery: 85,
+      charging: true,
+      temperature: 38,
+      clients: DEFAULT_CLIENTS.map(c => ({ ...c })),
+    };
+  }
+
+  // Apply a scenario step: copy over the fields it sets and fire its event
+  enterStep(index) {
+    const steps = this.scenario.steps || [];
+    if (steps.length === 0) return;
+
+    this.stepIndex = index % steps.length;
+    this.stepElapsed = 0;
+    this.step = steps[this.stepIndex];
+
+    const fields = ['link', 'download', 'upload', 'drop', 'wan', 'band', 'technology', 'operator', 'roaming',
+      'battery', 'charging', 'temperature'];
+    for (const field of fields) {
+      if (this.step[field] !== undefined) this.state[field] = this.step[field];
+    }
+    if (this.step.signal) this.state.signal = { ...this.state.signal, ...this.step.signal };
+    if (this.step.clients) this.state.clients = this.step.clients.map(c => ({ ...c }));
+
+    if (this.step.event) this.applyEvent(this.step.event);
+  }
+
+  applyEvent(event) {
+    switch (event) {
+      case 'session-reset':
+        // Modem reconnected: new data session, counters and IP start over
+        this.state.sessDuration = 0;
+        this.state.cellularRx = 0;
+        this.state.cellularTx = 0;
+        this.state.ip = randomIp('10.64.12');
+        break;
+      case 'expire-sessions':
+        this.expireSessions();
+        break;
+      case 'reboot':
+        this.state.upTime = 0;
+        this.state.sessDuration = 0;
+        this.state.cellularRx = 0;
+        this.state.cellularTx = 0;
+        this.state.wifiTx = 0;
+        this.state.wifiRx = 0;
+        this.state.ethTx = 0;
+        this.state.ethRx = 0;
+        this.expireSessions();
+        break;
+      default:
+        throw new Error(`Unknown scenario event "${event}"`);
+    }
+  }
+
+  // Advance the simulated clock, growing counters on the active link
+  advance(seconds = 1) {
+    let remaining = seconds;
+
+    while (remaining > 0) {
+      const steps = this.scenario.steps || [];
+      const stepLeft = this.step.duration ? this.step.duration - this.stepElapsed : remaining;
+      const dt = Math.min(remaining, stepLeft);
+
+      const s = this.state;
+      s.upTime += dt;
+      if (!s.drop) {
+        if (s.wan) s.sessDuration += dt;
+        const down = Math.round(s.download * dt);
+        const up = Math.round(s.upload * dt);
+
+        // Offload counters use the reversed convention (TX = download, RX = upload)
+        if (s.link === 'wifi') {
+          s.wifiTx += down;
+          s.wifiRx += up;
+        } else if (s.link === 'ethernet') {
+          s.ethTx += down;
+          s.ethRx += up;
+        } else if (s.wan) {
+          s.cellularRx += down;
+          s.cellularTx += up;
+          if (s.roaming) s.roamingLifetime += down + up;
+          else s.lifetime += down + up;
+        }
+      }
+
+      this.stepElapsed += dt;
+      remaining -= dt;
+
+      if (this.step.duration && this.stepElapsed >= this.step.duration) {
+        const next = this.stepIndex + 1;
+        if (next < steps.length || this.loop) {
+          this.enterStep(next);
+        } else {
+          this.step = { ...this.step, duration: 0 };
+        }
+      }
+    }
+  }
+
+  expireSessions() {
+    this.sessions.clear();
+  }
+
+  // Build model.json in the shape the real router returns
+  model(session) {
+    const s = this.state;
+    const wifiActive = s.link === 'wifi';
+    const ethActive = s.link === 'ethernet';
+
+    return {
+      session: {
+        secToken: session.token,
+        userRole: session.authenticated ? 'Admin' : 'Guest',
+        lang: 'en',
+      },
+      general: {
+        model: 'MR1100',
+        deviceName: 'Nighthawk M1',
+        FWversion: 'NTG9X50C_12.06.08.00',
+        upTime: Math.floor(s.upTime),
+        devTemperature: s.temperature,
+      },
+      power: {
+        PMState: s.charging ? 'Online' : 'Battery',
+        battChargeLevel: s.battery,
+        battChargeSource: s.charging ? 'Charger' : 'None',
+        batteryState: s.charging ? 'Charging' : 'Ok',
+      },
+      wwan: {
+        connection: s.drop || !s.wan ? 'Disconnected' : 'Connected',
+        connectionText: s.technology,
+        registerNetworkDisplay: s.operator,
+        roaming: s.roaming,
+        IP: s.drop || !s.wan ? '' : s.ip,
+        sessDuration: Math.floor(s.sessDuration),
+        dataTransferredRx: String(s.cellularRx),
+        dataTransferredTx: String(s.cellularTx),
+        signalStrength: { ...s.signal },
+        dataUsage: {
+          generic: {
+            dataTransferred: String(s.lifetime),
+            dataTransferredRoaming: String(s.roamingLifetime),
+          },
+        },
+      },
+      wwanadv: {
+        curBand: s.band,
+        radioQuality: s.signal.rsrq,
+        cellId: 20394251,
+        MCC: '202',
+        MNC: '01',
+      },
+      wifi: {
+        SSID: 'MR1100-Mock',
+        status: 'On',
+        maxClientLimit: 20,
+        guest: { SSID: 'MR1100-Guest', status: 'On' },
+        offload: {
+          enabled: true,
+          status: wifiActive ? 'On' : 'Off',
+          connectionSsid: wifiActive ? 'CoffeeShop' : '',
+          stationIPv4: wifiActive ? '192.168.50.23' : '',
+          bars: wifiActive ? 3 : 0,
+          rssi: wifiActive ? -61 : 0,
+          dataTransferred: { tx: String(s.wifiTx), rx: String(s.wifiRx) },
+        },
+      },
+      ethernet: {
+        offload: {
+          enabled: true,
+          on: ethActive,
+          ipv4Addr: ethActive ? '192.168.0.77' : '0.0.0.0',
+          tx: String(s.ethTx),
+          rx: String(s.ethRx),
+        },
+      },
+      router: {
+        clientList: s.clients.map(c => ({ ...c })),
+      },
+    };
+  }
+
+  getSession(req) {
+    const match = /sessionId=([^;]+)/.exec(req.headers.cookie || '');
+    if (!match) return null;
+
+    const session = this.sessions.get(match[1]);
+    if (!session) return null;
+
+    const now = Date.now();
+    if (this.sessionTimeout && now - session.lastSeen > this.sessionTimeout * 1000) {
+      this.sessions.delete(match[1]);
+      return null;
+    }
+    session.lastSeen = now;
+    return session;
+  }
+
+  handle(req, res) {
+    this.requestCount++;
+
+    if (this.state.drop) {
+      // Simulate an unreachable router: the client sees ECONNRESET
+      req.socket.destroy();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://router');
+
+    if (req.method === 'GET' && url.pathname === '/sess_cd_tmp') {
+      const id = crypto.randomBytes(16).toString('hex');
+      this.sessions.set(id, { token: crypto.randomBytes(8).toString('hex'), authenticated: false, lastSeen: Date.now() });
+      res.writeHead(200, { 'Set-Cookie': `sessionId=${id}; path=/; HttpOnly`, 'Content-Type': 'text/plain' });
+      res.end();
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/model.json') {
+      const session = this.getSession(req);
+      if (!session) {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(LOGIN_PAGE);
+        return;
+      }
+
+      const body = session.authenticated ? this.model(session) : { session: this.model(session).session };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/Forms/config') {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const form = new URLSearchParams(body);
+        const session = this.getSession(req);
+
+        if (!session || form.get('token') !== session.token) {
+          res.writeHead(403, { 'Content-Type': 'text/plain' });
+          res.end('Invalid security token');
+          return;
+        }
+        if (form.get('session.password') !== this.password) {
+          res.writeHead(401, { 'Content-Type': 'text/plain' });
+          res.end('Invalid password');
+          return;
+        }
+
+        session.authenticated = true;
+        session.token = crypto.randomBytes(8).toString('hex');
+        res.writeHead(302, { Location: '/index.html' });
+        res.end();
+      });
+      return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  }
+
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.port = this.server.address().port;
+        this.host = host;
+
+        if (this.autoAdvance) {
+          this.timer = setInterval(() => this.advance(this.speed), 1000);
+          this.timer.unref();
+        }
+        resolve(this);
+      });
+    });
+  }
+
+  close() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    if (!this.server) return Promise.resolve();
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      if (this.server.closeAllConnections) this.server.closeAllConnections();
+    });
+  }
+}
+
+function createMockRouter(options) {
+  return new MockRouter(options);
+}
+
+module.exports = { MockRouter, createMockRouter, loadScenario, SCENARIOS };
+
+// Run as a standalone server
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log('Usage: node tools/mock-router.js [--port 8080] [--password password] [--scenario <name|file>] [--speed 1] [--session-timeout 0]');
+    console.log('\nBuilt-in scenarios:');
+    for (const [name, scenario] of Object.entries(SCENARIOS)) {
+      console.log(`  ${name.padEnd(16)} ${scenario.description}`);
+    }
+    process.exit(0);
+  }
+
+  const router = createMockRouter({
+    password: option('--password', 'password'),
+    scenario: option('--scenario', 'steady'),
+    speed: parseFloat(option('--speed', '1')),
+    sessionTimeout: parseInt(option('--session-timeout', '0')),
+  });
+
+  router.listen(parseInt(option('--port', '8080')), option('--host', '127.0.0.1')).then(() => {
+    console.log(`✓ Mock MR1100 listening on ${router.host}:${router.port} (password: ${router.password})`);
+    console.log(`  Scenario: ${option('--scenario', 'steady')} - ${router.scenario.description || 'custom'}`);
+    console.log(`  Point the monitor at ${router.host}:${router.port}`);
+  }).catch((error) => {
+    console.error('✗ Failed to start mock router:', error.message);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => {
+    router.close().then(() => process.exit(0));
+  });
+}
@@ -1,33 +1,18 @@
 #!/usr/bin/env node
 
-const http = require('http');
-
-const ROUTER_IP = '192.168.2.1';
-const PASSWORD = 'adaniel';
-let sessionCookie = null;
-
-function httpRequest(options, postData = null) {
-  return new Promise((resolve, reject) => {
-    const req = http.request(options, (res) => {
-      let data = '';
-
-      if (res.headers['set-cookie']) {
-        const cookieHeader = res.headers['set-cookie'].find(c => c.startsWith('sessionId='));
-        if (cookieHeader) {
-          sessionCookie = cookieHeader.split(';')[0];
-        }
-      }
-
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => { resolve({ statusCode: res.statusCode, data }); });
-    });
-
-    req.on('error', reject);
-    if (postData) req.write(postData);
-    req.end();
-  });
+const { Mr1100Client } = require('../lib/mr1100-client');
+
+const ROUTER_IP = process.argv[2] || process.env.ROUTER_IP || '192.168.2.1';
+const PASSWORD = process.argv[3] || process.env.ROUTER_PASSWORD;
+
+if (!PASSWORD) {
+  console.error('Usage: node tools/test-counters.js <router-ip> <password>');
+  console.error('       (or set ROUTER_IP / ROUTER_PASSWORD)');
+  process.exit(1);
 }
 
+const client = new Mr1100Client({ host: ROUTER_IP, password: PASSWORD });
+
 function formatBytes(bytes) {
   if (bytes === 0) return '0 B';
   const k = 1024;
@@ -36,50 +21,8 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-async function authenticate() {
-  // Init session
-  await httpRequest({
-    hostname: ROUTER_IP,
-    port: 80,
-    path: '/sess_cd_tmp',
-    method: 'GET',
-  });
-
-  // Get token
-  const apiResponse = await httpRequest({
-    hostname: ROUTER_IP,
-    port: 80,
-    path: `/api/model.json?internalapi=1&x=${Date.now()}`,
-    method: 'GET',
-    headers: { 'Cookie': sessionCookie }
-  });
-
-  const data = JSON.parse(apiResponse.data);
-  const secToken = data.session.secToken;
-
-  // Login
-  await httpRequest({
-    hostname: ROUTER_IP,
-    port: 80,
-    path: '/Forms/config',
-    method: 'POST',
-    headers: {
-      'Cookie': sessionCookie,
-      'Content-Type': 'application/x-www-form-urlencoded',
-    }
-  }, `session.password=${PASSWORD}&token=${secToken}`);
-}
-
 async function getCounters() {
-  const response = await httpRequest({
-    hostname: ROUTER_IP,
-    port: 80,
-    path: `/api/model.json?internalapi=1&x=${Date.now()}`,
-    method: 'GET',
-    headers: { 'Cookie': sessionCookie }
-  });
-
-  const data = JSON.parse(response.data);
+  const data = await client.getModel();
 
   return {
     cellular: {
@@ -106,7 +49,7 @@ async function main() {
   console.log('This script will monitor data counters for 60 seconds.');
   console.log('Download a file now to see which counters increase!\n');
 
-  await authenticate();
+  await client.connect();
   console.log('✓ Authenticated\n');
 
   const startCounters = await getCounters();